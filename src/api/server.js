@@ -1,14 +1,52 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import express from 'express';
 import swaggerUi from 'swagger-ui-express';
 import swaggerJsdoc from 'swagger-jsdoc';
-import { VerifiableCredentialService } from '../crypto/index.js';
-import { VCBuilder } from '../builder/index.js';
+import { VerifiableCredentialService, KeyUtils } from '../crypto/index.js';
+import { CredentialValidator } from '../core/index.js';
+import { DidWeb } from '../did/index.js';
+import { Keyring } from '../keystore/index.js';
 
-const app = express();
 const port = process.env.PORT || 3000;
+const router = express.Router();
 
-// Middleware
-app.use(express.json());
+/**
+ * Validates a submitted credential against the data model version its base
+ * context names, VC 2.0 when it names none.
+ *
+ * @param {object} credential The credential
+ * @returns {object} { version, valid, errors }
+ */
+function validateCredential(credential) {
+  const version = CredentialValidator.detectVersion(credential) || CredentialValidator.VERSION_2_0;
+  return { version, ...CredentialValidator.validate(credential, { version }) };
+}
+
+/**
+ * Reads the keys of the server's did:web identity from a JWK Set file into a
+ * keyring. Only the public keys are kept: publishing the DID document does
+ * not need the private ones.
+ *
+ * @param {string} file Path of a JSON file { "keys": [JWK, ...] }; a JWK's kid names its key
+ * @param {string} did The did:web identity controlling the keys
+ * @returns {Keyring} The keyring
+ * @throws {Error} If the file cannot be read or holds no valid JWK Set
+ */
+function readKeyring(file, did) {
+  const { keys } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(keys) || keys.length === 0) {
+    throw new Error(`${file} must be a JWK Set with at least one key`);
+  }
+
+  const keyring = new Keyring();
+  for (const jwk of keys) {
+    const { d, ...publicJwk } = jwk;
+    keyring.addKey(did, KeyUtils.fromJwk(publicJwk), jwk.kid ? { kid: jwk.kid } : {});
+  }
+  return keyring;
+}
 
 // Swagger definition
 const options = {
@@ -30,7 +68,6 @@ const options = {
 };
 
 const specs = swaggerJsdoc(options);
-app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs));
 
 /**
  * @swagger
@@ -147,6 +184,10 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs));
  *           type: string
  *           description: Base64 encoded public key for verification
  *           example: "MFkwEwYHKoZIzj0CAQYIKoZIzj0DAQcDQgAEwaXN2oYihGe28Uo5TWn2KG4EnnnaYLIDrcNF9d5E3/qr390XBBMT2IWZqvTmG06ugAhbxjKXfYmRY40igOK8sg=="
+ *         validate:
+ *           type: boolean
+ *           description: Also validate the credential against the VC Data Model version its @context names
+ *           example: false
  *     VerifyResponse:
  *       type: object
  *       properties:
@@ -154,6 +195,32 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs));
  *           type: boolean
  *           description: Whether the credential signature is valid
  *           example: true
+ *         errors:
+ *           type: array
+ *           description: Verification errors (only when validate is set)
+ *           items:
+ *             type: object
+ *     ValidationError:
+ *       type: object
+ *       properties:
+ *         path:
+ *           type: string
+ *           description: JSON pointer of the offending value
+ *           example: "/issuer"
+ *         message:
+ *           type: string
+ *           example: "must be a URL or an object with an id"
+ *     ValidationResponse:
+ *       type: object
+ *       properties:
+ *         valid:
+ *           type: boolean
+ *           description: Whether the credential follows the VC Data Model version its @context names
+ *           example: false
+ *         errors:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ValidationError'
  */
 
 /**
@@ -173,7 +240,7 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs));
  *               publicKey: "MFkwEwYHKoZIzj0CAQYIKoZIzj0DAQcDQgAEwaXN2oYihGe28Uo5TWn2KG4EnnnaYLIDrcNF9d5E3/qr390XBBMT2IWZqvTmG06ugAhbxjKXfYmRY40igOK8sg=="
  *               privateKey: "MIGHAgEAMBMGByqGSM49AgEGCCqGSM49AwEHBG0wawIBAQQgUOb4FFfSpDDT5jKcfU3y90L3Ifc7Ui9soOpJgdyhGsmhRANCAATBpc3ahiKEZ7bxSjlNafYobgSeedpgsgOtw0X13kTf+qvf3RcEExPYhZmq9OYbTq6ACFvGMpd9iZFjjSKA4ryy"
  */
-app.get('/api/keypair', (req, res) => {
+router.get('/api/keypair', (req, res) => {
   try {
     const keyPair = VerifiableCredentialService.generateKeyPair();
     res.json(keyPair);
@@ -235,11 +302,19 @@ app.get('/api/keypair', (req, res) => {
  *                   proofPurpose: "assertionMethod"
  *                   proofValue: "MEUCIQDmWRxEbizYf32G1ZVxbNyv/NL8kOG353a7QnEMCFqDKgIgXEOawS1DetQo+GKaCJuNKrlwSQBR47nKGRTyaG9lRmA="
  *       400:
- *         description: Invalid request
+ *         description: Invalid request, or the credential does not follow the VC Data Model version its
+ *           @context names (VC 1.1 or 2.0). Missing fields are reported, not filled in.
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: "Credential does not follow the VC Data Model 2.0"
+ *               errors:
+ *                 - path: "/validFrom"
+ *                   message: "must be an XMLSchema dateTimeStamp, e.g. 2024-01-01T00:00:00Z"
  *       500:
  *         description: Internal server error
  */
-app.post('/api/sign', (req, res) => {
+router.post('/api/sign', (req, res) => {
   try {
     const { credential, privateKey } = req.body;
     
@@ -247,27 +322,15 @@ app.post('/api/sign', (req, res) => {
       return res.status(400).json({ error: 'Credential and privateKey are required' });
     }
     
-    // Create VC from the provided credential object
-    const vc = new VCBuilder()
-      .context(credential['@context'] || ['https://www.w3.org/ns/credentials/v2'])
-      .type(credential.type || ['VerifiableCredential'])
-      .id(credential.id || `http://example.edu/credentials/${Date.now()}`)
-      .issuer(credential.issuer || 'did:example:issuer')
-      .validFrom(credential.validFrom || credential.issuanceDate || new Date().toISOString())
-      .credentialSubject(credential.credentialSubject || {});
-    
-    // Add optional fields if they exist
-    if (credential.validUntil) {
-      vc.validUntil(credential.validUntil);
-    } else if (credential.expirationDate) {
-      vc.validUntil(credential.expirationDate); // For backward compatibility
+    // Validate the credential as submitted: nothing is filled in for missing fields
+    const { version, valid, errors } = validateCredential(credential);
+    if (!valid) {
+      return res.status(400).json({ error: `Credential does not follow the VC Data Model ${version}`, errors });
     }
     
-    const builtVc = vc.build();
-    
     // Sign the VC
     const service = new VerifiableCredentialService();
-    const signedVc = service.sign(builtVc, privateKey);
+    const signedVc = service.sign(credential, privateKey);
     
     res.json({ signedCredential: signedVc });
   } catch (error) {
@@ -321,33 +384,164 @@ app.post('/api/sign', (req, res) => {
  *       500:
  *         description: Internal server error
  */
-app.post('/api/verify', (req, res) => {
+router.post('/api/verify', async (req, res) => {
   try {
-    const { credential, publicKey } = req.body;
+    const { credential, publicKey, validate } = req.body;
     
     if (!credential || !publicKey) {
       return res.status(400).json({ error: 'Credential and publicKey are required' });
     }
     
-    // Verify the VC
+    // Verify the VC; the async API supports every cryptosuite, RDFC-1.0 ones included
     const service = new VerifiableCredentialService();
-    const isValid = service.verify(credential, publicKey);
+    const result = await service.verifyWithResultAsync(credential, publicKey, { validate: Boolean(validate) });
+    if (validate) {
+      return res.json({ valid: result.verified, errors: result.toJSON().errors });
+    }
     
-    res.json({ valid: isValid });
+    res.json({ valid: result.verified });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/validate:
+ *   post:
+ *     summary: Validate a verifiable credential
+ *     description: Validates a credential against the VC Data Model version its @context names (VC 1.1 or 2.0,
+ *       2.0 when it names neither) and reports every violation with a JSON pointer. The proof, if any, is not verified.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - credential
+ *             properties:
+ *               credential:
+ *                 $ref: '#/components/schemas/Credential'
+ *           example:
+ *             credential:
+ *               '@context':
+ *                 - "https://www.w3.org/ns/credentials/v2"
+ *               type:
+ *                 - "VerifiableCredential"
+ *               issuer: "did:example:123456789abcdefghi"
+ *               validFrom: "2023-06-01"
+ *               credentialSubject:
+ *                 id: "did:example:ebfeb1f712ebc6f1c276e12ec21"
+ *     responses:
+ *       200:
+ *         description: Validation result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationResponse'
+ *             example:
+ *               valid: false
+ *               errors:
+ *                 - path: "/validFrom"
+ *                   message: "must be an XMLSchema dateTimeStamp, e.g. 2024-01-01T00:00:00Z"
+ *       400:
+ *         description: Invalid request
+ */
+router.post('/api/validate', (req, res) => {
+  const { credential } = req.body;
+
+  if (!credential) {
+    return res.status(400).json({ error: 'Credential is required' });
+  }
+
+  const { valid, errors } = validateCredential(credential);
+  res.json({ valid, errors });
+});
+
+/**
+ * @swagger
+ * /.well-known/did.json:
+ *   get:
+ *     summary: Get the did:web DID document
+ *     description: Serves the DID document of the server's did:web identity (createApp's did option or the
+ *       DID_WEB environment variable), built from the keys its keyring option (or the JWK Set file named by
+ *       DID_WEB_KEYS) holds for it. Path-based DIDs such as did:web:example.com:issuers:1 are served
+ *       from /issuers/1/did.json instead.
+ *     responses:
+ *       200:
+ *         description: DID document
+ *         content:
+ *           application/did+json:
+ *             example:
+ *               '@context':
+ *                 - "https://www.w3.org/ns/did/v1"
+ *                 - "https://w3id.org/security/multikey/v1"
+ *               id: "did:web:credentials.example.gov"
+ *               verificationMethod:
+ *                 - id: "did:web:credentials.example.gov#key-1"
+ *                   type: "Multikey"
+ *                   controller: "did:web:credentials.example.gov"
+ *                   publicKeyMultibase: "zDnaerDaTF5BXEavCrfRZEk316dpbLsfPDZ3WJ5hRTPFU2169"
+ *               assertionMethod:
+ *                 - "did:web:credentials.example.gov#key-1"
+ *               authentication:
+ *                 - "did:web:credentials.example.gov#key-1"
+ *       404:
+ *         description: No DID document is published at this path
+ *       500:
+ *         description: Internal server error
+ */
+router.get(['/.well-known/did.json', '/*path/did.json'], (req, res) => {
+  const { did, keyring } = req.app.locals;
+
+  try {
+    if (!did || !keyring || new URL(DidWeb.toUrl(did)).pathname !== req.path) {
+      return res.status(404).json({ error: 'DID document not found' });
+    }
+
+    res.type('application/did+json').json(DidWeb.createDocument(did, keyring));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // Health check endpoint
-app.get('/health', (req, res) => {
+router.get('/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
-// Start server
-app.listen(port, () => {
-  console.log('Verifiable Credentials API server running on port ' + port);
-  console.log('Swagger UI available at http://localhost:' + port + '/api-docs');
-});
+/**
+ * Creates the API application.
+ *
+ * @param {object} options Application options
+ * @param {string} options.did did:web identity whose DID document the server publishes
+ *   (default: the DID_WEB environment variable; no document without one)
+ * @param {Keyring} options.keyring Keyring holding the keys of the did:web identity
+ *   (default: the public keys of the JWK Set file named by the DID_WEB_KEYS environment
+ *   variable; no document without one)
+ * @returns {express.Application} The application, not yet listening
+ */
+export function createApp(options = {}) {
+  const app = express();
+  app.locals.did = options.did || process.env.DID_WEB || null;
+  app.locals.keyring = options.keyring ||
+    (app.locals.did && process.env.DID_WEB_KEYS ? readKeyring(process.env.DID_WEB_KEYS, app.locals.did) : null);
+
+  app.use(express.json());
+  app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs));
+  app.use(router);
+  return app;
+}
+
+const app = createApp();
+
+// Start the server when run directly (npm run api), not when imported
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  app.listen(port, () => {
+    console.log('Verifiable Credentials API server running on port ' + port);
+    console.log('Swagger UI available at http://localhost:' + port + '/api-docs');
+  });
+}
 
 export default app;
\ No newline at end of file
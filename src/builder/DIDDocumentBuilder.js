@@ -0,0 +1,255 @@
+import KeyUtils from '../crypto/KeyUtils.js';
+import DidKey from '../did/DidKey.js';
+import DidJwk from '../did/DidJwk.js';
+import DidResolver from '../did/DidResolver.js';
+import DidDocumentValidator from '../did/DidDocumentValidator.js';
+
+/**
+ * Builder class for creating DID documents.
+ * Provides a fluent API for constructing DID documents and validates them
+ * against DID Core when built.
+ */
+class DIDDocumentBuilder {
+  // Contexts added for the verification method types the builder knows
+  static TYPE_CONTEXTS = {
+    ...DidKey.FORMAT_CONTEXTS,
+    [DidJwk.VERIFICATION_METHOD_TYPE]: DidJwk.JWS_2020_CONTEXT
+  };
+
+  constructor() {
+    this.document = {
+      '@context': [DidKey.DID_CONTEXT],
+      id: null,
+      controller: null,
+      alsoKnownAs: [],
+      verificationMethod: [],
+      authentication: [],
+      assertionMethod: [],
+      keyAgreement: [],
+      capabilityInvocation: [],
+      capabilityDelegation: [],
+      service: []
+    };
+  }
+
+  /**
+   * Sets the @context of the DID document.
+   *
+   * @param {Array} context The context URIs
+   * @returns {DIDDocumentBuilder} The builder instance
+   */
+  context(context) {
+    this.document['@context'] = context;
+    return this;
+  }
+
+  /**
+   * Adds a context to the DID document.
+   *
+   * @param {string} context The context URI to add
+   * @returns {DIDDocumentBuilder} The builder instance
+   */
+  addContext(context) {
+    if (!this.document['@context'].includes(context)) {
+      this.document['@context'].push(context);
+    }
+    return this;
+  }
+
+  /**
+   * Sets the DID the document describes.
+   *
+   * @param {string} id The DID
+   * @returns {DIDDocumentBuilder} The builder instance
+   */
+  id(id) {
+    this.document.id = id;
+    return this;
+  }
+
+  /**
+   * Sets the controller of the DID document.
+   *
+   * @param {string|Array} controller The controller DID or DIDs
+   * @returns {DIDDocumentBuilder} The builder instance
+   */
+  controller(controller) {
+    this.document.controller = controller;
+    return this;
+  }
+
+  /**
+   * Sets the other identifiers of the DID subject.
+   *
+   * @param {Array} alsoKnownAs The URIs
+   * @returns {DIDDocumentBuilder} The builder instance
+   */
+  alsoKnownAs(alsoKnownAs) {
+    this.document.alsoKnownAs = alsoKnownAs;
+    return this;
+  }
+
+  /**
+   * Adds another identifier of the DID subject.
+   *
+   * @param {string} uri The URI to add
+   * @returns {DIDDocumentBuilder} The builder instance
+   */
+  addAlsoKnownAs(uri) {
+    this.document.alsoKnownAs.push(uri);
+    return this;
+  }
+
+  /**
+   * Adds a verification method, optionally referencing it from verification
+   * relationships. A key is added as a Multikey controlled by the DID, so the
+   * DID must be set first.
+   *
+   * @param {object|crypto.KeyObject|string} method Verification method object, or a key in any format KeyUtils.parseKey() reads
+   * @param {object} options Method options
+   * @param {string} options.id Id of a key's verification method (default: the DID, "#" and the publicKeyMultibase)
+   * @param {string} options.controller Controller of a key's verification method (default: the DID)
+   * @param {Array} options.relationships Verification relationships listing the method (e.g. ["assertionMethod"])
+   * @returns {DIDDocumentBuilder} The builder instance
+   * @throws {Error} If a key is added before the DID is set, or a relationship is unknown
+   */
+  addVerificationMethod(method, options = {}) {
+    let verificationMethod = method;
+    if (!DIDDocumentBuilder._isVerificationMethod(method)) {
+      if (!this.document.id) {
+        throw new Error('Set the DID document id before adding keys');
+      }
+      verificationMethod = KeyUtils.toMultikey(KeyUtils.parseKey(method), { controller: options.controller || this.document.id });
+      verificationMethod.id = options.id || `${this.document.id}#${verificationMethod.publicKeyMultibase}`;
+    }
+
+    this.document.verificationMethod.push(verificationMethod);
+    this._addTypeContext(verificationMethod);
+    for (const relationship of options.relationships || []) {
+      this._addRelationship(relationship, [verificationMethod.id]);
+    }
+    return this;
+  }
+
+  /**
+   * Adds verification methods to authentication.
+   *
+   * @param {...(string|object)} methods Verification method ids or embedded verification methods
+   * @returns {DIDDocumentBuilder} The builder instance
+   */
+  authentication(...methods) {
+    return this._addRelationship('authentication', methods);
+  }
+
+  /**
+   * Adds verification methods to assertionMethod.
+   *
+   * @param {...(string|object)} methods Verification method ids or embedded verification methods
+   * @returns {DIDDocumentBuilder} The builder instance
+   */
+  assertionMethod(...methods) {
+    return this._addRelationship('assertionMethod', methods);
+  }
+
+  /**
+   * Adds verification methods to keyAgreement.
+   *
+   * @param {...(string|object)} methods Verification method ids or embedded verification methods
+   * @returns {DIDDocumentBuilder} The builder instance
+   */
+  keyAgreement(...methods) {
+    return this._addRelationship('keyAgreement', methods);
+  }
+
+  /**
+   * Adds verification methods to capabilityInvocation.
+   *
+   * @param {...(string|object)} methods Verification method ids or embedded verification methods
+   * @returns {DIDDocumentBuilder} The builder instance
+   */
+  capabilityInvocation(...methods) {
+    return this._addRelationship('capabilityInvocation', methods);
+  }
+
+  /**
+   * Adds verification methods to capabilityDelegation.
+   *
+   * @param {...(string|object)} methods Verification method ids or embedded verification methods
+   * @returns {DIDDocumentBuilder} The builder instance
+   */
+  capabilityDelegation(...methods) {
+    return this._addRelationship('capabilityDelegation', methods);
+  }
+
+  /**
+   * Adds a service endpoint.
+   *
+   * @param {object} service The service ({ id, type, serviceEndpoint })
+   * @returns {DIDDocumentBuilder} The builder instance
+   */
+  addService(service) {
+    this.document.service.push(service);
+    return this;
+  }
+
+  /**
+   * Builds the DID document. Empty properties are left out.
+   *
+   * @returns {object} The DID document
+   * @throws {Error} If the document is not valid under DID Core
+   */
+  build() {
+    const document = {};
+    for (const [property, value] of Object.entries(this.document)) {
+      if (value === null || (Array.isArray(value) && value.length === 0 && property !== '@context')) continue;
+      document[property] = structuredClone(value);
+    }
+    return DidDocumentValidator.assertValid(document);
+  }
+
+  /**
+   * Adds entries to a verification relationship.
+   *
+   * @param {string} relationship Verification relationship
+   * @param {Array} methods Verification method ids or embedded verification methods
+   * @returns {DIDDocumentBuilder} The builder instance
+   * @throws {Error} If the relationship is unknown
+   * @private
+   */
+  _addRelationship(relationship, methods) {
+    if (!DidResolver.RELATIONSHIPS.includes(relationship)) {
+      throw new Error(`Unknown verification relationship: ${relationship}`);
+    }
+    for (const method of methods) {
+      this.document[relationship].push(method);
+      if (typeof method === 'object') this._addTypeContext(method);
+    }
+    return this;
+  }
+
+  /**
+   * Adds the context of a known verification method type.
+   *
+   * @param {object} method Verification method
+   * @private
+   */
+  _addTypeContext(method) {
+    const context = DIDDocumentBuilder.TYPE_CONTEXTS[method?.type];
+    if (context && Array.isArray(this.document['@context'])) {
+      this.addContext(context);
+    }
+  }
+
+  /**
+   * Tells verification method objects apart from keys (KeyObjects, strings, JWKs).
+   *
+   * @param {*} value The value
+   * @returns {boolean} true for objects with a verification method type
+   * @private
+   */
+  static _isVerificationMethod(value) {
+    return typeof value === 'object' && value !== null && typeof value.type === 'string' && typeof value.id === 'string';
+  }
+}
+
+export default DIDDocumentBuilder;
@@ -1,13 +1,30 @@
-import { VerifiableCredential } from '../core/index.js';
+import { VerifiableCredential, CredentialValidator } from '../core/index.js';
+import DocumentLoader from '../loader/DocumentLoader.js';
+import SchemaRegistry from '../schema/SchemaRegistry.js';
 
 /**
  * Builder class for creating Verifiable Credentials.
  * Provides a fluent API for constructing VCs with all required fields.
  */
 class VCBuilder {
-  constructor() {
+  /**
+   * @param {object} options Builder options
+   * @param {DocumentLoader} options.documentLoader Loader used to check that contexts resolve
+   *   (default: the shared DocumentLoader with the bundled contexts)
+   * @param {string} options.version VC Data Model version, '1.1' or '2.0'. A versioned builder starts
+   *   from the version's base context, rejects the base context of the other version and names the
+   *   validity period as the version does (default: none, starting from the VC 2.0 context)
+   * @param {SchemaRegistry} options.schemaRegistry Registry holding the schemas added with credentialSchema();
+   *   build() then checks the credential subject against them (default: none, no checks)
+   * @throws {Error} If the version is not supported
+   */
+  constructor(options = {}) {
+    this.documentLoader = options.documentLoader || DocumentLoader.getDefault();
+    this.schemaRegistry = options.schemaRegistry || null;
+    this.version = CredentialValidator.checkVersion(options.version);
     this.vc = new VerifiableCredential();
-    this.vc.setContext(['https://www.w3.org/ns/credentials/v2']);  // Updated to v2.0 context
+    this.vc.setContext([CredentialValidator.CONTEXTS[this.version || CredentialValidator.VERSION_2_0]]);
+    this.vc.setVersion(this.version);
     this.vc.setType([]);
   }
 
@@ -16,8 +33,12 @@ class VCBuilder {
    * 
    * @param {Array} context The context URIs
    * @returns {VCBuilder} The builder instance
+   * @throws {Error} If a context URI cannot be resolved by the document loader, or the
+   *   context does not start with the base context of the builder's version
    */
   context(context) {
+    this._assertResolvable(context);
+    CredentialValidator.assertVersionContext(this.version, context, true);
     this.vc.setContext(context);
     return this;
   }
@@ -27,8 +48,12 @@ class VCBuilder {
    * 
    * @param {string} context The context URI to add
    * @returns {VCBuilder} The builder instance
+   * @throws {Error} If the context URI cannot be resolved by the document loader, or it is
+   *   the base context of the version the builder does not build
    */
   addContext(context) {
+    this._assertResolvable(context);
+    CredentialValidator.assertVersionContext(this.version, [context], false);
     this.vc.getContext().push(context);
     return this;
   }
@@ -78,7 +103,7 @@ class VCBuilder {
   }
 
   /**
-   * Sets the valid from date of the Verifiable Credential.
+   * Sets the valid from date of the Verifiable Credential (issuanceDate in VC 1.1).
    * 
    * @param {string} validFrom The valid from date in ISO 8601 format
    * @returns {VCBuilder} The builder instance
@@ -89,7 +114,7 @@ class VCBuilder {
   }
 
   /**
-   * Sets the valid until date of the Verifiable Credential.
+   * Sets the valid until date of the Verifiable Credential (expirationDate in VC 1.1).
    * 
    * @param {string} validUntil The valid until date in ISO 8601 format
    * @returns {VCBuilder} The builder instance
@@ -100,7 +125,8 @@ class VCBuilder {
   }
 
   /**
-   * Sets the issuance date of the Verifiable Credential (deprecated v1.0 method).
+   * Sets the issuance date of the Verifiable Credential (deprecated v1.0 method;
+   * written as validFrom unless the builder builds VC 1.1).
    * 
    * @param {string} issuanceDate The issuance date in ISO 8601 format
    * @returns {VCBuilder} The builder instance
@@ -111,7 +137,8 @@ class VCBuilder {
   }
 
   /**
-   * Sets the expiration date of the Verifiable Credential (deprecated v1.0 method).
+   * Sets the expiration date of the Verifiable Credential (deprecated v1.0 method;
+   * written as validUntil unless the builder builds VC 1.1).
    * 
    * @param {string} expirationDate The expiration date in ISO 8601 format
    * @returns {VCBuilder} The builder instance
@@ -132,10 +159,31 @@ class VCBuilder {
     return this;
   }
 
+  /**
+   * Adds a JSON Schema the credential subject follows, as a JsonSchema
+   * entry of credentialSchema.
+   *
+   * @param {string} id The schema URL
+   * @returns {VCBuilder} The builder instance
+   * @throws {Error} If the builder has a schema registry that does not hold the schema
+   */
+  credentialSchema(id) {
+    if (this.schemaRegistry && !this.schemaRegistry.has(id)) {
+      throw new Error(`No schema registered for ${id}`);
+    }
+
+    const entry = { id, type: SchemaRegistry.CREDENTIAL_SCHEMA_TYPE };
+    const entries = SchemaRegistry.schemaEntries(this.vc);
+    this.vc.setCredentialSchema(entries.length === 0 ? entry : [...entries, entry]);
+    return this;
+  }
+
   /**
    * Builds the Verifiable Credential.
    * 
    * @returns {VerifiableCredential} The constructed VerifiableCredential
+   * @throws {Error} If a required field is missing, or the credential subject does not
+   *   follow a schema of the builder's schema registry
    */
   build() {
     // Validate required fields
@@ -159,8 +207,31 @@ class VCBuilder {
       throw new Error("Verifiable Credential must have a credential subject");
     }
 
+    if (this.schemaRegistry) {
+      for (const { id } of SchemaRegistry.schemaEntries(this.vc)) {
+        const { valid, errors } = this.schemaRegistry.validate(id, this.vc.getCredentialSubject());
+        if (!valid) {
+          const violations = errors.map(({ path, message }) => `/credentialSubject${path} ${message}`).join('; ');
+          throw new Error(`Credential subject does not match schema ${id}: ${violations}`);
+        }
+      }
+    }
+
     return this.vc;
   }
+
+  /**
+   * Rejects context URIs the document loader cannot resolve.
+   *
+   * @param {string|object|Array} context The context value
+   * @private
+   */
+  _assertResolvable(context) {
+    const unresolvable = this.documentLoader.findUnresolvable(context);
+    if (unresolvable.length > 0) {
+      throw new Error(`Unable to resolve context: ${unresolvable.join(', ')}`);
+    }
+  }
 }
 
 export default VCBuilder;
\ No newline at end of file
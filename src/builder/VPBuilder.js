@@ -1,13 +1,26 @@
 import VerifiablePresentation from '../core/VerifiablePresentation.js';
+import CredentialValidator from '../core/CredentialValidator.js';
+import DocumentLoader from '../loader/DocumentLoader.js';
 
 /**
  * Builder class for constructing Verifiable Presentations.
  * Provides a fluent API for constructing VPs with all required fields.
  */
 class VPBuilder {
-  constructor() {
+  /**
+   * @param {object} options Builder options
+   * @param {DocumentLoader} options.documentLoader Loader used to check that contexts resolve
+   *   (default: the shared DocumentLoader with the bundled contexts)
+   * @param {string} options.version VC Data Model version, '1.1' or '2.0'. A versioned builder starts
+   *   from the version's base context and rejects the base context of the other version
+   *   (default: none, starting from the VC 2.0 context)
+   * @throws {Error} If the version is not supported
+   */
+  constructor(options = {}) {
+    this.documentLoader = options.documentLoader || DocumentLoader.getDefault();
+    this.version = CredentialValidator.checkVersion(options.version);
     this.vp = new VerifiablePresentation();
-    this.vp.setContext(['https://www.w3.org/ns/credentials/v2']);  // v2.0 context
+    this.vp.setContext([CredentialValidator.CONTEXTS[this.version || CredentialValidator.VERSION_2_0]]);
     this.vp.setType([]);
     this.vp.setVerifiableCredential([]);
   }
@@ -17,8 +30,12 @@ class VPBuilder {
    * 
    * @param {Array} context The context URIs
    * @returns {VPBuilder} The builder instance
+   * @throws {Error} If a context URI cannot be resolved by the document loader, or the
+   *   context does not start with the base context of the builder's version
    */
   context(context) {
+    this._assertResolvable(context);
+    CredentialValidator.assertVersionContext(this.version, context, true);
     this.vp.setContext(context);
     return this;
   }
@@ -28,8 +45,12 @@ class VPBuilder {
    * 
    * @param {string} context The context URI to add
    * @returns {VPBuilder} The builder instance
+   * @throws {Error} If the context URI cannot be resolved by the document loader, or it is
+   *   the base context of the version the builder does not build
    */
   addContext(context) {
+    this._assertResolvable(context);
+    CredentialValidator.assertVersionContext(this.version, [context], false);
     this.vp.getContext().push(context);
     return this;
   }
@@ -123,6 +144,19 @@ class VPBuilder {
 
     return this.vp;
   }
+
+  /**
+   * Rejects context URIs the document loader cannot resolve.
+   *
+   * @param {string|object|Array} context The context value
+   * @private
+   */
+  _assertResolvable(context) {
+    const unresolvable = this.documentLoader.findUnresolvable(context);
+    if (unresolvable.length > 0) {
+      throw new Error(`Unable to resolve context: ${unresolvable.join(', ')}`);
+    }
+  }
 }
 
 export default VPBuilder;
@@ -1,12 +1,15 @@
 import VCBuilder from './VCBuilder.js';
 import VPBuilder from './VPBuilder.js';
+import DIDDocumentBuilder from './DIDDocumentBuilder.js';
 
 export {
   VCBuilder,
-  VPBuilder
+  VPBuilder,
+  DIDDocumentBuilder
 };
 
 export default {
   VCBuilder,
-  VPBuilder
+  VPBuilder,
+  DIDDocumentBuilder
 };
\ No newline at end of file
@@ -0,0 +1,303 @@
+import CredentialValidator from './CredentialValidator.js';
+
+/**
+ * Converts Verifiable Credentials and Presentations between the VC Data Model
+ * 1.1 and 2.0. The source version is detected from the base context. A
+ * conversion rewrites the base and examples contexts, the validity period
+ * properties and the status list types. Properties the target context does
+ * not define are dropped, and so is the proof, which does not cover the
+ * converted document. VC 1.1 dates without a time zone offset are read as UTC.
+ *
+ * Every loss of information is reported as a warning: through
+ * options.onWarning, or as a process warning of type CredentialConversionWarning.
+ */
+class CredentialConverter {
+  static WARNING_TYPE = 'CredentialConversionWarning';
+  // VC 1.1 contexts and their VC 2.0 counterparts
+  static CONTEXTS = {
+    [CredentialValidator.V1_CONTEXT]: CredentialValidator.BASE_CONTEXT,
+    'https://www.w3.org/2018/credentials/examples/v1': 'https://www.w3.org/ns/credentials/examples/v2'
+  };
+  // Defines the VC 1.1 status list types; the VC 2.0 base context defines their successors
+  static STATUS_LIST_CONTEXT = 'https://w3id.org/vc/status-list/2021/v1';
+  // VC 1.1 types and their VC 2.0 counterparts
+  static TYPES = {
+    StatusList2021Credential: 'BitstringStatusListCredential',
+    StatusList2021: 'BitstringStatusList',
+    StatusList2021Entry: 'BitstringStatusListEntry'
+  };
+  // BitstringStatusListEntry properties the status list 2021 context does not define
+  static V2_STATUS_PROPERTIES = ['statusSize', 'statusMessage', 'statusReference'];
+  // VC 2.0 types that have no VC 1.1 form
+  static ENVELOPED_TYPES = ['EnvelopedVerifiableCredential', 'EnvelopedVerifiablePresentation'];
+
+  /**
+   * Converts a credential or presentation to a data model version.
+   *
+   * @param {object|VerifiableCredential|VerifiablePresentation} document The credential or presentation
+   * @param {string} version Target version, '1.1' or '2.0'
+   * @param {object} options Conversion options
+   * @param {Function} options.onWarning Called with a message for each loss of information
+   *   (default: emit a CredentialConversionWarning process warning)
+   * @returns {object} The converted document, a copy even when it already has the version
+   * @throws {Error} If the version is not supported, the source version cannot be detected
+   *   or the document cannot be expressed in the target version
+   */
+  static convert(document, version, options = {}) {
+    if (!CredentialValidator.CONTEXTS[version]) {
+      throw new Error(`Unsupported VC Data Model version: ${version}`);
+    }
+    const json = typeof document?.toJSON === 'function' ? document.toJSON() : document;
+    const source = CredentialValidator.detectVersion(json);
+    if (!source) {
+      throw new Error(`Unable to detect the VC Data Model version: @context must start with ${CredentialValidator.V1_CONTEXT} or ${CredentialValidator.BASE_CONTEXT}`);
+    }
+
+    const copy = structuredClone(json);
+    if (source === version) return copy;
+
+    const warn = options.onWarning || (message => process.emitWarning(message, CredentialConverter.WARNING_TYPE));
+    const types = CredentialConverter._types(copy.type);
+    const enveloped = types.find(type => CredentialConverter.ENVELOPED_TYPES.includes(type));
+    if (enveloped) {
+      throw new Error(`${enveloped} has no VC ${version} form`);
+    }
+
+    if (copy.proof !== undefined) {
+      delete copy.proof;
+      warn('proof dropped: it does not cover the converted document; sign it again');
+    }
+    return types.includes('VerifiablePresentation')
+      ? CredentialConverter._convertPresentation(copy, version, warn)
+      : CredentialConverter._convertCredential(copy, version, warn);
+  }
+
+  /**
+   * Converts a credential or presentation to the VC Data Model 1.1.
+   *
+   * @param {object|VerifiableCredential|VerifiablePresentation} document The credential or presentation
+   * @param {object} options Conversion options, as for convert()
+   * @returns {object} The VC 1.1 document
+   */
+  static toV1(document, options = {}) {
+    return CredentialConverter.convert(document, CredentialValidator.VERSION_1_1, options);
+  }
+
+  /**
+   * Converts a credential or presentation to the VC Data Model 2.0.
+   *
+   * @param {object|VerifiableCredential|VerifiablePresentation} document The credential or presentation
+   * @param {object} options Conversion options, as for convert()
+   * @returns {object} The VC 2.0 document
+   */
+  static toV2(document, options = {}) {
+    return CredentialConverter.convert(document, CredentialValidator.VERSION_2_0, options);
+  }
+
+  /**
+   * Converts a credential: contexts, validity period, types and properties
+   * the target context does not define.
+   *
+   * @param {object} credential Copy of the credential, converted in place
+   * @param {string} version Target version
+   * @param {Function} warn Warning callback
+   * @returns {object} The converted credential
+   * @throws {Error} If a VC 2.0 credential without validFrom is converted to VC 1.1
+   * @private
+   */
+  static _convertCredential(credential, version, warn) {
+    const v1 = version === CredentialValidator.VERSION_1_1;
+    const typeMap = CredentialConverter._typeMap(version);
+
+    const [fromSource, untilSource] = CredentialValidator.DATE_PROPERTIES[v1 ? CredentialValidator.VERSION_2_0 : CredentialValidator.VERSION_1_1];
+    const [fromTarget, untilTarget] = CredentialValidator.DATE_PROPERTIES[version];
+    if (v1 && credential[fromSource] === undefined) {
+      throw new Error(`VC 1.1 credentials require ${fromTarget}; the credential has no ${fromSource}`);
+    }
+
+    credential.type = CredentialConverter._mapTypes(credential.type, typeMap);
+    for (const property of ['credentialSubject', 'credentialStatus']) {
+      CredentialConverter._forEachObject(credential[property], `/${property}`, object => {
+        if (object.type !== undefined) object.type = CredentialConverter._mapTypes(object.type, typeMap);
+      });
+    }
+
+    // VC 1.1 status list entries carry neither the VC 2.0 status message nor the status size
+    let statusList = false;
+    CredentialConverter._forEachObject(credential.credentialStatus, '/credentialStatus', (entry, path) => {
+      if (!CredentialConverter._types(entry.type).some(type => Object.hasOwn(CredentialConverter.TYPES, type))) return;
+      statusList = true;
+      for (const property of CredentialConverter.V2_STATUS_PROPERTIES) {
+        if (entry[property] !== undefined) {
+          delete entry[property];
+          warn(`${path}/${property} dropped: the status list 2021 context does not define it`);
+        }
+      }
+    });
+    if (CredentialConverter._types(credential.type).some(type => Object.hasOwn(CredentialConverter.TYPES, type))) statusList = true;
+
+    const converted = CredentialConverter._renameProperties(credential, { [fromSource]: fromTarget, [untilSource]: untilTarget }, warn);
+    converted['@context'] = CredentialConverter._convertContext(converted['@context'], version, statusList);
+
+    if (!v1) {
+      for (const property of [fromTarget, untilTarget]) {
+        const value = converted[property];
+        // VC 2.0 requires a dateTimeStamp; a VC 1.1 dateTime without an offset is read as UTC
+        const stamp = CredentialValidator.toDateTimeStamp(value);
+        if (stamp !== value) {
+          converted[property] = stamp;
+          warn(`/${property} ${value} has no time zone offset: converted as UTC, ${stamp}`);
+        }
+      }
+    }
+    if (v1) {
+      for (const property of CredentialValidator.V2_PROPERTIES) {
+        if (converted[property] !== undefined) {
+          delete converted[property];
+          warn(`/${property} dropped: the VC 1.1 context does not define it`);
+        }
+      }
+    }
+    return converted;
+  }
+
+  /**
+   * Converts a presentation. Embedded credentials are kept as issued: their
+   * proofs cover them in their own version.
+   *
+   * @param {object} presentation Copy of the presentation, converted in place
+   * @param {string} version Target version
+   * @param {Function} warn Warning callback
+   * @returns {object} The converted presentation
+   * @private
+   */
+  static _convertPresentation(presentation, version, warn) {
+    presentation['@context'] = CredentialConverter._convertContext(presentation['@context'], version, false);
+    if (version === CredentialValidator.VERSION_1_1 && presentation.termsOfUse !== undefined) {
+      delete presentation.termsOfUse;
+      warn('/termsOfUse dropped: the VC 1.1 context does not define it for presentations');
+    }
+    return presentation;
+  }
+
+  /**
+   * Replaces each context with its counterpart in the target version. The
+   * status list 2021 context is needed by VC 1.1 status lists only.
+   *
+   * @param {string|Array} context The @context value
+   * @param {string} version Target version
+   * @param {boolean} statusList The credential uses status list types
+   * @returns {Array} The converted @context
+   * @private
+   */
+  static _convertContext(context, version, statusList) {
+    const contextMap = version === CredentialValidator.VERSION_1_1
+      ? CredentialConverter._invert(CredentialConverter.CONTEXTS)
+      : CredentialConverter.CONTEXTS;
+
+    const converted = [];
+    for (const entry of Array.isArray(context) ? context : [context]) {
+      const mapped = typeof entry === 'string' && contextMap[entry] ? contextMap[entry] : entry;
+      if (mapped === CredentialConverter.STATUS_LIST_CONTEXT && version === CredentialValidator.VERSION_2_0) continue;
+      if (!converted.includes(mapped)) converted.push(mapped);
+    }
+    if (statusList && version === CredentialValidator.VERSION_1_1 && !converted.includes(CredentialConverter.STATUS_LIST_CONTEXT)) {
+      converted.push(CredentialConverter.STATUS_LIST_CONTEXT);
+    }
+    return converted;
+  }
+
+  /**
+   * Renames properties, keeping their order. A property whose new name is
+   * already taken is dropped in favor of the existing value.
+   *
+   * @param {object} object The object
+   * @param {object} names Old names and their new names
+   * @param {Function} warn Warning callback
+   * @returns {object} The object with renamed properties
+   * @private
+   */
+  static _renameProperties(object, names, warn) {
+    const renamed = {};
+    for (const [property, value] of Object.entries(object)) {
+      const name = names[property];
+      if (name === undefined) {
+        renamed[property] = value;
+      } else if (object[name] !== undefined) {
+        warn(`/${property} ${value} dropped: /${name} ${object[name]} takes its place`);
+      } else {
+        renamed[name] = value;
+      }
+    }
+    return renamed;
+  }
+
+  /**
+   * Returns the type mapping towards a version.
+   *
+   * @param {string} version Target version
+   * @returns {object} Types and their counterparts
+   * @private
+   */
+  static _typeMap(version) {
+    return version === CredentialValidator.VERSION_1_1
+      ? CredentialConverter._invert(CredentialConverter.TYPES)
+      : CredentialConverter.TYPES;
+  }
+
+  /**
+   * Maps a type value, keeping its shape (string or array).
+   *
+   * @param {string|Array} type The type value
+   * @param {object} typeMap Types and their counterparts
+   * @returns {string|Array} The mapped type value
+   * @private
+   */
+  static _mapTypes(type, typeMap) {
+    if (Array.isArray(type)) return type.map(entry => typeMap[entry] || entry);
+    return typeMap[type] || type;
+  }
+
+  /**
+   * Returns the types of a type value as an array.
+   *
+   * @param {string|Array} type The type value
+   * @returns {Array} The types
+   * @private
+   */
+  static _types(type) {
+    if (type === undefined) return [];
+    return Array.isArray(type) ? type : [type];
+  }
+
+  /**
+   * Calls a function for each object of a value that holds one object or an array of them.
+   *
+   * @param {*} value The value
+   * @param {string} path JSON pointer of the value
+   * @param {Function} callback Called with each object and its JSON pointer
+   * @private
+   */
+  static _forEachObject(value, path, callback) {
+    if (Array.isArray(value)) {
+      value.forEach((entry, index) => {
+        if (typeof entry === 'object' && entry !== null) callback(entry, `${path}/${index}`);
+      });
+    } else if (typeof value === 'object' && value !== null) {
+      callback(value, path);
+    }
+  }
+
+  /**
+   * Swaps the keys and values of a mapping.
+   *
+   * @param {object} mapping The mapping
+   * @returns {object} The inverted mapping
+   * @private
+   */
+  static _invert(mapping) {
+    return Object.fromEntries(Object.entries(mapping).map(([key, value]) => [value, key]));
+  }
+}
+
+export default CredentialConverter;
@@ -0,0 +1,465 @@
+/**
+ * Validates Verifiable Credentials against the VC Data Model 2.0: the base
+ * context, the VerifiableCredential type, id and issuer URLs, credential
+ * subjects, dateTimeStamp validity dates and the shape of the reserved
+ * properties. The proof is not checked; verify() does that. VC 1.1
+ * credentials are validated against the VC 1.1 rules on request.
+ *
+ * Every violation is reported with a JSON pointer to the offending value, e.g.
+ * { path: '/credentialSubject/1', message: 'must contain at least one claim' }.
+ * https://www.w3.org/TR/vc-data-model-2.0/
+ */
+class CredentialValidator {
+  static BASE_CONTEXT = 'https://www.w3.org/ns/credentials/v2';
+  static V1_CONTEXT = 'https://www.w3.org/2018/credentials/v1';
+  static VERSION_1_1 = '1.1';
+  static VERSION_2_0 = '2.0';
+  // Base context of each data model version
+  static CONTEXTS = {
+    [CredentialValidator.VERSION_1_1]: CredentialValidator.V1_CONTEXT,
+    [CredentialValidator.VERSION_2_0]: CredentialValidator.BASE_CONTEXT
+  };
+  // Start and end of the validity period in each data model version
+  static DATE_PROPERTIES = {
+    [CredentialValidator.VERSION_1_1]: ['issuanceDate', 'expirationDate'],
+    [CredentialValidator.VERSION_2_0]: ['validFrom', 'validUntil']
+  };
+  static CREDENTIAL_TYPE = 'VerifiableCredential';
+  // XMLSchema dateTimeStamp: a dateTime with a time zone offset
+  static DATE_TIME_PATTERN = /^-?(?:[1-9][0-9]{3,}|0[0-9]{3})-(?:0[1-9]|1[0-2])-(?:0[1-9]|[12][0-9]|3[01])T(?:(?:[01][0-9]|2[0-3]):[0-5][0-9]:[0-5][0-9](?:\.[0-9]+)?|24:00:00(?:\.0+)?)(?:Z|[+-](?:(?:0[0-9]|1[0-3]):[0-5][0-9]|14:00))$/;
+  // Reserved properties holding typed objects; true when each object also needs an id
+  static RESERVED_PROPERTIES = {
+    credentialStatus: false,
+    credentialSchema: true,
+    evidence: false,
+    termsOfUse: false
+  };
+  // VC 1.1 properties the VC 2.0 context does not define, and their replacements
+  static V1_PROPERTIES = { issuanceDate: 'validFrom', expirationDate: 'validUntil' };
+  // VC 2.0 properties the VC 1.1 context does not define
+  static V2_PROPERTIES = ['name', 'description', 'relatedResource', 'renderMethod', 'confidenceMethod'];
+
+  /**
+   * Detects the data model version of a credential or presentation from the
+   * base context, the first entry of @context.
+   *
+   * @param {object|VerifiableCredential|VerifiablePresentation} document The credential or presentation
+   * @returns {string|null} '1.1', '2.0', or null if @context starts with neither base context
+   */
+  static detectVersion(document) {
+    const context = document?.['@context'];
+    const base = Array.isArray(context) ? context[0] : context;
+    const entry = Object.entries(CredentialValidator.CONTEXTS).find(([, url]) => url === base);
+    return entry ? entry[0] : null;
+  }
+
+  /**
+   * Checks the VC Data Model version option of a builder.
+   *
+   * @param {string} version '1.1', '2.0' or undefined
+   * @returns {string|null} The version, or null for an unversioned builder
+   * @throws {Error} If the version is not supported
+   */
+  static checkVersion(version) {
+    if (version === undefined || version === null) return null;
+    if (!CredentialValidator.CONTEXTS[version]) {
+      throw new Error(`Unsupported VC Data Model version: ${version}`);
+    }
+    return version;
+  }
+
+  /**
+   * Rejects contexts that do not fit a versioned VCBuilder or VPBuilder: a
+   * context not starting with the version's base context, or the other
+   * version's base context.
+   *
+   * @param {string|null} version The builder's version
+   * @param {Array} context The context URIs
+   * @param {boolean} complete The URIs replace the whole @context
+   * @throws {Error} If the context does not fit the version
+   */
+  static assertVersionContext(version, context, complete) {
+    if (!version) return;
+
+    const base = CredentialValidator.CONTEXTS[version];
+    const entries = Array.isArray(context) ? context : [context];
+    for (const entry of entries) {
+      const other = entry === base ? null : CredentialValidator.detectVersion({ '@context': entry });
+      if (other) {
+        throw new Error(`${entry} is the VC ${other} base context; build VC ${other} documents with { version: '${other}' }`);
+      }
+    }
+    if (complete && entries[0] !== base) {
+      throw new Error(`VC ${version} documents must start with the ${base} context`);
+    }
+  }
+
+  /**
+   * Validates a Verifiable Credential.
+   *
+   * @param {object|VerifiableCredential} credential The credential
+   * @param {object} options Validation options
+   * @param {string} options.version Data model version to validate against, '1.1' or '2.0' (default: '2.0')
+   * @returns {object} { valid, errors } where each error has a JSON pointer path and a message
+   * @throws {Error} If the version is not supported
+   */
+  static validate(credential, options = {}) {
+    const version = options.version || CredentialValidator.VERSION_2_0;
+    if (!CredentialValidator.CONTEXTS[version]) {
+      throw new Error(`Unsupported VC Data Model version: ${version}`);
+    }
+    const v1 = version === CredentialValidator.VERSION_1_1;
+    const errors = [];
+    const error = (path, message) => errors.push({ path, message });
+
+    const document = typeof credential?.toJSON === 'function' ? credential.toJSON() : credential;
+    if (!CredentialValidator._isObject(document)) {
+      error('', 'must be a JSON object');
+      return { valid: false, errors };
+    }
+
+    CredentialValidator._checkContext(document['@context'], version, error);
+    CredentialValidator._checkType(document.type, '/type', error, CredentialValidator.CREDENTIAL_TYPE);
+    if (document.id !== undefined && !CredentialValidator._isUrl(document.id)) {
+      error('/id', 'must be a URL');
+    }
+    CredentialValidator._checkIssuer(document.issuer, version, error);
+    if (!v1) CredentialValidator._checkLanguageValues(document, '', error);
+    CredentialValidator._checkSubjects(document.credentialSubject, error);
+    CredentialValidator._checkDates(document, version, error);
+
+    for (const [property, idRequired] of Object.entries(CredentialValidator.RESERVED_PROPERTIES)) {
+      if (document[property] !== undefined) {
+        CredentialValidator._checkTypedObjects(document[property], `/${property}`, idRequired, error);
+      }
+    }
+    if (v1) {
+      for (const property of CredentialValidator.V2_PROPERTIES) {
+        if (document[property] !== undefined) {
+          error(`/${property}`, 'is a VC 2.0 property the VC 1.1 context does not define');
+        }
+      }
+    } else {
+      for (const [property, replacement] of Object.entries(CredentialValidator.V1_PROPERTIES)) {
+        if (document[property] !== undefined) {
+          error(`/${property}`, `is a VC 1.1 property; VC 2.0 credentials use ${replacement}`);
+        }
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Validates a Verifiable Credential, throwing an error that lists every violation.
+   *
+   * @param {object|VerifiableCredential} credential The credential
+   * @param {object} options Validation options, as for validate()
+   * @returns {object|VerifiableCredential} The credential
+   * @throws {Error} If the credential violates the data model
+   */
+  static assertValid(credential, options = {}) {
+    const { valid, errors } = CredentialValidator.validate(credential, options);
+    if (!valid) {
+      throw new Error(`Invalid credential: ${CredentialValidator.formatErrors(errors)}`);
+    }
+    return credential;
+  }
+
+  /**
+   * Formats validation errors as one line.
+   *
+   * @param {Array} errors Errors from validate()
+   * @returns {string} "path message" pairs separated by semicolons
+   */
+  static formatErrors(errors) {
+    return errors.map(({ path, message }) => `${path || '/'} ${message}`).join('; ');
+  }
+
+  /**
+   * Checks whether a value is an XMLSchema dateTimeStamp, e.g. "2024-01-01T00:00:00Z".
+   *
+   * @param {*} value The value
+   * @returns {boolean} true for dateTime strings with a time zone offset
+   */
+  static isDateTime(value) {
+    if (typeof value !== 'string' || !CredentialValidator.DATE_TIME_PATTERN.test(value)) return false;
+
+    // The pattern allows day 31 in every month
+    const [, year, month, day] = /^(-?\d+)-(\d{2})-(\d{2})/.exec(value).map(Number);
+    if (month === 2) {
+      return day <= (CredentialValidator._isLeapYear(year) ? 29 : 28);
+    }
+    return day <= ([4, 6, 9, 11].includes(month) ? 30 : 31);
+  }
+
+  /**
+   * Parses a validity date. A VC 1.1 dateTime without a time zone offset is
+   * read as UTC, not as local time.
+   *
+   * @param {string} value The date
+   * @returns {number} Milliseconds since the epoch, NaN if the value is not a date
+   */
+  static parseDateTime(value) {
+    return Date.parse(CredentialValidator.toDateTimeStamp(value));
+  }
+
+  /**
+   * Appends the UTC offset "Z" to a dateTime that has no time zone offset.
+   *
+   * @param {*} value The date
+   * @returns {*} The dateTimeStamp, or the value unchanged if it has an offset or is no dateTime
+   */
+  static toDateTimeStamp(value) {
+    if (!CredentialValidator.isDateTime(value) && CredentialValidator.isDateTime(`${value}Z`)) {
+      return `${value}Z`;
+    }
+    return value;
+  }
+
+  /**
+   * Checks @context: the base context of the version first, then URLs or
+   * context objects other than the base context of the other version.
+   *
+   * @param {*} context The @context value
+   * @param {string} version Data model version
+   * @param {Function} error Error collector
+   * @private
+   */
+  static _checkContext(context, version, error) {
+    if (context === undefined) {
+      error('/@context', 'is required');
+      return;
+    }
+    if (!Array.isArray(context)) {
+      error('/@context', 'must be an array');
+      return;
+    }
+
+    const base = CredentialValidator.CONTEXTS[version];
+    const otherVersion = CredentialValidator.detectVersion({ '@context': context });
+    if (otherVersion && otherVersion !== version) {
+      error('/@context/0', `is the VC ${otherVersion} base context; VC ${version} credentials start with ${base}`);
+    } else if (context[0] !== base) {
+      error('/@context/0', `must be ${base}`);
+    }
+    context.slice(1).forEach((entry, index) => {
+      if (!CredentialValidator._isUrl(entry) && !CredentialValidator._isObject(entry)) {
+        error(`/@context/${index + 1}`, 'must be a URL or a context object');
+      } else if (entry !== base && Object.values(CredentialValidator.CONTEXTS).includes(entry)) {
+        const entryVersion = CredentialValidator.detectVersion({ '@context': entry });
+        error(`/@context/${index + 1}`, `is the VC ${entryVersion} base context, which VC ${version} credentials must not include`);
+      }
+    });
+  }
+
+  /**
+   * Checks a type value: a string or an array of strings, optionally including a required type.
+   *
+   * @param {*} type The type value
+   * @param {string} path JSON pointer of the value
+   * @param {Function} error Error collector
+   * @param {string} required Type that must be included
+   * @private
+   */
+  static _checkType(type, path, error, required = null) {
+    if (type === undefined) {
+      error(path, 'is required');
+      return;
+    }
+
+    const types = Array.isArray(type) ? type : [type];
+    if (types.length === 0) {
+      error(path, 'must not be empty');
+      return;
+    }
+    types.forEach((entry, index) => {
+      if (typeof entry !== 'string' || entry === '') {
+        error(Array.isArray(type) ? `${path}/${index}` : path, 'must be a string');
+      }
+    });
+    if (required && !types.includes(required)) {
+      error(path, `must include ${required}`);
+    }
+  }
+
+  /**
+   * Checks the issuer: a URL, or an object with a URL id.
+   *
+   * @param {*} issuer The issuer value
+   * @param {string} version Data model version
+   * @param {Function} error Error collector
+   * @private
+   */
+  static _checkIssuer(issuer, version, error) {
+    if (issuer === undefined) {
+      error('/issuer', 'is required');
+    } else if (CredentialValidator._isObject(issuer)) {
+      if (!CredentialValidator._isUrl(issuer.id)) {
+        error('/issuer/id', 'must be a URL');
+      }
+      if (version === CredentialValidator.VERSION_2_0) {
+        CredentialValidator._checkLanguageValues(issuer, '/issuer', error);
+      }
+    } else if (!CredentialValidator._isUrl(issuer)) {
+      error('/issuer', 'must be a URL or an object with an id');
+    }
+  }
+
+  /**
+   * Checks credentialSubject: one object or a non-empty array of objects,
+   * each making at least one claim.
+   *
+   * @param {*} credentialSubject The credentialSubject value
+   * @param {Function} error Error collector
+   * @private
+   */
+  static _checkSubjects(credentialSubject, error) {
+    if (credentialSubject === undefined) {
+      error('/credentialSubject', 'is required');
+      return;
+    }
+    if (Array.isArray(credentialSubject) && credentialSubject.length === 0) {
+      error('/credentialSubject', 'must not be empty');
+      return;
+    }
+
+    const subjects = Array.isArray(credentialSubject) ? credentialSubject : [credentialSubject];
+    subjects.forEach((subject, index) => {
+      const path = Array.isArray(credentialSubject) ? `/credentialSubject/${index}` : '/credentialSubject';
+      if (!CredentialValidator._isObject(subject)) {
+        error(path, 'must be an object');
+      } else if (Object.keys(subject).length === 0) {
+        error(path, 'must contain at least one claim');
+      } else if (subject.id !== undefined && !CredentialValidator._isUrl(subject.id)) {
+        error(`${path}/id`, 'must be a URL');
+      }
+    });
+  }
+
+  /**
+   * Checks the validity period, validFrom and validUntil or the VC 1.1
+   * issuanceDate (required) and expirationDate: dates, and the end not
+   * before the start. VC 1.1 dates may leave out the time zone offset.
+   *
+   * @param {object} document The credential
+   * @param {string} version Data model version
+   * @param {Function} error Error collector
+   * @private
+   */
+  static _checkDates(document, version, error) {
+    const v1 = version === CredentialValidator.VERSION_1_1;
+    const [from, until] = CredentialValidator.DATE_PROPERTIES[version];
+    if (v1 && document[from] === undefined) {
+      error(`/${from}`, 'is required');
+    }
+
+    let valid = true;
+    for (const property of [from, until]) {
+      const value = document[property];
+      if (value === undefined) continue;
+      if (v1 && !CredentialValidator.isDateTime(value) && !CredentialValidator.isDateTime(`${value}Z`)) {
+        error(`/${property}`, 'must be an XMLSchema dateTime, e.g. 2024-01-01T00:00:00Z');
+        valid = false;
+      } else if (!v1 && !CredentialValidator.isDateTime(value)) {
+        error(`/${property}`, 'must be an XMLSchema dateTimeStamp, e.g. 2024-01-01T00:00:00Z');
+        valid = false;
+      }
+    }
+    if (valid && document[from] !== undefined && document[until] !== undefined &&
+        CredentialValidator.parseDateTime(document[until]) < CredentialValidator.parseDateTime(document[from])) {
+      error(`/${until}`, `must not be before ${from}`);
+    }
+  }
+
+  /**
+   * Checks a reserved property: one object or an array of objects, each with
+   * a type and, where present or required, a URL id.
+   *
+   * @param {*} value The property value
+   * @param {string} path JSON pointer of the property
+   * @param {boolean} idRequired Each object needs an id
+   * @param {Function} error Error collector
+   * @private
+   */
+  static _checkTypedObjects(value, path, idRequired, error) {
+    const entries = Array.isArray(value) ? value : [value];
+    if (entries.length === 0) {
+      error(path, 'must not be empty');
+    }
+    entries.forEach((entry, index) => {
+      const entryPath = Array.isArray(value) ? `${path}/${index}` : path;
+      if (!CredentialValidator._isObject(entry)) {
+        error(entryPath, 'must be an object');
+        return;
+      }
+      if (entry.id !== undefined || idRequired) {
+        if (!CredentialValidator._isUrl(entry.id)) {
+          error(`${entryPath}/id`, 'must be a URL');
+        }
+      }
+      CredentialValidator._checkType(entry.type, `${entryPath}/type`, error);
+    });
+  }
+
+  /**
+   * Checks name and description: strings or language value objects
+   * ({ "@value", "@language", "@direction" }), or arrays of them.
+   *
+   * @param {object} object Object holding name and description
+   * @param {string} path JSON pointer of the object
+   * @param {Function} error Error collector
+   * @private
+   */
+  static _checkLanguageValues(object, path, error) {
+    for (const property of ['name', 'description']) {
+      const value = object[property];
+      if (value === undefined) continue;
+
+      const entries = Array.isArray(value) ? value : [value];
+      entries.forEach((entry, index) => {
+        const isLanguageValue = CredentialValidator._isObject(entry) && typeof entry['@value'] === 'string' &&
+          ['@language', '@direction'].every(key => entry[key] === undefined || typeof entry[key] === 'string');
+        if (typeof entry !== 'string' && !isLanguageValue) {
+          error(Array.isArray(value) ? `${path}/${property}/${index}` : `${path}/${property}`,
+            'must be a string or a language value object');
+        }
+      });
+    }
+  }
+
+  /**
+   * Checks whether a year is a leap year in the proleptic Gregorian calendar.
+   *
+   * @param {number} year The year
+   * @returns {boolean} true for leap years
+   * @private
+   */
+  static _isLeapYear(year) {
+    return year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0);
+  }
+
+  /**
+   * Checks whether a value is an absolute URL (including DIDs and URNs).
+   *
+   * @param {*} value The value
+   * @returns {boolean} true for absolute URLs
+   * @private
+   */
+  static _isUrl(value) {
+    return typeof value === 'string' && !/\s/.test(value) && URL.canParse(value);
+  }
+
+  /**
+   * Checks whether a value is a plain JSON object.
+   *
+   * @param {*} value The value
+   * @returns {boolean} true for non-null, non-array objects
+   * @private
+   */
+  static _isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+  }
+}
+
+export default CredentialValidator;
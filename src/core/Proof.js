@@ -3,12 +3,42 @@
  * https://w3c-ccg.github.io/ld-proofs/
  */
 class Proof {
-  constructor(type, created, verificationMethod, proofPurpose, proofValue) {
+  // JSON properties with a dedicated field; any other property is kept as an extension
+  static PROPERTIES = ['type', 'cryptosuite', 'created', 'expires', 'verificationMethod', 'proofPurpose', 'domain',
+    'challenge', 'nonce', 'proofValue'];
+
+  constructor(type, created, verificationMethod, proofPurpose, proofValue, cryptosuite) {
     this.type = type || null;
+    this.cryptosuite = cryptosuite || null; // Data Integrity cryptosuite, e.g. ecdsa-rdfc-2019
     this.created = created || null;
     this.verificationMethod = verificationMethod || null;
     this.proofPurpose = proofPurpose || null;
     this.proofValue = proofValue || null; // Changed from jws to proofValue per EcdsaSecp256r1Signature2019 spec
+    this.expires = null;
+    this.domain = null;
+    this.challenge = null;
+    this.nonce = null;
+  }
+
+  /**
+   * Creates a proof from its JSON form without losing information:
+   * properties without a dedicated field (id, previousProof, jws, ...) are
+   * kept and written back by toJSON().
+   *
+   * @param {object} json The proof JSON
+   * @returns {Proof} The proof
+   * @throws {Error} If the JSON is not an object
+   */
+  static fromJSON(json) {
+    if (typeof json !== 'object' || json === null || Array.isArray(json)) {
+      throw new Error('Proof JSON must be an object');
+    }
+
+    const { type, cryptosuite, created, expires, verificationMethod, proofPurpose, domain, challenge, nonce, proofValue,
+      ...extensions } = JSON.parse(JSON.stringify(json));
+    const proof = new Proof(type, created, verificationMethod, proofPurpose, proofValue, cryptosuite);
+    proof.setExpires(expires || null).setDomain(domain || null).setChallenge(challenge || null).setNonce(nonce || null);
+    return Object.assign(proof, extensions);
   }
 
   // Getters and Setters
@@ -21,6 +51,15 @@ class Proof {
     return this;
   }
 
+  getCryptosuite() {
+    return this.cryptosuite;
+  }
+
+  setCryptosuite(cryptosuite) {
+    this.cryptosuite = cryptosuite;
+    return this;
+  }
+
   getCreated() {
     return this.created;
   }
@@ -48,6 +87,42 @@ class Proof {
     return this;
   }
 
+  getExpires() {
+    return this.expires;
+  }
+
+  setExpires(expires) {
+    this.expires = expires;
+    return this;
+  }
+
+  getDomain() {
+    return this.domain;
+  }
+
+  setDomain(domain) {
+    this.domain = domain;
+    return this;
+  }
+
+  getChallenge() {
+    return this.challenge;
+  }
+
+  setChallenge(challenge) {
+    this.challenge = challenge;
+    return this;
+  }
+
+  getNonce() {
+    return this.nonce;
+  }
+
+  setNonce(nonce) {
+    this.nonce = nonce;
+    return this;
+  }
+
   getProofValue() {
     return this.proofValue;
   }
@@ -60,15 +135,25 @@ class Proof {
   toJSON() {
     const result = {};
     if (this.type) result.type = this.type;
+    if (this.cryptosuite) result.cryptosuite = this.cryptosuite;
     if (this.created) result.created = this.created;
+    if (this.expires) result.expires = this.expires;
     if (this.verificationMethod) result.verificationMethod = this.verificationMethod;
     if (this.proofPurpose) result.proofPurpose = this.proofPurpose;
+    if (this.domain) result.domain = this.domain;
+    if (this.challenge) result.challenge = this.challenge;
+    if (this.nonce) result.nonce = this.nonce;
     if (this.proofValue) result.proofValue = this.proofValue; // Changed from jws to proofValue
+
+    // Extension properties kept by fromJSON() or set directly
+    for (const [name, value] of Object.entries(this)) {
+      if (!Proof.PROPERTIES.includes(name) && value !== undefined) result[name] = value;
+    }
     return result;
   }
 
   toString() {
-    return `Proof{type='${this.type}', created='${this.created}', verificationMethod='${this.verificationMethod}', proofPurpose='${this.proofPurpose}', proofValue='${this.proofValue}'}`; // Changed from jws to proofValue
+    return `Proof{type='${this.type}', cryptosuite='${this.cryptosuite}', created='${this.created}', verificationMethod='${this.verificationMethod}', proofPurpose='${this.proofPurpose}', expires='${this.expires}', domain=${JSON.stringify(this.domain)}, challenge='${this.challenge}', nonce='${this.nonce}', proofValue='${this.proofValue}'}`; // Changed from jws to proofValue
   }
 }
 
@@ -1,8 +1,16 @@
+import CredentialValidator from './CredentialValidator.js';
+
 /**
  * Represents a W3C Verifiable Credential according to the specification.
  * https://www.w3.org/TR/vc-data-model/
  */
 class VerifiableCredential {
+  // JSON properties with a dedicated field; any other property is kept as an extension
+  static PROPERTIES = ['@context', 'type', 'id', 'issuer', 'validFrom', 'validUntil', 'credentialSubject', 'proof'];
+
+  // Data model version; toJSON() writes the validity period of VC 1.1 credentials as issuanceDate/expirationDate
+  #version = null;
+
   constructor(context, type, id, issuer, validFrom, validUntil, credentialSubject, proof) {
     this['@context'] = context || [];
     this.type = type || [];
@@ -14,7 +22,52 @@ class VerifiableCredential {
     this.proof = proof || null;
   }
 
+  /**
+   * Creates a credential from its JSON form without losing information:
+   * properties without a dedicated field (credentialStatus, credentialSchema,
+   * name, evidence, ...) are kept and written back by toJSON(). VC 1.1
+   * issuanceDate/expirationDate are read as validFrom/validUntil and keep
+   * their names in toJSON().
+   *
+   * @param {object} json The credential JSON
+   * @returns {VerifiableCredential} The credential
+   * @throws {Error} If the JSON is not an object
+   */
+  static fromJSON(json) {
+    if (typeof json !== 'object' || json === null || Array.isArray(json)) {
+      throw new Error('Verifiable Credential JSON must be an object');
+    }
+
+    const { '@context': context, type, id, issuer, validFrom, validUntil, credentialSubject, proof, ...extensions } =
+      JSON.parse(JSON.stringify(json));
+    const vc = new VerifiableCredential(context, type, id, issuer, validFrom, validUntil, credentialSubject, proof);
+
+    if (validFrom === undefined && validUntil === undefined &&
+        (extensions.issuanceDate !== undefined || extensions.expirationDate !== undefined)) {
+      const { issuanceDate, expirationDate, ...rest } = extensions;
+      vc.setValidFrom(issuanceDate).setValidUntil(expirationDate).setVersion(CredentialValidator.VERSION_1_1);
+      return Object.assign(vc, rest);
+    }
+    return Object.assign(vc, extensions);
+  }
+
   // Getters and Setters
+  getVersion() {
+    return this.#version;
+  }
+
+  /**
+   * Sets the data model version, which names the validity period properties
+   * in toJSON(): issuanceDate/expirationDate for '1.1', validFrom/validUntil otherwise.
+   *
+   * @param {string|null} version '1.1', '2.0' or null
+   * @returns {VerifiableCredential} The credential
+   */
+  setVersion(version) {
+    this.#version = version;
+    return this;
+  }
+
   getContext() {
     return this['@context'];
   }
@@ -97,6 +150,23 @@ class VerifiableCredential {
     return this;
   }
 
+  getCredentialSchema() {
+    return this.credentialSchema;
+  }
+
+  /**
+   * Sets credentialSchema. It has no dedicated field: like other extension
+   * properties, toJSON() writes it after the dedicated fields and omits it
+   * when undefined.
+   *
+   * @param {object|Array|undefined} credentialSchema A schema entry, an array of them, or undefined to remove it
+   * @returns {VerifiableCredential} The credential
+   */
+  setCredentialSchema(credentialSchema) {
+    this.credentialSchema = credentialSchema;
+    return this;
+  }
+
   getProof() {
     return this.proof;
   }
@@ -112,10 +182,16 @@ class VerifiableCredential {
     if (this.type) result.type = this.type;
     if (this.id) result.id = this.id;
     if (this.issuer) result.issuer = this.issuer;
-    if (this.validFrom) result.validFrom = this.validFrom;  // Changed from issuanceDate to validFrom for v2.0
-    if (this.validUntil) result.validUntil = this.validUntil;  // Changed from expirationDate to validUntil for v2.0
+    const [from, until] = CredentialValidator.DATE_PROPERTIES[this.#version || CredentialValidator.VERSION_2_0];
+    if (this.validFrom) result[from] = this.validFrom;  // validFrom for v2.0, issuanceDate for v1.1
+    if (this.validUntil) result[until] = this.validUntil;  // validUntil for v2.0, expirationDate for v1.1
     if (this.credentialSubject) result.credentialSubject = this.credentialSubject;
     if (this.proof) result.proof = this.proof;
+
+    // Extension properties kept by fromJSON() or set directly
+    for (const [name, value] of Object.entries(this)) {
+      if (!VerifiableCredential.PROPERTIES.includes(name) && value !== undefined) result[name] = value;
+    }
     return result;
   }
 
@@ -3,6 +3,9 @@
  * https://www.w3.org/TR/vc-data-model-2.0/
  */
 class VerifiablePresentation {
+  // JSON properties with a dedicated field; any other property is kept as an extension
+  static PROPERTIES = ['@context', 'type', 'id', 'holder', 'verifiableCredential', 'proof'];
+
   constructor(context, type, id, holder, verifiableCredential, proof) {
     this['@context'] = context || [];
     this.type = type || [];
@@ -12,6 +15,26 @@ class VerifiablePresentation {
     this.proof = proof || null;
   }
 
+  /**
+   * Creates a presentation from its JSON form without losing information:
+   * properties without a dedicated field are kept and written back by
+   * toJSON(). Embedded credentials are kept as given.
+   *
+   * @param {object} json The presentation JSON
+   * @returns {VerifiablePresentation} The presentation
+   * @throws {Error} If the JSON is not an object
+   */
+  static fromJSON(json) {
+    if (typeof json !== 'object' || json === null || Array.isArray(json)) {
+      throw new Error('Verifiable Presentation JSON must be an object');
+    }
+
+    const { '@context': context, type, id, holder, verifiableCredential, proof, ...extensions } =
+      JSON.parse(JSON.stringify(json));
+    const vp = new VerifiablePresentation(context, type, id, holder, verifiableCredential, proof);
+    return Object.assign(vp, extensions);
+  }
+
   // Getters and Setters
   getContext() {
     return this['@context'];
@@ -91,6 +114,11 @@ class VerifiablePresentation {
     if (this.holder) result.holder = this.holder;
     if (this.verifiableCredential) result.verifiableCredential = this.verifiableCredential;
     if (this.proof) result.proof = this.proof;
+
+    // Extension properties kept by fromJSON() or set directly
+    for (const [name, value] of Object.entries(this)) {
+      if (!VerifiablePresentation.PROPERTIES.includes(name) && value !== undefined) result[name] = value;
+    }
     return result;
   }
 
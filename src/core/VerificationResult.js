@@ -0,0 +1,101 @@
+/**
+ * Outcome of verifying a Verifiable Credential or Presentation: whether it
+ * verified, the checks that ran and a typed error for each failure.
+ */
+class VerificationResult {
+  // Stable error codes
+  static DATA_MODEL_INVALID = 'DATA_MODEL_INVALID';
+  static PROOF_MISSING = 'PROOF_MISSING';
+  static PROOF_VALUE_MISSING = 'PROOF_VALUE_MISSING';
+  static CONTEXT_UNRESOLVABLE = 'CONTEXT_UNRESOLVABLE';
+  static UNSUPPORTED_CRYPTOSUITE = 'UNSUPPORTED_CRYPTOSUITE';
+  static ALGORITHM_NOT_ALLOWED = 'ALGORITHM_NOT_ALLOWED';
+  static PROOF_PURPOSE_MISMATCH = 'PROOF_PURPOSE_MISMATCH';
+  static VERIFICATION_METHOD_MISMATCH = 'VERIFICATION_METHOD_MISMATCH';
+  static PROOF_NOT_YET_VALID = 'PROOF_NOT_YET_VALID';
+  static PROOF_EXPIRED = 'PROOF_EXPIRED';
+  static CREDENTIAL_NOT_YET_VALID = 'CREDENTIAL_NOT_YET_VALID';
+  static CREDENTIAL_EXPIRED = 'CREDENTIAL_EXPIRED';
+  static DOMAIN_MISMATCH = 'DOMAIN_MISMATCH';
+  static CHALLENGE_MISMATCH = 'CHALLENGE_MISMATCH';
+  static NONCE_MISMATCH = 'NONCE_MISMATCH';
+  static KEY_DECODE_FAILED = 'KEY_DECODE_FAILED';
+  static KEY_NOT_FOUND = 'KEY_NOT_FOUND';
+  static KEY_REVOKED = 'KEY_REVOKED';
+  static KEY_INACTIVE = 'KEY_INACTIVE';
+  static KEY_CONTROLLER_MISMATCH = 'KEY_CONTROLLER_MISMATCH';
+  static KEY_NOT_AUTHORIZED = 'KEY_NOT_AUTHORIZED';
+  static ALGORITHM_MISMATCH = 'ALGORITHM_MISMATCH';
+  static CANONICALIZATION_FAILED = 'CANONICALIZATION_FAILED';
+  static SIGNATURE_INVALID = 'SIGNATURE_INVALID';
+  static SCHEMA_NOT_FOUND = 'SCHEMA_NOT_FOUND';
+  static SCHEMA_UNSUPPORTED = 'SCHEMA_UNSUPPORTED';
+  static SCHEMA_VALIDATION_FAILED = 'SCHEMA_VALIDATION_FAILED';
+
+  constructor() {
+    this.verified = false;
+    this.checks = [];
+    this.errors = [];
+  }
+
+  isVerified() {
+    return this.verified;
+  }
+
+  setVerified(verified) {
+    this.verified = verified;
+    return this;
+  }
+
+  getChecks() {
+    return this.checks;
+  }
+
+  addCheck(check) {
+    this.checks.push(check);
+    return this;
+  }
+
+  getErrors() {
+    return this.errors;
+  }
+
+  /**
+   * Records a failure.
+   *
+   * @param {string} code The error code
+   * @param {string} message Reason for the failure
+   * @param {string} path JSON pointer of the offending value, for data model and schema errors
+   * @returns {VerificationResult} The result
+   */
+  addError(code, message, path) {
+    this.errors.push(path === undefined ? { code, message } : { code, message, path });
+    this.verified = false;
+    return this;
+  }
+
+  /**
+   * Checks whether verification failed with the given error code.
+   *
+   * @param {string} code The error code
+   * @returns {boolean} true if an error with the code was recorded
+   */
+  hasError(code) {
+    return this.errors.some(error => error.code === code);
+  }
+
+  toJSON() {
+    return {
+      verified: this.verified,
+      checks: [...this.checks],
+      errors: this.errors.map(error => ({ ...error }))
+    };
+  }
+
+  toString() {
+    const errors = this.errors.map(error => error.code).join(', ');
+    return `VerificationResult{verified=${this.verified}, checks=[${this.checks.join(', ')}], errors=[${errors}]}`;
+  }
+}
+
+export default VerificationResult;
@@ -1,15 +1,24 @@
 import VerifiableCredential from './VerifiableCredential.js';
 import VerifiablePresentation from './VerifiablePresentation.js';
 import Proof from './Proof.js';
+import VerificationResult from './VerificationResult.js';
+import CredentialValidator from './CredentialValidator.js';
+import CredentialConverter from './CredentialConverter.js';
 
 export {
   VerifiableCredential,
   VerifiablePresentation,
-  Proof
+  Proof,
+  VerificationResult,
+  CredentialValidator,
+  CredentialConverter
 };
 
 export default {
   VerifiableCredential,
   VerifiablePresentation,
-  Proof
+  Proof,
+  VerificationResult,
+  CredentialValidator,
+  CredentialConverter
 };
\ No newline at end of file
@@ -0,0 +1,335 @@
+import crypto from 'crypto';
+import JSONLDCanon from './JSONLDCanon.js';
+import { Multibase } from '../utils/index.js';
+
+/**
+ * Describes how a proof type or Data Integrity cryptosuite turns a document and
+ * its proof options into the bytes that are signed, and how the signature is
+ * encoded in proofValue.
+ * https://www.w3.org/TR/vc-di-ecdsa/
+ * https://www.w3.org/TR/vc-di-eddsa/
+ */
+class Cryptosuite {
+  static DATA_INTEGRITY_PROOF = 'DataIntegrityProof';
+  static ECDSA_RDFC_2019 = 'ecdsa-rdfc-2019';
+  static ECDSA_JCS_2019 = 'ecdsa-jcs-2019';
+  static EDDSA_RDFC_2022 = 'eddsa-rdfc-2022';
+  static ECDSA_SECP256R1_SIGNATURE_2019 = 'EcdsaSecp256r1Signature2019';
+  static ED25519_SIGNATURE_2020 = 'Ed25519Signature2020';
+
+  static ENCODING_BASE64_DER = 'base64-der'; // Legacy: Base64 ASN.1 DER signature
+  static ENCODING_MULTIBASE = 'multibase'; // Data Integrity: base58btc raw r||s signature
+
+  static _registry = new Map();
+
+  /**
+   * @param {object} definition Suite definition
+   * @param {string} definition.name Registry name (the cryptosuite, or the proof type for legacy suites)
+   * @param {string} definition.proofType The proof `type` value
+   * @param {string|null} definition.cryptosuite The proof `cryptosuite` value, if any
+   * @param {string} definition.canonicalization JSONLDCanon.ALGORITHM_JCS or JSONLDCanon.ALGORITHM_RDFC
+   * @param {Object<string, string>} definition.digestAlgorithms Hash used for the verify data, keyed by
+   *   the JOSE name of each signature algorithm the suite accepts (the first entry is the default)
+   * @param {string} definition.proofValueEncoding Cryptosuite.ENCODING_BASE64_DER or Cryptosuite.ENCODING_MULTIBASE
+   * @param {boolean} definition.fipsApproved Whether the suite only uses FIPS approved algorithms
+   * @param {boolean} definition.legacyUnbound Whether earlier versions of this library produced
+   *   proofs of this type that do not cover the proof options
+   */
+  constructor(definition) {
+    this.name = definition.name;
+    this.proofType = definition.proofType;
+    this.cryptosuite = definition.cryptosuite || null;
+    this.canonicalization = definition.canonicalization;
+    this.digestAlgorithms = definition.digestAlgorithms;
+    this.algorithms = Object.keys(definition.digestAlgorithms);
+    this.digestAlgorithm = definition.digestAlgorithms[this.algorithms[0]];
+    this.proofValueEncoding = definition.proofValueEncoding;
+    this.fipsApproved = Boolean(definition.fipsApproved);
+    this.legacyUnbound = Boolean(definition.legacyUnbound);
+  }
+
+  /**
+   * Registers a suite so it can be selected by name and matched to proofs.
+   *
+   * @param {Cryptosuite} suite The suite to register
+   * @returns {Cryptosuite} The registered suite
+   */
+  static register(suite) {
+    Cryptosuite._registry.set(suite.name, suite);
+    return suite;
+  }
+
+  /**
+   * Looks up a registered suite by name.
+   *
+   * @param {string} name The cryptosuite or legacy proof type name
+   * @returns {Cryptosuite} The suite
+   * @throws {Error} If no suite is registered under the name
+   */
+  static get(name) {
+    const suite = Cryptosuite._registry.get(name);
+    if (!suite) {
+      throw new Error(`Unsupported cryptosuite: ${name}`);
+    }
+    return suite;
+  }
+
+  /**
+   * Finds the suite that produced a proof.
+   *
+   * @param {object} proof The proof object
+   * @returns {Cryptosuite} The suite
+   * @throws {Error} If the proof type or cryptosuite is not supported
+   */
+  static forProof(proof) {
+    if (proof.type === Cryptosuite.DATA_INTEGRITY_PROOF) {
+      return Cryptosuite.get(proof.cryptosuite);
+    }
+
+    const suite = Cryptosuite._registry.get(proof.type);
+    if (!suite || suite.cryptosuite) {
+      throw new Error(`Unsupported proof type: ${proof.type}`);
+    }
+    return suite;
+  }
+
+  /**
+   * Whether the suite needs asynchronous processing (RDFC-1.0 canonicalization).
+   *
+   * @returns {boolean} true if only the async sign/verify methods can use this suite
+   */
+  get isAsync() {
+    return this.canonicalization === JSONLDCanon.ALGORITHM_RDFC;
+  }
+
+  /**
+   * DER for legacy proofs, IEEE P1363 (raw r||s) for Data Integrity proofs.
+   * Node.js ignores it for EdDSA signatures.
+   *
+   * @returns {string} The Node.js dsaEncoding value
+   */
+  get dsaEncoding() {
+    return this.proofValueEncoding === Cryptosuite.ENCODING_MULTIBASE ? 'ieee-p1363' : 'der';
+  }
+
+  /**
+   * Whether signers and verifiers with the given algorithm can be used with this suite.
+   *
+   * @param {string} algorithm JOSE algorithm name, e.g. 'ES256'
+   * @returns {boolean} true if supported
+   */
+  supportsAlgorithm(algorithm) {
+    return this.algorithms.includes(algorithm);
+  }
+
+  /**
+   * Hash used for the verify data when signing with the given algorithm, e.g.
+   * SHA-384 for P-384 keys with the ECDSA cryptosuites.
+   *
+   * @param {string} algorithm JOSE algorithm name (default: the suite's first algorithm)
+   * @returns {string} Node.js hash algorithm name
+   * @throws {Error} If the suite does not support the algorithm
+   */
+  digestFor(algorithm) {
+    if (!algorithm) return this.digestAlgorithm;
+    if (!this.supportsAlgorithm(algorithm)) {
+      throw new Error(`Algorithm ${algorithm} is not supported by cryptosuite ${this.name}`);
+    }
+    return this.digestAlgorithms[algorithm];
+  }
+
+  /**
+   * Builds the proof configuration: the proof options without proofValue,
+   * carrying the document's @context.
+   *
+   * @param {object} document The unsecured document
+   * @param {object} proof The proof options or proof
+   * @returns {object} Proof configuration
+   * @throws {Error} If the proof does not belong to this suite
+   */
+  createProofConfig(document, proof) {
+    if (proof.type !== this.proofType || (this.cryptosuite && proof.cryptosuite !== this.cryptosuite)) {
+      throw new Error(`Proof does not match cryptosuite ${this.name}`);
+    }
+
+    const proofConfig = JSON.parse(JSON.stringify(proof));
+    delete proofConfig.proofValue;
+
+    if (document['@context']) {
+      if (proofConfig['@context'] && !Cryptosuite._startsWith(document['@context'], proofConfig['@context'])) {
+        throw new Error('Document @context does not start with the proof @context');
+      }
+      proofConfig['@context'] = document['@context'];
+    }
+
+    return proofConfig;
+  }
+
+  /**
+   * Creates the data to sign for JCS based suites.
+   *
+   * @param {object} document The unsecured document (without proof)
+   * @param {object} proof The proof options or proof
+   * @param {object} options Verify data options
+   * @param {string} options.algorithm JOSE name of the signature algorithm, selecting the hash
+   * @returns {Buffer} The verify data
+   * @throws {Error} If the suite requires RDFC-1.0 canonicalization
+   */
+  createVerifyData(document, proof, options = {}) {
+    if (this.isAsync) {
+      throw new Error(`Cryptosuite ${this.name} requires RDFC-1.0 canonicalization; use the async API`);
+    }
+
+    const proofConfig = this.createProofConfig(document, proof);
+    return this._hashData(
+      JSONLDCanon.canonicalize(proofConfig),
+      JSONLDCanon.canonicalize(document),
+      this.digestFor(options.algorithm)
+    );
+  }
+
+  /**
+   * Creates the data to sign for any suite.
+   *
+   * @param {object} document The unsecured document (without proof)
+   * @param {object} proof The proof options or proof
+   * @param {object} options Verify data options
+   * @param {string} options.algorithm JOSE name of the signature algorithm, selecting the hash
+   * @param {Function} options.documentLoader JSON-LD document loader
+   * @returns {Promise<Buffer>} The verify data
+   */
+  async createVerifyDataAsync(document, proof, options = {}) {
+    const digestAlgorithm = this.digestFor(options.algorithm);
+    const proofConfig = this.createProofConfig(document, proof);
+    const canonOptions = { documentLoader: options.documentLoader, algorithm: this.canonicalization };
+
+    return this._hashData(
+      await JSONLDCanon.canonicalizeAsync(proofConfig, false, canonOptions),
+      await JSONLDCanon.canonicalizeAsync(document, false, canonOptions),
+      digestAlgorithm
+    );
+  }
+
+  /**
+   * Encodes a signature as a proofValue.
+   *
+   * @param {Buffer} signature The signature bytes
+   * @returns {string} The proofValue
+   */
+  encodeProofValue(signature) {
+    return this.proofValueEncoding === Cryptosuite.ENCODING_MULTIBASE
+      ? Multibase.encodeBase58btc(signature)
+      : signature.toString('base64');
+  }
+
+  /**
+   * Decodes a proofValue to signature bytes.
+   *
+   * @param {string} proofValue The proofValue
+   * @returns {Buffer} The signature bytes
+   * @throws {Error} If the proofValue is not in this suite's encoding
+   */
+  decodeProofValue(proofValue) {
+    return this.proofValueEncoding === Cryptosuite.ENCODING_MULTIBASE
+      ? Multibase.decodeBase58btc(proofValue)
+      : Buffer.from(proofValue, 'base64');
+  }
+
+  /**
+   * Creates the data that legacy proofs were signed over before proof options
+   * were bound into the signature: the canonical document alone. Only used to
+   * verify such proofs during migration.
+   *
+   * @param {object} document The unsecured document (without proof)
+   * @returns {string} The legacy verify data
+   * @throws {Error} If the suite never produced unbound proofs
+   */
+  createLegacyVerifyData(document) {
+    if (!this.legacyUnbound) {
+      throw new Error(`Cryptosuite ${this.name} has no legacy unbound proofs`);
+    }
+    return JSONLDCanon.canonicalize(document);
+  }
+
+  /**
+   * Combines the canonical proof configuration and document into verify data:
+   * hash(proofConfig) || hash(document), so proof options such as created,
+   * verificationMethod and proofPurpose are covered by the signature.
+   *
+   * @param {string} canonicalProofConfig Canonical proof configuration
+   * @param {string} canonicalDocument Canonical document
+   * @param {string} digestAlgorithm Hash algorithm
+   * @returns {Buffer} The verify data
+   * @private
+   */
+  _hashData(canonicalProofConfig, canonicalDocument, digestAlgorithm) {
+    return Buffer.concat([
+      crypto.createHash(digestAlgorithm).update(canonicalProofConfig).digest(),
+      crypto.createHash(digestAlgorithm).update(canonicalDocument).digest()
+    ]);
+  }
+
+  /**
+   * Checks whether an @context value starts with the entries of another.
+   *
+   * @param {string|Array} context The document @context
+   * @param {string|Array} prefix The proof @context
+   * @returns {boolean} true if context starts with prefix
+   * @private
+   */
+  static _startsWith(context, prefix) {
+    const contexts = Array.isArray(context) ? context : [context];
+    const prefixes = Array.isArray(prefix) ? prefix : [prefix];
+    return prefixes.every((entry, index) => JSON.stringify(contexts[index]) === JSON.stringify(entry));
+  }
+}
+
+Cryptosuite.register(new Cryptosuite({
+  name: Cryptosuite.ECDSA_SECP256R1_SIGNATURE_2019,
+  proofType: Cryptosuite.ECDSA_SECP256R1_SIGNATURE_2019,
+  canonicalization: JSONLDCanon.ALGORITHM_JCS,
+  digestAlgorithms: { ES256: 'sha256' },
+  proofValueEncoding: Cryptosuite.ENCODING_BASE64_DER,
+  fipsApproved: true,
+  legacyUnbound: true
+}));
+
+Cryptosuite.register(new Cryptosuite({
+  name: Cryptosuite.ECDSA_RDFC_2019,
+  proofType: Cryptosuite.DATA_INTEGRITY_PROOF,
+  cryptosuite: Cryptosuite.ECDSA_RDFC_2019,
+  canonicalization: JSONLDCanon.ALGORITHM_RDFC,
+  digestAlgorithms: { ES256: 'sha256', ES384: 'sha384' },
+  proofValueEncoding: Cryptosuite.ENCODING_MULTIBASE,
+  fipsApproved: true
+}));
+
+Cryptosuite.register(new Cryptosuite({
+  name: Cryptosuite.ECDSA_JCS_2019,
+  proofType: Cryptosuite.DATA_INTEGRITY_PROOF,
+  cryptosuite: Cryptosuite.ECDSA_JCS_2019,
+  canonicalization: JSONLDCanon.ALGORITHM_JCS,
+  digestAlgorithms: { ES256: 'sha256', ES384: 'sha384' },
+  proofValueEncoding: Cryptosuite.ENCODING_MULTIBASE,
+  fipsApproved: true
+}));
+
+// Ed25519 suites are not FIPS approved and require the non-FIPS service profile
+Cryptosuite.register(new Cryptosuite({
+  name: Cryptosuite.EDDSA_RDFC_2022,
+  proofType: Cryptosuite.DATA_INTEGRITY_PROOF,
+  cryptosuite: Cryptosuite.EDDSA_RDFC_2022,
+  canonicalization: JSONLDCanon.ALGORITHM_RDFC,
+  digestAlgorithms: { EdDSA: 'sha256' },
+  proofValueEncoding: Cryptosuite.ENCODING_MULTIBASE
+}));
+
+Cryptosuite.register(new Cryptosuite({
+  name: Cryptosuite.ED25519_SIGNATURE_2020,
+  proofType: Cryptosuite.ED25519_SIGNATURE_2020,
+  canonicalization: JSONLDCanon.ALGORITHM_RDFC,
+  digestAlgorithms: { EdDSA: 'sha256' },
+  proofValueEncoding: Cryptosuite.ENCODING_MULTIBASE
+}));
+
+export default Cryptosuite;
@@ -1,35 +1,106 @@
 import canonicalize from 'canonicalize';
+import jsonld from 'jsonld';
+import DocumentLoader from '../loader/DocumentLoader.js';
 
 /**
  * Helper class for JSON-LD canonicalization of Verifiable Credentials.
  * Implements deterministic serialization for cryptographic operations.
  */
 class JSONLDCanon {
+  static ALGORITHM_JCS = 'JCS'; // RFC 8785 JSON Canonicalization Scheme
+  static ALGORITHM_RDFC = 'RDFC-1.0'; // RDF Dataset Canonicalization (URDNA2015)
+
   /**
    * Performs deterministic JSON-LD canonicalization of a Verifiable Credential.
-   * 
+   *
    * @param {VerifiableCredential|object} vc The Verifiable Credential to canonicalize
    * @param {boolean} excludeProof Whether to exclude the proof field (default: false)
    * @returns {string} Canonicalized JSON string
-   * 
+   *
    * VC Canonicalization: Deterministic JSON serialization with sorted keys
    */
   static canonicalize(vc, excludeProof = false) {
     try {
-      // Convert VC to canonical JSON
-      let obj = vc.toJSON ? vc.toJSON() : vc;
-      
-      // Exclude proof field if requested (for signing)
-      if (excludeProof && obj.proof) {
-        obj = JSON.parse(JSON.stringify(obj));
-        delete obj.proof;
-      }
-      
-      return canonicalize(obj);
+      return canonicalize(JSONLDCanon._prepare(vc, excludeProof));
+    } catch (error) {
+      throw new Error(`Failed to canonicalize Verifiable Credential: ${error.message}`);
+    }
+  }
+
+  /**
+   * Performs RDF Dataset Canonicalization (RDFC-1.0) of a Verifiable Credential.
+   * The document is expanded against its @context, converted to N-Quads and its
+   * blank nodes are relabelled deterministically, so documents that differ only
+   * in term aliases or property order produce the same output.
+   *
+   * @param {VerifiableCredential|object} vc The Verifiable Credential to canonicalize
+   * @param {boolean} excludeProof Whether to exclude the proof field (default: false)
+   * @param {object} options Canonicalization options
+   * @param {Function} options.documentLoader JSON-LD document loader used to dereference
+   *   contexts (default: the offline DocumentLoader with the bundled contexts)
+   * @returns {Promise<string>} Canonical N-Quads
+   */
+  static async canonicalizeRdf(vc, excludeProof = false, options = {}) {
+    const obj = JSONLDCanon._prepare(vc, excludeProof);
+
+    const canonizeOptions = {
+      algorithm: JSONLDCanon.ALGORITHM_RDFC,
+      format: 'application/n-quads',
+      // Safe mode fails on terms that are not defined by the @context instead of
+      // silently dropping them from the signed dataset
+      safe: true,
+      documentLoader: options.documentLoader || DocumentLoader.getDefault().load
+    };
+
+    try {
+      return await jsonld.canonize(obj, canonizeOptions);
     } catch (error) {
       throw new Error(`Failed to canonicalize Verifiable Credential: ${error.message}`);
     }
   }
+
+  /**
+   * Canonicalizes a Verifiable Credential with the selected algorithm.
+   *
+   * @param {VerifiableCredential|object} vc The Verifiable Credential to canonicalize
+   * @param {boolean} excludeProof Whether to exclude the proof field (default: false)
+   * @param {object} options Canonicalization options
+   * @param {string} options.algorithm JSONLDCanon.ALGORITHM_JCS (default) or JSONLDCanon.ALGORITHM_RDFC
+   * @param {Function} options.documentLoader JSON-LD document loader (RDFC-1.0 only)
+   * @returns {Promise<string>} Canonicalized JSON string or canonical N-Quads
+   */
+  static async canonicalizeAsync(vc, excludeProof = false, options = {}) {
+    const algorithm = options.algorithm || JSONLDCanon.ALGORITHM_JCS;
+
+    switch (algorithm) {
+      case JSONLDCanon.ALGORITHM_JCS:
+        return JSONLDCanon.canonicalize(vc, excludeProof);
+      case JSONLDCanon.ALGORITHM_RDFC:
+        return JSONLDCanon.canonicalizeRdf(vc, excludeProof, options);
+      default:
+        throw new Error(`Unsupported canonicalization algorithm: ${algorithm}`);
+    }
+  }
+
+  /**
+   * Converts a VC to a plain object, optionally without its proof.
+   *
+   * @param {VerifiableCredential|object} vc The Verifiable Credential
+   * @param {boolean} excludeProof Whether to exclude the proof field
+   * @returns {object} Plain JSON object
+   * @private
+   */
+  static _prepare(vc, excludeProof) {
+    let obj = vc.toJSON ? vc.toJSON() : vc;
+
+    // Exclude proof field if requested (for signing)
+    if (excludeProof && obj.proof) {
+      obj = JSON.parse(JSON.stringify(obj));
+      delete obj.proof;
+    }
+
+    return obj;
+  }
 }
 
-export default JSONLDCanon;
\ No newline at end of file
+export default JSONLDCanon;
@@ -7,6 +7,7 @@ import { v4 as uuidv4 } from 'uuid';
 class ProofGenerator {
   static DEFAULT_PROOF_TYPE = "EcdsaSecp256r1Signature2019";
   static DEFAULT_PROOF_PURPOSE = "assertionMethod";
+  static DATA_INTEGRITY_PROOF_TYPE = "DataIntegrityProof";
 
   /**
    * Creates a new proof with default values.
@@ -42,11 +43,32 @@ class ProofGenerator {
    * @param {string} type The proof type
    * @param {string} purpose The proof purpose
    * @param {string} verificationMethod The verification method (DID URL)
+   * @param {object} options Optional proof options
+   * @param {string} options.cryptosuite The Data Integrity cryptosuite (only for DataIntegrityProof)
+   * @param {string|Date} options.created The creation time (default: now)
+   * @param {string|Date} options.expires The time after which the proof is no longer valid
+   * @param {string|Array<string>} options.domain The security domain(s) the proof is restricted to
+   * @param {string} options.challenge The verifier supplied challenge
+   * @param {string} options.nonce A random value to prevent replay
    * @returns {Proof} A new Proof instance with all metadata
+   * @throws {Error} If a date is invalid or the proof expires before it was created
    */
-  static createProofWithMetadata(type, purpose, verificationMethod) {
+  static createProofWithMetadata(type, purpose, verificationMethod, options = {}) {
     const proof = ProofGenerator.createProofWithType(type, purpose);
     proof.setVerificationMethod(verificationMethod);
+
+    if (options.cryptosuite) proof.setCryptosuite(options.cryptosuite);
+    if (options.created) proof.setCreated(ProofGenerator._toDateTime(options.created, 'created'));
+    if (options.expires) {
+      proof.setExpires(ProofGenerator._toDateTime(options.expires, 'expires'));
+      if (Date.parse(proof.getExpires()) <= Date.parse(proof.getCreated())) {
+        throw new Error('Proof expires must be later than created');
+      }
+    }
+    if (options.domain) proof.setDomain(options.domain);
+    if (options.challenge) proof.setChallenge(options.challenge);
+    if (options.nonce) proof.setNonce(options.nonce);
+
     return proof;
   }
 
@@ -62,6 +84,23 @@ class ProofGenerator {
     // For now, we're ensuring the proof structure is correct
     return proof;
   }
+
+  /**
+   * Normalizes a Date or date string to an ISO 8601 dateTime string.
+   * 
+   * @param {string|Date} value The date value
+   * @param {string} name The proof property name, for error messages
+   * @returns {string} ISO 8601 dateTime string
+   * @throws {Error} If the value is not a valid date
+   * @private
+   */
+  static _toDateTime(value, name) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid proof ${name} date: ${value}`);
+    }
+    return value instanceof Date ? date.toISOString() : value;
+  }
 }
 
 export default ProofGenerator;
\ No newline at end of file
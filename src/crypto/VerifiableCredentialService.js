@@ -1,186 +1,1398 @@
 import crypto from 'crypto';
-import JSONLDCanon from './JSONLDCanon.js';
 import ProofGenerator from './ProofGenerator.js';
+import Cryptosuite from './Cryptosuite.js';
+import KeyUtils from './KeyUtils.js';
+import Keystore from '../keystore/Keystore.js';
+import Keyring from '../keystore/Keyring.js';
+import DidKey from '../did/DidKey.js';
+import DidJwk from '../did/DidJwk.js';
+import DidResolver from '../did/DidResolver.js';
+import DocumentLoader from '../loader/DocumentLoader.js';
+import VerificationResult from '../core/VerificationResult.js';
+import CredentialValidator from '../core/CredentialValidator.js';
+import SchemaRegistry from '../schema/SchemaRegistry.js';
+import { KeyObjectSigner } from '../signer/index.js';
+import { EcdsaSignature } from '../utils/index.js';
 
 /**
  * FIPS-friendly Verifiable Credential Service
- * Uses Node crypto primitives with ECDSA P-256 and OpenSSL FIPS.
+ * Uses Node crypto primitives with ECDSA P-256 and OpenSSL FIPS. Ed25519 is
+ * only available with the non-FIPS algorithm profile.
  */
 class VerifiableCredentialService {
   static SIGNATURE_ALGORITHM = 'sha256'; // ECDSA P-256 uses SHA-256 digest
   static PROOF_TYPE = "EcdsaSecp256r1Signature2019";
   static PROOF_PURPOSE = "assertionMethod";
+  static PRESENTATION_PROOF_PURPOSE = "authentication";
+  static DEFAULT_VERIFICATION_METHOD = "did:example:123#key-1";
   static EC_CURVE_NAME = "P-256"; // Default to P-256 (secp256r1)
+  static P384_CURVE_NAME = "P-384"; // secp384r1, signed with SHA-384
+  static ED25519_KEY_TYPE = "Ed25519";
+
+  // Algorithm profiles
+  static PROFILE_FIPS_STRICT = "fips-strict"; // FIPS approved cryptosuites only
+  static PROFILE_NON_FIPS = "non-fips"; // Also Ed25519 (eddsa-rdfc-2022, Ed25519Signature2020)
+  static DEFAULT_CLOCK_SKEW = 300000; // 5 minutes
+
+  /**
+   * @param {Object} options - Service options
+   * @param {DocumentLoader} options.documentLoader - Offline loader used to resolve @context URLs
+   *   (default: the shared DocumentLoader with the bundled contexts)
+   * @param {string} options.profile - Algorithm profile (default: PROFILE_FIPS_STRICT)
+   * @param {DidResolver} options.resolver - Resolves proof.verificationMethod when verifying without a key
+   *   (default: a DidResolver with did:key and did:web)
+   * @param {Function} options.now - Clock returning milliseconds since the epoch, used for proof.created
+   *   and validity checks (default: Date.now)
+   * @param {number} options.clockSkew - Tolerance in milliseconds when comparing validity dates and
+   *   proof times with the clock (default: 5 minutes)
+   * @param {SchemaRegistry} options.schemaRegistry - Local JSON Schemas; verification validates the
+   *   credential subject against the credentialSchema schemas (default: none, no schema checks)
+   * @throws {Error} If the profile or clock skew is invalid
+   */
+  constructor(options = {}) {
+    this.documentLoader = options.documentLoader || DocumentLoader.getDefault();
+    this.resolver = options.resolver || new DidResolver();
+    this.profile = options.profile || VerifiableCredentialService.PROFILE_FIPS_STRICT;
+    this.now = options.now || Date.now;
+    this.clockSkew = options.clockSkew ?? VerifiableCredentialService.DEFAULT_CLOCK_SKEW;
+    this.schemaRegistry = options.schemaRegistry || null;
+
+    if (this.profile !== VerifiableCredentialService.PROFILE_FIPS_STRICT &&
+        this.profile !== VerifiableCredentialService.PROFILE_NON_FIPS) {
+      throw new Error(`Unknown algorithm profile: ${this.profile}`);
+    }
+    if (!Number.isFinite(this.clockSkew) || this.clockSkew < 0) {
+      throw new Error(`Invalid clock skew: ${this.clockSkew}`);
+    }
+  }
 
   /**
-   * Signs a VC using ECDSA P-256 (FIPS mode).
+   * Signs a VC using ECDSA P-256 (FIPS mode), synchronously. Supports
+   * EcdsaSecp256r1Signature2019 and ecdsa-jcs-2019 with local keys; Signers and
+   * RDFC-1.0 suites require signAsync().
    * @param {Object} vc - Verifiable Credential
-   * @param {crypto.KeyObject|string} privateKey - Node crypto KeyObject or Base64 encoded private key
+   * @param {crypto.KeyObject|string|Object|Keyring} privateKey - Node crypto KeyObject, Base64 encoded private key,
+   *   JWK or Keyring (not a Signer)
+   * @param {Object} options - Signing options
+   * @param {string} options.cryptosuite - 'ecdsa-jcs-2019' for a DataIntegrityProof
+   *   (default: EcdsaSecp256r1Signature2019). RDFC-1.0 suites require signAsync().
+   * @param {string} options.verificationMethod - DID URL of the signing key (default: the Keyring's
+   *   active key, the issuer's did:key or did:jwk key or did:example:123#key-1)
+   * @param {string} options.controller - Keyring controller whose active key signs (default: the issuer)
+   * @param {string} options.proofPurpose - Proof purpose (default: assertionMethod)
+   * @param {string|Date} options.created - Proof creation time (default: now)
+   * @param {string|Date} options.expires - Time after which the proof is no longer valid
+   * @param {string|string[]} options.domain - Security domain(s) the proof is restricted to
+   * @param {string} options.challenge - Challenge supplied by the verifier
+   * @param {string} options.nonce - Random value to prevent replay
    * @returns {Object} VC with proof
+   * @throws {Error} If privateKey is a Signer, the cryptosuite requires RDFC-1.0 canonicalization, or the
+   *   key is not a private key the cryptosuite and algorithm profile allow
    */
-  sign(vc, privateKey) {
-    const signedVc = JSON.parse(JSON.stringify(vc));
+  sign(vc, privateKey, options = {}) {
+    return this._signDocument(vc, privateKey, this._credentialSignParams(vc, options, privateKey));
+  }
 
-    // Prepare proof
-    const proof = ProofGenerator.createProofWithMetadata(
-      VerifiableCredentialService.PROOF_TYPE,
-      VerifiableCredentialService.PROOF_PURPOSE,
-      "did:example:123#key-1"
-    );
+  /**
+   * Signs a VC using ECDSA P-256 (FIPS mode), supporting every cryptosuite.
+   * @param {Object} vc - Verifiable Credential
+   * @param {crypto.KeyObject|string|Object|Keyring} privateKey - Node crypto KeyObject, Base64 encoded private key, JWK,
+   *   Keyring or Signer ({ id, algorithm, sign(data) }, e.g. a KMS/HSM key)
+   * @param {Object} options - Signing options
+   * @param {string} options.cryptosuite - 'ecdsa-rdfc-2019' or 'ecdsa-jcs-2019' for a DataIntegrityProof
+   *   (default: EcdsaSecp256r1Signature2019)
+   * @param {string} options.verificationMethod - DID URL of the signing key (default: the Signer id,
+   *   the Keyring's active key, the issuer's did:key or did:jwk key or did:example:123#key-1)
+   * @param {string} options.controller - Keyring controller whose active key signs (default: the issuer)
+   * @param {string} options.proofPurpose - Proof purpose (default: assertionMethod)
+   * @param {string|Date} options.created - Proof creation time (default: now)
+   * @param {string|Date} options.expires - Time after which the proof is no longer valid
+   * @param {string|string[]} options.domain - Security domain(s) the proof is restricted to
+   * @param {string} options.challenge - Challenge supplied by the verifier
+   * @param {string} options.nonce - Random value to prevent replay
+   * @returns {Promise<Object>} VC with proof
+   */
+  async signAsync(vc, privateKey, options = {}) {
+    return this._signDocumentAsync(vc, privateKey, this._credentialSignParams(vc, options, privateKey));
+  }
 
-    // Canonicalize VC (without proof)
-    const canonicalVc = JSONLDCanon.canonicalize(vc, true);
+  /**
+   * Verifies a VC using ECDSA P-256 (FIPS mode), synchronously. Supports
+   * EcdsaSecp256r1Signature2019 and ecdsa-jcs-2019 proofs; Verifiers and RDFC-1.0
+   * suites require verifyAsync().
+   * @param {Object} vc - Verifiable Credential
+   * @param {crypto.KeyObject|string|Object|Keyring} publicKey - Node crypto KeyObject, Base64 encoded public key,
+   *   JWK or Keyring (not a Verifier); omit to resolve proof.verificationMethod
+   *   synchronously: did:key, did:jwk, methods registered with { sync: true } and DIDs the resolver
+   *   has cached (other DIDs fail with KEY_NOT_FOUND; verifyAsync() resolves them)
+   * @param {Object} options - Verification options
+   * @param {boolean} options.legacy - Also accept EcdsaSecp256r1Signature2019 proofs signed before
+   *   proof options were bound into the signature (migration only)
+   * @param {string} options.proofPurpose - Expected proof purpose (default: assertionMethod)
+   * @param {string} options.verificationMethod - Expected verification method
+   * @param {string} options.domain - Domain the proof must be restricted to
+   * @param {string} options.challenge - Challenge the proof must carry
+   * @param {string} options.nonce - Nonce the proof must carry
+   * @param {boolean} options.validate - Also validate the credential against the data model version its
+   *   base context names, VC 1.1 or 2.0 (DATA_MODEL_INVALID errors carry the JSON pointer of each violation)
+   * @param {string|Date} options.at - Verify as of this time instead of the service clock
+   *   (e.g. a historical date); applies to validFrom/validUntil and proof.created/expires
+   * @param {number} options.clockSkew - Clock skew tolerance in milliseconds (default: the service's)
+   * @param {SchemaRegistry} options.schemaRegistry - Registry holding the credentialSchema schemas the
+   *   credential subject is validated against (default: the service's; no schema checks without one)
+   * @returns {boolean} true if valid
+   * @throws {Error} If publicKey is a Verifier or the proof's cryptosuite requires RDFC-1.0 canonicalization
+   */
+  verify(vc, publicKey, options = {}) {
+    return this.verifyWithResult(vc, publicKey, options).verified;
+  }
 
-    // Handle Base64 encoded private key
-    const keyObject = this._getKeyObject(privateKey, 'private');
+  /**
+   * Verifies a VC synchronously and reports why verification failed. Supports the
+   * same cryptosuites and keys as verify().
+   * @param {Object} vc - Verifiable Credential
+   * @param {crypto.KeyObject|string|Object|Keyring} publicKey - Node crypto KeyObject, Base64 encoded public key,
+   *   JWK or Keyring (not a Verifier); omit to resolve proof.verificationMethod
+   *   synchronously: did:key, did:jwk, methods registered with { sync: true } and DIDs the resolver
+   *   has cached (other DIDs fail with KEY_NOT_FOUND; verifyAsync() resolves them)
+   * @param {Object} options - Verification options, as for verify()
+   * @returns {VerificationResult} verified flag, checks that ran and typed errors
+   * @throws {Error} If publicKey is a Verifier or the proof's cryptosuite requires RDFC-1.0 canonicalization
+   */
+  verifyWithResult(vc, publicKey, options = {}) {
+    return this._verifyDocument(vc, publicKey, 'VC', this._credentialVerifyOptions(options));
+  }
+
+  /**
+   * Verifies a VC using ECDSA P-256 (FIPS mode), supporting every cryptosuite.
+   * @param {Object} vc - Verifiable Credential
+   * @param {crypto.KeyObject|string|Object|Keyring} publicKey - Node crypto KeyObject, Base64 encoded public key,
+   *   JWK, Keyring or Verifier ({ id, algorithm, verify(data, signature) }); omit to resolve
+   *   proof.verificationMethod with the DID resolver
+   * @param {Object} options - Verification options
+   * @param {boolean} options.legacy - Also accept EcdsaSecp256r1Signature2019 proofs signed before
+   *   proof options were bound into the signature (migration only)
+   * @param {string} options.proofPurpose - Expected proof purpose (default: assertionMethod)
+   * @param {string} options.verificationMethod - Expected verification method
+   * @param {string} options.domain - Domain the proof must be restricted to
+   * @param {string} options.challenge - Challenge the proof must carry
+   * @param {string} options.nonce - Nonce the proof must carry
+   * @param {boolean} options.validate - Also validate the credential against the data model version its
+   *   base context names, VC 1.1 or 2.0 (DATA_MODEL_INVALID errors carry the JSON pointer of each violation)
+   * @param {string|Date} options.at - Verify as of this time instead of the service clock
+   *   (e.g. a historical date); applies to validFrom/validUntil and proof.created/expires
+   * @param {number} options.clockSkew - Clock skew tolerance in milliseconds (default: the service's)
+   * @param {SchemaRegistry} options.schemaRegistry - Registry holding the credentialSchema schemas the
+   *   credential subject is validated against (default: the service's; no schema checks without one)
+   * @returns {Promise<boolean>} true if valid
+   */
+  async verifyAsync(vc, publicKey, options = {}) {
+    const result = await this.verifyWithResultAsync(vc, publicKey, options);
+    return result.verified;
+  }
 
-    // FIPS-compliant signing
-    const sign = crypto.createSign(VerifiableCredentialService.SIGNATURE_ALGORITHM);
-    sign.update(canonicalVc);
-    sign.end();
-    const signature = sign.sign(keyObject, 'base64');
+  /**
+   * Verifies a VC, supporting every cryptosuite and reports why verification failed.
+   * @param {Object} vc - Verifiable Credential
+   * @param {crypto.KeyObject|string|Object|Keyring} publicKey - Node crypto KeyObject, Base64 encoded public key,
+   *   JWK, Keyring or Verifier ({ id, algorithm, verify(data, signature) }); omit to resolve
+   *   proof.verificationMethod with the DID resolver
+   * @param {Object} options - Verification options, as for verifyAsync()
+   * @returns {Promise<VerificationResult>} verified flag, checks that ran and typed errors
+   */
+  async verifyWithResultAsync(vc, publicKey, options = {}) {
+    return this._verifyDocumentAsync(vc, publicKey, 'VC', this._credentialVerifyOptions(options));
+  }
 
-    console.log("[FIPS AUDIT] Signed VC digest with ECDSA P-256");
-    proof.setProofValue(signature); // Changed from setJws to setProofValue
+  /**
+   * Signs a VP (Verifiable Presentation) using ECDSA P-256 (FIPS mode), synchronously.
+   * Supports EcdsaSecp256r1Signature2019 and ecdsa-jcs-2019 with local keys; Signers
+   * and RDFC-1.0 suites require signPresentationAsync().
+   * @param {Object} vp - Verifiable Presentation
+   * @param {crypto.KeyObject|string|Object|Keyring} privateKey - Node crypto KeyObject, Base64 encoded private key,
+   *   JWK or Keyring (not a Signer)
+   * @param {Object} options - Signing options
+   * @param {string} options.cryptosuite - 'ecdsa-jcs-2019' for a DataIntegrityProof
+   *   (default: EcdsaSecp256r1Signature2019). RDFC-1.0 suites require signPresentationAsync().
+   * @param {string} options.verificationMethod - DID URL of the signing key (default: the Keyring's
+   *   active key, the holder's did:key or did:jwk key or the holder's #key-1)
+   * @param {string} options.controller - Keyring controller whose active key signs (default: the holder)
+   * @param {string} options.proofPurpose - Proof purpose (default: authentication)
+   * @param {string|Date} options.created - Proof creation time (default: now)
+   * @param {string|Date} options.expires - Time after which the proof is no longer valid
+   * @param {string|string[]} options.domain - Security domain(s) the proof is restricted to
+   * @param {string} options.challenge - Challenge supplied by the verifier
+   * @param {string} options.nonce - Random value to prevent replay
+   * @returns {Object} VP with proof
+   * @throws {Error} If privateKey is a Signer, the cryptosuite requires RDFC-1.0 canonicalization, or the
+   *   key is not a private key the cryptosuite and algorithm profile allow
+   */
+  signPresentation(vp, privateKey, options = {}) {
+    return this._signDocument(vp, privateKey, this._presentationSignParams(vp, options, privateKey));
+  }
 
-    signedVc.proof = proof.toJSON();
-    return signedVc;
+  /**
+   * Signs a VP (Verifiable Presentation) using ECDSA P-256 (FIPS mode), supporting every cryptosuite.
+   * @param {Object} vp - Verifiable Presentation
+   * @param {crypto.KeyObject|string|Object|Keyring} privateKey - Node crypto KeyObject, Base64 encoded private key, JWK,
+   *   Keyring or Signer ({ id, algorithm, sign(data) }, e.g. a KMS/HSM key)
+   * @param {Object} options - Signing options
+   * @param {string} options.cryptosuite - 'ecdsa-rdfc-2019' or 'ecdsa-jcs-2019' for a DataIntegrityProof
+   *   (default: EcdsaSecp256r1Signature2019)
+   * @param {string} options.verificationMethod - DID URL of the signing key (default: the Signer id,
+   *   the Keyring's active key, the holder's did:key or did:jwk key or the holder's #key-1)
+   * @param {string} options.controller - Keyring controller whose active key signs (default: the holder)
+   * @param {string} options.proofPurpose - Proof purpose (default: authentication)
+   * @param {string|Date} options.created - Proof creation time (default: now)
+   * @param {string|Date} options.expires - Time after which the proof is no longer valid
+   * @param {string|string[]} options.domain - Security domain(s) the proof is restricted to
+   * @param {string} options.challenge - Challenge supplied by the verifier
+   * @param {string} options.nonce - Random value to prevent replay
+   * @returns {Promise<Object>} VP with proof
+   */
+  async signPresentationAsync(vp, privateKey, options = {}) {
+    return this._signDocumentAsync(vp, privateKey, this._presentationSignParams(vp, options, privateKey));
   }
 
   /**
-   * Verifies a VC using ECDSA P-256 (FIPS mode).
-   * @param {Object} vc - Verifiable Credential
-   * @param {crypto.KeyObject|string} publicKey - Node crypto KeyObject or Base64 encoded public key
+   * Verifies a VP (Verifiable Presentation) using ECDSA P-256 (FIPS mode), synchronously.
+   * Supports EcdsaSecp256r1Signature2019 and ecdsa-jcs-2019 proofs; Verifiers and
+   * RDFC-1.0 suites require verifyPresentationAsync().
+   * @param {Object} vp - Verifiable Presentation
+   * @param {crypto.KeyObject|string|Object|Keyring} publicKey - Node crypto KeyObject, Base64 encoded public key,
+   *   JWK or Keyring (not a Verifier); omit to resolve proof.verificationMethod
+   *   synchronously: did:key, did:jwk, methods registered with { sync: true } and DIDs the resolver
+   *   has cached (other DIDs fail with KEY_NOT_FOUND; verifyAsync() resolves them)
+   * @param {Object} options - Verification options
+   * @param {boolean} options.legacy - Also accept EcdsaSecp256r1Signature2019 proofs signed before
+   *   proof options were bound into the signature (migration only)
+   * @param {string} options.proofPurpose - Expected proof purpose (default: authentication)
+   * @param {string} options.verificationMethod - Expected verification method
+   * @param {string} options.domain - Domain the proof must be restricted to
+   * @param {string} options.challenge - Challenge the proof must carry
+   * @param {string} options.nonce - Nonce the proof must carry
+   * @param {string|Date} options.at - Verify as of this time instead of the service clock; applies to
+   *   proof.created/expires
+   * @param {number} options.clockSkew - Clock skew tolerance in milliseconds (default: the service's)
    * @returns {boolean} true if valid
+   * @throws {Error} If publicKey is a Verifier or the proof's cryptosuite requires RDFC-1.0 canonicalization
+   */
+  verifyPresentation(vp, publicKey, options = {}) {
+    return this.verifyPresentationWithResult(vp, publicKey, options).verified;
+  }
+
+  /**
+   * Verifies a VP (Verifiable Presentation) synchronously and reports why verification
+   * failed. Supports the same cryptosuites and keys as verifyPresentation().
+   * @param {Object} vp - Verifiable Presentation
+   * @param {crypto.KeyObject|string|Object|Keyring} publicKey - Node crypto KeyObject, Base64 encoded public key,
+   *   JWK or Keyring (not a Verifier); omit to resolve proof.verificationMethod
+   *   synchronously: did:key, did:jwk, methods registered with { sync: true } and DIDs the resolver
+   *   has cached (other DIDs fail with KEY_NOT_FOUND; verifyAsync() resolves them)
+   * @param {Object} options - Verification options, as for verifyPresentation()
+   * @returns {VerificationResult} verified flag, checks that ran and typed errors
+   * @throws {Error} If publicKey is a Verifier or the proof's cryptosuite requires RDFC-1.0 canonicalization
    */
-  verify(vc, publicKey) {
-    if (!vc.proof || !vc.proof.proofValue) return false; // Changed from jws to proofValue
+  verifyPresentationWithResult(vp, publicKey, options = {}) {
+    return this._verifyDocument(vp, publicKey, 'VP', this._presentationVerifyOptions(options));
+  }
 
-    const proof = vc.proof;
-    const signature = proof.proofValue; // Changed from jws to proofValue
+  /**
+   * Verifies a VP (Verifiable Presentation) using ECDSA P-256 (FIPS mode), supporting every cryptosuite.
+   * @param {Object} vp - Verifiable Presentation
+   * @param {crypto.KeyObject|string|Object|Keyring} publicKey - Node crypto KeyObject, Base64 encoded public key,
+   *   JWK, Keyring or Verifier ({ id, algorithm, verify(data, signature) }); omit to resolve
+   *   proof.verificationMethod with the DID resolver
+   * @param {Object} options - Verification options
+   * @param {boolean} options.legacy - Also accept EcdsaSecp256r1Signature2019 proofs signed before
+   *   proof options were bound into the signature (migration only)
+   * @param {string} options.proofPurpose - Expected proof purpose (default: authentication)
+   * @param {string} options.verificationMethod - Expected verification method
+   * @param {string} options.domain - Domain the proof must be restricted to
+   * @param {string} options.challenge - Challenge the proof must carry
+   * @param {string} options.nonce - Nonce the proof must carry
+   * @param {string|Date} options.at - Verify as of this time instead of the service clock; applies to
+   *   proof.created/expires
+   * @param {number} options.clockSkew - Clock skew tolerance in milliseconds (default: the service's)
+   * @returns {Promise<boolean>} true if valid
+   */
+  async verifyPresentationAsync(vp, publicKey, options = {}) {
+    const result = await this.verifyPresentationWithResultAsync(vp, publicKey, options);
+    return result.verified;
+  }
 
-    // Remove proof for canonicalization
-    const vcWithoutProof = JSON.parse(JSON.stringify(vc));
-    delete vcWithoutProof.proof;
+  /**
+   * Verifies a VP (Verifiable Presentation), supporting every cryptosuite and reports why verification failed.
+   * @param {Object} vp - Verifiable Presentation
+   * @param {crypto.KeyObject|string|Object|Keyring} publicKey - Node crypto KeyObject, Base64 encoded public key,
+   *   JWK, Keyring or Verifier ({ id, algorithm, verify(data, signature) }); omit to resolve
+   *   proof.verificationMethod with the DID resolver
+   * @param {Object} options - Verification options, as for verifyPresentationAsync()
+   * @returns {Promise<VerificationResult>} verified flag, checks that ran and typed errors
+   */
+  async verifyPresentationWithResultAsync(vp, publicKey, options = {}) {
+    return this._verifyDocumentAsync(vp, publicKey, 'VP', this._presentationVerifyOptions(options));
+  }
+
+  /**
+   * Builds the signing parameters for a VC
+   * @param {Object} vc - Verifiable Credential
+   * @param {Object} options - Signing options
+   * @param {crypto.KeyObject|string|Object|Keyring} privateKey - Key, Signer or Keyring, which may supply
+   *   the default verificationMethod
+   * @returns {Object} Signing parameters
+   * @private
+   */
+  _credentialSignParams(vc, options, privateKey) {
+    const issuer = typeof vc.issuer === 'object' && vc.issuer !== null ? vc.issuer.id : vc.issuer;
+    return {
+      ...options,
+      label: 'VC',
+      proofPurpose: options.proofPurpose || VerifiableCredentialService.PROOF_PURPOSE,
+      verificationMethod: options.verificationMethod ||
+        this._defaultVerificationMethod(privateKey, options.controller || issuer, options.created) ||
+        VerifiableCredentialService.DEFAULT_VERIFICATION_METHOD
+    };
+  }
+
+  /**
+   * Builds the signing parameters for a VP
+   * @param {Object} vp - Verifiable Presentation
+   * @param {Object} options - Signing options
+   * @param {crypto.KeyObject|string|Object|Keyring} privateKey - Key, Signer or Keyring, which may supply
+   *   the default verificationMethod
+   * @returns {Object} Signing parameters
+   * @private
+   */
+  _presentationSignParams(vp, options, privateKey) {
+    return {
+      ...options,
+      label: 'VP',
+      // VP uses authentication proof purpose
+      proofPurpose: options.proofPurpose || VerifiableCredentialService.PRESENTATION_PROOF_PURPOSE,
+      verificationMethod: options.verificationMethod ||
+        this._defaultVerificationMethod(privateKey, options.controller || vp.holder, options.created) ||
+        (vp.holder ? `${vp.holder}#key-1` : "did:example:holder#key-1")
+    };
+  }
+
+  /**
+   * Applies the VC verification defaults
+   * @param {Object} options - Verification options
+   * @returns {Object} Verification options
+   * @private
+   */
+  _credentialVerifyOptions(options) {
+    return { ...options, proofPurpose: options.proofPurpose || VerifiableCredentialService.PROOF_PURPOSE };
+  }
 
-    const canonicalVc = JSONLDCanon.canonicalize(vcWithoutProof);
+  /**
+   * Applies the VP verification defaults
+   * @param {Object} options - Verification options
+   * @returns {Object} Verification options
+   * @private
+   */
+  _presentationVerifyOptions(options) {
+    return { ...options, proofPurpose: options.proofPurpose || VerifiableCredentialService.PRESENTATION_PROOF_PURPOSE };
+  }
 
-    // Handle Base64 encoded public key
-    const keyObject = this._getKeyObject(publicKey, 'public');
+  /**
+   * Signs a document with a JCS based suite
+   * @param {Object} document - VC or VP
+   * @param {crypto.KeyObject|string|Object} privateKey - KeyObject, Base64 encoded private key or JWK
+   * @param {Object} params - label, cryptosuite and proof options
+   * @returns {Object} Document with proof
+   * @private
+   */
+  _signDocument(document, privateKey, params) {
+    if (this._isSigner(privateKey)) {
+      throw new Error('Signers are asynchronous; use the async sign methods');
+    }
 
-    // FIPS-compliant verification
-    const verify = crypto.createVerify(VerifiableCredentialService.SIGNATURE_ALGORITHM);
-    verify.update(canonicalVc);
-    verify.end();
+    const suite = this._getSuite(params.cryptosuite);
+    if (suite.isAsync) {
+      throw new Error(`Cryptosuite ${suite.name} requires RDFC-1.0 canonicalization; use the async sign methods`);
+    }
 
-    const valid = verify.verify(keyObject, signature, 'base64');
-    console.log(`[FIPS AUDIT] Verified VC signature: ${valid}`);
-    return valid;
+    const { key, algorithm } = this._getSigningKey(privateKey, suite, params);
+    const { signedDocument, unsecuredDocument, proof } = this._prepareSigning(document, suite, params);
+    const verifyData = suite.createVerifyData(unsecuredDocument, proof.toJSON(), { algorithm });
+    const signature = this._signWithKey(verifyData, key, algorithm, suite, params.label);
+    return this._attachProof(signedDocument, proof, signature, suite);
   }
 
   /**
-   * Signs a VP (Verifiable Presentation) using ECDSA P-256 (FIPS mode).
-   * @param {Object} vp - Verifiable Presentation
-   * @param {crypto.KeyObject|string} privateKey - Node crypto KeyObject or Base64 encoded private key
-   * @returns {Object} VP with proof
+   * Signs a document with any suite
+   * @param {Object} document - VC or VP
+   * @param {crypto.KeyObject|string|Object} privateKey - KeyObject, Base64 encoded private key, JWK or Signer
+   * @param {Object} params - label, cryptosuite and proof options
+   * @returns {Promise<Object>} Document with proof
+   * @private
+   */
+  async _signDocumentAsync(document, privateKey, params) {
+    const suite = this._getSuite(params.cryptosuite);
+    const { key, algorithm } = this._getSigningKey(privateKey, suite, params);
+
+    const { signedDocument, unsecuredDocument, proof } = this._prepareSigning(document, suite, params);
+    const verifyData = await suite.createVerifyDataAsync(unsecuredDocument, proof.toJSON(), {
+      algorithm,
+      documentLoader: this.documentLoader.load
+    });
+
+    const signature = this._isSigner(key)
+      ? await this._signWithSigner(verifyData, key, suite, params.label)
+      : this._signWithKey(verifyData, key, algorithm, suite, params.label);
+    return this._attachProof(signedDocument, proof, signature, suite);
+  }
+
+  /**
+   * Copies the document and prepares its proof options
+   * @param {Object} document - VC or VP
+   * @param {Cryptosuite} suite - Signing suite
+   * @param {Object} params - cryptosuite and proof options
+   * @returns {Object} signedDocument, unsecuredDocument and proof
+   * @private
    */
-  signPresentation(vp, privateKey) {
-    const signedVp = JSON.parse(JSON.stringify(vp));
+  _prepareSigning(document, suite, params) {
+    const signedDocument = JSON.parse(JSON.stringify(document));
+
+    // The document is canonicalized without its proof
+    const unsecuredDocument = JSON.parse(JSON.stringify(signedDocument));
+    delete unsecuredDocument.proof;
 
     // Prepare proof
     const proof = ProofGenerator.createProofWithMetadata(
-      VerifiableCredentialService.PROOF_TYPE,
-      "authentication", // VP uses authentication proof purpose
-      vp.holder ? `${vp.holder}#key-1` : "did:example:holder#key-1"
+      suite.proofType,
+      params.proofPurpose,
+      params.verificationMethod,
+      {
+        cryptosuite: suite.cryptosuite,
+        created: params.created || new Date(this.now()),
+        expires: params.expires,
+        domain: params.domain,
+        challenge: params.challenge,
+        nonce: params.nonce
+      }
     );
 
-    // Canonicalize VP (without proof)
-    const canonicalVp = JSONLDCanon.canonicalize(vp, true);
+    return { signedDocument, unsecuredDocument, proof };
+  }
+
+  /**
+   * Resolves the signing key and its algorithm, which selects the verify data
+   * hash (e.g. SHA-384 for P-384 keys)
+   * @param {crypto.KeyObject|string|Object|Keyring} privateKey - KeyObject, Base64 encoded private key, JWK,
+   *   Signer or Keyring
+   * @param {Cryptosuite} suite - Signing suite
+   * @param {Object} params - verificationMethod and created, which select a Keyring key
+   * @returns {Object} key (KeyObject or Signer) and algorithm
+   * @throws {Error} If the suite does not support the key's algorithm
+   * @private
+   */
+  _getSigningKey(privateKey, suite, params) {
+    if (this._isKeyring(privateKey)) {
+      // The keyring key named by the verificationMethod, if it may sign now
+      privateKey = privateKey.getSigningKey(params.verificationMethod, params.created || new Date(this.now())).privateKey;
+    } else if (this._isSigner(privateKey)) {
+      if (!suite.supportsAlgorithm(privateKey.algorithm)) {
+        throw new Error(`Signer algorithm ${privateKey.algorithm} is not supported by cryptosuite ${suite.name}`);
+      }
+      return { key: privateKey, algorithm: privateKey.algorithm };
+    }
 
     // Handle Base64 encoded private key
     const keyObject = this._getKeyObject(privateKey, 'private');
 
-    // FIPS-compliant signing
-    const sign = crypto.createSign(VerifiableCredentialService.SIGNATURE_ALGORITHM);
-    sign.update(canonicalVp);
-    sign.end();
-    const signature = sign.sign(keyObject, 'base64');
+    // The curve is detected from the key itself
+    const algorithm = KeyObjectSigner.algorithmForKey(keyObject);
+    if (!suite.supportsAlgorithm(algorithm)) {
+      throw new Error(`Key algorithm ${algorithm} is not supported by cryptosuite ${suite.name}`);
+    }
+    return { key: keyObject, algorithm };
+  }
+
+  /**
+   * Signs the verify data with a local key
+   * @param {Buffer} verifyData - Data to sign
+   * @param {crypto.KeyObject} keyObject - Private key
+   * @param {string} algorithm - JOSE algorithm of the key
+   * @param {Cryptosuite} suite - Signing suite
+   * @param {string} label - 'VC' or 'VP' for audit logging
+   * @returns {Buffer} Signature in the suite's encoding
+   * @private
+   */
+  _signWithKey(verifyData, keyObject, algorithm, suite, label) {
+    const { name, digest } = KeyObjectSigner.ALGORITHMS[algorithm];
 
-    console.log("[FIPS AUDIT] Signed VP digest with ECDSA P-256");
-    proof.setProofValue(signature);
+    // FIPS-compliant signing (EdDSA signs the verify data without a digest)
+    const signature = crypto.sign(digest, verifyData, { key: keyObject, dsaEncoding: suite.dsaEncoding });
 
-    signedVp.proof = proof.toJSON();
-    return signedVp;
+    console.log(`[FIPS AUDIT] Signed ${label} digest with ${name} (${suite.name})`);
+    return signature;
   }
 
   /**
-   * Verifies a VP (Verifiable Presentation) using ECDSA P-256 (FIPS mode).
-   * @param {Object} vp - Verifiable Presentation
-   * @param {crypto.KeyObject|string} publicKey - Node crypto KeyObject or Base64 encoded public key
-   * @returns {boolean} true if valid
+   * Signs the verify data with a Signer
+   * @param {Buffer} verifyData - Data to sign
+   * @param {Object} signer - Signer returning raw r||s (ECDSA) or Ed25519 signatures
+   * @param {Cryptosuite} suite - Signing suite
+   * @param {string} label - 'VC' or 'VP' for audit logging
+   * @returns {Promise<Buffer>} Signature in the suite's encoding
+   * @private
+   */
+  async _signWithSigner(verifyData, signer, suite, label) {
+    const signature = Buffer.from(await signer.sign(verifyData));
+
+    console.log(`[FIPS AUDIT] Signed ${label} digest with ${signer.algorithm} signer ${signer.id} (${suite.name})`);
+    return suite.dsaEncoding === 'der' ? EcdsaSignature.toDer(signature) : signature;
+  }
+
+  /**
+   * Encodes the signature as proofValue and attaches the proof
+   * @param {Object} signedDocument - Document copy receiving the proof
+   * @param {Proof} proof - Proof options
+   * @param {Buffer} signature - Signature in the suite's encoding
+   * @param {Cryptosuite} suite - Signing suite
+   * @returns {Object} Document with proof
+   * @private
+   */
+  _attachProof(signedDocument, proof, signature, suite) {
+    proof.setProofValue(suite.encodeProofValue(signature));
+    signedDocument.proof = proof.toJSON();
+    return signedDocument;
+  }
+
+  /**
+   * Verifies a document signed with a JCS based suite
+   * @param {Object} document - VC or VP
+   * @param {crypto.KeyObject|string|Object} publicKey - KeyObject, Base64 encoded public key or JWK
+   * @param {string} label - 'VC' or 'VP' for audit logging
+   * @param {Object} options - Verification options
+   * @returns {VerificationResult} Verification result
+   * @private
+   */
+  _verifyDocument(document, publicKey, label, options) {
+    if (this._isVerifier(publicKey)) {
+      throw new Error('Verifiers are asynchronous; use the async verify methods');
+    }
+
+    const result = new VerificationResult();
+    const prepared = this._prepareVerification(document, publicKey, label, options, result);
+    if (!prepared) return result;
+
+    const { suite, unsecuredDocument, proof, algorithm } = prepared;
+    if (suite.isAsync) {
+      throw new Error(`Cryptosuite ${suite.name} requires RDFC-1.0 canonicalization; use the async verify methods`);
+    }
+
+    let verifyData;
+    result.addCheck('canonicalization');
+    try {
+      verifyData = suite.createVerifyData(unsecuredDocument, proof, { algorithm });
+    } catch (error) {
+      this._reject(result, VerificationResult.CANONICALIZATION_FAILED, error.message, label);
+      return result;
+    }
+
+    this._checkSignatures(result, verifyData, prepared, label, options);
+    return this._checkSchemas(result, document, label, options);
+  }
+
+  /**
+   * Verifies a document signed with any suite
+   * @param {Object} document - VC or VP
+   * @param {crypto.KeyObject|string|Object} publicKey - KeyObject, Base64 encoded public key, JWK or Verifier
+   * @param {string} label - 'VC' or 'VP' for audit logging
+   * @param {Object} options - Verification options
+   * @returns {Promise<VerificationResult>} Verification result
+   * @private
    */
-  verifyPresentation(vp, publicKey) {
-    if (!vp.proof || !vp.proof.proofValue) return false;
+  async _verifyDocumentAsync(document, publicKey, label, options) {
+    const result = new VerificationResult();
+    const dereferenced = this._needsResolution(publicKey) ? await this._dereferenceAsync(document.proof) : null;
+    const prepared = this._prepareVerification(document, publicKey, label, options, result, dereferenced);
+    if (!prepared) return result;
 
-    const proof = vp.proof;
-    const signature = proof.proofValue;
+    const { suite, unsecuredDocument, proof, algorithm } = prepared;
+    let verifyData;
+    result.addCheck('canonicalization');
+    try {
+      verifyData = await suite.createVerifyDataAsync(unsecuredDocument, proof, {
+        algorithm,
+        documentLoader: this.documentLoader.load
+      });
+    } catch (error) {
+      this._reject(result, VerificationResult.CANONICALIZATION_FAILED, error.message, label);
+      return result;
+    }
+
+    await this._checkSignaturesAsync(result, verifyData, prepared, label, options);
+    return this._checkSchemas(result, document, label, options);
+  }
+
+  /**
+   * Runs the checks that precede signature verification: the credential
+   * follows the data model (with options.validate), the proof is present
+   * and supported, its contexts resolve, it matches the expected proof options
+   * and the public key decodes or the verifier supports the suite. Failures are
+   * recorded on the result.
+   * @param {Object} document - VC or VP
+   * @param {crypto.KeyObject|string|Object} publicKey - KeyObject, Base64 encoded public key, JWK or Verifier
+   * @param {string} label - 'VC' or 'VP' for audit logging
+   * @param {Object} options - Verification options
+   * @param {VerificationResult} result - Result receiving checks and errors
+   * @param {Object} dereferenced - DID document (or error) already resolved asynchronously
+   * @returns {Object|null} suite, unsecuredDocument, proof, key (KeyObject or Verifier) and its algorithm,
+   *   or null if not verifiable
+   * @private
+   */
+  _prepareVerification(document, publicKey, label, options, result, dereferenced = null) {
+    const proof = document.proof;
+    // The base context tells VC 1.1 and VC 2.0 credentials apart
+    const version = CredentialValidator.detectVersion(document);
+
+    // Data model validation applies to credentials; presentations only check their proof
+    if (options.validate && label === 'VC') {
+      result.addCheck('dataModel');
+      const { errors } = CredentialValidator.validate(document, { version });
+      errors.forEach(({ path, message }) =>
+        this._reject(result, VerificationResult.DATA_MODEL_INVALID, `${path || '/'} ${message}`, label, path));
+      if (errors.length > 0) return null;
+    }
+
+    result.addCheck('proof');
+    if (!proof || typeof proof !== 'object') {
+      this._reject(result, VerificationResult.PROOF_MISSING, 'document has no proof', label);
+      return null;
+    }
+    if (!proof.proofValue) {
+      this._reject(result, VerificationResult.PROOF_VALUE_MISSING, 'proof has no proofValue', label);
+      return null;
+    }
+
+    result.addCheck('context');
+    const unresolvable = this.documentLoader.findUnresolvable(document['@context'] || []);
+    if (unresolvable.length > 0) {
+      this._reject(result, VerificationResult.CONTEXT_UNRESOLVABLE, `unresolvable context: ${unresolvable.join(', ')}`, label);
+      return null;
+    }
+
+    result.addCheck('cryptosuite');
+    let suite;
+    try {
+      suite = Cryptosuite.forProof(proof);
+    } catch (error) {
+      this._reject(result, VerificationResult.UNSUPPORTED_CRYPTOSUITE, error.message, label);
+      return null;
+    }
+    if (!this._isAllowed(suite)) {
+      this._reject(result, VerificationResult.ALGORITHM_NOT_ALLOWED,
+        `cryptosuite ${suite.name} is not allowed by the ${this.profile} profile`, label);
+      return null;
+    }
+
+    const now = this._verificationTime(options);
+    result.addCheck('proofOptions');
+    const mismatches = this._checkProofOptions(proof, options, now);
+    mismatches.forEach(mismatch => this._reject(result, mismatch.code, mismatch.message, label));
+    if (mismatches.length > 0) return null;
+
+    if (label === 'VC') {
+      result.addCheck('validity');
+      const problems = this._checkValidity(document, options, now);
+      problems.forEach(problem => this._reject(result, problem.code, problem.message, label));
+      if (problems.length > 0) return null;
+    }
+
+    result.addCheck('key');
+    let key = publicKey;
+    let algorithm;
+    if (this._needsResolution(publicKey)) {
+      key = this._getResolvedKey(document, proof, label, result, dereferenced);
+      if (!key) return null;
+    } else if (this._isKeyring(publicKey)) {
+      key = this._getKeyringKey(document, publicKey, proof, label, result);
+      if (!key) return null;
+    }
+    if (this._isVerifier(key)) {
+      algorithm = key.algorithm;
+    } else {
+      try {
+        key = this._getKeyObject(key, 'public');
+        algorithm = KeyObjectSigner.algorithmForKey(key);
+      } catch (error) {
+        this._reject(result, VerificationResult.KEY_DECODE_FAILED, `unable to decode public key: ${error.message}`, label);
+        return null;
+      }
+    }
+    if (!suite.supportsAlgorithm(algorithm)) {
+      this._reject(result, VerificationResult.ALGORITHM_MISMATCH,
+        `key algorithm ${algorithm} is not supported by cryptosuite ${suite.name}`, label);
+      return null;
+    }
+
+    // Raw r||s proof values reveal the curve they were created with
+    const signatureSize = this._rawSignatureSize(proof, suite);
+    if (signatureSize !== null && signatureSize !== KeyObjectSigner.ALGORITHMS[algorithm].signatureSize) {
+      this._reject(result, VerificationResult.ALGORITHM_MISMATCH,
+        `proofValue of ${signatureSize} bytes was not created with key algorithm ${algorithm}`, label);
+      return null;
+    }
 
     // Remove proof for canonicalization
-    const vpWithoutProof = JSON.parse(JSON.stringify(vp));
-    delete vpWithoutProof.proof;
+    const unsecuredDocument = JSON.parse(JSON.stringify(document));
+    delete unsecuredDocument.proof;
+
+    return { suite, unsecuredDocument, proof, key, algorithm };
+  }
+
+  /**
+   * Length of a raw (multibase) proofValue signature
+   * @param {Object} proof - Proof carrying the proofValue
+   * @param {Cryptosuite} suite - Verifying suite
+   * @returns {number|null} Signature length, or null for DER or undecodable proof values
+   * @private
+   */
+  _rawSignatureSize(proof, suite) {
+    if (suite.proofValueEncoding !== Cryptosuite.ENCODING_MULTIBASE) return null;
+
+    try {
+      return suite.decodeProofValue(proof.proofValue).length;
+    } catch (error) {
+      // Left to the signature check
+      return null;
+    }
+  }
+
+  /**
+   * Compares the proof options with the values the verifier expects. Options the
+   * caller does not supply are not checked, except that a proof created in the
+   * future or expired (beyond the clock skew) is always rejected.
+   * @param {Object} proof - Proof to check
+   * @param {Object} options - Verification options
+   * @param {number} now - Verification time in milliseconds since the epoch
+   * @returns {Object[]} code and message of each mismatch
+   * @private
+   */
+  _checkProofOptions(proof, options, now) {
+    const mismatches = [];
+
+    if (options.proofPurpose && proof.proofPurpose !== options.proofPurpose) {
+      mismatches.push({
+        code: VerificationResult.PROOF_PURPOSE_MISMATCH,
+        message: `proofPurpose ${proof.proofPurpose} does not match ${options.proofPurpose}`
+      });
+    }
+    if (options.verificationMethod && proof.verificationMethod !== options.verificationMethod) {
+      mismatches.push({
+        code: VerificationResult.VERIFICATION_METHOD_MISMATCH,
+        message: `verificationMethod ${proof.verificationMethod} does not match ${options.verificationMethod}`
+      });
+    }
+    const skew = options.clockSkew ?? this.clockSkew;
+    if (proof.created) {
+      const created = Date.parse(proof.created);
+      if (Number.isNaN(created) || created - skew > now) {
+        mismatches.push({
+          code: VerificationResult.PROOF_NOT_YET_VALID,
+          message: `proof created ${proof.created} is later than ${new Date(now).toISOString()}`
+        });
+      }
+    }
+    if (proof.expires) {
+      const expires = Date.parse(proof.expires);
+      if (Number.isNaN(expires) || expires + skew <= now) {
+        mismatches.push({ code: VerificationResult.PROOF_EXPIRED, message: `proof expired at ${proof.expires}` });
+      }
+    }
+    if (options.domain) {
+      const domains = Array.isArray(proof.domain) ? proof.domain : [proof.domain];
+      if (!domains.includes(options.domain)) {
+        mismatches.push({ code: VerificationResult.DOMAIN_MISMATCH, message: `domain does not include ${options.domain}` });
+      }
+    }
+    if (options.challenge && proof.challenge !== options.challenge) {
+      mismatches.push({ code: VerificationResult.CHALLENGE_MISMATCH, message: 'challenge does not match' });
+    }
+    if (options.nonce && proof.nonce !== options.nonce) {
+      mismatches.push({ code: VerificationResult.NONCE_MISMATCH, message: 'nonce does not match' });
+    }
+
+    return mismatches;
+  }
+
+  /**
+   * Checks the credential's validity period, compared with the verification time
+   * within the clock skew: validFrom and issuanceDate must not be later, validUntil
+   * and expirationDate must be later. Each present property is checked, whatever
+   * the data model version, and dates without an offset are read as UTC.
+   * @param {Object} document - VC
+   * @param {Object} options - Verification options
+   * @param {number} now - Verification time in milliseconds since the epoch
+   * @returns {Object[]} code and message of each problem
+   * @private
+   */
+  _checkValidity(document, options, now) {
+    const problems = [];
+    const skew = options.clockSkew ?? this.clockSkew;
+    const at = new Date(now).toISOString();
+    const properties = [CredentialValidator.VERSION_2_0, CredentialValidator.VERSION_1_1]
+      .map(version => CredentialValidator.DATE_PROPERTIES[version]);
+
+    for (const [fromProperty] of properties) {
+      if (document[fromProperty] === undefined) continue;
+      const validFrom = CredentialValidator.parseDateTime(document[fromProperty]);
+      if (Number.isNaN(validFrom) || validFrom - skew > now) {
+        problems.push({
+          code: VerificationResult.CREDENTIAL_NOT_YET_VALID,
+          message: `credential ${fromProperty} ${document[fromProperty]} is later than ${at}`
+        });
+      }
+    }
+
+    for (const [, untilProperty] of properties) {
+      if (document[untilProperty] === undefined) continue;
+      const validUntil = CredentialValidator.parseDateTime(document[untilProperty]);
+      if (Number.isNaN(validUntil) || validUntil + skew <= now) {
+        problems.push({
+          code: VerificationResult.CREDENTIAL_EXPIRED,
+          message: `credential ${untilProperty} ${document[untilProperty]} is not later than ${at}`
+        });
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Returns the time to verify at: options.at, or the service clock
+   * @param {Object} options - Verification options
+   * @returns {number} Milliseconds since the epoch
+   * @throws {Error} If options.at is not a valid date
+   * @private
+   */
+  _verificationTime(options) {
+    if (options.at === undefined) return this.now();
+
+    const at = options.at instanceof Date ? options.at.getTime() : Date.parse(options.at);
+    if (Number.isNaN(at)) {
+      throw new Error(`Invalid verification time: ${options.at}`);
+    }
+    return at;
+  }
+
+  /**
+   * Verifies the signature, falling back to the legacy unbound verify data when
+   * the caller explicitly opted in with options.legacy
+   * @param {VerificationResult} result - Result receiving checks and errors
+   * @param {Buffer} verifyData - Signed data
+   * @param {Object} prepared - suite, unsecuredDocument, proof and key
+   * @param {string} label - 'VC' or 'VP' for audit logging
+   * @param {Object} options - Verification options
+   * @returns {VerificationResult} Verification result
+   * @private
+   */
+  _checkSignatures(result, verifyData, prepared, label, options) {
+    const { suite, unsecuredDocument, proof, key } = prepared;
+
+    result.addCheck('signature');
+    if (this._checkSignature(verifyData, proof, key, suite, label)) {
+      return result.setVerified(true);
+    }
+
+    if (this._usesLegacyFallback(suite, options)) {
+      result.addCheck('legacySignature');
+      const legacyVerifyData = suite.createLegacyVerifyData(unsecuredDocument);
+      if (this._checkSignature(legacyVerifyData, proof, key, suite, `${label} (legacy unbound proof)`)) {
+        return result.setVerified(true);
+      }
+    }
+
+    result.addError(VerificationResult.SIGNATURE_INVALID, 'signature does not match the document and proof');
+    return result;
+  }
+
+  /**
+   * Verifies the signature with a KeyObject or Verifier, falling back to the
+   * legacy unbound verify data when the caller explicitly opted in
+   * @param {VerificationResult} result - Result receiving checks and errors
+   * @param {Buffer} verifyData - Signed data
+   * @param {Object} prepared - suite, unsecuredDocument, proof and key
+   * @param {string} label - 'VC' or 'VP' for audit logging
+   * @param {Object} options - Verification options
+   * @returns {Promise<VerificationResult>} Verification result
+   * @private
+   */
+  async _checkSignaturesAsync(result, verifyData, prepared, label, options) {
+    const { suite, unsecuredDocument, proof, key } = prepared;
+
+    result.addCheck('signature');
+    if (await this._checkSignatureAsync(verifyData, proof, key, suite, label)) {
+      return result.setVerified(true);
+    }
+
+    if (this._usesLegacyFallback(suite, options)) {
+      result.addCheck('legacySignature');
+      const legacyVerifyData = suite.createLegacyVerifyData(unsecuredDocument);
+      if (await this._checkSignatureAsync(legacyVerifyData, proof, key, suite, `${label} (legacy unbound proof)`)) {
+        return result.setVerified(true);
+      }
+    }
+
+    result.addError(VerificationResult.SIGNATURE_INVALID, 'signature does not match the document and proof');
+    return result;
+  }
+
+  /**
+   * Whether to retry a failed signature against the legacy unbound verify data
+   * @param {Cryptosuite} suite - Verifying suite
+   * @param {Object} options - Verification options
+   * @returns {boolean} true if the caller opted in and the suite had unbound proofs
+   * @private
+   */
+  _usesLegacyFallback(suite, options) {
+    // Data Integrity cryptosuites always bound their proof options
+    return Boolean(options.legacy) && suite.legacyUnbound;
+  }
+
+  /**
+   * Verifies the proofValue over the verify data
+   * @param {Buffer|string} verifyData - Signed data
+   * @param {Object} proof - Proof carrying the proofValue
+   * @param {crypto.KeyObject} keyObject - Public key
+   * @param {Cryptosuite} suite - Verifying suite
+   * @param {string} label - 'VC' or 'VP' for audit logging
+   * @returns {boolean} true if valid
+   * @private
+   */
+  _checkSignature(verifyData, proof, keyObject, suite, label) {
+    const { digest } = KeyObjectSigner.ALGORITHMS[KeyObjectSigner.algorithmForKey(keyObject)];
+
+    // FIPS-compliant verification (EdDSA verifies the verify data without a digest)
+    let valid;
+    try {
+      const signature = suite.decodeProofValue(proof.proofValue);
+      valid = crypto.verify(digest, verifyData, { key: keyObject, dsaEncoding: suite.dsaEncoding }, signature);
+    } catch (error) {
+      // Malformed proofValue encodings are invalid signatures, not errors
+      valid = false;
+    }
 
-    const canonicalVp = JSONLDCanon.canonicalize(vpWithoutProof);
+    console.log(`[FIPS AUDIT] Verified ${label} signature: ${valid}`);
+    return valid;
+  }
 
-    // Handle Base64 encoded public key
-    const keyObject = this._getKeyObject(publicKey, 'public');
+  /**
+   * Verifies the proofValue over the verify data with a KeyObject or Verifier
+   * @param {Buffer|string} verifyData - Signed data
+   * @param {Object} proof - Proof carrying the proofValue
+   * @param {crypto.KeyObject|Object} key - Public key or Verifier
+   * @param {Cryptosuite} suite - Verifying suite
+   * @param {string} label - 'VC' or 'VP' for audit logging
+   * @returns {Promise<boolean>} true if valid
+   * @private
+   */
+  async _checkSignatureAsync(verifyData, proof, key, suite, label) {
+    if (!this._isVerifier(key)) {
+      return this._checkSignature(verifyData, proof, key, suite, label);
+    }
 
-    // FIPS-compliant verification
-    const verify = crypto.createVerify(VerifiableCredentialService.SIGNATURE_ALGORITHM);
-    verify.update(canonicalVp);
-    verify.end();
+    let valid;
+    try {
+      let signature = suite.decodeProofValue(proof.proofValue);
+      if (suite.dsaEncoding === 'der') {
+        // Verifiers take raw r||s signatures
+        signature = EcdsaSignature.fromDer(signature, KeyObjectSigner.ALGORITHMS[key.algorithm].signatureSize / 2);
+      }
+      valid = (await key.verify(Buffer.from(verifyData), signature)) === true;
+    } catch (error) {
+      // Malformed proofValue encodings are invalid signatures, not errors
+      valid = false;
+    }
 
-    const valid = verify.verify(keyObject, signature, 'base64');
-    console.log(`[FIPS AUDIT] Verified VP signature: ${valid}`);
+    console.log(`[FIPS AUDIT] Verified ${label} signature with ${key.algorithm} verifier ${key.id}: ${valid}`);
     return valid;
   }
 
   /**
-   * Helper method to convert Base64 string to KeyObject if needed
-   * @param {crypto.KeyObject|string} key - KeyObject or Base64 encoded key
+   * Validates the credential subject against the JsonSchema entries of
+   * credentialSchema when a schema registry is available. Runs after the
+   * signature check, so schema failures are reported next to, not instead of,
+   * the signature outcome.
+   * @param {VerificationResult} result - Result receiving checks and errors
+   * @param {Object} document - VC or VP
+   * @param {string} label - 'VC' or 'VP' for audit logging
+   * @param {Object} options - Verification options
+   * @returns {VerificationResult} Verification result
+   * @private
+   */
+  _checkSchemas(result, document, label, options) {
+    const registry = options.schemaRegistry || this.schemaRegistry;
+    const entries = SchemaRegistry.schemaEntries(document);
+    if (label !== 'VC' || !registry || entries.length === 0) return result;
+
+    result.addCheck('schema');
+    entries.forEach((entry, index) => {
+      const path = Array.isArray(document.credentialSchema) ? `/credentialSchema/${index}` : '/credentialSchema';
+      if (entry?.type !== SchemaRegistry.CREDENTIAL_SCHEMA_TYPE) {
+        this._reject(result, VerificationResult.SCHEMA_UNSUPPORTED, `credentialSchema type ${entry?.type} is not supported`, label, path);
+        return;
+      }
+      if (!registry.has(entry.id)) {
+        this._reject(result, VerificationResult.SCHEMA_NOT_FOUND, `schema ${entry.id} is not registered`, label, `${path}/id`);
+        return;
+      }
+
+      let errors;
+      try {
+        ({ errors } = registry.validate(entry.id, document.credentialSubject));
+      } catch (error) {
+        this._reject(result, VerificationResult.SCHEMA_VALIDATION_FAILED, `schema ${entry.id} cannot be applied: ${error.message}`, label, path);
+        return;
+      }
+      errors.forEach(({ path: subjectPath, message }) => this._reject(result, VerificationResult.SCHEMA_VALIDATION_FAILED,
+        `/credentialSubject${subjectPath} ${message} (schema ${entry.id})`, label, `/credentialSubject${subjectPath}`));
+    });
+    return result;
+  }
+
+  /**
+   * Records a failed check on the result and in the audit log
+   * @param {VerificationResult} result - Result receiving the error
+   * @param {string} code - VerificationResult error code
+   * @param {string} message - Reason for the failure
+   * @param {string} label - 'VC' or 'VP' for audit logging
+   * @param {string} path - JSON pointer of the offending value, for data model errors
+   * @private
+   */
+  _reject(result, code, message, label, path) {
+    console.log(`[FIPS AUDIT] Rejected ${label} proof: ${message}`);
+    result.addError(code, message, path);
+  }
+
+  /**
+   * Checks whether a key argument is a Signer
+   * @param {*} key - Key argument
+   * @returns {boolean} true if the key is a Signer
+   * @private
+   */
+  _isSigner(key) {
+    return Boolean(key) && typeof key === 'object' && !(key instanceof crypto.KeyObject) && typeof key.sign === 'function';
+  }
+
+  /**
+   * Checks whether a key argument is a Verifier
+   * @param {*} key - Key argument
+   * @returns {boolean} true if the key is a Verifier
+   * @private
+   */
+  _isVerifier(key) {
+    return Boolean(key) && typeof key === 'object' && !(key instanceof crypto.KeyObject) && typeof key.verify === 'function';
+  }
+
+  /**
+   * Selects the Keyring key named by the proof's verificationMethod among the
+   * keys of the VC issuer (or VP holder), checks that the proof has the
+   * purpose of the document (assertionMethod for a VC, authentication for a
+   * VP) and that the key may verify a proof created at proof.created
+   * @param {Object} document - VC or VP
+   * @param {Keyring} keyring - Keyring
+   * @param {Object} proof - Proof
+   * @param {string} label - 'VC' or 'VP' for audit logging
+   * @param {VerificationResult} result - Result receiving checks and errors
+   * @returns {crypto.KeyObject|null} Public key, or null if rejected
+   * @private
+   */
+  _getKeyringKey(document, keyring, proof, label, result) {
+    const known = keyring.getKey(proof.verificationMethod);
+    if (!known) {
+      this._reject(result, VerificationResult.KEY_NOT_FOUND,
+        `verificationMethod ${proof.verificationMethod} is not in the keyring`, label);
+      return null;
+    }
+
+    result.addCheck('authorization');
+    const { controller, role } = this._expectedController(document, label);
+    const entry = controller ? keyring.getKey(proof.verificationMethod, controller) : null;
+    if (!controller) {
+      this._reject(result, VerificationResult.KEY_CONTROLLER_MISMATCH,
+        `verificationMethod ${proof.verificationMethod} cannot be authorized: the ${label} has no ${role}`, label);
+      return null;
+    }
+    if (!entry) {
+      this._reject(result, VerificationResult.KEY_CONTROLLER_MISMATCH,
+        `verificationMethod ${proof.verificationMethod} is controlled by ${known.controller}, not the ${role} ${controller}`, label);
+      return null;
+    }
+
+    const purpose = label === 'VP'
+      ? VerifiableCredentialService.PRESENTATION_PROOF_PURPOSE
+      : VerifiableCredentialService.PROOF_PURPOSE;
+    if (proof.proofPurpose !== purpose) {
+      this._reject(result, VerificationResult.KEY_NOT_AUTHORIZED,
+        `keyring key ${proof.verificationMethod} authorizes only ${purpose} proofs of a ${label}, not ${proof.proofPurpose}`, label);
+      return null;
+    }
+
+    const problem = keyring.checkVerificationKey(entry, proof.created);
+    if (problem) {
+      const code = entry.status === Keyring.STATUS_REVOKED
+        ? VerificationResult.KEY_REVOKED
+        : VerificationResult.KEY_INACTIVE;
+      this._reject(result, code, problem, label);
+      return null;
+    }
+    return entry.publicKey;
+  }
+
+  /**
+   * Checks whether verification has to dereference proof.verificationMethod
+   * @param {*} publicKey - Key argument
+   * @returns {boolean} true if no key was given
+   * @private
+   */
+  _needsResolution(publicKey) {
+    return publicKey === undefined || publicKey === null;
+  }
+
+  /**
+   * Resolves the DID document of proof.verificationMethod, waiting for
+   * asynchronous DID methods
+   * @param {Object} proof - Proof
+   * @returns {Promise<Object>} didDocument, or error if it cannot be resolved
+   * @private
+   */
+  async _dereferenceAsync(proof) {
+    try {
+      return { didDocument: await this.resolver.resolve(proof?.verificationMethod) };
+    } catch (error) {
+      return { error };
+    }
+  }
+
+  /**
+   * Reads the public key of the proof's verificationMethod from its DID
+   * document, resolving it synchronously unless the async path already did,
+   * and checks that the issuer or holder authorized the key
+   * @param {Object} document - VC or VP
+   * @param {Object} proof - Proof
+   * @param {string} label - 'VC' or 'VP' for audit logging
+   * @param {VerificationResult} result - Result receiving checks and errors
+   * @param {Object|null} dereferenced - Result of _dereferenceAsync()
+   * @returns {crypto.KeyObject|null} Public key, or null if rejected
+   * @private
+   */
+  _getResolvedKey(document, proof, label, result, dereferenced) {
+    let didDocument;
+    let verificationMethod;
+    try {
+      if (dereferenced?.error) throw dereferenced.error;
+      didDocument = dereferenced ? dereferenced.didDocument : this.resolver.resolveSync(proof.verificationMethod);
+      verificationMethod = DidResolver.findVerificationMethod(didDocument, proof.verificationMethod);
+    } catch (error) {
+      this._reject(result, VerificationResult.KEY_NOT_FOUND,
+        `unable to dereference verificationMethod ${proof.verificationMethod}: ${error.message}`, label);
+      return null;
+    }
+
+    let publicKey;
+    try {
+      publicKey = KeyUtils.fromVerificationMethod(verificationMethod);
+    } catch (error) {
+      this._reject(result, VerificationResult.KEY_DECODE_FAILED, `unable to decode public key: ${error.message}`, label);
+      return null;
+    }
+
+    result.addCheck('authorization');
+    return this._checkAuthorization(document, didDocument, verificationMethod, proof, label, result) ? publicKey : null;
+  }
+
+  /**
+   * Checks that the verification method is controlled by the VC issuer (or
+   * VP holder) and listed in its DID document under the verification
+   * relationship named by proof.proofPurpose. A VP without a holder cannot
+   * be authorized by a resolved key
+   * @param {Object} document - VC or VP
+   * @param {Object} didDocument - DID document of the verification method
+   * @param {Object} verificationMethod - Dereferenced verification method
+   * @param {Object} proof - Proof
+   * @param {string} label - 'VC' or 'VP' for audit logging
+   * @param {VerificationResult} result - Result receiving errors
+   * @returns {boolean} true if the key is authorized
+   * @private
+   */
+  _checkAuthorization(document, didDocument, verificationMethod, proof, label, result) {
+    const { controller, role } = this._expectedController(document, label);
+
+    // Without a holder there is no DID the key could be checked against
+    if (!controller) {
+      this._reject(result, VerificationResult.KEY_CONTROLLER_MISMATCH,
+        `verificationMethod ${proof.verificationMethod} cannot be authorized: the ${label} has no ${role}`, label);
+      return false;
+    }
+
+    if (didDocument.id !== controller || verificationMethod.controller !== controller) {
+      this._reject(result, VerificationResult.KEY_CONTROLLER_MISMATCH,
+        `verificationMethod ${proof.verificationMethod} is controlled by ${verificationMethod.controller}, not the ${role} ${controller}`, label);
+      return false;
+    }
+
+    if (!DidResolver.hasRelationship(didDocument, proof.proofPurpose, proof.verificationMethod)) {
+      this._reject(result, VerificationResult.KEY_NOT_AUTHORIZED,
+        `verificationMethod ${proof.verificationMethod} is not listed under ${proof.proofPurpose} in the DID document of ${didDocument.id}`, label);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Returns the DID that has to control the verification key: the VC issuer
+   * or the VP holder
+   * @param {Object} document - VC or VP
+   * @param {string} label - 'VC' or 'VP'
+   * @returns {Object} controller DID (undefined if the document names none) and its role
+   * @private
+   */
+  _expectedController(document, label) {
+    const party = label === 'VP' ? document.holder : document.issuer;
+    return {
+      controller: typeof party === 'object' && party !== null ? party.id : party,
+      role: label === 'VP' ? 'holder' : 'issuer'
+    };
+  }
+
+  /**
+   * Checks whether a key argument is a Keyring
+   * @param {*} key - Key argument
+   * @returns {boolean} true if the key is a Keyring
+   * @private
+   */
+  _isKeyring(key) {
+    return key instanceof Keyring;
+  }
+
+  /**
+   * Default verificationMethod for a key argument: the Signer id, the
+   * controller's active Keyring key, or the verification method of a did:key
+   * or did:jwk controller whose key is signing
+   * @param {crypto.KeyObject|string|Object|Keyring} key - Key argument
+   * @param {string} controller - Issuer or holder DID, selecting the Keyring key
+   * @param {string|Date} created - Proof creation time
+   * @returns {string|null} verificationMethod
+   * @throws {Error} If a Keyring has no active key for the controller
+   * @private
+   */
+  _defaultVerificationMethod(key, controller, created) {
+    if (this._isKeyring(key)) {
+      if (!controller) {
+        throw new Error('Signing with a Keyring requires an issuer, holder or options.controller');
+      }
+      return key.getActiveKey(controller, created || new Date(this.now())).id;
+    }
+    return this._signerId(key) || this._didVerificationMethod(key, controller);
+  }
+
+  /**
+   * Returns the verification method of a did:key or did:jwk controller if
+   * the key belongs to it
+   * @param {crypto.KeyObject|string|Object} key - Key argument
+   * @param {string} controller - Issuer or holder DID
+   * @returns {string|null} verificationMethod
+   * @private
+   */
+  _didVerificationMethod(key, controller) {
+    const method = [DidKey, DidJwk].find(didMethod =>
+      typeof controller === 'string' && controller.startsWith(didMethod.PREFIX));
+    if (!method || this._isSigner(key)) {
+      return null;
+    }
+    try {
+      return method.fromKey(key) === controller ? method.getVerificationMethodId(controller) : null;
+    } catch (error) {
+      // Invalid keys are reported when signing
+      return null;
+    }
+  }
+
+  /**
+   * Returns the id of a Signer, used as the default verificationMethod
+   * @param {crypto.KeyObject|string|Object} key - Key argument
+   * @returns {string|null} Signer id
+   * @private
+   */
+  _signerId(key) {
+    return this._isSigner(key) ? key.id || null : null;
+  }
+
+  /**
+   * Looks up the signing suite
+   * @param {string} name - Cryptosuite name (default: the legacy proof type)
+   * @returns {Cryptosuite} Suite
+   * @private
+   */
+  _getSuite(name) {
+    const suite = Cryptosuite.get(name || VerifiableCredentialService.PROOF_TYPE);
+    if (!this._isAllowed(suite)) {
+      throw new Error(`Cryptosuite ${suite.name} is not allowed by the ${this.profile} profile`);
+    }
+    return suite;
+  }
+
+  /**
+   * Checks whether the algorithm profile allows a suite
+   * @param {Cryptosuite} suite - Suite
+   * @returns {boolean} true if allowed
+   * @private
+   */
+  _isAllowed(suite) {
+    return suite.fipsApproved || this.profile === VerifiableCredentialService.PROFILE_NON_FIPS;
+  }
+
+  /**
+   * Helper method to read a key in any supported format: KeyObject, PEM, JWK
+   * (object or JSON), multibase, hex or Base64 DER (see KeyUtils.parseKey())
+   * @param {crypto.KeyObject|string|Object} key - Key in any supported format
    * @param {string} type - 'private' or 'public'
    * @returns {crypto.KeyObject} KeyObject
+   * @throws {Error} If the key cannot be read or a public key is given where a private key is required
    * @private
    */
   _getKeyObject(key, type) {
-    if (typeof key === 'string') {
-      // Convert Base64 encoded key to KeyObject
-      const keyBuffer = Buffer.from(key, 'base64');
-      if (type === 'private') {
-        return crypto.createPrivateKey({
-          key: keyBuffer,
-          format: 'der',
-          type: 'pkcs8'
-        });
-      } else {
-        return crypto.createPublicKey({
-          key: keyBuffer,
-          format: 'der',
-          type: 'spki'
-        });
-      }
+    const keyObject = KeyUtils.parseKey(key);
+
+    if (type === 'private' && keyObject.type !== 'private') {
+      throw new Error(`A private key is required for signing, but a ${keyObject.type} key was given`);
     }
-    // Already a KeyObject
-    return key;
+    // Private keys verify through their public key
+    return type === 'public' && keyObject.type === 'private' ? crypto.createPublicKey(keyObject) : keyObject;
   }
 
   /**
-   * Helper method to generate a new EC key pair
+   * Helper method to generate a new key pair
+   * @param {Object} options - Key options
+   * @param {string} options.keyType - EC_CURVE_NAME (default), P384_CURVE_NAME or ED25519_KEY_TYPE
+   * @param {string} options.profile - Algorithm profile; Ed25519 requires PROFILE_NON_FIPS
    * @returns {Object} Object containing Base64 encoded publicKey and privateKey
+   * @throws {Error} If the key type is unsupported or not allowed by the profile
    */
-  static generateKeyPair() {
-    const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', {
-      namedCurve: VerifiableCredentialService.EC_CURVE_NAME
-    });
+  static generateKeyPair(options = {}) {
+    const keyType = options.keyType || VerifiableCredentialService.EC_CURVE_NAME;
+    let keyPair;
+
+    if (keyType === VerifiableCredentialService.EC_CURVE_NAME ||
+        keyType === VerifiableCredentialService.P384_CURVE_NAME) {
+      keyPair = crypto.generateKeyPairSync('ec', {
+        namedCurve: keyType
+      });
+    } else if (keyType === VerifiableCredentialService.ED25519_KEY_TYPE) {
+      if (options.profile !== VerifiableCredentialService.PROFILE_NON_FIPS) {
+        throw new Error('Ed25519 keys require the non-fips algorithm profile');
+      }
+      keyPair = crypto.generateKeyPairSync('ed25519');
+    } else {
+      throw new Error(`Unsupported key type: ${keyType}`);
+    }
+    const { publicKey, privateKey } = keyPair;
 
     // Export keys as Base64 DER format
     const publicKeyBase64 = publicKey.export({
@@ -201,12 +1413,31 @@ class VerifiableCredentialService {
 
   /**
    * Helper method to create a wallet with a new key pair
-   * @returns {Object} Wallet object with DID and Base64 encoded keys
+   * @param {Object} options - Key options, as for generateKeyPair()
+   * @param {string} options.passphrase - Encrypts the private key into a JSON keystore instead of
+   *   returning it (unlock with Keystore.unlock())
+   * @param {Object} options.keystore - Keystore options, as for Keystore.encrypt()
+   * @returns {Object} Wallet object with the did:key DID and its verification method, Base64 encoded
+   *   public key and either the Base64 encoded private key or the encrypted keystore
    */
-  static createWallet() {
-    const { publicKey, privateKey } = this.generateKeyPair();
+  static createWallet(options = {}) {
+    const { publicKey, privateKey } = this.generateKeyPair(options);
+    const did = DidKey.fromKey(publicKey);
+    const verificationMethod = DidKey.getVerificationMethodId(did);
+
+    if (options.passphrase !== undefined) {
+      // The unprotected private key never leaves this method
+      return {
+        did,
+        verificationMethod,
+        publicKey: publicKey,
+        keystore: Keystore.encrypt(privateKey, options.passphrase, { id: did, ...options.keystore })
+      };
+    }
+
     return {
-      did: `did:example:${crypto.randomUUID()}`,
+      did,
+      verificationMethod,
       publicKey: publicKey,
       privateKey: privateKey
     };
@@ -2,17 +2,20 @@ import JSONLDCanon from './JSONLDCanon.js';
 import ProofGenerator from './ProofGenerator.js';
 import KeyUtils from './KeyUtils.js';
 import VerifiableCredentialService from './VerifiableCredentialService.js';
+import Cryptosuite from './Cryptosuite.js';
 
 export {
   JSONLDCanon,
   ProofGenerator,
   KeyUtils,
-  VerifiableCredentialService
+  VerifiableCredentialService,
+  Cryptosuite
 };
 
 export default {
   JSONLDCanon,
   ProofGenerator,
   KeyUtils,
-  VerifiableCredentialService
+  VerifiableCredentialService,
+  Cryptosuite
 };
\ No newline at end of file
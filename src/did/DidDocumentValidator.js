@@ -0,0 +1,292 @@
+import DidResolver from './DidResolver.js';
+
+/**
+ * Validates DID documents against the DID Core data model: DID and DID URL
+ * syntax, unique verification method and service ids, verification
+ * relationships referencing methods the document contains, and the shape of
+ * services and alsoKnownAs. Works on documents built locally as well as on
+ * documents resolved from others.
+ *
+ * Errors name the offending property with a JSON pointer, e.g.
+ * { path: '/verificationMethod/0/id', message: 'must be a DID URL' }.
+ */
+class DidDocumentValidator {
+  // DID Core ABNF: did:method-name:method-specific-id
+  static DID_PATTERN = /^did:[a-z0-9]+:(?:(?:[A-Za-z0-9._-]|%[0-9A-Fa-f]{2})*:)*(?:[A-Za-z0-9._-]|%[0-9A-Fa-f]{2})+$/;
+  // RFC 3986 pchar, plus "/" and "?" in queries and fragments
+  static PCHAR = "(?:[A-Za-z0-9\\-._~!$&'()*+,;=:@]|%[0-9A-Fa-f]{2})";
+  static DID_URL_PATTERN = new RegExp(
+    `^(did:[a-z0-9]+:[^/?#]+)((?:/${DidDocumentValidator.PCHAR}*)*)` +
+    `(?:\\?(?:${DidDocumentValidator.PCHAR}|[/?])*)?(?:#(?:${DidDocumentValidator.PCHAR}|[/?])*)?$`);
+  static URI_PATTERN = /^[A-Za-z][A-Za-z0-9+.-]*:[^\s]+$/;
+  static VERIFICATION_MATERIAL = ['publicKeyJwk', 'publicKeyMultibase'];
+
+  /**
+   * Checks whether a value is a DID.
+   *
+   * @param {*} value The value
+   * @returns {boolean} true if the value follows the DID syntax
+   */
+  static isDid(value) {
+    return typeof value === 'string' && DidDocumentValidator.DID_PATTERN.test(value);
+  }
+
+  /**
+   * Checks whether a value is a DID URL (a DID with optional path, query and
+   * fragment).
+   *
+   * @param {*} value The value
+   * @returns {boolean} true if the value follows the DID URL syntax
+   */
+  static isDidUrl(value) {
+    if (typeof value !== 'string') return false;
+    const match = DidDocumentValidator.DID_URL_PATTERN.exec(value);
+    return match !== null && DidDocumentValidator.isDid(match[1]);
+  }
+
+  /**
+   * Validates a DID document.
+   *
+   * @param {object} document DID document
+   * @returns {object} { valid, errors } where each error has a JSON pointer path and a message
+   */
+  static validate(document) {
+    const errors = [];
+    const error = (path, message) => errors.push({ path, message });
+
+    if (typeof document !== 'object' || document === null || Array.isArray(document)) {
+      error('', 'must be a JSON object');
+      return { valid: false, errors };
+    }
+
+    if (!DidDocumentValidator.isDid(document.id)) {
+      error('/id', 'must be a DID');
+    }
+    const did = document.id;
+
+    if (document.controller !== undefined) {
+      const isArray = Array.isArray(document.controller);
+      const controllers = isArray ? document.controller : [document.controller];
+      if (controllers.length === 0) {
+        error('/controller', 'must not be empty');
+      }
+      controllers.forEach((controller, index) => {
+        if (!DidDocumentValidator.isDid(controller)) {
+          error(isArray ? `/controller/${index}` : '/controller', 'must be a DID');
+        }
+      });
+    }
+
+    if (document.alsoKnownAs !== undefined) {
+      if (!Array.isArray(document.alsoKnownAs)) {
+        error('/alsoKnownAs', 'must be an array');
+      } else {
+        document.alsoKnownAs.forEach((uri, index) => {
+          if (!DidDocumentValidator._isUri(uri)) {
+            error(`/alsoKnownAs/${index}`, 'must be a URI');
+          }
+        });
+      }
+    }
+
+    // Every verification method and service id must be unique once resolved against the DID
+    const ids = new Map();
+    const claimId = (id, path) => {
+      const absolute = DidDocumentValidator._absolute(id, did);
+      if (ids.has(absolute)) {
+        error(path, `duplicates the id ${absolute} of ${ids.get(absolute) || '/'}`);
+      } else {
+        ids.set(absolute, path);
+      }
+    };
+
+    const methodIds = new Set();
+    const checkMethod = (method, path) => {
+      DidDocumentValidator._validateVerificationMethod(method, path, error);
+      if (typeof method?.id === 'string') {
+        claimId(method.id, `${path}/id`);
+        methodIds.add(DidDocumentValidator._absolute(method.id, did));
+      }
+    };
+
+    if (document.verificationMethod !== undefined) {
+      if (!Array.isArray(document.verificationMethod)) {
+        error('/verificationMethod', 'must be an array');
+      } else {
+        document.verificationMethod.forEach((method, index) => checkMethod(method, `/verificationMethod/${index}`));
+      }
+    }
+
+    // Embedded methods first, so references may point at a method embedded in another relationship
+    const references = [];
+    for (const relationship of DidResolver.RELATIONSHIPS) {
+      if (document[relationship] === undefined) continue;
+      if (!Array.isArray(document[relationship])) {
+        error(`/${relationship}`, 'must be an array');
+        continue;
+      }
+      document[relationship].forEach((entry, index) => {
+        const path = `/${relationship}/${index}`;
+        if (typeof entry === 'string') {
+          references.push({ reference: entry, path });
+        } else {
+          checkMethod(entry, path);
+        }
+      });
+    }
+
+    for (const { reference, path } of references) {
+      if (!DidDocumentValidator._isDidUrlReference(reference)) {
+        error(path, 'must be a DID URL or an embedded verification method');
+        continue;
+      }
+      const absolute = DidDocumentValidator._absolute(reference, did);
+      if (absolute.split('#')[0] === did && !methodIds.has(absolute)) {
+        error(path, `references verification method ${absolute}, which the document does not contain`);
+      }
+    }
+
+    if (document.service !== undefined) {
+      if (!Array.isArray(document.service)) {
+        error('/service', 'must be an array');
+      } else {
+        document.service.forEach((service, index) => {
+          const path = `/service/${index}`;
+          DidDocumentValidator._validateService(service, path, error);
+          if (typeof service?.id === 'string') {
+            claimId(service.id, `${path}/id`);
+          }
+        });
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Validates a DID document, throwing an error that lists every problem found.
+   *
+   * @param {object} document DID document
+   * @returns {object} The document
+   * @throws {Error} If the document is not a valid DID document
+   */
+  static assertValid(document) {
+    const { valid, errors } = DidDocumentValidator.validate(document);
+    if (!valid) {
+      const details = errors.map(({ path, message }) => `${path || '/'} ${message}`).join('; ');
+      throw new Error(`Invalid DID document: ${details}`);
+    }
+    return document;
+  }
+
+  /**
+   * Validates a verification method.
+   *
+   * @param {object} method Verification method
+   * @param {string} path JSON pointer of the method
+   * @param {Function} error Error collector
+   * @private
+   */
+  static _validateVerificationMethod(method, path, error) {
+    if (typeof method !== 'object' || method === null || Array.isArray(method)) {
+      error(path, 'must be a verification method object');
+      return;
+    }
+    if (!DidDocumentValidator._isDidUrlReference(method.id)) {
+      error(`${path}/id`, 'must be a DID URL');
+    }
+    if (typeof method.type !== 'string' || method.type === '') {
+      error(`${path}/type`, 'must be a string');
+    }
+    if (!DidDocumentValidator.isDid(method.controller)) {
+      error(`${path}/controller`, 'must be a DID');
+    }
+
+    const material = DidDocumentValidator.VERIFICATION_MATERIAL.filter(property => method[property] !== undefined);
+    if (material.length > 1) {
+      error(path, `must not contain both ${material.join(' and ')}`);
+    }
+    if (method.publicKeyJwk !== undefined) {
+      if (typeof method.publicKeyJwk !== 'object' || method.publicKeyJwk === null || Array.isArray(method.publicKeyJwk)) {
+        error(`${path}/publicKeyJwk`, 'must be a JWK object');
+      } else if (method.publicKeyJwk.d !== undefined) {
+        error(`${path}/publicKeyJwk`, 'must not contain a private key');
+      }
+    }
+    if (method.publicKeyMultibase !== undefined &&
+        (typeof method.publicKeyMultibase !== 'string' || !/^z[1-9A-HJ-NP-Za-km-z]+$/.test(method.publicKeyMultibase))) {
+      error(`${path}/publicKeyMultibase`, 'must be a base58btc multibase string');
+    }
+  }
+
+  /**
+   * Validates a service.
+   *
+   * @param {object} service Service
+   * @param {string} path JSON pointer of the service
+   * @param {Function} error Error collector
+   * @private
+   */
+  static _validateService(service, path, error) {
+    if (typeof service !== 'object' || service === null || Array.isArray(service)) {
+      error(path, 'must be a service object');
+      return;
+    }
+    if (!DidDocumentValidator._isUri(service.id) && !DidDocumentValidator._isDidUrlReference(service.id)) {
+      error(`${path}/id`, 'must be a URI');
+    }
+
+    const types = Array.isArray(service.type) ? service.type : [service.type];
+    if (types.length === 0 || types.some(type => typeof type !== 'string' || type === '')) {
+      error(`${path}/type`, 'must be a string or an array of strings');
+    }
+
+    const endpoint = service.serviceEndpoint;
+    const endpoints = Array.isArray(endpoint) ? endpoint : [endpoint];
+    const isEndpoint = value => DidDocumentValidator._isUri(value) ||
+      (typeof value === 'object' && value !== null && !Array.isArray(value));
+    if (endpoints.length === 0 || !endpoints.every(isEndpoint)) {
+      error(`${path}/serviceEndpoint`, 'must be a URI, a map or an array of them');
+    }
+  }
+
+  /**
+   * Checks whether a value is a DID URL or a fragment relative to the document ("#key-1").
+   *
+   * @param {*} value The value
+   * @returns {boolean} true for DID URLs and relative fragments
+   * @private
+   */
+  static _isDidUrlReference(value) {
+    if (typeof value !== 'string') return false;
+    if (value.startsWith('#')) {
+      return new RegExp(`^#(?:${DidDocumentValidator.PCHAR}|[/?])+$`).test(value);
+    }
+    return DidDocumentValidator.isDidUrl(value);
+  }
+
+  /**
+   * Checks whether a value is an absolute URI.
+   *
+   * @param {*} value The value
+   * @returns {boolean} true for strings with a scheme
+   * @private
+   */
+  static _isUri(value) {
+    return typeof value === 'string' && DidDocumentValidator.URI_PATTERN.test(value);
+  }
+
+  /**
+   * Resolves an id relative to the document ("#key-1") against the DID.
+   *
+   * @param {string} id The id
+   * @param {string} did The document DID
+   * @returns {string} Absolute id
+   * @private
+   */
+  static _absolute(id, did) {
+    return id.startsWith('#') ? `${did}${id}` : id;
+  }
+}
+
+export default DidDocumentValidator;
@@ -0,0 +1,121 @@
+import crypto from 'crypto';
+import canonicalize from 'canonicalize';
+import KeyUtils from '../crypto/KeyUtils.js';
+import DidKey from './DidKey.js';
+
+/**
+ * did:jwk method: the method-specific identifier is the base64url encoded
+ * JSON of a public JWK, so a did:jwk resolves without any network access.
+ * The single verification method is `${did}#0`.
+ */
+class DidJwk {
+  static PREFIX = 'did:jwk:';
+  static VERIFICATION_METHOD_TYPE = 'JsonWebKey2020';
+  static JWS_2020_CONTEXT = 'https://w3id.org/security/suites/jws-2020/v1';
+  static SIGNING_RELATIONSHIPS = ['assertionMethod', 'authentication', 'capabilityInvocation', 'capabilityDelegation'];
+
+  /**
+   * Builds the did:jwk identifier of a key from its public JWK, serialized
+   * with sorted members (JCS) so a key has one identifier. Private keys are
+   * reduced to their public key.
+   *
+   * @param {crypto.KeyObject|string|object} key Key in any format KeyUtils.parseKey() reads
+   * @returns {string} The DID
+   * @throws {Error} If the key is not a P-256, P-384 or Ed25519 key
+   */
+  static fromKey(key) {
+    const keyObject = KeyUtils.parseKey(key);
+    const publicKey = keyObject.type === 'private' ? crypto.createPublicKey(keyObject) : keyObject;
+    return `${DidJwk.PREFIX}${Buffer.from(canonicalize(KeyUtils.toJwk(publicKey))).toString('base64url')}`;
+  }
+
+  /**
+   * Decodes the JWK of a did:jwk. A DID URL fragment is ignored.
+   *
+   * @param {string} did The DID or DID URL
+   * @returns {object} The public JWK
+   * @throws {Error} If the DID is not a valid did:jwk
+   */
+  static toJwk(did) {
+    if (!DidJwk.isDidJwk(did)) {
+      throw new Error(`Invalid did:jwk: ${did}`);
+    }
+
+    const encoded = did.slice(DidJwk.PREFIX.length).split('#')[0];
+    let jwk;
+    try {
+      if (!/^[A-Za-z0-9_-]+$/.test(encoded)) throw new Error('identifier is not base64url');
+      jwk = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+      KeyUtils.fromJwk(jwk);
+    } catch (error) {
+      throw new Error(`Invalid did:jwk ${did}: ${error.message}`);
+    }
+    if (jwk.d !== undefined) {
+      throw new Error(`Invalid did:jwk ${did}: the JWK must not contain a private key`);
+    }
+    return jwk;
+  }
+
+  /**
+   * Reads the public key of a did:jwk. A DID URL fragment is ignored.
+   *
+   * @param {string} did The DID or DID URL
+   * @returns {crypto.KeyObject} The public key
+   * @throws {Error} If the DID is not a valid did:jwk
+   */
+  static toKey(did) {
+    return KeyUtils.fromJwk(DidJwk.toJwk(did));
+  }
+
+  /**
+   * Returns the id of the verification method of a did:jwk.
+   *
+   * @param {string} did The DID
+   * @returns {string} Verification method id (did#0)
+   */
+  static getVerificationMethodId(did) {
+    return `${did.split('#')[0]}#0`;
+  }
+
+  /**
+   * Checks whether a value is a did:jwk DID or DID URL.
+   *
+   * @param {*} value The value
+   * @returns {boolean} true for strings starting with "did:jwk:"
+   */
+  static isDidJwk(value) {
+    return typeof value === 'string' && value.startsWith(DidJwk.PREFIX);
+  }
+
+  /**
+   * Resolves a did:jwk into its DID document. A DID URL fragment is ignored.
+   * The JWK's `use` member limits the verification relationships: "sig" keys
+   * only sign, "enc" keys are only listed under keyAgreement.
+   *
+   * @param {string} did The DID or DID URL
+   * @returns {object} DID document
+   * @throws {Error} If the DID is not a valid did:jwk
+   */
+  static resolve(did) {
+    const publicKeyJwk = DidJwk.toJwk(did);
+    const id = did.split('#')[0];
+    const methodId = DidJwk.getVerificationMethodId(id);
+
+    const document = {
+      '@context': [DidKey.DID_CONTEXT, DidJwk.JWS_2020_CONTEXT],
+      id,
+      verificationMethod: [{ id: methodId, type: DidJwk.VERIFICATION_METHOD_TYPE, controller: id, publicKeyJwk }]
+    };
+    if (publicKeyJwk.use !== 'enc') {
+      for (const relationship of DidJwk.SIGNING_RELATIONSHIPS) {
+        document[relationship] = [methodId];
+      }
+    }
+    if (publicKeyJwk.use !== 'sig') {
+      document.keyAgreement = [methodId];
+    }
+    return document;
+  }
+}
+
+export default DidJwk;
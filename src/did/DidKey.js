@@ -0,0 +1,133 @@
+import crypto from 'crypto';
+import KeyUtils from '../crypto/KeyUtils.js';
+
+/**
+ * did:key method for P-256, P-384 and Ed25519 keys.
+ *
+ * The method-specific identifier is the key's publicKeyMultibase value
+ * (compressed for EC keys), so a did:key resolves to its DID document without
+ * any network access. The single verification method is `${did}#${fingerprint}`.
+ */
+class DidKey {
+  static PREFIX = 'did:key:';
+  static FORMAT_MULTIKEY = 'Multikey';
+  static FORMAT_JSON_WEB_KEY = 'JsonWebKey';
+  static DID_CONTEXT = 'https://www.w3.org/ns/did/v1';
+  static FORMAT_CONTEXTS = {
+    Multikey: 'https://w3id.org/security/multikey/v1',
+    JsonWebKey: 'https://w3id.org/security/jwk/v1'
+  };
+  static VERIFICATION_RELATIONSHIPS = ['authentication', 'assertionMethod', 'capabilityInvocation', 'capabilityDelegation'];
+
+  /**
+   * Builds the did:key identifier of a key. Private keys are reduced to their
+   * public key.
+   *
+   * @param {crypto.KeyObject|string|object} key Key in any format KeyUtils.parseKey() reads
+   * @returns {string} The DID (e.g. "did:key:zDn..." for P-256)
+   * @throws {Error} If the key is not a P-256, P-384 or Ed25519 key
+   */
+  static fromKey(key) {
+    const keyObject = KeyUtils.parseKey(key);
+    const publicKey = keyObject.type === 'private' ? crypto.createPublicKey(keyObject) : keyObject;
+    return `${DidKey.PREFIX}${KeyUtils.toPublicKeyMultibase(publicKey)}`;
+  }
+
+  /**
+   * Reads the public key of a did:key. A DID URL fragment is ignored.
+   *
+   * @param {string} did The DID or DID URL
+   * @returns {crypto.KeyObject} The public key
+   * @throws {Error} If the DID is not a valid did:key
+   */
+  static toKey(did) {
+    return KeyUtils.fromPublicKeyMultibase(DidKey._fingerprint(did));
+  }
+
+  /**
+   * Returns the id of the verification method of a did:key.
+   *
+   * @param {string} did The DID
+   * @returns {string} Verification method id (did#fingerprint)
+   * @throws {Error} If the DID is not a valid did:key
+   */
+  static getVerificationMethodId(did) {
+    const fingerprint = DidKey._fingerprint(did);
+    return `${DidKey.PREFIX}${fingerprint}#${fingerprint}`;
+  }
+
+  /**
+   * Checks whether a value is a did:key DID or DID URL.
+   *
+   * @param {*} value The value
+   * @returns {boolean} true for strings starting with "did:key:"
+   */
+  static isDidKey(value) {
+    return typeof value === 'string' && value.startsWith(DidKey.PREFIX);
+  }
+
+  /**
+   * Resolves a did:key into its DID document. A DID URL fragment is ignored.
+   *
+   * @param {string} did The DID or DID URL
+   * @param {object} options Resolution options
+   * @param {string} options.publicKeyFormat DidKey.FORMAT_MULTIKEY (default) or DidKey.FORMAT_JSON_WEB_KEY
+   * @returns {object} DID document
+   * @throws {Error} If the DID is not a valid did:key or the format is unsupported
+   */
+  static resolve(did, options = {}) {
+    const publicKeyFormat = options.publicKeyFormat || DidKey.FORMAT_MULTIKEY;
+    if (!DidKey.FORMAT_CONTEXTS[publicKeyFormat]) {
+      throw new Error(`Unsupported did:key publicKeyFormat: ${publicKeyFormat}`);
+    }
+
+    const fingerprint = DidKey._fingerprint(did);
+    const id = `${DidKey.PREFIX}${fingerprint}`;
+    const verificationMethod = { id: `${id}#${fingerprint}`, type: publicKeyFormat, controller: id };
+    if (publicKeyFormat === DidKey.FORMAT_JSON_WEB_KEY) {
+      verificationMethod.publicKeyJwk = KeyUtils.toJwk(KeyUtils.fromPublicKeyMultibase(fingerprint));
+    } else {
+      verificationMethod.publicKeyMultibase = fingerprint;
+    }
+
+    const document = {
+      '@context': [DidKey.DID_CONTEXT, DidKey.FORMAT_CONTEXTS[publicKeyFormat]],
+      id,
+      verificationMethod: [verificationMethod]
+    };
+    for (const relationship of DidKey.VERIFICATION_RELATIONSHIPS) {
+      document[relationship] = [verificationMethod.id];
+    }
+    return document;
+  }
+
+  /**
+   * Extracts and validates the multibase fingerprint of a did:key.
+   *
+   * @param {string} did The DID or DID URL
+   * @returns {string} publicKeyMultibase value
+   * @throws {Error} If the DID is not a valid did:key
+   * @private
+   */
+  static _fingerprint(did) {
+    if (!DidKey.isDidKey(did)) {
+      throw new Error(`Invalid did:key: ${did}`);
+    }
+
+    const fingerprint = did.slice(DidKey.PREFIX.length).split('#')[0];
+    let publicKey;
+    try {
+      publicKey = KeyUtils.fromPublicKeyMultibase(fingerprint);
+    } catch (error) {
+      throw new Error(`Invalid did:key ${did}: ${error.message}`);
+    }
+
+    // One key, one DID: EC points must be compressed
+    if (KeyUtils.toPublicKeyMultibase(publicKey) !== fingerprint) {
+      throw new Error(`Invalid did:key ${did}: public key is not in its canonical compressed form`);
+    }
+    return fingerprint;
+  }
+}
+
+export default DidKey;
@@ -0,0 +1,298 @@
+import DidKey from './DidKey.js';
+import DidWeb from './DidWeb.js';
+import DidJwk from './DidJwk.js';
+
+/**
+ * DID resolver registry: resolves DIDs with the resolver registered for their
+ * method and caches the documents for a time-to-live.
+ *
+ * A method resolver is an object with `resolve(did)` returning a DID document
+ * or a Promise of one. Methods registered as synchronous (did:key, did:jwk) also resolve
+ * through resolveSync(), which the synchronous verify methods use; other
+ * methods are only available synchronously once cached.
+ */
+class DidResolver {
+  static DEFAULT_TTL = 300000; // 5 minutes
+  static RELATIONSHIPS = ['authentication', 'assertionMethod', 'keyAgreement', 'capabilityInvocation', 'capabilityDelegation'];
+
+  /**
+   * @param {object} options Registry options
+   * @param {number} options.ttl Default cache time-to-live in milliseconds (default: 5 minutes, 0 disables caching)
+   * @param {Function} options.fetch fetch implementation for the default did:web resolver
+   * @param {object} options.didWeb Further options of the default did:web resolver, see DidWeb
+   *   (allowed and denied hosts, private networks, maxSize, timeout)
+   * @param {boolean} options.defaults Register did:key, did:jwk and did:web (default: true)
+   * @param {Function} options.now Clock returning milliseconds since the epoch (default: Date.now)
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl ?? DidResolver.DEFAULT_TTL;
+    this.now = options.now || Date.now;
+    this.methods = new Map();
+    this.cache = new Map();
+    this.pending = new Map();
+
+    if (options.defaults !== false) {
+      this.register('key', DidKey, { sync: true });
+      this.register('jwk', DidJwk, { sync: true });
+      this.register('web', new DidWeb({ fetch: options.fetch, ...options.didWeb }));
+    }
+  }
+
+  /**
+   * Registers the resolver of a DID method, replacing any previous one.
+   *
+   * @param {string} method Method name (e.g. "web" for did:web)
+   * @param {object} resolver Object with resolve(did) returning a DID document or a Promise of one
+   * @param {object} options Method options
+   * @param {boolean} options.sync resolve() returns the document directly (default: false)
+   * @param {number} options.ttl Cache time-to-live in milliseconds (default: the registry ttl)
+   * @returns {DidResolver} The registry
+   * @throws {Error} If the method name or resolver is invalid
+   */
+  register(method, resolver, options = {}) {
+    if (!/^[a-z0-9]+$/.test(method)) {
+      throw new Error(`Invalid DID method name: ${method}`);
+    }
+    if (typeof resolver?.resolve !== 'function') {
+      throw new Error(`The did:${method} resolver must have a resolve(did) method`);
+    }
+
+    this.methods.set(method, { resolver, sync: options.sync === true, ttl: options.ttl ?? this.ttl });
+    this.clearCache(method);
+    return this;
+  }
+
+  /**
+   * Removes the resolver of a DID method and its cached documents.
+   *
+   * @param {string} method Method name
+   * @returns {boolean} true if the method was registered
+   */
+  unregister(method) {
+    this.clearCache(method);
+    return this.methods.delete(method);
+  }
+
+  /**
+   * Lists the registered DID methods.
+   *
+   * @returns {string[]} Method names
+   */
+  getMethods() {
+    return [...this.methods.keys()];
+  }
+
+  /**
+   * Resolves a DID. A DID URL fragment is ignored.
+   *
+   * @param {string} did The DID or DID URL
+   * @returns {Promise<object>} DID document
+   * @throws {Error} If the method is not registered or resolution fails
+   */
+  async resolve(did) {
+    const { id, method, entry } = this._lookup(did);
+    const cached = this._getCached(id);
+    if (cached) return cached;
+
+    // Concurrent requests for the same DID share one resolution
+    if (!this.pending.has(id)) {
+      const resolution = Promise.resolve()
+        .then(() => entry.resolver.resolve(id))
+        .then(document => this._store(id, method, entry, document))
+        .finally(() => this.pending.delete(id));
+      this.pending.set(id, resolution);
+    }
+    return this.pending.get(id);
+  }
+
+  /**
+   * Resolves a DID without waiting: from the cache, or with a synchronous
+   * method resolver.
+   *
+   * @param {string} did The DID or DID URL
+   * @returns {object} DID document
+   * @throws {Error} If the method is not registered, only resolves asynchronously, or resolution fails
+   */
+  resolveSync(did) {
+    const { id, method, entry } = this._lookup(did);
+    const cached = this._getCached(id);
+    if (cached) return cached;
+
+    if (!entry.sync) {
+      throw new Error(`did:${method} DIDs resolve asynchronously; use the async verify methods or resolve() first`);
+    }
+    return this._store(id, method, entry, entry.resolver.resolve(id));
+  }
+
+  /**
+   * Dereferences a verification method DID URL (did#fragment) to the
+   * verification method in the DID document.
+   *
+   * @param {string} didUrl Verification method id
+   * @returns {Promise<object>} Verification method, with an absolute id
+   * @throws {Error} If the DID cannot be resolved or its document has no such verification method
+   */
+  async dereference(didUrl) {
+    DidResolver._splitDidUrl(didUrl);
+    return DidResolver.findVerificationMethod(await this.resolve(didUrl), didUrl);
+  }
+
+  /**
+   * Dereferences a verification method DID URL without waiting, as for resolveSync().
+   *
+   * @param {string} didUrl Verification method id
+   * @returns {object} Verification method, with an absolute id
+   * @throws {Error} If the DID cannot be resolved synchronously or its document has no such verification method
+   */
+  dereferenceSync(didUrl) {
+    DidResolver._splitDidUrl(didUrl);
+    return DidResolver.findVerificationMethod(this.resolveSync(didUrl), didUrl);
+  }
+
+  /**
+   * Drops cached documents: all of them, or those of one DID method.
+   *
+   * @param {string} method Method name (default: every method)
+   */
+  clearCache(method) {
+    for (const id of [...this.cache.keys()]) {
+      if (!method || id.startsWith(`did:${method}:`)) {
+        this.cache.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Finds a verification method in a DID document by DID URL. Ids relative to
+   * the document ("#key-1") and verification methods embedded in verification
+   * relationships are found too.
+   *
+   * @param {object} document DID document
+   * @param {string} didUrl Verification method id
+   * @returns {object} Verification method, with an absolute id
+   * @throws {Error} If the document has no such verification method
+   */
+  static findVerificationMethod(document, didUrl) {
+    const { did, fragment } = DidResolver._splitDidUrl(didUrl);
+    const candidates = [
+      ...DidResolver._asArray(document.verificationMethod),
+      ...DidResolver.RELATIONSHIPS.flatMap(relationship => DidResolver._asArray(document[relationship]))
+    ];
+
+    const match = candidates.find(method => typeof method === 'object' && method !== null &&
+      (method.id === didUrl || (method.id === `#${fragment}` && document.id === did)));
+    if (!match) {
+      throw new Error(`DID document ${document.id} has no verification method ${didUrl}`);
+    }
+    return { ...match, id: didUrl, controller: match.controller || document.id };
+  }
+
+  /**
+   * Checks whether a DID document lists a verification method under a
+   * verification relationship, by reference or embedded.
+   *
+   * @param {object} document DID document
+   * @param {string} relationship Verification relationship (e.g. "assertionMethod")
+   * @param {string} didUrl Verification method id
+   * @returns {boolean} true if the verification method is listed
+   */
+  static hasRelationship(document, relationship, didUrl) {
+    if (!DidResolver.RELATIONSHIPS.includes(relationship)) return false;
+
+    const { did, fragment } = DidResolver._splitDidUrl(didUrl);
+    return DidResolver._asArray(document[relationship]).some(entry => {
+      const id = typeof entry === 'string' ? entry : entry?.id;
+      return id === didUrl || (id === `#${fragment}` && document.id === did);
+    });
+  }
+
+  /**
+   * Finds the registered method of a DID.
+   *
+   * @param {string} did The DID or DID URL
+   * @returns {object} DID without fragment, method name and registration
+   * @throws {Error} If the value is not a DID or its method is not registered
+   * @private
+   */
+  _lookup(did) {
+    const id = typeof did === 'string' ? did.split('#')[0] : '';
+    const match = /^did:([a-z0-9]+):\S+$/.exec(id);
+    if (!match) {
+      throw new Error(`Invalid DID: ${did}`);
+    }
+
+    const entry = this.methods.get(match[1]);
+    if (!entry) {
+      throw new Error(`Unsupported DID method: did:${match[1]}`);
+    }
+    return { id, method: match[1], entry };
+  }
+
+  /**
+   * Returns a cached document that has not expired.
+   *
+   * @param {string} id The DID
+   * @returns {object|null} DID document
+   * @private
+   */
+  _getCached(id) {
+    const cached = this.cache.get(id);
+    if (!cached) return null;
+    if (cached.expires <= this.now()) {
+      this.cache.delete(id);
+      return null;
+    }
+    return cached.document;
+  }
+
+  /**
+   * Checks a resolved document and caches it.
+   *
+   * @param {string} id The DID
+   * @param {string} method Method name
+   * @param {object} entry Method registration
+   * @param {object} document Resolved DID document
+   * @returns {object} The document
+   * @throws {Error} If the document id is not the DID
+   * @private
+   */
+  _store(id, method, entry, document) {
+    if (document?.id !== id) {
+      throw new Error(`The did:${method} resolver returned document ${document?.id} for ${id}`);
+    }
+    if (entry.ttl > 0 && this.methods.get(method) === entry) {
+      this.cache.set(id, { document, expires: this.now() + entry.ttl });
+    }
+    return document;
+  }
+
+  /**
+   * Splits a verification method DID URL.
+   *
+   * @param {string} didUrl The DID URL
+   * @returns {object} did and fragment
+   * @throws {Error} If the DID URL has no fragment
+   * @private
+   */
+  static _splitDidUrl(didUrl) {
+    const index = typeof didUrl === 'string' ? didUrl.indexOf('#') : -1;
+    if (index <= 0 || index === didUrl.length - 1) {
+      throw new Error(`Verification method ${didUrl} must be a DID URL with a fragment`);
+    }
+    return { did: didUrl.slice(0, index), fragment: didUrl.slice(index + 1) };
+  }
+
+  /**
+   * Normalizes a DID document property to an array.
+   *
+   * @param {*} value The property
+   * @returns {Array} The values
+   * @private
+   */
+  static _asArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+}
+
+export default DidResolver;
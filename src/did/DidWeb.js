@@ -0,0 +1,305 @@
+import dns from 'dns';
+import net from 'net';
+import DidKey from './DidKey.js';
+
+/**
+ * did:web method: DID documents published over HTTPS.
+ *
+ * `did:web:example.com` maps to `https://example.com/.well-known/did.json` and
+ * `did:web:example.com:issuers:1` to `https://example.com/issuers/1/did.json`.
+ * A port is percent-encoded in the domain (`did:web:localhost%3A8443`).
+ *
+ * A DID names the host the resolver connects to, so resolution is limited:
+ * redirects are refused, documents are capped in size, and hosts on the local
+ * or a private network (localhost, loopback, private and link-local
+ * addresses, checked on the host and on what its name resolves to) are
+ * refused unless options.allowPrivateNetworks is set.
+ */
+class DidWeb {
+  static PREFIX = 'did:web:';
+  static WELL_KNOWN_PATH = '/.well-known/did.json';
+  static DOCUMENT_NAME = 'did.json';
+  static DEFAULT_TIMEOUT = 10000;
+  static DEFAULT_MAX_SIZE = 256 * 1024;
+  static DEFAULT_RELATIONSHIPS = ['assertionMethod', 'authentication'];
+  // Loopback, private, shared, link-local, reserved and multicast ranges
+  static PRIVATE_NETWORKS = [
+    ['0.0.0.0', 8, 'ipv4'], ['10.0.0.0', 8, 'ipv4'], ['100.64.0.0', 10, 'ipv4'], ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'], ['172.16.0.0', 12, 'ipv4'], ['192.0.0.0', 24, 'ipv4'], ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'], ['224.0.0.0', 3, 'ipv4'],
+    ['::', 127, 'ipv6'], ['64:ff9b::', 96, 'ipv6'], ['fc00::', 7, 'ipv6'], ['fe80::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6']
+  ];
+  // net.BlockList of PRIVATE_NETWORKS, built on first use; it also matches IPv4-mapped IPv6 addresses
+  static _privateNetworks = null;
+
+  /**
+   * @param {object} options Resolver options
+   * @param {Function} options.fetch WHATWG fetch implementation (default: globalThis.fetch)
+   * @param {number} options.timeout Request timeout in milliseconds (default: 10000)
+   * @param {number} options.maxSize Largest DID document accepted, in bytes (default: 256 KiB)
+   * @param {string[]} options.allowedHosts Host names DIDs may resolve from (default: any public host)
+   * @param {string[]} options.deniedHosts Host names DIDs never resolve from (default: none)
+   * @param {boolean} options.allowPrivateNetworks Also resolve from localhost and private network
+   *   addresses (default: false)
+   * @param {Function} options.lookup Resolves a host name to `[{ address, family }]` for the private
+   *   network check (default: dns.promises.lookup with all addresses)
+   */
+  constructor(options = {}) {
+    this.fetch = options.fetch || globalThis.fetch;
+    this.timeout = options.timeout || DidWeb.DEFAULT_TIMEOUT;
+    this.maxSize = options.maxSize || DidWeb.DEFAULT_MAX_SIZE;
+    this.allowedHosts = options.allowedHosts ? options.allowedHosts.map(host => host.toLowerCase()) : null;
+    this.deniedHosts = (options.deniedHosts || []).map(host => host.toLowerCase());
+    this.allowPrivateNetworks = options.allowPrivateNetworks === true;
+    this.lookup = options.lookup || (hostname => dns.promises.lookup(hostname, { all: true }));
+  }
+
+  /**
+   * Fetches and checks the DID document of a did:web. A DID URL fragment is
+   * ignored.
+   *
+   * @param {string} did The DID or DID URL
+   * @returns {Promise<object>} DID document
+   * @throws {Error} If the DID is invalid, its host is not allowed, the document cannot be
+   *   fetched, is redirected or too large, or its id is not the DID
+   */
+  async resolve(did) {
+    const id = did.split('#')[0];
+    const url = DidWeb.toUrl(id);
+    await this._checkHost(new URL(url).hostname, id);
+
+    let response;
+    try {
+      response = await this.fetch(url, {
+        headers: { accept: 'application/did+json, application/json' },
+        redirect: 'error',
+        signal: AbortSignal.timeout(this.timeout)
+      });
+    } catch (error) {
+      throw new Error(`Unable to resolve ${id}: ${error.message}`);
+    }
+    if (response.redirected) {
+      throw new Error(`Unable to resolve ${id}: ${url} redirected to ${response.url}`);
+    }
+    if (!response.ok) {
+      throw new Error(`Unable to resolve ${id}: ${url} returned HTTP ${response.status}`);
+    }
+
+    const body = await this._readBody(response, url, id);
+    let document;
+    try {
+      document = JSON.parse(body);
+    } catch (error) {
+      throw new Error(`Unable to resolve ${id}: ${url} did not return a JSON DID document`);
+    }
+    if (document?.id !== id) {
+      throw new Error(`Unable to resolve ${id}: DID document id ${document?.id} does not match`);
+    }
+    return document;
+  }
+
+  /**
+   * Checks the host of a did:web against the allowed and denied hosts and,
+   * unless private networks are allowed, against the private network ranges.
+   *
+   * @param {string} hostname The host name, as the URL parser normalized it
+   * @param {string} id The DID, for the error message
+   * @throws {Error} If the host is not allowed
+   * @private
+   */
+  async _checkHost(hostname, id) {
+    if (this.deniedHosts.includes(hostname) || (this.allowedHosts && !this.allowedHosts.includes(hostname))) {
+      throw new Error(`Unable to resolve ${id}: host ${hostname} is not allowed`);
+    }
+    if (this.allowPrivateNetworks) return;
+
+    if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+      throw new Error(`Unable to resolve ${id}: host ${hostname} is on the local network`);
+    }
+    let addresses;
+    if (net.isIP(hostname)) {
+      addresses = [{ address: hostname }];
+    } else {
+      try {
+        addresses = await this.lookup(hostname);
+      } catch (error) {
+        throw new Error(`Unable to resolve ${id}: ${error.message}`);
+      }
+    }
+    const local = addresses.find(({ address }) => DidWeb.isPrivateAddress(address));
+    if (local) {
+      throw new Error(`Unable to resolve ${id}: host ${hostname} has the private network address ${local.address}`);
+    }
+  }
+
+  /**
+   * Reads a response body as text, up to the resolver's maxSize.
+   *
+   * @param {Response} response The response
+   * @param {string} url The document URL, for the error message
+   * @param {string} id The DID, for the error message
+   * @returns {Promise<string>} The body
+   * @throws {Error} If the body is larger than maxSize or cannot be read
+   * @private
+   */
+  async _readBody(response, url, id) {
+    const tooLarge = () => new Error(`Unable to resolve ${id}: ${url} returned more than ${this.maxSize} bytes`);
+    if (Number(response.headers?.get('content-length')) > this.maxSize) {
+      await response.body?.cancel();
+      throw tooLarge();
+    }
+
+    const chunks = [];
+    let size = 0;
+    try {
+      // Leaving the loop early cancels the rest of the stream
+      for await (const chunk of response.body || []) {
+        size += chunk.length;
+        if (size > this.maxSize) break;
+        chunks.push(chunk);
+      }
+    } catch (error) {
+      throw new Error(`Unable to resolve ${id}: ${error.message}`);
+    }
+    if (size > this.maxSize) throw tooLarge();
+    return Buffer.concat(chunks).toString('utf8');
+  }
+
+  /**
+   * Checks whether an IP address is on the local or a private network:
+   * loopback, private, shared, link-local, unique local, reserved or multicast.
+   *
+   * @param {string} address IPv4 or IPv6 address
+   * @returns {boolean} true for local and private network addresses
+   */
+  static isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return false;
+
+    if (!DidWeb._privateNetworks) {
+      DidWeb._privateNetworks = new net.BlockList();
+      for (const [network, prefix, type] of DidWeb.PRIVATE_NETWORKS) {
+        DidWeb._privateNetworks.addSubnet(network, prefix, type);
+      }
+    }
+    return DidWeb._privateNetworks.check(address, family === 4 ? 'ipv4' : 'ipv6');
+  }
+
+  /**
+   * Checks whether a value is a did:web DID or DID URL.
+   *
+   * @param {*} value The value
+   * @returns {boolean} true for strings starting with "did:web:"
+   */
+  static isDidWeb(value) {
+    return typeof value === 'string' && value.startsWith(DidWeb.PREFIX);
+  }
+
+  /**
+   * Returns the HTTPS URL of the DID document of a did:web.
+   *
+   * @param {string} did The DID
+   * @returns {string} Document URL
+   * @throws {Error} If the DID is not a valid did:web
+   */
+  static toUrl(did) {
+    if (!DidWeb.isDidWeb(did) || /[#?/]/.test(did)) {
+      throw new Error(`Invalid did:web: ${did}`);
+    }
+
+    const [domain, ...path] = did.slice(DidWeb.PREFIX.length).split(':');
+    const host = domain.replace(/%3A/i, ':');
+    if (!/^[a-z0-9.-]+(:\d+)?$/i.test(host) || path.some(segment => !/^[\w.~%-]+$/.test(segment))) {
+      throw new Error(`Invalid did:web: ${did}`);
+    }
+
+    // Path segments are percent-decoded; none may step out of the path once decoded
+    const segments = path.map(segment => DidWeb._decodeSegment(segment, did));
+    const pathname = segments.length > 0
+      ? `/${segments.map(encodeURIComponent).join('/')}/${DidWeb.DOCUMENT_NAME}`
+      : DidWeb.WELL_KNOWN_PATH;
+    return `https://${host}${pathname}`;
+  }
+
+  /**
+   * Percent-decodes a did:web path segment, rejecting segments that would
+   * change the path: ".", ".." and segments holding a "/" or "\".
+   *
+   * @param {string} segment The encoded segment
+   * @param {string} did The DID, for the error message
+   * @returns {string} The decoded segment
+   * @throws {Error} If the segment is malformed or changes the path
+   * @private
+   */
+  static _decodeSegment(segment, did) {
+    let decoded;
+    try {
+      decoded = decodeURIComponent(segment);
+    } catch (error) {
+      throw new Error(`Invalid did:web: ${did}`);
+    }
+    if (decoded === '.' || decoded === '..' || /[/\\]/.test(decoded)) {
+      throw new Error(`Invalid did:web: ${did}`);
+    }
+    return decoded;
+  }
+
+  /**
+   * Returns the did:web for an HTTPS origin or DID document URL.
+   *
+   * @param {string} url Origin (https://example.com), path (https://example.com/issuers/1) or did.json URL
+   * @returns {string} The DID
+   * @throws {Error} If the URL is not an HTTPS URL
+   */
+  static fromUrl(url) {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'https:' || parsed.search || parsed.hash) {
+      throw new Error(`did:web documents must be served from an HTTPS URL without query or fragment: ${url}`);
+    }
+
+    let pathname = parsed.pathname;
+    if (pathname === DidWeb.WELL_KNOWN_PATH) {
+      pathname = '/';
+    } else if (pathname.endsWith(`/${DidWeb.DOCUMENT_NAME}`)) {
+      pathname = pathname.slice(0, -DidWeb.DOCUMENT_NAME.length);
+    }
+
+    const segments = pathname.split('/').filter(Boolean);
+    return [`${DidWeb.PREFIX}${parsed.host.replace(':', '%3A')}`, ...segments].join(':');
+  }
+
+  /**
+   * Builds the DID document to publish for a did:web from the keys a keyring
+   * holds for it. Revoked keys are left out; retired keys stay listed so
+   * credentials they signed keep verifying.
+   *
+   * @param {string} did The DID, the keys' controller in the keyring
+   * @param {Keyring} keyring The keyring
+   * @param {object} options Document options
+   * @param {string[]} options.relationships Verification relationships listing every key
+   *   (default: assertionMethod and authentication)
+   * @returns {object} DID document
+   * @throws {Error} If the DID is invalid or the keyring holds no keys for it
+   */
+  static createDocument(did, keyring, options = {}) {
+    DidWeb.toUrl(did);
+
+    const verificationMethod = keyring.getVerificationMethods(did);
+    if (verificationMethod.length === 0) {
+      throw new Error(`The keyring holds no keys for ${did}`);
+    }
+
+    const document = {
+      '@context': [DidKey.DID_CONTEXT, DidKey.FORMAT_CONTEXTS[DidKey.FORMAT_MULTIKEY]],
+      id: did,
+      verificationMethod
+    };
+    for (const relationship of options.relationships || DidWeb.DEFAULT_RELATIONSHIPS) {
+      document[relationship] = verificationMethod.map(method => method.id);
+    }
+    return document;
+  }
+}
+
+export default DidWeb;
@@ -0,0 +1,21 @@
+import DidKey from './DidKey.js';
+import DidWeb from './DidWeb.js';
+import DidJwk from './DidJwk.js';
+import DidResolver from './DidResolver.js';
+import DidDocumentValidator from './DidDocumentValidator.js';
+
+export {
+  DidKey,
+  DidWeb,
+  DidJwk,
+  DidResolver,
+  DidDocumentValidator
+};
+
+export default {
+  DidKey,
+  DidWeb,
+  DidJwk,
+  DidResolver,
+  DidDocumentValidator
+};
@@ -17,12 +17,11 @@ function main() {
     });
     
     // Create a sample verifiable credential using VCBuilder
-    const vc = new VCBuilder()
-      .addContext('https://www.w3.org/2018/credentials/v1')
+    const vc = new VCBuilder({ version: '2.0' })
       .addType('VerifiableCredential')
       .id('http://example.edu/credentials/123')
       .issuer('did:example:123456789abcdefghi')
-      .issuanceDate('2023-06-01T12:00:00Z')
+      .validFrom('2023-06-01T12:00:00Z')
       .credentialSubject({
         id: 'did:example:ebfeb1f712ebc6f1c276e12ec21',
         name: 'Jane Doe',
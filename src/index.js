@@ -1,27 +1,73 @@
-import { VerifiableCredential, VerifiablePresentation, Proof } from './core/index.js';
-import { VCBuilder, VPBuilder } from './builder/index.js';
-import { JSONLDCanon, ProofGenerator, KeyUtils, VerifiableCredentialService } from './crypto/index.js';
+import { VerifiableCredential, VerifiablePresentation, Proof, VerificationResult, CredentialValidator, CredentialConverter } from './core/index.js';
+import { VCBuilder, VPBuilder, DIDDocumentBuilder } from './builder/index.js';
+import { JSONLDCanon, ProofGenerator, KeyUtils, VerifiableCredentialService, Cryptosuite } from './crypto/index.js';
+import { DocumentLoader } from './loader/index.js';
+import { KeyObjectSigner, KeyObjectVerifier, LocalSigner } from './signer/index.js';
+import { Keystore, Keyring } from './keystore/index.js';
+import { DidKey, DidWeb, DidJwk, DidResolver, DidDocumentValidator } from './did/index.js';
+import { JsonSchemaValidator, SchemaRegistry } from './schema/index.js';
+import { Multibase, EcdsaSignature } from './utils/index.js';
 
 export {
   VerifiableCredential,
   VerifiablePresentation,
   Proof,
+  VerificationResult,
+  CredentialValidator,
+  CredentialConverter,
   VCBuilder,
   VPBuilder,
+  DIDDocumentBuilder,
   JSONLDCanon,
   ProofGenerator,
   KeyUtils,
-  VerifiableCredentialService
+  VerifiableCredentialService,
+  Cryptosuite,
+  DocumentLoader,
+  KeyObjectSigner,
+  KeyObjectVerifier,
+  LocalSigner,
+  Keystore,
+  Keyring,
+  DidKey,
+  DidWeb,
+  DidJwk,
+  DidResolver,
+  DidDocumentValidator,
+  JsonSchemaValidator,
+  SchemaRegistry,
+  Multibase,
+  EcdsaSignature
 };
 
 export default {
   VerifiableCredential,
   VerifiablePresentation,
   Proof,
+  VerificationResult,
+  CredentialValidator,
+  CredentialConverter,
   VCBuilder,
   VPBuilder,
+  DIDDocumentBuilder,
   JSONLDCanon,
   ProofGenerator,
   KeyUtils,
-  VerifiableCredentialService
+  VerifiableCredentialService,
+  Cryptosuite,
+  DocumentLoader,
+  KeyObjectSigner,
+  KeyObjectVerifier,
+  LocalSigner,
+  Keystore,
+  Keyring,
+  DidKey,
+  DidWeb,
+  DidJwk,
+  DidResolver,
+  DidDocumentValidator,
+  JsonSchemaValidator,
+  SchemaRegistry,
+  Multibase,
+  EcdsaSignature
 };
\ No newline at end of file
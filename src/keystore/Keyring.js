@@ -0,0 +1,275 @@
+import crypto from 'crypto';
+import KeyUtils from '../crypto/KeyUtils.js';
+
+/**
+ * Set of keys per controller, identified by key id (kid), with a status and a
+ * validity window.
+ *
+ * Each key's verification method is `${controller}#${kid}`. Active keys sign;
+ * retired keys only verify proofs created before they were retired; revoked
+ * keys never verify. Rotating adds a new active key and retires the old one.
+ */
+class Keyring {
+  static STATUS_ACTIVE = 'active';
+  static STATUS_RETIRED = 'retired';
+  static STATUS_REVOKED = 'revoked';
+
+  constructor() {
+    this.keys = new Map();
+  }
+
+  /**
+   * Adds a key. Private keys can sign; public keys only verify.
+   *
+   * @param {string} controller Controller DID
+   * @param {crypto.KeyObject|string|object} key Key in any format KeyUtils.parseKey() reads
+   * @param {object} options Key options
+   * @param {string} options.kid Key id (default: RFC 7638 JWK thumbprint)
+   * @param {string} options.status Keyring.STATUS_ACTIVE (default), STATUS_RETIRED or STATUS_REVOKED
+   * @param {string|Date} options.validFrom Start of the validity window (default: unbounded)
+   * @param {string|Date} options.validUntil End of the validity window (default: unbounded)
+   * @returns {object} The key entry
+   * @throws {Error} If the key is already in the keyring or the options are invalid
+   */
+  addKey(controller, key, options = {}) {
+    if (!controller || typeof controller !== 'string') {
+      throw new Error('Keyring keys require a controller');
+    }
+
+    const keyObject = KeyUtils.parseKey(key);
+    const publicKey = keyObject.type === 'private' ? crypto.createPublicKey(keyObject) : keyObject;
+    const kid = options.kid || KeyUtils.thumbprint(publicKey);
+    const id = `${controller}#${kid}`;
+    if (this.keys.has(id)) {
+      throw new Error(`Key ${id} is already in the keyring`);
+    }
+
+    const status = options.status || Keyring.STATUS_ACTIVE;
+    if (![Keyring.STATUS_ACTIVE, Keyring.STATUS_RETIRED, Keyring.STATUS_REVOKED].includes(status)) {
+      throw new Error(`Unknown key status: ${status}`);
+    }
+
+    const entry = {
+      id,
+      kid,
+      controller,
+      status,
+      validFrom: Keyring._toDate(options.validFrom, 'validFrom'),
+      validUntil: Keyring._toDate(options.validUntil, 'validUntil'),
+      publicKey,
+      privateKey: keyObject.type === 'private' ? keyObject : null
+    };
+    if (entry.validFrom && entry.validUntil && entry.validUntil <= entry.validFrom) {
+      throw new Error('Key validUntil must be later than validFrom');
+    }
+
+    this.keys.set(id, entry);
+    return entry;
+  }
+
+  /**
+   * Returns the key with the given verification method id.
+   *
+   * @param {string} id Verification method id (controller#kid)
+   * @param {string} controller Controller DID the key must belong to (default: any controller)
+   * @returns {object|null} The key entry, or null if the keyring has no such key for the controller
+   */
+  getKey(id, controller) {
+    const entry = this.keys.get(id) || null;
+    if (entry && controller !== undefined && entry.controller !== controller) return null;
+    return entry;
+  }
+
+  /**
+   * Returns the keys of a controller in the order they were added.
+   *
+   * @param {string} controller Controller DID
+   * @returns {object[]} The key entries
+   */
+  getKeys(controller) {
+    return [...this.keys.values()].filter(entry => entry.controller === controller);
+  }
+
+  /**
+   * Returns the key a controller signs with: the active private key within
+   * its validity window that became valid most recently.
+   *
+   * @param {string} controller Controller DID
+   * @param {string|Date} at Signing time (default: now)
+   * @returns {object} The key entry
+   * @throws {Error} If the controller has no active signing key
+   */
+  getActiveKey(controller, at = new Date()) {
+    const time = Keyring._toDate(at, 'signing time');
+    const candidates = this.getKeys(controller).filter(entry =>
+      entry.privateKey && entry.status === Keyring.STATUS_ACTIVE && Keyring._isWithinWindow(entry, time));
+    if (candidates.length === 0) {
+      throw new Error(`No active signing key for ${controller}`);
+    }
+
+    // Latest validFrom wins; among equals, the key added last
+    return candidates.reduce((latest, entry) =>
+      (entry.validFrom || 0) >= (latest.validFrom || 0) ? entry : latest);
+  }
+
+  /**
+   * Returns a key that may sign at the given time.
+   *
+   * @param {string} id Verification method id
+   * @param {string|Date} at Signing time (default: now)
+   * @returns {object} The key entry
+   * @throws {Error} If the key is unknown, has no private key, is not active or is outside its validity window
+   */
+  getSigningKey(id, at = new Date()) {
+    const entry = this.getKey(id);
+    if (!entry) {
+      throw new Error(`Key ${id} is not in the keyring`);
+    }
+    if (!entry.privateKey) {
+      throw new Error(`Key ${id} has no private key`);
+    }
+    if (entry.status !== Keyring.STATUS_ACTIVE) {
+      throw new Error(`Key ${id} is ${entry.status} and cannot sign`);
+    }
+    if (!Keyring._isWithinWindow(entry, Keyring._toDate(at, 'signing time'))) {
+      throw new Error(`Key ${id} is outside its validity window`);
+    }
+    return entry;
+  }
+
+  /**
+   * Retires a key: it no longer signs, and verifies only proofs created
+   * before it was retired.
+   *
+   * @param {string} id Verification method id
+   * @param {string|Date} at Retirement time (default: now)
+   * @returns {object} The key entry
+   * @throws {Error} If the key is unknown or revoked
+   */
+  retireKey(id, at = new Date()) {
+    const entry = this._requireKey(id);
+    if (entry.status === Keyring.STATUS_REVOKED) {
+      throw new Error(`Key ${id} is revoked`);
+    }
+
+    const retiredAt = Keyring._toDate(at, 'retirement time');
+    entry.status = Keyring.STATUS_RETIRED;
+    if (!entry.validUntil || retiredAt < entry.validUntil) {
+      entry.validUntil = retiredAt;
+    }
+    return entry;
+  }
+
+  /**
+   * Revokes a key, e.g. after a compromise: proofs made with it no longer
+   * verify, whenever they were created.
+   *
+   * @param {string} id Verification method id
+   * @returns {object} The key entry
+   * @throws {Error} If the key is unknown
+   */
+  revokeKey(id) {
+    const entry = this._requireKey(id);
+    entry.status = Keyring.STATUS_REVOKED;
+    return entry;
+  }
+
+  /**
+   * Adds a new active key for a controller and retires its other active keys.
+   *
+   * @param {string} controller Controller DID
+   * @param {crypto.KeyObject|string|object} key The new key
+   * @param {object} options Key options, as for addKey(); validFrom is also the retirement time (default: now)
+   * @returns {object} The new key entry
+   */
+  rotateKey(controller, key, options = {}) {
+    const at = options.validFrom || new Date();
+    const previous = this.getKeys(controller).filter(entry => entry.status === Keyring.STATUS_ACTIVE);
+
+    const entry = this.addKey(controller, key, { ...options, status: Keyring.STATUS_ACTIVE, validFrom: at });
+    previous.forEach(old => this.retireKey(old.id, at));
+    return entry;
+  }
+
+  /**
+   * Checks that a proof created at the given time may be verified with a key.
+   *
+   * @param {object} entry The key entry
+   * @param {string|Date} created Proof creation time
+   * @returns {string|null} Why the key cannot verify the proof, or null if it can
+   */
+  checkVerificationKey(entry, created) {
+    if (entry.status === Keyring.STATUS_REVOKED) {
+      return `key ${entry.id} is revoked`;
+    }
+
+    const time = created ? new Date(created) : null;
+    if (!time || Number.isNaN(time.getTime())) {
+      // Without a creation time a proof can only be checked against an unbounded key
+      return entry.validFrom || entry.validUntil ? `proof has no valid created time to check against key ${entry.id}` : null;
+    }
+    if (!Keyring._isWithinWindow(entry, time)) {
+      return `proof created at ${created} is outside the validity window of key ${entry.id}`;
+    }
+    return null;
+  }
+
+  /**
+   * Builds Multikey verification methods for a controller's keys that are not revoked.
+   *
+   * @param {string} controller Controller DID
+   * @returns {object[]} Multikey verification methods
+   */
+  getVerificationMethods(controller) {
+    return this.getKeys(controller)
+      .filter(entry => entry.status !== Keyring.STATUS_REVOKED)
+      .map(entry => KeyUtils.toMultikey(entry.publicKey, { id: entry.id, controller }));
+  }
+
+  /**
+   * Returns a key or throws.
+   *
+   * @param {string} id Verification method id
+   * @returns {object} The key entry
+   * @private
+   */
+  _requireKey(id) {
+    const entry = this.getKey(id);
+    if (!entry) {
+      throw new Error(`Key ${id} is not in the keyring`);
+    }
+    return entry;
+  }
+
+  /**
+   * Checks whether a time falls within a key's validity window.
+   *
+   * @param {object} entry The key entry
+   * @param {Date} time The time
+   * @returns {boolean} true if validFrom <= time < validUntil
+   * @private
+   */
+  static _isWithinWindow(entry, time) {
+    return (!entry.validFrom || time >= entry.validFrom) && (!entry.validUntil || time < entry.validUntil);
+  }
+
+  /**
+   * Converts an optional date option to a Date.
+   *
+   * @param {string|Date|undefined} value The date
+   * @param {string} name Option name for errors
+   * @returns {Date|null} The date
+   * @private
+   */
+  static _toDate(value, name) {
+    if (value === undefined || value === null) return null;
+
+    const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid key ${name}`);
+    }
+    return date;
+  }
+}
+
+export default Keyring;
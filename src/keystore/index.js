@@ -0,0 +1,12 @@
+import Keystore from './Keystore.js';
+import Keyring from './Keyring.js';
+
+export {
+  Keystore,
+  Keyring
+};
+
+export default {
+  Keystore,
+  Keyring
+};
\ No newline at end of file
@@ -0,0 +1,184 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import canonicalize from 'canonicalize';
+
+/**
+ * Offline JSON-LD document loader.
+ * Resolves @context URLs from a local registry so JSON-LD processing never
+ * touches the network. Ships the VC, Data Integrity, status list and DID
+ * contexts, each checked against a pinned SHA-256 digest when loaded.
+ */
+class DocumentLoader {
+  /**
+   * Contexts bundled with the library. Digests are SHA-256 (hex) over the
+   * JCS canonical form of each document, so they do not depend on whitespace.
+   */
+  static BUNDLED_CONTEXTS = {
+    'https://www.w3.org/2018/credentials/v1': {
+      file: 'credentials-v1.jsonld',
+      sha256: 'b01e671e873981f19a9102a9a57f666dbcaeb31b99e3e124378d143e71549247'
+    },
+    'https://www.w3.org/2018/credentials/examples/v1': {
+      file: 'credentials-examples-v1.jsonld',
+      sha256: '5bca9da34aefb4c5e0cd993e222e58827734e0928fda0210ee73413c43d6e5e5'
+    },
+    'https://www.w3.org/ns/credentials/v2': {
+      file: 'credentials-v2.jsonld',
+      sha256: 'b463c8d6a066214123ddd9827b135e1b50e1fc73322cc52a9b12a4f1fc7d86cf'
+    },
+    'https://www.w3.org/ns/credentials/examples/v2': {
+      file: 'credentials-examples-v2.jsonld',
+      sha256: '8a675bead391be98e6054c4e07c41f73337508d398e07047344c5d349aa2dc58'
+    },
+    'https://w3id.org/security/data-integrity/v1': {
+      file: 'data-integrity-v1.jsonld',
+      sha256: '9505bf85338a4c2121ad03992ac90061bc85d43bcfa34d9d47b779381cf08b5f'
+    },
+    'https://w3id.org/security/data-integrity/v2': {
+      file: 'data-integrity-v2.jsonld',
+      sha256: '7ba3c50acf2689d5e07927267343eb353249c7c22a9f2d00307cc970e855e305'
+    },
+    'https://w3id.org/security/multikey/v1': {
+      file: 'multikey-v1.jsonld',
+      sha256: 'be20c3ee6af6e9c4102e66a85c26617831218e32216bdf050f870e389e737cdc'
+    },
+    'https://w3id.org/security/suites/ed25519-2020/v1': {
+      file: 'ed25519-signature-2020-v1.jsonld',
+      sha256: 'fb517f09d990829aed734c9bad8cbbb2ac3d5063b865c7e3d81f246074bf5691'
+    },
+    'https://w3id.org/vc/status-list/2021/v1': {
+      file: 'status-list-2021-v1.jsonld',
+      sha256: '9768f9aa81ab6c3e2ad96b2d669eaba67afe13fff0140a853f1e3d313fab13b6'
+    },
+    'https://www.w3.org/ns/did/v1': {
+      file: 'did-v1.jsonld',
+      sha256: 'a7e146c40fcec005d3f0f14ae745665f446da58d7914a9d8f733746686fad82b'
+    }
+  };
+
+  static _defaultLoader = null;
+
+  /**
+   * Creates a document loader.
+   *
+   * @param {object} options Loader options
+   * @param {boolean} options.bundled Whether to register the bundled contexts (default: true)
+   */
+  constructor(options = {}) {
+    this.documents = new Map();
+
+    if (options.bundled !== false) {
+      for (const [url, { file, sha256 }] of Object.entries(DocumentLoader.BUNDLED_CONTEXTS)) {
+        const path = new URL(`./contexts/${file}`, import.meta.url);
+        const document = JSON.parse(fs.readFileSync(path, 'utf8'));
+        this.addContext(url, document, sha256);
+      }
+    }
+
+    // Bound so it can be handed directly to jsonld as `documentLoader`
+    this.load = this.load.bind(this);
+  }
+
+  /**
+   * Returns the process-wide loader holding the bundled contexts.
+   *
+   * @returns {DocumentLoader} The shared DocumentLoader instance
+   */
+  static getDefault() {
+    if (!DocumentLoader._defaultLoader) {
+      DocumentLoader._defaultLoader = new DocumentLoader();
+    }
+    return DocumentLoader._defaultLoader;
+  }
+
+  /**
+   * Computes the pinning digest of a JSON-LD document.
+   *
+   * @param {object} document The JSON-LD document
+   * @returns {string} SHA-256 digest (hex) of the JCS canonical form
+   */
+  static digest(document) {
+    return crypto.createHash('sha256').update(canonicalize(document)).digest('hex');
+  }
+
+  /**
+   * Registers a context document under a URL.
+   *
+   * @param {string} url The context URL
+   * @param {object} document The context document
+   * @param {string} sha256 Optional pinned digest the document must match
+   * @returns {DocumentLoader} The loader instance
+   * @throws {Error} If the document does not match the pinned digest
+   */
+  addContext(url, document, sha256) {
+    if (typeof url !== 'string' || url.length === 0) {
+      throw new Error('Context URL must be a non-empty string');
+    }
+    if (!document || typeof document !== 'object' || !document['@context']) {
+      throw new Error(`Context document for ${url} must be an object with an @context`);
+    }
+
+    if (sha256) {
+      const actual = DocumentLoader.digest(document);
+      if (actual !== sha256) {
+        throw new Error(`Integrity check failed for context ${url}: expected sha256 ${sha256}, got ${actual}`);
+      }
+    }
+
+    this.documents.set(url, Object.freeze(JSON.parse(JSON.stringify(document))));
+    return this;
+  }
+
+  /**
+   * Checks whether a URL can be resolved by this loader.
+   *
+   * @param {string} url The context URL
+   * @returns {boolean} true if the URL is registered
+   */
+  has(url) {
+    return this.documents.has(url);
+  }
+
+  /**
+   * Resolves a context URL to its document.
+   *
+   * @param {string} url The context URL
+   * @returns {object} The context document
+   * @throws {Error} If the URL is not registered
+   */
+  resolve(url) {
+    const document = this.documents.get(url);
+    if (!document) {
+      throw new Error(`Unable to resolve context: ${url}`);
+    }
+    return document;
+  }
+
+  /**
+   * jsonld.js compatible document loader.
+   *
+   * @param {string} url The URL to dereference
+   * @returns {Promise<object>} RemoteDocument with contextUrl, documentUrl and document
+   */
+  async load(url) {
+    return {
+      contextUrl: null,
+      documentUrl: url,
+      document: this.resolve(url)
+    };
+  }
+
+  /**
+   * Lists the context URLs in an @context value that this loader cannot resolve.
+   * Inline context objects are always considered resolvable.
+   *
+   * @param {string|object|Array} context The @context value
+   * @returns {Array<string>} Unresolvable context URLs
+   */
+  findUnresolvable(context) {
+    const contexts = Array.isArray(context) ? context : [context];
+    return contexts.filter(entry => typeof entry === 'string' && !this.has(entry));
+  }
+}
+
+export default DocumentLoader;
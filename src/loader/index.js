@@ -0,0 +1,9 @@
+import DocumentLoader from './DocumentLoader.js';
+
+export {
+  DocumentLoader
+};
+
+export default {
+  DocumentLoader
+};
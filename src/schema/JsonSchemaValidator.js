@@ -0,0 +1,718 @@
+/**
+ * Validates JSON values against JSON Schema 2020-12 schemas: the type,
+ * enum/const, numeric, string, array and object assertions, the in-place and
+ * child applicators, unevaluatedItems/unevaluatedProperties and references
+ * ($ref, $dynamicRef, $anchor, $id, $defs). "format" is an annotation, as the
+ * 2020-12 format-annotation vocabulary specifies. References to other
+ * schemas are looked up in a SchemaRegistry, never on the network.
+ *
+ * Schemas are code: register only schemas from sources you trust. As a
+ * guard against patterns that backtrack exponentially (ReDoS), "pattern" and
+ * "patternProperties" reject patterns longer than MAX_PATTERN_LENGTH and
+ * unbounded repetitions of groups that can match the same input in several
+ * ways, e.g. (a+)+. These checks catch the common cases; they do not make
+ * schemas from untrusted sources safe.
+ *
+ * Every failure is reported with a JSON pointer into the validated value, e.g.
+ * { path: '/degree/type', message: 'must be one of the enum values' }.
+ * https://json-schema.org/draft/2020-12/json-schema-core
+ */
+class JsonSchemaValidator {
+  static DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+  // Base URI of schemas without an $id
+  static DEFAULT_BASE_URI = 'urn:json-schema:root';
+  // Keywords holding one subschema, a map of subschemas or an array of subschemas
+  static SCHEMA_KEYWORDS = [
+    'additionalProperties', 'propertyNames', 'items', 'contains', 'not', 'if', 'then', 'else',
+    'unevaluatedItems', 'unevaluatedProperties'
+  ];
+  static SCHEMA_MAP_KEYWORDS = ['properties', 'patternProperties', '$defs', 'dependentSchemas'];
+  static SCHEMA_ARRAY_KEYWORDS = ['allOf', 'anyOf', 'oneOf', 'prefixItems'];
+  // Longest "pattern" or "patternProperties" regular expression accepted
+  static MAX_PATTERN_LENGTH = 1024;
+
+  /**
+   * Validates a value against a schema.
+   *
+   * @param {object|boolean} schema The JSON Schema
+   * @param {*} instance The value to validate
+   * @param {object} options Validation options
+   * @param {SchemaRegistry} options.registry Registry resolving references to other schemas
+   * @param {string} options.baseUri URI the schema was registered or retrieved under, against which
+   *   its $id and relative references are resolved (default: DEFAULT_BASE_URI)
+   * @returns {object} { valid, errors } where each error has a JSON pointer path and a message
+   * @throws {Error} If the schema is not a 2020-12 schema, or a reference cannot be resolved
+   */
+  static validate(schema, instance, options = {}) {
+    JsonSchemaValidator.assertSchema(schema);
+
+    const context = {
+      registry: options.registry || null,
+      resources: new Map(),
+      anchors: new Map(),
+      dynamicAnchors: new Map(),
+      bases: new WeakMap(),
+      // Schemas entered through a reference, with the values they are being applied to
+      active: new Map()
+    };
+    const base = JsonSchemaValidator._index(schema, options.baseUri || JsonSchemaValidator.DEFAULT_BASE_URI, context);
+    const { errors } = JsonSchemaValidator._validate(schema, instance, '', [base], context);
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Checks that a value can be used as a 2020-12 schema: an object or a
+   * boolean, with no $schema other than the 2020-12 dialect.
+   *
+   * @param {*} schema The schema
+   * @returns {object|boolean} The schema
+   * @throws {Error} If the value is not a 2020-12 schema
+   */
+  static assertSchema(schema) {
+    if (typeof schema === 'boolean') return schema;
+    if (!JsonSchemaValidator._isObject(schema)) {
+      throw new Error('JSON Schema must be an object or a boolean');
+    }
+    if (schema.$schema !== undefined && String(schema.$schema).replace(/#$/, '') !== JsonSchemaValidator.DIALECT) {
+      throw new Error(`Unsupported JSON Schema dialect: ${schema.$schema}; use ${JsonSchemaValidator.DIALECT}`);
+    }
+    return schema;
+  }
+
+  /**
+   * Records the base URI of every subschema of a schema resource, and its
+   * embedded resources ($id) and anchors, so references can be resolved.
+   *
+   * @param {object|boolean} schema The schema
+   * @param {string} base Base URI the schema's $id is resolved against
+   * @param {object} context Validation context
+   * @param {boolean} root The schema is a resource of its own, even without an $id
+   * @returns {string} Base URI of the schema
+   * @private
+   */
+  static _index(schema, base, context, root = true) {
+    if (!JsonSchemaValidator._isObject(schema)) return base;
+
+    let schemaBase = base;
+    if (typeof schema.$id === 'string') {
+      schemaBase = JsonSchemaValidator._resolveUri(schema.$id, base).split('#')[0];
+    }
+    if (root || typeof schema.$id === 'string') {
+      context.resources.set(schemaBase, schema);
+    }
+    context.bases.set(schema, schemaBase);
+    if (typeof schema.$anchor === 'string') {
+      context.anchors.set(`${schemaBase}#${schema.$anchor}`, schema);
+    }
+    if (typeof schema.$dynamicAnchor === 'string') {
+      context.anchors.set(`${schemaBase}#${schema.$dynamicAnchor}`, schema);
+      context.dynamicAnchors.set(`${schemaBase}#${schema.$dynamicAnchor}`, schema);
+    }
+
+    for (const keyword of JsonSchemaValidator.SCHEMA_KEYWORDS) {
+      if (schema[keyword] !== undefined) JsonSchemaValidator._index(schema[keyword], schemaBase, context, false);
+    }
+    for (const keyword of JsonSchemaValidator.SCHEMA_MAP_KEYWORDS) {
+      if (JsonSchemaValidator._isObject(schema[keyword])) {
+        Object.values(schema[keyword]).forEach(subschema => JsonSchemaValidator._index(subschema, schemaBase, context, false));
+      }
+    }
+    for (const keyword of JsonSchemaValidator.SCHEMA_ARRAY_KEYWORDS) {
+      if (Array.isArray(schema[keyword])) {
+        schema[keyword].forEach(subschema => JsonSchemaValidator._index(subschema, schemaBase, context, false));
+      }
+    }
+    return schemaBase;
+  }
+
+  /**
+   * Validates a value against a subschema.
+   *
+   * @param {object|boolean} schema The subschema
+   * @param {*} instance The value
+   * @param {string} path JSON pointer of the value
+   * @param {Array} scope Dynamic scope: base URIs of the schema resources entered so far
+   * @param {object} context Validation context
+   * @returns {object} errors, and the properties and items the schema evaluated (for unevaluated*)
+   * @private
+   */
+  static _validate(schema, instance, path, scope, context) {
+    const outcome = { errors: [], properties: new Set(), items: new Set() };
+    if (schema === true) return outcome;
+    if (schema === false) {
+      outcome.errors.push({ path, message: 'is not allowed by the schema' });
+      return outcome;
+    }
+
+    const base = context.bases.get(schema) || scope[scope.length - 1];
+    const schemaScope = base === scope[scope.length - 1] ? scope : [...scope, base];
+    const error = message => outcome.errors.push({ path, message });
+    // Merges the outcome of a subschema applied to the same value
+    const apply = result => {
+      outcome.errors.push(...result.errors);
+      if (result.errors.length === 0) {
+        result.properties.forEach(name => outcome.properties.add(name));
+        result.items.forEach(index => outcome.items.add(index));
+      }
+      return result.errors.length === 0;
+    };
+    const validate = (subschema, value = instance, valuePath = path) =>
+      JsonSchemaValidator._validate(subschema, value, valuePath, schemaScope, context);
+
+    // References
+    if (schema.$ref !== undefined) {
+      apply(JsonSchemaValidator._follow(JsonSchemaValidator._resolveRef(schema.$ref, base, context), instance, path, schemaScope, context));
+    }
+    if (schema.$dynamicRef !== undefined) {
+      const target = JsonSchemaValidator._resolveDynamicRef(schema.$dynamicRef, base, schemaScope, context);
+      apply(JsonSchemaValidator._follow(target, instance, path, schemaScope, context));
+    }
+
+    JsonSchemaValidator._checkValue(schema, instance, error);
+
+    // In-place applicators
+    if (Array.isArray(schema.allOf)) {
+      schema.allOf.forEach(subschema => apply(validate(subschema)));
+    }
+    if (Array.isArray(schema.anyOf)) {
+      const results = schema.anyOf.map(subschema => validate(subschema));
+      const valid = results.filter(result => result.errors.length === 0);
+      if (valid.length === 0) error('must match at least one schema in anyOf');
+      valid.forEach(apply);
+    }
+    if (Array.isArray(schema.oneOf)) {
+      const valid = schema.oneOf.map(subschema => validate(subschema)).filter(result => result.errors.length === 0);
+      if (valid.length === 1) {
+        apply(valid[0]);
+      } else {
+        error(`must match exactly one schema in oneOf, but matches ${valid.length}`);
+      }
+    }
+    if (schema.not !== undefined && validate(schema.not).errors.length === 0) {
+      error('must not match the schema in not');
+    }
+    if (schema.if !== undefined) {
+      const condition = validate(schema.if);
+      if (condition.errors.length === 0) {
+        apply(condition);
+        if (schema.then !== undefined) apply(validate(schema.then));
+      } else if (schema.else !== undefined) {
+        apply(validate(schema.else));
+      }
+    }
+
+    if (Array.isArray(instance)) {
+      JsonSchemaValidator._checkArray(schema, instance, path, outcome, validate);
+    } else if (JsonSchemaValidator._isObject(instance)) {
+      JsonSchemaValidator._checkObject(schema, instance, path, outcome, validate, apply);
+    }
+    return outcome;
+  }
+
+  /**
+   * Validates a value against the target of a reference.
+   *
+   * @param {object|boolean} target The referenced schema
+   * @param {*} instance The value
+   * @param {string} path JSON pointer of the value
+   * @param {Array} scope Dynamic scope
+   * @param {object} context Validation context
+   * @returns {object} Outcome of the referenced schema
+   * @throws {Error} If the reference leads back to a schema already applied to the value
+   * @private
+   */
+  static _follow(target, instance, path, scope, context) {
+    if (typeof target === 'boolean') return JsonSchemaValidator._validate(target, instance, path, scope, context);
+
+    const paths = context.active.get(target) || new Set();
+    if (paths.has(path)) {
+      throw new Error(`JSON Schema references recurse forever at ${path || '/'}`);
+    }
+    context.active.set(target, paths.add(path));
+    try {
+      return JsonSchemaValidator._validate(target, instance, path, scope, context);
+    } finally {
+      paths.delete(path);
+    }
+  }
+
+  /**
+   * Checks the assertions on the value itself: type, enum, const and the
+   * numeric and string assertions.
+   *
+   * @param {object} schema The subschema
+   * @param {*} instance The value
+   * @param {Function} error Error collector
+   * @private
+   */
+  static _checkValue(schema, instance, error) {
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      const type = JsonSchemaValidator._typeOf(instance);
+      if (!types.some(expected => expected === type || (expected === 'number' && type === 'integer'))) {
+        error(`must be of type ${types.join(' or ')}`);
+      }
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.some(value => JsonSchemaValidator._equal(value, instance))) {
+      error('must be one of the enum values');
+    }
+    if (schema.const !== undefined && !JsonSchemaValidator._equal(schema.const, instance)) {
+      error(`must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof instance === 'number') {
+      if (typeof schema.multipleOf === 'number') {
+        const quotient = instance / schema.multipleOf;
+        if (Math.abs(quotient - Math.round(quotient)) > 1e-9 * Math.max(1, Math.abs(quotient))) {
+          error(`must be a multiple of ${schema.multipleOf}`);
+        }
+      }
+      if (typeof schema.maximum === 'number' && instance > schema.maximum) error(`must be at most ${schema.maximum}`);
+      if (typeof schema.exclusiveMaximum === 'number' && instance >= schema.exclusiveMaximum) {
+        error(`must be less than ${schema.exclusiveMaximum}`);
+      }
+      if (typeof schema.minimum === 'number' && instance < schema.minimum) error(`must be at least ${schema.minimum}`);
+      if (typeof schema.exclusiveMinimum === 'number' && instance <= schema.exclusiveMinimum) {
+        error(`must be greater than ${schema.exclusiveMinimum}`);
+      }
+    }
+
+    if (typeof instance === 'string') {
+      // Lengths count code points, not UTF-16 code units
+      const length = [...instance].length;
+      if (typeof schema.maxLength === 'number' && length > schema.maxLength) {
+        error(`must be at most ${schema.maxLength} characters long`);
+      }
+      if (typeof schema.minLength === 'number' && length < schema.minLength) {
+        error(`must be at least ${schema.minLength} characters long`);
+      }
+      if (typeof schema.pattern === 'string' && !JsonSchemaValidator._regExp(schema.pattern).test(instance)) {
+        error(`must match the pattern ${schema.pattern}`);
+      }
+    }
+  }
+
+  /**
+   * Checks the array assertions and applicators: prefixItems, items, contains,
+   * unevaluatedItems, minItems, maxItems and uniqueItems.
+   *
+   * @param {object} schema The subschema
+   * @param {Array} instance The array
+   * @param {string} path JSON pointer of the array
+   * @param {object} outcome Outcome receiving errors and evaluated items
+   * @param {Function} validate Validates a value against a subschema
+   * @private
+   */
+  static _checkArray(schema, instance, path, outcome, validate) {
+    const error = message => outcome.errors.push({ path, message });
+    const applyItem = (subschema, index) => {
+      const result = validate(subschema, instance[index], `${path}/${index}`);
+      outcome.errors.push(...result.errors);
+      outcome.items.add(index);
+    };
+
+    const prefixItems = Array.isArray(schema.prefixItems) ? schema.prefixItems : [];
+    prefixItems.slice(0, instance.length).forEach((subschema, index) => applyItem(subschema, index));
+    if (schema.items !== undefined) {
+      for (let index = prefixItems.length; index < instance.length; index++) applyItem(schema.items, index);
+    }
+
+    if (schema.contains !== undefined) {
+      const matches = instance.map((item, index) => index)
+        .filter(index => validate(schema.contains, instance[index], `${path}/${index}`).errors.length === 0);
+      matches.forEach(index => outcome.items.add(index));
+      const minContains = typeof schema.minContains === 'number' ? schema.minContains : 1;
+      if (matches.length < minContains) {
+        error(`must contain at least ${minContains} item(s) matching the schema in contains`);
+      }
+      if (typeof schema.maxContains === 'number' && matches.length > schema.maxContains) {
+        error(`must contain at most ${schema.maxContains} item(s) matching the schema in contains`);
+      }
+    }
+
+    if (schema.unevaluatedItems !== undefined) {
+      for (let index = 0; index < instance.length; index++) {
+        if (!outcome.items.has(index)) applyItem(schema.unevaluatedItems, index);
+      }
+    }
+
+    if (typeof schema.maxItems === 'number' && instance.length > schema.maxItems) {
+      error(`must contain at most ${schema.maxItems} items`);
+    }
+    if (typeof schema.minItems === 'number' && instance.length < schema.minItems) {
+      error(`must contain at least ${schema.minItems} items`);
+    }
+    if (schema.uniqueItems === true) {
+      const duplicate = instance.findIndex((item, index) =>
+        instance.slice(0, index).some(other => JsonSchemaValidator._equal(item, other)));
+      if (duplicate !== -1) error(`must contain unique items; ${path}/${duplicate} is a duplicate`);
+    }
+  }
+
+  /**
+   * Checks the object assertions and applicators: properties, patternProperties,
+   * additionalProperties, dependentSchemas, propertyNames, unevaluatedProperties,
+   * required, dependentRequired, minProperties and maxProperties.
+   *
+   * @param {object} schema The subschema
+   * @param {object} instance The object
+   * @param {string} path JSON pointer of the object
+   * @param {object} outcome Outcome receiving errors and evaluated properties
+   * @param {Function} validate Validates a value against a subschema
+   * @param {Function} apply Merges the outcome of a subschema applied to the object itself
+   * @private
+   */
+  static _checkObject(schema, instance, path, outcome, validate, apply) {
+    const error = message => outcome.errors.push({ path, message });
+    const names = Object.keys(instance);
+    const propertyPath = name => `${path}/${JsonSchemaValidator._escape(name)}`;
+    const applyProperty = (subschema, name) => {
+      const result = validate(subschema, instance[name], propertyPath(name));
+      outcome.errors.push(...result.errors);
+      outcome.properties.add(name);
+    };
+
+    const properties = JsonSchemaValidator._isObject(schema.properties) ? schema.properties : {};
+    const patterns = JsonSchemaValidator._isObject(schema.patternProperties)
+      ? Object.entries(schema.patternProperties).map(([pattern, subschema]) => [JsonSchemaValidator._regExp(pattern), subschema])
+      : [];
+    for (const name of names) {
+      let matched = false;
+      if (Object.hasOwn(properties, name)) {
+        applyProperty(properties[name], name);
+        matched = true;
+      }
+      for (const [pattern, subschema] of patterns) {
+        if (pattern.test(name)) {
+          applyProperty(subschema, name);
+          matched = true;
+        }
+      }
+      if (!matched && schema.additionalProperties !== undefined) {
+        applyProperty(schema.additionalProperties, name);
+      }
+    }
+
+    if (JsonSchemaValidator._isObject(schema.dependentSchemas)) {
+      for (const [name, subschema] of Object.entries(schema.dependentSchemas)) {
+        if (Object.hasOwn(instance, name)) apply(validate(subschema));
+      }
+    }
+    if (schema.propertyNames !== undefined) {
+      for (const name of names) {
+        validate(schema.propertyNames, name, propertyPath(name)).errors
+          .forEach(({ path: namePath, message }) => outcome.errors.push({ path: namePath, message: `property name ${message}` }));
+      }
+    }
+
+    if (schema.unevaluatedProperties !== undefined) {
+      for (const name of names) {
+        if (!outcome.properties.has(name)) applyProperty(schema.unevaluatedProperties, name);
+      }
+    }
+
+    if (Array.isArray(schema.required)) {
+      for (const name of schema.required) {
+        if (!Object.hasOwn(instance, name)) outcome.errors.push({ path: propertyPath(name), message: 'is required' });
+      }
+    }
+    if (JsonSchemaValidator._isObject(schema.dependentRequired)) {
+      for (const [name, required] of Object.entries(schema.dependentRequired)) {
+        if (!Object.hasOwn(instance, name)) continue;
+        for (const dependency of required) {
+          if (!Object.hasOwn(instance, dependency)) {
+            outcome.errors.push({ path: propertyPath(dependency), message: `is required when ${name} is present` });
+          }
+        }
+      }
+    }
+    if (typeof schema.maxProperties === 'number' && names.length > schema.maxProperties) {
+      error(`must have at most ${schema.maxProperties} properties`);
+    }
+    if (typeof schema.minProperties === 'number' && names.length < schema.minProperties) {
+      error(`must have at least ${schema.minProperties} properties`);
+    }
+  }
+
+  /**
+   * Resolves a $ref against the base URI: a schema resource, a JSON pointer
+   * fragment or an anchor, looking up unknown resources in the registry.
+   *
+   * @param {string} ref The reference
+   * @param {string} base Base URI
+   * @param {object} context Validation context
+   * @returns {object|boolean} The referenced schema
+   * @throws {Error} If the reference cannot be resolved
+   * @private
+   */
+  static _resolveRef(ref, base, context) {
+    const uri = JsonSchemaValidator._resolveUri(ref, base);
+    const hashIndex = uri.indexOf('#');
+    const resourceUri = hashIndex === -1 ? uri : uri.slice(0, hashIndex);
+    const fragment = hashIndex === -1 ? '' : decodeURIComponent(uri.slice(hashIndex + 1));
+
+    let resource = context.resources.get(resourceUri);
+    if (resource === undefined && context.registry?.has(resourceUri)) {
+      resource = context.registry.get(resourceUri);
+      JsonSchemaValidator._index(resource, resourceUri, context);
+    }
+    if (resource === undefined) {
+      throw new Error(`Unable to resolve $ref ${ref}: ${resourceUri} is not a registered schema`);
+    }
+
+    if (fragment === '') return resource;
+    if (!fragment.startsWith('/')) {
+      const anchored = context.anchors.get(`${resourceUri}#${fragment}`);
+      if (anchored === undefined) throw new Error(`Unable to resolve $ref ${ref}: no anchor ${fragment}`);
+      return anchored;
+    }
+
+    let target = resource;
+    for (const token of fragment.slice(1).split('/').map(JsonSchemaValidator._unescape)) {
+      target = typeof target === 'object' && target !== null && Object.hasOwn(target, token) ? target[token] : undefined;
+      if (target === undefined) throw new Error(`Unable to resolve $ref ${ref}: no value at ${fragment}`);
+    }
+    return target;
+  }
+
+  /**
+   * Resolves a $dynamicRef: like $ref, but when it lands on a $dynamicAnchor
+   * the outermost schema resource in the dynamic scope defining the same
+   * dynamic anchor takes its place.
+   *
+   * @param {string} ref The reference
+   * @param {string} base Base URI
+   * @param {Array} scope Dynamic scope
+   * @param {object} context Validation context
+   * @returns {object|boolean} The referenced schema
+   * @throws {Error} If the reference cannot be resolved
+   * @private
+   */
+  static _resolveDynamicRef(ref, base, scope, context) {
+    const target = JsonSchemaValidator._resolveRef(ref, base, context);
+    const anchor = ref.includes('#') ? decodeURIComponent(ref.slice(ref.indexOf('#') + 1)) : '';
+    if (!JsonSchemaValidator._isObject(target) || target.$dynamicAnchor !== anchor) return target;
+
+    for (const resourceUri of scope) {
+      const dynamic = context.dynamicAnchors.get(`${resourceUri}#${anchor}`);
+      if (dynamic !== undefined) return dynamic;
+    }
+    return target;
+  }
+
+  /**
+   * Resolves a URI reference against a base URI.
+   *
+   * @param {string} reference The URI reference
+   * @param {string} base Base URI
+   * @returns {string} The absolute URI
+   * @throws {Error} If the reference cannot be resolved
+   * @private
+   */
+  static _resolveUri(reference, base) {
+    try {
+      return new URL(reference, base).href;
+    } catch {
+      throw new Error(`Unable to resolve ${reference} against ${base}`);
+    }
+  }
+
+  /**
+   * Compiles a schema pattern, an ECMA-262 regular expression.
+   *
+   * @param {string} pattern The pattern
+   * @returns {RegExp} The regular expression
+   * @throws {Error} If the pattern is not a valid regular expression, is longer than
+   *   MAX_PATTERN_LENGTH or can backtrack exponentially
+   * @private
+   */
+  static _regExp(pattern) {
+    if (pattern.length > JsonSchemaValidator.MAX_PATTERN_LENGTH) {
+      throw new Error(`JSON Schema pattern is longer than ${JsonSchemaValidator.MAX_PATTERN_LENGTH} characters: ${pattern.slice(0, 32)}...`);
+    }
+    let regExp;
+    try {
+      regExp = new RegExp(pattern, 'u');
+    } catch (error) {
+      throw new Error(`Invalid JSON Schema pattern ${pattern}: ${error.message}`);
+    }
+    JsonSchemaValidator._checkBacktracking(pattern);
+    return regExp;
+  }
+
+  /**
+   * Rejects a pattern that repeats a group without bound when the group can
+   * match its input in more than one way, e.g. (a+)+ or (a?a)*: a failing
+   * match then tries exponentially many ways to split the input. A group is
+   * safe to repeat if it has no variable repetition, or a mandatory literal
+   * character none of its repetitions can match, e.g. the "-" of (-[a-z]+)*.
+   * Alternatives are not analyzed. The pattern must be a valid unicode
+   * regular expression.
+   *
+   * @param {string} pattern The pattern
+   * @throws {Error} If a group that can split its input several ways is repeated without bound
+   * @private
+   */
+  static _checkBacktracking(pattern) {
+    const frame = () => ({ variable: false, alternation: false, literals: [], repeated: [] });
+    const groups = [frame()];
+    let i = 0;
+    while (i < pattern.length) {
+      const char = pattern[i];
+      if (char === '|' || char === '^' || char === '$') {
+        if (char === '|') groups[groups.length - 1].alternation = true;
+        i++;
+        continue;
+      }
+      if (char === '(') {
+        groups.push(frame());
+        i += /^\((?:\?(?:[:=!]|<[=!]|<[^>]+>))?/.exec(pattern.slice(i))[0].length;
+        continue;
+      }
+
+      // The next atom: a group just closed, an escape, a character class or a character
+      let atom;
+      if (char === ')') {
+        atom = { group: groups.pop(), length: 1 };
+      } else if (char === '\\') {
+        const escape = /^\\(?:[pP]\{[^}]*\}|u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|c[a-zA-Z]|k<[^>]+>|\d+|.)/.exec(pattern.slice(i))[0];
+        const backreference = /^\\(?:k<|[1-9])/.test(escape);
+        atom = {
+          source: backreference ? '[^]' : escape,
+          // Identity escapes of syntax characters stand for the character
+          literal: /^\\[^A-Za-z0-9]$/.test(escape) ? escape[1] : null,
+          length: escape.length
+        };
+        if (/^\\[bB]$/.test(escape)) {
+          i += escape.length;
+          continue;
+        }
+      } else if (char === '[') {
+        let end = i + 1;
+        while (pattern[end] !== ']') end += pattern[end] === '\\' ? 2 : 1;
+        atom = { source: pattern.slice(i, end + 1), literal: null, length: end + 1 - i };
+      } else {
+        const character = String.fromCodePoint(pattern.codePointAt(i));
+        atom = { source: character, literal: char === '.' ? null : character, length: character.length };
+      }
+      i += atom.length;
+
+      // Its quantifier: fixed (none or {n}), bounded (?, {n,m}) or unbounded (*, +, {n,})
+      const quantifier = /^(?:[*+?]|\{(\d+)(?:(,)(\d*))?\})\??/.exec(pattern.slice(i));
+      let fixed = true;
+      let unbounded = false;
+      if (quantifier) {
+        const [text, min, comma, max] = quantifier;
+        i += text.length;
+        unbounded = text[0] === '*' || text[0] === '+' || (comma !== undefined && max === '');
+        fixed = !unbounded && text[0] === '{' && (comma === undefined || max === min);
+      }
+
+      const group = groups[groups.length - 1];
+      if (atom.group) {
+        const inner = atom.group;
+        if (unbounded && JsonSchemaValidator._isAmbiguous(inner)) {
+          throw new Error(`Unsafe JSON Schema pattern ${pattern}: a group that can match the same input in several ways is repeated without bound`);
+        }
+        if (fixed && !inner.alternation) {
+          group.variable ||= inner.variable;
+          group.literals.push(...inner.literals);
+          group.repeated.push(...inner.repeated);
+        } else {
+          group.variable = true;
+          group.repeated.push(...inner.repeated, ...inner.literals.map(literal => literal.source));
+        }
+      } else if (fixed) {
+        if (atom.literal !== null) group.literals.push({ character: atom.literal, source: atom.source });
+      } else {
+        group.variable = true;
+        group.repeated.push(atom.source);
+      }
+    }
+  }
+
+  /**
+   * Checks whether a group can match the same input in more than one way:
+   * it repeats something a variable number of times, and has no mandatory
+   * literal character that separates the repetitions.
+   *
+   * @param {object} group Group summary from _checkBacktracking
+   * @returns {boolean} true if the group is ambiguous
+   * @private
+   */
+  static _isAmbiguous(group) {
+    if (!group.variable) return false;
+    if (group.alternation) return true;
+    const repeated = new RegExp(`^(?:${group.repeated.join('|')})$`, 'u');
+    return !group.literals.some(({ character }) => !repeated.test(character));
+  }
+
+  /**
+   * Returns the JSON Schema type of a value; integers are reported as "integer".
+   *
+   * @param {*} value The value
+   * @returns {string} null, boolean, object, array, integer, number or string
+   * @private
+   */
+  static _typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+  }
+
+  /**
+   * Compares two JSON values; object property order does not matter.
+   *
+   * @param {*} a First value
+   * @param {*} b Second value
+   * @returns {boolean} true if the values are equal
+   * @private
+   */
+  static _equal(a, b) {
+    if (a === b) return true;
+    if (Array.isArray(a) || Array.isArray(b)) {
+      return Array.isArray(a) && Array.isArray(b) && a.length === b.length &&
+        a.every((item, index) => JsonSchemaValidator._equal(item, b[index]));
+    }
+    if (!JsonSchemaValidator._isObject(a) || !JsonSchemaValidator._isObject(b)) return false;
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+      keys.every(key => Object.hasOwn(b, key) && JsonSchemaValidator._equal(a[key], b[key]));
+  }
+
+  /**
+   * Escapes a property name as a JSON pointer token.
+   *
+   * @param {string} name The property name
+   * @returns {string} The token
+   * @private
+   */
+  static _escape(name) {
+    return name.replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+
+  /**
+   * Unescapes a JSON pointer token.
+   *
+   * @param {string} token The token
+   * @returns {string} The property name
+   * @private
+   */
+  static _unescape(token) {
+    return token.replace(/~1/g, '/').replace(/~0/g, '~');
+  }
+
+  /**
+   * Checks whether a value is a plain JSON object.
+   *
+   * @param {*} value The value
+   * @returns {boolean} true for non-null, non-array objects
+   * @private
+   */
+  static _isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+  }
+}
+
+export default JsonSchemaValidator;
@@ -0,0 +1,83 @@
+import JsonSchemaValidator from './JsonSchemaValidator.js';
+
+/**
+ * Local registry of JSON Schemas, keyed by the URL credentials reference them
+ * by in credentialSchema. Schemas are never fetched: a credential can only be
+ * checked against schemas registered here, and $ref between schemas resolves
+ * through the registry too.
+ */
+class SchemaRegistry {
+  // credentialSchema type of JSON Schemas in VC 2.0
+  static CREDENTIAL_SCHEMA_TYPE = 'JsonSchema';
+
+  constructor() {
+    this.schemas = new Map();
+  }
+
+  /**
+   * Registers a JSON Schema 2020-12 schema under a URL.
+   *
+   * @param {string} id The schema URL
+   * @param {object|boolean} schema The schema
+   * @returns {SchemaRegistry} The registry instance
+   * @throws {Error} If the URL is not absolute or the schema is not a 2020-12 schema
+   */
+  addSchema(id, schema) {
+    if (typeof id !== 'string' || !URL.canParse(id) || id.includes('#')) {
+      throw new Error(`Schema id must be an absolute URL without a fragment: ${id}`);
+    }
+    JsonSchemaValidator.assertSchema(schema);
+
+    this.schemas.set(id, Object.freeze(JSON.parse(JSON.stringify(schema))));
+    return this;
+  }
+
+  /**
+   * Checks whether a schema is registered under a URL.
+   *
+   * @param {string} id The schema URL
+   * @returns {boolean} true if the URL is registered
+   */
+  has(id) {
+    return this.schemas.has(id);
+  }
+
+  /**
+   * Returns the schema registered under a URL.
+   *
+   * @param {string} id The schema URL
+   * @returns {object|boolean|null} The schema, or null if none is registered
+   */
+  get(id) {
+    return this.schemas.has(id) ? this.schemas.get(id) : null;
+  }
+
+  /**
+   * Returns the credentialSchema entries of a credential as an array.
+   *
+   * @param {object|VerifiableCredential} credential The credential
+   * @returns {Array} The entries (empty without credentialSchema)
+   */
+  static schemaEntries(credential) {
+    const credentialSchema = credential?.credentialSchema;
+    if (credentialSchema === undefined || credentialSchema === null) return [];
+    return Array.isArray(credentialSchema) ? credentialSchema : [credentialSchema];
+  }
+
+  /**
+   * Validates a value against a registered schema.
+   *
+   * @param {string} id The schema URL
+   * @param {*} instance The value to validate
+   * @returns {object} { valid, errors } where each error has a JSON pointer path and a message
+   * @throws {Error} If no schema is registered under the URL, or a reference cannot be resolved
+   */
+  validate(id, instance) {
+    if (!this.has(id)) {
+      throw new Error(`No schema registered for ${id}`);
+    }
+    return JsonSchemaValidator.validate(this.get(id), instance, { registry: this, baseUri: id });
+  }
+}
+
+export default SchemaRegistry;
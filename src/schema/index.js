@@ -0,0 +1,12 @@
+import JsonSchemaValidator from './JsonSchemaValidator.js';
+import SchemaRegistry from './SchemaRegistry.js';
+
+export {
+  JsonSchemaValidator,
+  SchemaRegistry
+};
+
+export default {
+  JsonSchemaValidator,
+  SchemaRegistry
+};
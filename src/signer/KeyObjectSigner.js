@@ -0,0 +1,72 @@
+import crypto from 'crypto';
+
+/**
+ * Signer backed by a Node.js crypto KeyObject.
+ *
+ * A signer is any object with an `id` (the verification method DID URL), an
+ * `algorithm` (JOSE name, e.g. 'ES256') and an async `sign(data)` returning the
+ * signature over data: IEEE P1363 (raw r||s) hashed with the algorithm's digest
+ * for ECDSA, or the 64 byte Ed25519 signature for EdDSA. Remote keys (KMS/HSM)
+ * implement the same shape.
+ */
+class KeyObjectSigner {
+  static ES256 = 'ES256';
+  static ES384 = 'ES384';
+  static EDDSA = 'EdDSA';
+
+  static ALGORITHMS = {
+    ES256: { name: 'ECDSA P-256', keyType: 'ec', namedCurve: 'prime256v1', digest: 'sha256', signatureSize: 64 },
+    ES384: { name: 'ECDSA P-384', keyType: 'ec', namedCurve: 'secp384r1', digest: 'sha384', signatureSize: 96 },
+    EdDSA: { name: 'Ed25519', keyType: 'ed25519', namedCurve: null, digest: null, signatureSize: 64 }
+  };
+
+  /**
+   * @param {crypto.KeyObject} privateKey The private key
+   * @param {Object} options Signer options
+   * @param {string} options.id The verification method DID URL
+   * @throws {Error} If the key is not a supported private key
+   */
+  constructor(privateKey, options = {}) {
+    if (!(privateKey instanceof crypto.KeyObject) || privateKey.type !== 'private') {
+      throw new Error('KeyObjectSigner requires a private KeyObject');
+    }
+
+    this.id = options.id || null;
+    this.algorithm = KeyObjectSigner.algorithmForKey(privateKey);
+    this.privateKey = privateKey;
+  }
+
+  /**
+   * Signs data.
+   *
+   * @param {Buffer|Uint8Array} data The data to sign
+   * @returns {Promise<Buffer>} Raw r||s (ECDSA) or Ed25519 signature
+   */
+  async sign(data) {
+    const { digest } = KeyObjectSigner.ALGORITHMS[this.algorithm];
+    return crypto.sign(digest, data, { key: this.privateKey, dsaEncoding: 'ieee-p1363' });
+  }
+
+  /**
+   * Determines the JOSE algorithm of a key.
+   *
+   * @param {crypto.KeyObject} key The public or private key
+   * @returns {string} The algorithm name
+   * @throws {Error} If the key type or curve is not supported
+   */
+  static algorithmForKey(key) {
+    const keyType = key.asymmetricKeyType;
+    const namedCurve = keyType === 'ec' ? key.asymmetricKeyDetails.namedCurve : null;
+    const algorithm = Object.keys(KeyObjectSigner.ALGORITHMS).find(name => {
+      const details = KeyObjectSigner.ALGORITHMS[name];
+      return details.keyType === keyType && details.namedCurve === namedCurve;
+    });
+
+    if (!algorithm) {
+      throw new Error(`Unsupported key type for signing: ${namedCurve || key.asymmetricKeyType}`);
+    }
+    return algorithm;
+  }
+}
+
+export default KeyObjectSigner;
@@ -0,0 +1,41 @@
+import crypto from 'crypto';
+import KeyObjectSigner from './KeyObjectSigner.js';
+
+/**
+ * Verifier backed by a Node.js crypto KeyObject.
+ *
+ * A verifier is any object with an `id`, an `algorithm` and an async
+ * `verify(data, signature)` taking the IEEE P1363 (raw r||s) ECDSA signature
+ * or the Ed25519 signature.
+ */
+class KeyObjectVerifier {
+  /**
+   * @param {crypto.KeyObject} publicKey The public key
+   * @param {Object} options Verifier options
+   * @param {string} options.id The verification method DID URL
+   * @throws {Error} If the key is not a supported public key
+   */
+  constructor(publicKey, options = {}) {
+    if (!(publicKey instanceof crypto.KeyObject) || publicKey.type !== 'public') {
+      throw new Error('KeyObjectVerifier requires a public KeyObject');
+    }
+
+    this.id = options.id || null;
+    this.algorithm = KeyObjectSigner.algorithmForKey(publicKey);
+    this.publicKey = publicKey;
+  }
+
+  /**
+   * Verifies a signature.
+   *
+   * @param {Buffer|Uint8Array} data The signed data
+   * @param {Buffer|Uint8Array} signature Raw r||s (ECDSA) or Ed25519 signature
+   * @returns {Promise<boolean>} true if the signature is valid
+   */
+  async verify(data, signature) {
+    const { digest } = KeyObjectSigner.ALGORITHMS[this.algorithm];
+    return crypto.verify(digest, data, { key: this.publicKey, dsaEncoding: 'ieee-p1363' }, signature);
+  }
+}
+
+export default KeyObjectVerifier;
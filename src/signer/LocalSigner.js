@@ -0,0 +1,78 @@
+import crypto from 'crypto';
+import KeyObjectSigner from './KeyObjectSigner.js';
+import KeyObjectVerifier from './KeyObjectVerifier.js';
+
+/**
+ * In-memory signer that owns its key pair. Intended for development, tests and
+ * issuers without a KMS/HSM; the private key never leaves the process.
+ */
+class LocalSigner extends KeyObjectSigner {
+  /**
+   * @param {crypto.KeyObject} privateKey The private key
+   * @param {Object} options Signer options
+   * @param {string} options.id The verification method DID URL
+   */
+  constructor(privateKey, options = {}) {
+    super(privateKey, options);
+    this.publicKey = crypto.createPublicKey(privateKey);
+  }
+
+  /**
+   * Generates a signer with a new key pair.
+   *
+   * @param {Object} options Signer options
+   * @param {string} options.id The verification method DID URL
+   * @param {string} options.algorithm 'ES256' (default), 'ES384' or 'EdDSA'
+   * @returns {LocalSigner} The signer
+   * @throws {Error} If the algorithm is not supported
+   */
+  static generate(options = {}) {
+    const algorithm = options.algorithm || KeyObjectSigner.ES256;
+    const details = KeyObjectSigner.ALGORITHMS[algorithm];
+    if (!details) {
+      throw new Error(`Unsupported signer algorithm: ${algorithm}`);
+    }
+
+    const { privateKey } = details.keyType === 'ec'
+      ? crypto.generateKeyPairSync('ec', { namedCurve: details.namedCurve })
+      : crypto.generateKeyPairSync(details.keyType);
+    return new LocalSigner(privateKey, options);
+  }
+
+  /**
+   * Creates a signer from a Base64 encoded PKCS#8 DER private key.
+   *
+   * @param {string} privateKeyBase64 The Base64 encoded private key
+   * @param {Object} options Signer options
+   * @param {string} options.id The verification method DID URL
+   * @returns {LocalSigner} The signer
+   */
+  static fromBase64(privateKeyBase64, options = {}) {
+    const privateKey = crypto.createPrivateKey({
+      key: Buffer.from(privateKeyBase64, 'base64'),
+      format: 'der',
+      type: 'pkcs8'
+    });
+    return new LocalSigner(privateKey, options);
+  }
+
+  /**
+   * Creates a verifier for this signer's public key.
+   *
+   * @returns {KeyObjectVerifier} The verifier
+   */
+  getVerifier() {
+    return new KeyObjectVerifier(this.publicKey, { id: this.id });
+  }
+
+  /**
+   * Exports the public key as Base64 encoded SPKI DER.
+   *
+   * @returns {string} Base64 encoded public key
+   */
+  exportPublicKey() {
+    return this.publicKey.export({ format: 'der', type: 'spki' }).toString('base64');
+  }
+}
+
+export default LocalSigner;
@@ -0,0 +1,15 @@
+import KeyObjectSigner from './KeyObjectSigner.js';
+import KeyObjectVerifier from './KeyObjectVerifier.js';
+import LocalSigner from './LocalSigner.js';
+
+export {
+  KeyObjectSigner,
+  KeyObjectVerifier,
+  LocalSigner
+};
+
+export default {
+  KeyObjectSigner,
+  KeyObjectVerifier,
+  LocalSigner
+};
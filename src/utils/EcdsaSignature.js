@@ -0,0 +1,163 @@
+/**
+ * Utility class for converting ECDSA signatures between ASN.1 DER and the
+ * IEEE P1363 (raw r||s) encoding.
+ */
+class EcdsaSignature {
+  /**
+   * Converts a raw r||s signature to ASN.1 DER.
+   *
+   * @param {Buffer|Uint8Array} raw The r||s signature
+   * @returns {Buffer} DER encoded signature
+   * @throws {Error} If the signature length is not even
+   */
+  static toDer(raw) {
+    const signature = Buffer.from(raw);
+    if (signature.length === 0 || signature.length % 2 !== 0) {
+      throw new Error('Invalid raw ECDSA signature length');
+    }
+
+    const size = signature.length / 2;
+    const body = Buffer.concat([
+      EcdsaSignature._encodeInteger(signature.subarray(0, size)),
+      EcdsaSignature._encodeInteger(signature.subarray(size))
+    ]);
+    return Buffer.concat([Buffer.from([0x30]), EcdsaSignature._encodeLength(body.length), body]);
+  }
+
+  /**
+   * Converts an ASN.1 DER signature to raw r||s.
+   *
+   * @param {Buffer|Uint8Array} der The DER encoded signature
+   * @param {number} size Byte length of each of r and s (32 for P-256)
+   * @returns {Buffer} The r||s signature
+   * @throws {Error} If the signature is not a DER ECDSA signature
+   */
+  static fromDer(der, size) {
+    const signature = Buffer.from(der);
+    if (signature[0] !== 0x30) {
+      throw new Error('Invalid DER ECDSA signature');
+    }
+
+    const sequence = EcdsaSignature._readLength(signature, 1);
+    if (sequence.offset + sequence.length !== signature.length) {
+      throw new Error('Invalid DER ECDSA signature');
+    }
+
+    const r = EcdsaSignature._readInteger(signature, sequence.offset);
+    const s = EcdsaSignature._readInteger(signature, r.end);
+    if (s.end !== signature.length) {
+      throw new Error('Invalid DER ECDSA signature');
+    }
+
+    return Buffer.concat([EcdsaSignature._pad(r.value, size), EcdsaSignature._pad(s.value, size)]);
+  }
+
+  /**
+   * Encodes an unsigned big-endian integer as a DER INTEGER.
+   *
+   * @param {Buffer} value The integer bytes
+   * @returns {Buffer} DER INTEGER
+   * @private
+   */
+  static _encodeInteger(value) {
+    let start = 0;
+    while (start < value.length - 1 && value[start] === 0) start++;
+    let integer = value.subarray(start);
+
+    // A set high bit would make the integer negative
+    if (integer[0] & 0x80) {
+      integer = Buffer.concat([Buffer.from([0x00]), integer]);
+    }
+    return Buffer.concat([Buffer.from([0x02]), EcdsaSignature._encodeLength(integer.length), integer]);
+  }
+
+  /**
+   * Encodes a DER length.
+   *
+   * @param {number} length The length
+   * @returns {Buffer} DER length bytes
+   * @private
+   */
+  static _encodeLength(length) {
+    if (length < 0x80) {
+      return Buffer.from([length]);
+    }
+
+    const bytes = [];
+    for (let remaining = length; remaining > 0; remaining >>= 8) {
+      bytes.unshift(remaining & 0xff);
+    }
+    return Buffer.from([0x80 | bytes.length, ...bytes]);
+  }
+
+  /**
+   * Reads a DER length.
+   *
+   * @param {Buffer} buffer The DER bytes
+   * @param {number} offset Offset of the length
+   * @returns {Object} length and offset of the content
+   * @private
+   */
+  static _readLength(buffer, offset) {
+    if (offset >= buffer.length) {
+      throw new Error('Invalid DER ECDSA signature');
+    }
+
+    const first = buffer[offset];
+    if (first < 0x80) {
+      return { length: first, offset: offset + 1 };
+    }
+
+    const count = first & 0x7f;
+    if (count === 0 || count > 2 || offset + count >= buffer.length) {
+      throw new Error('Invalid DER ECDSA signature');
+    }
+
+    let length = 0;
+    for (let i = 1; i <= count; i++) {
+      length = (length << 8) | buffer[offset + i];
+    }
+    return { length, offset: offset + 1 + count };
+  }
+
+  /**
+   * Reads a DER INTEGER.
+   *
+   * @param {Buffer} buffer The DER bytes
+   * @param {number} offset Offset of the INTEGER tag
+   * @returns {Object} value without leading zeros and end offset
+   * @private
+   */
+  static _readInteger(buffer, offset) {
+    if (buffer[offset] !== 0x02) {
+      throw new Error('Invalid DER ECDSA signature');
+    }
+
+    const { length, offset: start } = EcdsaSignature._readLength(buffer, offset + 1);
+    const end = start + length;
+    if (length === 0 || end > buffer.length) {
+      throw new Error('Invalid DER ECDSA signature');
+    }
+
+    let value = buffer.subarray(start, end);
+    while (value.length > 1 && value[0] === 0) value = value.subarray(1);
+    return { value, end };
+  }
+
+  /**
+   * Left pads an integer to a fixed size.
+   *
+   * @param {Buffer} value The integer bytes
+   * @param {number} size The target size
+   * @returns {Buffer} Padded integer
+   * @private
+   */
+  static _pad(value, size) {
+    if (value.length > size) {
+      throw new Error('Invalid DER ECDSA signature');
+    }
+    return Buffer.concat([Buffer.alloc(size - value.length), value]);
+  }
+}
+
+export default EcdsaSignature;
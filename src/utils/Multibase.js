@@ -0,0 +1,102 @@
+/**
+ * Utility class for multibase encoding.
+ * https://www.w3.org/TR/controller-document/#multibase-0
+ */
+class Multibase {
+  static BASE58BTC_PREFIX = 'z';
+  static BASE58BTC_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+  /**
+   * Encodes bytes as a multibase base58btc string ('z' prefix).
+   *
+   * @param {Buffer|Uint8Array} bytes The bytes to encode
+   * @returns {string} Multibase base58btc string
+   */
+  static encodeBase58btc(bytes) {
+    return Multibase.BASE58BTC_PREFIX + Multibase.encodeBase58(bytes);
+  }
+
+  /**
+   * Decodes a multibase base58btc string ('z' prefix).
+   *
+   * @param {string} encoded The multibase string
+   * @returns {Buffer} The decoded bytes
+   * @throws {Error} If the string is not multibase base58btc
+   */
+  static decodeBase58btc(encoded) {
+    if (typeof encoded !== 'string' || !encoded.startsWith(Multibase.BASE58BTC_PREFIX)) {
+      throw new Error('Value is not a multibase base58btc string');
+    }
+    return Multibase.decodeBase58(encoded.slice(1));
+  }
+
+  /**
+   * Encodes bytes in base58 using the Bitcoin alphabet.
+   *
+   * @param {Buffer|Uint8Array} bytes The bytes to encode
+   * @returns {string} Base58 string
+   */
+  static encodeBase58(bytes) {
+    const input = Buffer.from(bytes);
+    const alphabet = Multibase.BASE58BTC_ALPHABET;
+
+    let zeros = 0;
+    while (zeros < input.length && input[zeros] === 0) zeros++;
+
+    // Repeated division of the big-endian number by 58
+    const digits = [];
+    for (let i = zeros; i < input.length; i++) {
+      let carry = input[i];
+      for (let j = 0; j < digits.length; j++) {
+        carry += digits[j] << 8;
+        digits[j] = carry % 58;
+        carry = (carry / 58) | 0;
+      }
+      while (carry > 0) {
+        digits.push(carry % 58);
+        carry = (carry / 58) | 0;
+      }
+    }
+
+    let result = alphabet[0].repeat(zeros);
+    for (let i = digits.length - 1; i >= 0; i--) {
+      result += alphabet[digits[i]];
+    }
+    return result;
+  }
+
+  /**
+   * Decodes a base58 string using the Bitcoin alphabet.
+   *
+   * @param {string} encoded The base58 string
+   * @returns {Buffer} The decoded bytes
+   * @throws {Error} If the string contains non-base58 characters
+   */
+  static decodeBase58(encoded) {
+    const alphabet = Multibase.BASE58BTC_ALPHABET;
+
+    let zeros = 0;
+    while (zeros < encoded.length && encoded[zeros] === alphabet[0]) zeros++;
+
+    const bytes = [];
+    for (let i = zeros; i < encoded.length; i++) {
+      let carry = alphabet.indexOf(encoded[i]);
+      if (carry < 0) {
+        throw new Error(`Invalid base58 character: ${encoded[i]}`);
+      }
+      for (let j = 0; j < bytes.length; j++) {
+        carry += bytes[j] * 58;
+        bytes[j] = carry & 0xff;
+        carry >>= 8;
+      }
+      while (carry > 0) {
+        bytes.push(carry & 0xff);
+        carry >>= 8;
+      }
+    }
+
+    return Buffer.concat([Buffer.alloc(zeros), Buffer.from(bytes.reverse())]);
+  }
+}
+
+export default Multibase;
@@ -1,2 +1,12 @@
-// Utility functions and helpers will be exported here
-export default {};
\ No newline at end of file
+import Multibase from './Multibase.js';
+import EcdsaSignature from './EcdsaSignature.js';
+
+export {
+  Multibase,
+  EcdsaSignature
+};
+
+export default {
+  Multibase,
+  EcdsaSignature
+};
@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { VerifiableCredentialService, DidWeb, Keyring, KeyUtils } from '../src/index.js';
+import { createApp } from '../src/api/server.js';
+
+const DID = 'did:web:credentials.example.gov';
+
+/**
+ * Starts an application on a local port and returns its origin and a close function.
+ */
+async function listen(app) {
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return {
+    origin: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+test('API: The DID document route serves the configured did:web identity', async () => {
+  const keyring = new Keyring();
+  keyring.addKey(DID, crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey, { kid: 'key-1' });
+  keyring.addKey(`${DID}:issuers:1`, crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey, { kid: 'key-1' });
+
+  const { origin, close } = await listen(createApp({ did: DID, keyring }));
+  const path = await listen(createApp({ did: `${DID}:issuers:1`, keyring }));
+  const unconfigured = await listen(createApp({ did: DID }));
+  try {
+    const response = await fetch(`${origin}/.well-known/did.json`);
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^application\/did\+json/);
+    assert.deepStrictEqual(await response.json(), DidWeb.createDocument(DID, keyring));
+    assert.strictEqual((await fetch(`${origin}/issuers/1/did.json`)).status, 404);
+
+    const issuer = await fetch(`${path.origin}/issuers/1/did.json`);
+    assert.strictEqual((await issuer.json()).id, `${DID}:issuers:1`);
+    assert.strictEqual((await fetch(`${path.origin}/.well-known/did.json`)).status, 404);
+
+    // Without a keyring there is nothing to publish
+    assert.strictEqual((await fetch(`${unconfigured.origin}/.well-known/did.json`)).status, 404);
+  } finally {
+    await Promise.all([close(), path.close(), unconfigured.close()]);
+  }
+});
+
+test('API: The DID document keys can come from a JWK Set file', async () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'did-web-keys-'));
+  const file = path.join(directory, 'keys.json');
+  fs.writeFileSync(file, JSON.stringify({ keys: [KeyUtils.toJwk(privateKey, { kid: 'key-1' })] }));
+
+  const environment = { DID_WEB: process.env.DID_WEB, DID_WEB_KEYS: process.env.DID_WEB_KEYS };
+  process.env.DID_WEB = DID;
+  process.env.DID_WEB_KEYS = file;
+  let server;
+  try {
+    const app = createApp();
+    assert.strictEqual(app.locals.keyring.getKey(`${DID}#key-1`).privateKey, null);
+    server = await listen(app);
+
+    const document = await (await fetch(`${server.origin}/.well-known/did.json`)).json();
+    assert.deepStrictEqual(document.verificationMethod.map(method => method.id), [`${DID}#key-1`]);
+    assert.ok(KeyUtils.fromMultikey(document.verificationMethod[0]).equals(publicKey));
+
+    fs.writeFileSync(file, JSON.stringify({ keys: [] }));
+    assert.throws(() => createApp(), /must be a JWK Set with at least one key/);
+  } finally {
+    await server?.close();
+    for (const [name, value] of Object.entries(environment)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    fs.rmSync(directory, { recursive: true });
+  }
+});
+
+/**
+ * Posts a JSON body and returns the status and the parsed response.
+ */
+async function post(url, body) {
+  const response = await fetch(url, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) });
+  return { status: response.status, body: await response.json() };
+}
+
+test('API: /api/sign validates the credential as submitted', async () => {
+  const { publicKey, privateKey } = VerifiableCredentialService.generateKeyPair();
+  const { origin, close } = await listen(createApp());
+  try {
+    // Nothing is filled in for a missing issuer, validity period or subject
+    const empty = await post(`${origin}/api/sign`, {
+      credential: { '@context': ['https://www.w3.org/ns/credentials/v2'], type: ['VerifiableCredential'] },
+      privateKey
+    });
+    assert.strictEqual(empty.status, 400);
+    assert.strictEqual(empty.body.error, 'Credential does not follow the VC Data Model 2.0');
+    assert.deepStrictEqual(empty.body.errors.map(error => error.path), ['/issuer', '/credentialSubject']);
+
+    // VC 1.1 credentials are validated as VC 1.1 and signed as submitted
+    const v1 = {
+      '@context': ['https://www.w3.org/2018/credentials/v1'],
+      type: ['VerifiableCredential'],
+      issuer: 'did:example:issuer',
+      credentialSubject: { id: 'did:example:subject' }
+    };
+    const missingDate = await post(`${origin}/api/sign`, { credential: v1, privateKey });
+    assert.strictEqual(missingDate.status, 400);
+    assert.strictEqual(missingDate.body.error, 'Credential does not follow the VC Data Model 1.1');
+    assert.deepStrictEqual(missingDate.body.errors.map(error => error.path), ['/issuanceDate']);
+
+    const signed = await post(`${origin}/api/sign`, { credential: { ...v1, issuanceDate: '2024-01-01T00:00:00Z' }, privateKey });
+    assert.strictEqual(signed.status, 200);
+    const { proof, ...unsigned } = signed.body.signedCredential;
+    assert.deepStrictEqual(unsigned, { ...v1, issuanceDate: '2024-01-01T00:00:00Z' });
+    assert.strictEqual(new VerifiableCredentialService().verify(signed.body.signedCredential, publicKey), true);
+
+    const validated = await post(`${origin}/api/validate`, { credential: v1 });
+    assert.deepStrictEqual(validated.body, { valid: false, errors: missingDate.body.errors });
+  } finally {
+    await close();
+  }
+});
+
+test('API: /api/verify verifies RDFC-1.0 proofs', async () => {
+  const service = new VerifiableCredentialService();
+  const { publicKey, privateKey } = VerifiableCredentialService.generateKeyPair();
+  const signedVc = await service.signAsync({
+    '@context': ['https://www.w3.org/ns/credentials/v2'],
+    type: ['VerifiableCredential'],
+    issuer: 'did:example:issuer',
+    validFrom: '2024-01-01T00:00:00Z',
+    credentialSubject: { id: 'did:example:subject' }
+  }, privateKey, { cryptosuite: 'ecdsa-rdfc-2019' });
+
+  const { origin, close } = await listen(createApp());
+  try {
+    assert.deepStrictEqual(await post(`${origin}/api/verify`, { credential: signedVc, publicKey, validate: true }),
+      { status: 200, body: { valid: true, errors: [] } });
+    assert.deepStrictEqual(await post(`${origin}/api/verify`, { credential: signedVc, publicKey }),
+      { status: 200, body: { valid: true } });
+
+    const tampered = { ...signedVc, issuer: 'did:example:attacker' };
+    const result = await post(`${origin}/api/verify`, { credential: tampered, publicKey, validate: true });
+    assert.strictEqual(result.body.valid, false);
+    assert.deepStrictEqual(result.body.errors.map(error => error.code), ['SIGNATURE_INVALID']);
+  } finally {
+    await close();
+  }
+});
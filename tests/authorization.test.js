@@ -0,0 +1,168 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import crypto from 'crypto';
+import { VerifiableCredentialService, VerificationResult, DidResolver, KeyUtils, VPBuilder, LocalSigner, Keyring } from '../src/index.js';
+import { ISSUER, sampleVc, errorCodes } from './fixtures.js';
+
+const OTHER = 'did:example:other';
+
+/**
+ * Service resolving did:example DIDs from in-memory documents. Each DID gets
+ * an assertion key (#assert), an authentication key (#auth) and a key under
+ * no relationship (#unlisted).
+ */
+function setup() {
+  const keys = {};
+  const documents = {};
+  for (const did of [ISSUER, OTHER]) {
+    keys[did] = {};
+    const verificationMethod = ['assert', 'auth', 'unlisted'].map(name => {
+      const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      keys[did][name] = new LocalSigner(privateKey, { id: `${did}#${name}` });
+      return { ...KeyUtils.toMultikey(publicKey, { controller: did }), id: `#${name}` };
+    });
+    documents[did] = {
+      id: did,
+      verificationMethod,
+      assertionMethod: ['#assert'],
+      authentication: [`${did}#auth`]
+    };
+  }
+
+  const resolver = new DidResolver();
+  resolver.register('example', { resolve: did => documents[did] }, { sync: true });
+  return { service: new VerifiableCredentialService({ resolver }), keys, documents };
+}
+
+test('AUTHORIZATION: Credentials verify with the issuer\'s assertion key', async () => {
+  const { service, keys } = setup();
+
+  const signedVc = await service.signAsync(sampleVc(), keys[ISSUER].assert, { cryptosuite: 'ecdsa-jcs-2019' });
+  const result = service.verifyWithResult(signedVc);
+  assert.strictEqual(result.verified, true);
+  assert.ok(result.checks.includes('authorization'));
+
+  // Issuer objects name the issuer by id
+  const withObject = await service.signAsync(sampleVc({ issuer: { id: ISSUER, name: 'Issuer' } }),
+    keys[ISSUER].assert, { cryptosuite: 'ecdsa-rdfc-2019' });
+  assert.strictEqual(await service.verifyAsync(withObject), true);
+});
+
+test('AUTHORIZATION: Keys controlled by another DID are rejected', async () => {
+  const { service, keys } = setup();
+
+  // issuer did:A, signed with a key of did:B
+  const signedVc = await service.signAsync(sampleVc(), keys[OTHER].assert, { cryptosuite: 'ecdsa-jcs-2019' });
+  const result = service.verifyWithResult(signedVc);
+  assert.strictEqual(result.verified, false);
+  assert.deepStrictEqual(errorCodes(result), [VerificationResult.KEY_CONTROLLER_MISMATCH]);
+  assert.match(result.errors[0].message,
+    /verificationMethod did:example:other#assert is controlled by did:example:other, not the issuer did:example:issuer/);
+  assert.strictEqual(result.checks.includes('signature'), false);
+
+  // A verification method claiming a controller its DID document does not have
+  const { service: spoofed, keys: spoofedKeys, documents } = setup();
+  documents[ISSUER].verificationMethod[0].controller = OTHER;
+  const spoofedVc = await spoofed.signAsync(sampleVc(), spoofedKeys[ISSUER].assert, { cryptosuite: 'ecdsa-jcs-2019' });
+  assert.deepStrictEqual(errorCodes(spoofed.verifyWithResult(spoofedVc)), [VerificationResult.KEY_CONTROLLER_MISMATCH]);
+});
+
+test('AUTHORIZATION: Keys must be listed under the proof purpose', async () => {
+  const { service, keys } = setup();
+
+  for (const name of ['auth', 'unlisted']) {
+    const signedVc = await service.signAsync(sampleVc(), keys[ISSUER][name], { cryptosuite: 'ecdsa-jcs-2019' });
+    const result = service.verifyWithResult(signedVc);
+    assert.deepStrictEqual(errorCodes(result), [VerificationResult.KEY_NOT_AUTHORIZED], name);
+    assert.match(result.errors[0].message,
+      new RegExp(`did:example:issuer#${name} is not listed under assertionMethod in the DID document of did:example:issuer`));
+  }
+
+  // Presentations are signed with the holder's authentication key
+  const credential = await service.signAsync(sampleVc(), keys[ISSUER].assert, { cryptosuite: 'ecdsa-jcs-2019' });
+  const vp = new VPBuilder().holder(OTHER).addCredential(credential).build().toJSON();
+
+  const signedVp = await service.signPresentationAsync(vp, keys[OTHER].auth, { cryptosuite: 'ecdsa-jcs-2019', challenge: 'c-1' });
+  assert.strictEqual(service.verifyPresentation(signedVp, undefined, { challenge: 'c-1' }), true);
+
+  const assertionVp = await service.signPresentationAsync(vp, keys[OTHER].assert, { cryptosuite: 'ecdsa-jcs-2019', challenge: 'c-1' });
+  const result = service.verifyPresentationWithResult(assertionVp, undefined, { challenge: 'c-1' });
+  assert.deepStrictEqual(errorCodes(result), [VerificationResult.KEY_NOT_AUTHORIZED]);
+  assert.match(result.errors[0].message, /not listed under authentication/);
+
+  const issuerVp = await service.signPresentationAsync(vp, keys[ISSUER].auth, { cryptosuite: 'ecdsa-jcs-2019', challenge: 'c-1' });
+  const mismatch = service.verifyPresentationWithResult(issuerVp, undefined, { challenge: 'c-1' });
+  assert.deepStrictEqual(errorCodes(mismatch), [VerificationResult.KEY_CONTROLLER_MISMATCH]);
+  assert.match(mismatch.errors[0].message, /not the holder did:example:other/);
+
+  // Without a holder, no resolved key is authorized, whichever DID it belongs to
+  const anonymousVp = { ...vp };
+  delete anonymousVp.holder;
+  const unbound = await service.signPresentationAsync(anonymousVp, keys[OTHER].auth, {
+    cryptosuite: 'ecdsa-jcs-2019', challenge: 'c-1', verificationMethod: `${OTHER}#auth`
+  });
+  const unboundResult = service.verifyPresentationWithResult(unbound, undefined, { challenge: 'c-1' });
+  assert.deepStrictEqual(errorCodes(unboundResult), [VerificationResult.KEY_CONTROLLER_MISMATCH]);
+  assert.match(unboundResult.errors[0].message, /did:example:other#auth cannot be authorized: the VP has no holder/);
+  assert.strictEqual(service.verifyPresentation(unbound, keys[OTHER].auth.publicKey, { challenge: 'c-1' }), true);
+});
+
+test('AUTHORIZATION: Keyring keys must belong to the issuer or holder and fit the proof purpose', () => {
+  const service = new VerifiableCredentialService();
+  const keyring = new Keyring();
+  keyring.addKey(ISSUER, crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey, { kid: 'key-1' });
+  keyring.addKey(OTHER, crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey, { kid: 'key-1' });
+
+  // issuer did:A, signed with the keyring key of did:B
+  const signedVc = service.sign(sampleVc(), keyring, { verificationMethod: `${OTHER}#key-1` });
+  const result = service.verifyWithResult(signedVc, keyring);
+  assert.strictEqual(result.verified, false);
+  assert.ok(result.checks.includes('authorization'));
+  assert.deepStrictEqual(errorCodes(result), [VerificationResult.KEY_CONTROLLER_MISMATCH]);
+  assert.match(result.errors[0].message, /did:example:other#key-1 is controlled by did:example:other, not the issuer did:example:issuer/);
+  assert.strictEqual(service.verify(service.sign(sampleVc({ issuer: OTHER }), keyring), keyring), true);
+
+  // A credential proof must be an assertion, a presentation proof an authentication
+  const authenticationVc = service.sign(sampleVc(), keyring, { proofPurpose: 'authentication' });
+  const purpose = service.verifyWithResult(authenticationVc, keyring, { proofPurpose: 'authentication' });
+  assert.deepStrictEqual(errorCodes(purpose), [VerificationResult.KEY_NOT_AUTHORIZED]);
+  assert.match(purpose.errors[0].message, /keyring key did:example:issuer#key-1 authorizes only assertionMethod proofs of a VC, not authentication/);
+
+  const vp = new VPBuilder().holder(OTHER).addCredential(signedVc).build().toJSON();
+  const assertionVp = service.signPresentation(vp, keyring, { proofPurpose: 'assertionMethod', challenge: 'c-1' });
+  const vpResult = service.verifyPresentationWithResult(assertionVp, keyring, { proofPurpose: 'assertionMethod', challenge: 'c-1' });
+  assert.deepStrictEqual(errorCodes(vpResult), [VerificationResult.KEY_NOT_AUTHORIZED]);
+  assert.strictEqual(service.verifyPresentation(service.signPresentation(vp, keyring, { challenge: 'c-1' }), keyring, { challenge: 'c-1' }), true);
+
+  // Without a holder, no keyring key is authorized
+  const anonymousVp = { ...vp };
+  delete anonymousVp.holder;
+  const unbound = service.signPresentation(anonymousVp, keyring, { verificationMethod: `${OTHER}#key-1`, challenge: 'c-1' });
+  assert.deepStrictEqual(errorCodes(service.verifyPresentationWithResult(unbound, keyring, { challenge: 'c-1' })),
+    [VerificationResult.KEY_CONTROLLER_MISMATCH]);
+});
+
+test('AUTHORIZATION: Explicitly passed keys are trusted by the caller', async () => {
+  const { service, keys } = setup();
+  const signedVc = await service.signAsync(sampleVc(), keys[OTHER].unlisted, { cryptosuite: 'ecdsa-jcs-2019' });
+
+  const result = await service.verifyWithResultAsync(signedVc, keys[OTHER].unlisted.publicKey);
+  assert.strictEqual(result.verified, true);
+  assert.strictEqual(result.checks.includes('authorization'), false);
+});
+
+test('AUTHORIZATION: Verification relationships by reference or embedded', () => {
+  const document = {
+    id: ISSUER,
+    assertionMethod: [`${ISSUER}#key-1`, '#key-2', { id: '#key-3', type: 'Multikey' }],
+    authentication: `${ISSUER}#key-4`
+  };
+
+  assert.strictEqual(DidResolver.hasRelationship(document, 'assertionMethod', `${ISSUER}#key-1`), true);
+  assert.strictEqual(DidResolver.hasRelationship(document, 'assertionMethod', `${ISSUER}#key-2`), true);
+  assert.strictEqual(DidResolver.hasRelationship(document, 'assertionMethod', `${ISSUER}#key-3`), true);
+  assert.strictEqual(DidResolver.hasRelationship(document, 'authentication', `${ISSUER}#key-4`), true);
+  assert.strictEqual(DidResolver.hasRelationship(document, 'authentication', `${ISSUER}#key-1`), false);
+  assert.strictEqual(DidResolver.hasRelationship(document, 'assertionMethod', `${OTHER}#key-2`), false);
+  assert.strictEqual(DidResolver.hasRelationship(document, 'id', `${ISSUER}#key-1`), false);
+});
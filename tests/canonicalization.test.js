@@ -103,4 +103,103 @@ test('CANONICALIZATION: Proof exclusion parameter', () => {
     canonicalWithoutProof,
     'Canonicalization without proof exclusion should include proof'
   );
-});
\ No newline at end of file
+});
+
+// Inline contexts keep the RDFC-1.0 tests independent of any remote document
+const ALIAS_CONTEXT_A = {
+  '@version': 1.1,
+  id: '@id',
+  type: '@type',
+  name: 'https://schema.org/name',
+  alumniOf: { '@id': 'https://schema.org/alumniOf', '@type': '@id' }
+};
+
+const ALIAS_CONTEXT_B = {
+  '@version': 1.1,
+  identifier: '@id',
+  kind: '@type',
+  fullName: 'https://schema.org/name',
+  school: { '@id': 'https://schema.org/alumniOf', '@type': '@id' }
+};
+
+test('RDFC-1.0: Semantically identical documents with different aliases canonicalize identically', async () => {
+  const doc1 = {
+    '@context': ALIAS_CONTEXT_A,
+    id: 'did:example:ebfeb1f712ebc6f1c276e12ec21',
+    type: 'https://schema.org/Person',
+    name: 'Jane Doe',
+    alumniOf: 'https://example.edu'
+  };
+
+  const doc2 = {
+    '@context': ALIAS_CONTEXT_B,
+    school: 'https://example.edu',
+    fullName: 'Jane Doe',
+    kind: 'https://schema.org/Person',
+    identifier: 'did:example:ebfeb1f712ebc6f1c276e12ec21'
+  };
+
+  const canonical1 = await JSONLDCanon.canonicalizeRdf(doc1);
+  const canonical2 = await JSONLDCanon.canonicalizeRdf(doc2);
+
+  assert.strictEqual(canonical1, canonical2, 'RDFC-1.0 output should not depend on term aliases');
+  assert.ok(canonical1.includes('<https://schema.org/name> "Jane Doe" .'), 'Output should be N-Quads');
+
+  // JCS keeps the aliases, so the two documents differ
+  assert.notStrictEqual(JSONLDCanon.canonicalize(doc1), JSONLDCanon.canonicalize(doc2));
+});
+
+test('RDFC-1.0: Blank nodes are relabelled deterministically', async () => {
+  const doc1 = {
+    '@context': ALIAS_CONTEXT_A,
+    name: 'Issuer',
+    alumniOf: { name: 'Example University' }
+  };
+
+  const doc2 = {
+    '@context': ALIAS_CONTEXT_A,
+    alumniOf: { name: 'Example University' },
+    name: 'Issuer'
+  };
+
+  const canonical1 = await JSONLDCanon.canonicalizeRdf(doc1);
+  const canonical2 = await JSONLDCanon.canonicalizeRdf(doc2);
+
+  assert.strictEqual(canonical1, canonical2);
+  assert.ok(canonical1.includes('_:c14n0'), 'Blank nodes should use canonical labels');
+});
+
+test('RDFC-1.0: Proof exclusion and algorithm selection per call', async () => {
+  const doc = {
+    '@context': ALIAS_CONTEXT_A,
+    id: 'urn:uuid:58172aac-d8ba-11ed-83dd-0b3aef56cc33',
+    name: 'Alumni Credential'
+  };
+  const docWithProof = { ...doc, proof: { proofValue: 'signatureValue' } };
+
+  const rdfc = await JSONLDCanon.canonicalizeAsync(docWithProof, true, {
+    algorithm: JSONLDCanon.ALGORITHM_RDFC
+  });
+  assert.strictEqual(rdfc, await JSONLDCanon.canonicalizeRdf(doc));
+
+  const jcs = await JSONLDCanon.canonicalizeAsync(docWithProof, true);
+  assert.strictEqual(jcs, JSONLDCanon.canonicalize(doc), 'JCS should remain the default algorithm');
+
+  await assert.rejects(
+    JSONLDCanon.canonicalizeAsync(doc, false, { algorithm: 'URGNA2012' }),
+    /Unsupported canonicalization algorithm/
+  );
+});
+
+test('RDFC-1.0: Terms missing from the @context are rejected', async () => {
+  const doc = {
+    '@context': ALIAS_CONTEXT_A,
+    name: 'Jane Doe',
+    undefinedTerm: 'would be silently dropped'
+  };
+
+  await assert.rejects(
+    JSONLDCanon.canonicalizeRdf(doc),
+    /Failed to canonicalize Verifiable Credential/
+  );
+});
@@ -379,7 +379,7 @@ test('POSITIVE: Create wallet helper', () => {
   assert.ok(wallet.privateKey, 'Wallet should have private key');
   
   // Check that DID is valid format
-  assert.ok(wallet.did.startsWith('did:example:'), 'DID should have correct format');
+  assert.ok(wallet.did.startsWith('did:key:'), 'DID should have correct format');
   
   // Check that keys are strings
   assert.ok(typeof wallet.publicKey === 'string', 'Public key should be a string');
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import {
+  VerifiableCredentialService, VerifiableCredential, VerifiablePresentation, Proof, JSONLDCanon, VPBuilder
+} from '../src/index.js';
+import { degreeVc } from './fixtures.js';
+
+test('CORE JSON: Credentials keep extension properties through toJSON', () => {
+  const json = degreeVc();
+  const vc = VerifiableCredential.fromJSON(json);
+
+  assert.ok(vc instanceof VerifiableCredential);
+  assert.strictEqual(vc.getIssuer(), 'did:example:issuer');
+  assert.deepStrictEqual(vc.credentialStatus, json.credentialStatus);
+  assert.deepStrictEqual(vc.toJSON(), json);
+  assert.strictEqual(JSONLDCanon.canonicalize(vc), JSONLDCanon.canonicalize(json));
+
+  // The instance does not share state with its input
+  json.credentialStatus.statusListIndex = '1';
+  assert.strictEqual(vc.toJSON().credentialStatus.statusListIndex, '94567');
+
+  // Extensions set on an instance are emitted too
+  const built = new VerifiableCredential(['https://www.w3.org/ns/credentials/v2'], ['VerifiableCredential'], null, 'did:example:issuer');
+  built.name = 'Built';
+  assert.strictEqual(built.toJSON().name, 'Built');
+
+  // credentialSchema has accessors and stays an extension property
+  assert.deepStrictEqual(vc.getCredentialSchema(), degreeVc().credentialSchema);
+  const schema = { id: 'https://example.com/schemas/licence.json', type: 'JsonSchema' };
+  assert.deepStrictEqual(vc.setCredentialSchema(schema).toJSON(), { ...degreeVc(), credentialSchema: schema });
+  assert.deepStrictEqual(VerifiableCredential.fromJSON(vc.toJSON()).toJSON(), vc.toJSON());
+  assert.strictEqual(Object.hasOwn(vc.setCredentialSchema(undefined).toJSON(), 'credentialSchema'), false);
+  assert.strictEqual(built.getCredentialSchema(), undefined);
+
+  assert.throws(() => VerifiableCredential.fromJSON('{}'), /Verifiable Credential JSON must be an object/);
+  assert.throws(() => VerifiableCredential.fromJSON([]), /Verifiable Credential JSON must be an object/);
+});
+
+test('CORE JSON: Wrapped signed credentials still verify', async () => {
+  const service = new VerifiableCredentialService();
+  const { publicKey, privateKey } = VerifiableCredentialService.generateKeyPair();
+
+  const signed = service.sign(degreeVc(), privateKey);
+  assert.strictEqual(service.verify(VerifiableCredential.fromJSON(signed).toJSON(), publicKey), true);
+  assert.strictEqual(JSONLDCanon.canonicalize(VerifiableCredential.fromJSON(signed)), JSONLDCanon.canonicalize(signed));
+
+  const signedRdfc = await service.signAsync(degreeVc(), privateKey, { cryptosuite: 'ecdsa-rdfc-2019' });
+  const wrapped = VerifiableCredential.fromJSON(signedRdfc);
+  assert.strictEqual(await service.verifyAsync(wrapped.toJSON(), publicKey), true);
+  assert.strictEqual(await JSONLDCanon.canonicalizeAsync(wrapped, true, { algorithm: JSONLDCanon.ALGORITHM_RDFC }),
+    await JSONLDCanon.canonicalizeAsync(signedRdfc, true, { algorithm: JSONLDCanon.ALGORITHM_RDFC }));
+});
+
+test('CORE JSON: VC 1.1 dates are read as validFrom and validUntil', () => {
+  const v1 = {
+    '@context': ['https://www.w3.org/2018/credentials/v1'],
+    type: ['VerifiableCredential'],
+    issuer: 'did:example:issuer',
+    issuanceDate: '2024-01-01T00:00:00Z',
+    expirationDate: '2029-01-01T00:00:00Z',
+    credentialSubject: { id: 'did:example:subject' }
+  };
+
+  const vc = VerifiableCredential.fromJSON(v1);
+  assert.strictEqual(vc.getValidFrom(), '2024-01-01T00:00:00Z');
+  assert.strictEqual(vc.getIssuanceDate(), '2024-01-01T00:00:00Z');
+  assert.strictEqual(vc.getValidUntil(), '2029-01-01T00:00:00Z');
+  assert.deepStrictEqual(vc.toJSON(), v1);
+
+  const v2 = VerifiableCredential.fromJSON(degreeVc());
+  assert.strictEqual(v2.getValidFrom(), '2024-01-01T00:00:00Z');
+  assert.strictEqual('issuanceDate' in v2.toJSON(), false);
+
+  // With both names present, issuanceDate stays an extension
+  const both = VerifiableCredential.fromJSON({ ...degreeVc(), issuanceDate: '2023-01-01T00:00:00Z' });
+  assert.strictEqual(both.getValidFrom(), '2024-01-01T00:00:00Z');
+  assert.strictEqual(both.toJSON().issuanceDate, '2023-01-01T00:00:00Z');
+});
+
+test('CORE JSON: Presentations and proofs keep extension properties', async () => {
+  const service = new VerifiableCredentialService();
+  const { publicKey, privateKey } = VerifiableCredentialService.generateKeyPair();
+
+  const proofJson = {
+    id: 'urn:uuid:2c5b2d5e-5f8b-4a4e-9b1f-1e4f3c2a7d10',
+    type: 'DataIntegrityProof',
+    cryptosuite: 'ecdsa-jcs-2019',
+    created: '2024-01-01T00:00:00Z',
+    verificationMethod: 'did:example:issuer#key-1',
+    proofPurpose: 'assertionMethod',
+    challenge: 'abc',
+    previousProof: 'urn:uuid:0d1e0f32-52cb-4a6e-8f5c-3e4b7a9d1c22',
+    proofValue: 'z3FXQjecWufY46yg5abdVZsXqLhxhueuSoZgNSARiKBk'
+  };
+  const proof = Proof.fromJSON(proofJson);
+  assert.strictEqual(proof.getChallenge(), 'abc');
+  assert.deepStrictEqual(proof.toJSON(), proofJson);
+  assert.throws(() => Proof.fromJSON(null), /Proof JSON must be an object/);
+
+  const vp = new VPBuilder().holder('did:example:holder').addCredential(service.sign(degreeVc(), privateKey)).build().toJSON();
+  const signedVp = await service.signPresentationAsync({ ...vp, id: 'urn:uuid:7f1f0b9e-0c55-4bd4-8f0f-6c2b1d3e4a55', termsOfUse: { type: 'HolderPolicy' } },
+    privateKey, { cryptosuite: 'ecdsa-jcs-2019', challenge: 'xyz' });
+
+  const wrapped = VerifiablePresentation.fromJSON(signedVp);
+  assert.strictEqual(wrapped.getHolder(), 'did:example:holder');
+  assert.deepStrictEqual(wrapped.termsOfUse, { type: 'HolderPolicy' });
+  assert.deepStrictEqual(wrapped.toJSON(), signedVp);
+  assert.strictEqual(await service.verifyPresentationAsync(wrapped.toJSON(), publicKey, { challenge: 'xyz' }), true);
+  assert.throws(() => VerifiablePresentation.fromJSON(undefined), /Verifiable Presentation JSON must be an object/);
+});
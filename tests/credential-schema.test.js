@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import { VerifiableCredentialService, VerificationResult, VerifiableCredential, VCBuilder, SchemaRegistry } from '../src/index.js';
+import { errorCodes } from './fixtures.js';
+
+const DEGREE_SCHEMA = 'https://example.edu/schemas/degree.json';
+const PERSON_SCHEMA = 'https://example.edu/schemas/person.json';
+
+function registry() {
+  return new SchemaRegistry()
+    .addSchema(PERSON_SCHEMA, {
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      type: 'object',
+      properties: { id: { type: 'string', pattern: '^did:' } },
+      required: ['id']
+    })
+    .addSchema(DEGREE_SCHEMA, {
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      type: 'object',
+      $ref: 'person.json',
+      properties: {
+        degree: {
+          type: 'object',
+          properties: { type: { enum: ['BachelorDegree', 'MasterDegree'] }, name: { type: 'string' } },
+          required: ['type', 'name']
+        }
+      },
+      required: ['degree']
+    });
+}
+
+function subject() {
+  return { id: 'did:example:subject', degree: { type: 'BachelorDegree', name: 'Bachelor of Science' } };
+}
+
+function credential(credentialSubject, schemas = [DEGREE_SCHEMA]) {
+  const builder = new VCBuilder({ version: '2.0' })
+    .addType('UniversityDegreeCredential')
+    .issuer('did:example:issuer')
+    .validFrom('2024-01-01T00:00:00Z')
+    .credentialSubject(credentialSubject);
+  schemas.forEach(id => builder.credentialSchema(id));
+  return builder.build().toJSON();
+}
+
+test('SCHEMA: Builder adds JsonSchema entries and checks the subject', () => {
+  assert.deepStrictEqual(credential(subject()).credentialSchema, { id: DEGREE_SCHEMA, type: 'JsonSchema' });
+  assert.deepStrictEqual(credential(subject(), [PERSON_SCHEMA, DEGREE_SCHEMA]).credentialSchema, [
+    { id: PERSON_SCHEMA, type: 'JsonSchema' },
+    { id: DEGREE_SCHEMA, type: 'JsonSchema' }
+  ]);
+  const twoSchemas = credential(subject(), [PERSON_SCHEMA, DEGREE_SCHEMA]);
+  assert.deepStrictEqual(VerifiableCredential.fromJSON(twoSchemas).toJSON(), twoSchemas);
+
+  const build = credentialSubject => new VCBuilder({ schemaRegistry: registry() })
+    .addType('VerifiableCredential')
+    .issuer('did:example:issuer')
+    .validFrom('2024-01-01T00:00:00Z')
+    .credentialSubject(credentialSubject)
+    .credentialSchema(DEGREE_SCHEMA)
+    .build();
+
+  assert.strictEqual(build(subject()).toJSON().credentialSchema.id, DEGREE_SCHEMA);
+  assert.throws(() => build({ id: 'urn:uuid:1', degree: { type: 'Diploma' } }), {
+    message: `Credential subject does not match schema ${DEGREE_SCHEMA}: /credentialSubject/id must match the pattern ^did:; ` +
+      '/credentialSubject/degree/type must be one of the enum values; /credentialSubject/degree/name is required'
+  });
+  assert.throws(() => new VCBuilder({ schemaRegistry: registry() }).credentialSchema('https://example.edu/schemas/licence.json'),
+    /No schema registered for https:\/\/example.edu\/schemas\/licence.json/);
+});
+
+test('SCHEMA: Verification reports schema failures next to the signature outcome', async () => {
+  const service = new VerifiableCredentialService({ schemaRegistry: registry() });
+  const { publicKey, privateKey } = VerifiableCredentialService.generateKeyPair();
+
+  const valid = service.sign(credential(subject()), privateKey);
+  const result = service.verifyWithResult(valid, publicKey);
+  assert.strictEqual(result.verified, true);
+  assert.strictEqual(result.checks.at(-1), 'schema');
+
+  // Without a registry there is no schema check
+  const unchecked = new VerifiableCredentialService().verifyWithResult(valid, publicKey);
+  assert.strictEqual(unchecked.verified, true);
+  assert.strictEqual(unchecked.checks.includes('schema'), false);
+
+  // The issuer signed a subject the schema rejects: the signature holds, the schema fails
+  const invalid = service.sign(credential({ id: 'did:example:subject', degree: { type: 'Diploma' } }), privateKey);
+  const failed = service.verifyWithResult(invalid, publicKey);
+  assert.strictEqual(failed.verified, false);
+  assert.deepStrictEqual(failed.checks.slice(-2), ['signature', 'schema']);
+  assert.deepStrictEqual(failed.errors, [
+    {
+      code: VerificationResult.SCHEMA_VALIDATION_FAILED,
+      message: `/credentialSubject/degree/type must be one of the enum values (schema ${DEGREE_SCHEMA})`,
+      path: '/credentialSubject/degree/type'
+    },
+    {
+      code: VerificationResult.SCHEMA_VALIDATION_FAILED,
+      message: `/credentialSubject/degree/name is required (schema ${DEGREE_SCHEMA})`,
+      path: '/credentialSubject/degree/name'
+    }
+  ]);
+  assert.strictEqual(await service.verifyAsync(invalid, publicKey), false);
+  assert.deepStrictEqual((await service.verifyWithResultAsync(invalid, publicKey)).errors, failed.errors);
+
+  // A tampered subject fails both checks, each with its own code
+  const tampered = structuredClone(valid);
+  tampered.credentialSubject.id = 'urn:uuid:attacker';
+  assert.deepStrictEqual(errorCodes(service.verifyWithResult(tampered, publicKey)), [
+    VerificationResult.SIGNATURE_INVALID,
+    VerificationResult.SCHEMA_VALIDATION_FAILED
+  ]);
+});
+
+test('SCHEMA: Unknown and unsupported schemas have their own codes', () => {
+  const service = new VerifiableCredentialService();
+  const { publicKey, privateKey } = VerifiableCredentialService.generateKeyPair();
+  const signed = service.sign({
+    ...credential(subject(), []),
+    credentialSchema: [
+      { id: 'https://example.edu/schemas/licence.json', type: 'JsonSchema' },
+      { id: 'https://example.edu/schemas/degree-credential.json', type: 'JsonSchemaCredential' },
+      { id: DEGREE_SCHEMA, type: 'JsonSchema' }
+    ]
+  }, privateKey);
+
+  // The registry can be passed per call
+  const result = service.verifyWithResult(signed, publicKey, { schemaRegistry: registry() });
+  assert.deepStrictEqual(result.errors, [
+    {
+      code: VerificationResult.SCHEMA_NOT_FOUND,
+      message: 'schema https://example.edu/schemas/licence.json is not registered',
+      path: '/credentialSchema/0/id'
+    },
+    {
+      code: VerificationResult.SCHEMA_UNSUPPORTED,
+      message: 'credentialSchema type JsonSchemaCredential is not supported',
+      path: '/credentialSchema/1'
+    }
+  ]);
+
+  // A schema whose references do not resolve cannot be applied
+  const broken = new SchemaRegistry().addSchema(DEGREE_SCHEMA, { $ref: 'person.json' });
+  assert.deepStrictEqual(service.verifyWithResult(signed, publicKey, { schemaRegistry: broken }).errors.slice(-1), [{
+    code: VerificationResult.SCHEMA_VALIDATION_FAILED,
+    message: `schema ${DEGREE_SCHEMA} cannot be applied: Unable to resolve $ref person.json: ${PERSON_SCHEMA} is not a registered schema`,
+    path: '/credentialSchema/2'
+  }]);
+});
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import { VerifiableCredentialService, VerificationResult, CredentialValidator, VCBuilder } from '../src/index.js';
+import { degreeVc } from './fixtures.js';
+
+// Exercises an issuer object, several subjects and a validUntil with an offset
+function sampleVc() {
+  return degreeVc({
+    issuer: { id: 'did:example:issuer', name: 'Example University', description: [{ '@value': 'Université', '@language': 'fr' }] },
+    validUntil: '2029-01-01T00:00:00+01:00',
+    credentialSubject: [{ id: 'did:example:subject', degree: 'Bachelor' }, { name: 'Unnamed subject' }]
+  });
+}
+
+function paths(credential) {
+  return CredentialValidator.validate(credential).errors.map(error => error.path);
+}
+
+test('VALIDATOR: Valid VC 2.0 credentials', () => {
+  assert.deepStrictEqual(CredentialValidator.validate(sampleVc()), { valid: true, errors: [] });
+
+  const minimal = { '@context': [CredentialValidator.BASE_CONTEXT], type: 'VerifiableCredential', issuer: 'https://example.com', credentialSubject: { degree: 'Bachelor' } };
+  assert.strictEqual(CredentialValidator.validate(minimal).valid, true);
+
+  // Built credentials validate as JSON
+  const built = new VCBuilder().addType('VerifiableCredential').issuer('did:example:issuer')
+    .validFrom('2024-01-01T00:00:00Z').credentialSubject({ id: 'did:example:subject' }).build();
+  assert.strictEqual(CredentialValidator.assertValid(built), built);
+});
+
+test('VALIDATOR: Every violation is reported with a JSON pointer', () => {
+  const credential = {
+    '@context': ['https://www.w3.org/2018/credentials/v1', 42],
+    id: 'not a url',
+    type: ['ExampleDegreeCredential', 7],
+    issuer: { name: { '@language': 'en' } },
+    issuanceDate: '2024-01-01T00:00:00Z',
+    validFrom: '2024-01-01',
+    credentialSubject: [{}, 'did:example:subject', { id: 'subject' }],
+    credentialStatus: [{ id: 'status', type: 'BitstringStatusListEntry' }],
+    credentialSchema: { type: 'JsonSchema' },
+    evidence: [],
+    termsOfUse: { id: 'https://example.com/terms' }
+  };
+
+  const { valid, errors } = CredentialValidator.validate(credential);
+  assert.strictEqual(valid, false);
+  assert.deepStrictEqual(errors, [
+    { path: '/@context/0', message: 'is the VC 1.1 base context; VC 2.0 credentials start with https://www.w3.org/ns/credentials/v2' },
+    { path: '/@context/1', message: 'must be a URL or a context object' },
+    { path: '/type/1', message: 'must be a string' },
+    { path: '/type', message: 'must include VerifiableCredential' },
+    { path: '/id', message: 'must be a URL' },
+    { path: '/issuer/id', message: 'must be a URL' },
+    { path: '/issuer/name', message: 'must be a string or a language value object' },
+    { path: '/credentialSubject/0', message: 'must contain at least one claim' },
+    { path: '/credentialSubject/1', message: 'must be an object' },
+    { path: '/credentialSubject/2/id', message: 'must be a URL' },
+    { path: '/validFrom', message: 'must be an XMLSchema dateTimeStamp, e.g. 2024-01-01T00:00:00Z' },
+    { path: '/credentialStatus/0/id', message: 'must be a URL' },
+    { path: '/credentialSchema/id', message: 'must be a URL' },
+    { path: '/evidence', message: 'must not be empty' },
+    { path: '/termsOfUse/type', message: 'is required' },
+    { path: '/issuanceDate', message: 'is a VC 1.1 property; VC 2.0 credentials use validFrom' }
+  ]);
+
+  assert.throws(() => CredentialValidator.assertValid({ ...sampleVc(), issuer: undefined }), /Invalid credential: \/issuer is required/);
+  assert.deepStrictEqual(paths(null), ['']);
+  assert.deepStrictEqual(paths({}), ['/@context', '/type', '/issuer', '/credentialSubject']);
+  assert.deepStrictEqual(paths({ ...sampleVc(), '@context': 'https://www.w3.org/ns/credentials/v2' }), ['/@context']);
+  assert.deepStrictEqual(paths({ ...sampleVc(), '@context': ['https://www.w3.org/ns/credentials/examples/v2'] }), ['/@context/0']);
+  assert.deepStrictEqual(paths({ ...sampleVc(), issuer: 42 }), ['/issuer']);
+  assert.deepStrictEqual(paths({ ...sampleVc(), credentialSubject: [] }), ['/credentialSubject']);
+  assert.deepStrictEqual(paths({ ...sampleVc(), validUntil: '2023-12-31T23:59:59Z' }), ['/validUntil']);
+  assert.deepStrictEqual(paths({ ...sampleVc(), evidence: 'https://example.com/evidence' }), ['/evidence']);
+});
+
+test('VALIDATOR: XMLSchema dateTimeStamp values', () => {
+  for (const value of ['2024-01-01T00:00:00Z', '2024-02-29T23:59:59.123+14:00', '2024-06-30T12:00:00-05:30', '12024-01-01T00:00:00Z']) {
+    assert.strictEqual(CredentialValidator.isDateTime(value), true, value);
+  }
+  for (const value of ['2024-01-01', '2024-01-01T00:00:00', '2024-13-01T00:00:00Z', '2024-01-01T25:00:00Z', '2024-01-01 00:00:00Z', '2024-01-01T00:00:00+15:00', '2023-02-29T00:00:00Z', '2024-04-31T00:00:00Z', 1704067200000]) {
+    assert.strictEqual(CredentialValidator.isDateTime(value), false, value);
+  }
+});
+
+test('VALIDATOR: verify validates the data model on request', () => {
+  const service = new VerifiableCredentialService();
+  const { publicKey, privateKey } = VerifiableCredentialService.generateKeyPair();
+
+  const signedVc = service.sign(sampleVc(), privateKey, { cryptosuite: 'ecdsa-jcs-2019' });
+  const result = service.verifyWithResult(signedVc, publicKey, { validate: true });
+  assert.strictEqual(result.verified, true);
+  assert.strictEqual(result.checks[0], 'dataModel');
+
+  const invalid = service.sign({ ...sampleVc(), validFrom: '2024-01-01', id: 'credential-1' }, privateKey, { cryptosuite: 'ecdsa-jcs-2019' });
+  assert.strictEqual(service.verify(invalid, publicKey), true, 'validation is opt-in');
+
+  const rejected = service.verifyWithResult(invalid, publicKey, { validate: true });
+  assert.strictEqual(rejected.verified, false);
+  assert.deepStrictEqual(rejected.toJSON().errors, [
+    { code: VerificationResult.DATA_MODEL_INVALID, message: '/id must be a URL', path: '/id' },
+    { code: VerificationResult.DATA_MODEL_INVALID, message: '/validFrom must be an XMLSchema dateTimeStamp, e.g. 2024-01-01T00:00:00Z', path: '/validFrom' }
+  ]);
+  assert.deepStrictEqual(rejected.checks, ['dataModel']);
+});
+
+test('VALIDATOR: verifyAsync validates the data model on request', async () => {
+  const service = new VerifiableCredentialService();
+  const { publicKey, privateKey } = VerifiableCredentialService.generateKeyPair();
+
+  const signedVc = await service.signAsync({ ...sampleVc(), type: ['ExampleDegreeCredential'] }, privateKey, { cryptosuite: 'ecdsa-rdfc-2019' });
+  const result = await service.verifyWithResultAsync(signedVc, publicKey, { validate: true });
+  assert.deepStrictEqual(result.errors.map(error => error.path), ['/type']);
+  assert.strictEqual(result.hasError(VerificationResult.DATA_MODEL_INVALID), true);
+});
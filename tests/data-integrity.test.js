@@ -0,0 +1,343 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import crypto from 'crypto';
+import { VerifiableCredentialService, Cryptosuite, ProofGenerator, KeyUtils } from '../src/crypto/index.js';
+import { VCBuilder, VPBuilder } from '../src/builder/index.js';
+import { Proof } from '../src/core/index.js';
+import { Multibase } from '../src/utils/index.js';
+
+/**
+ * Test suite for DataIntegrityProof with the ecdsa-rdfc-2019 and ecdsa-jcs-2019 cryptosuites
+ *
+ * The credential, key pair and proof options are the P-256 test vectors from
+ * https://www.w3.org/TR/vc-di-ecdsa/#test-vectors. ECDSA signatures are not
+ * deterministic, so signing cannot reproduce a published proofValue; a
+ * published ecdsa-rdfc-2019 credential is verified with its published key instead.
+ */
+
+const SPEC_PUBLIC_KEY_MULTIBASE = 'zDnaepBuvsQ8cpsWrVKw8fbpGpvPeNSjVPTWoq6cRqaYzBKVP';
+const SPEC_SECRET_KEY_MULTIBASE = 'z42twTcNeSYcnqg1FLuSFs2bsGH3ZqbRHFmvS9XMsYhjxvHN';
+
+const SPEC_CREDENTIAL = {
+  '@context': [
+    'https://www.w3.org/ns/credentials/v2',
+    'https://www.w3.org/ns/credentials/examples/v2'
+  ],
+  id: 'urn:uuid:58172aac-d8ba-11ed-83dd-0b3aef56cc33',
+  type: ['VerifiableCredential', 'AlumniCredential'],
+  name: 'Alumni Credential',
+  description: 'A minimum viable example of an Alumni Credential.',
+  issuer: 'https://vc.example/issuers/5678',
+  validFrom: '2023-01-01T00:00:00Z',
+  credentialSubject: {
+    id: 'did:example:abcdefgh',
+    alumniOf: 'The School of Examples'
+  }
+};
+
+const specProofOptions = (cryptosuite) => ({
+  type: 'DataIntegrityProof',
+  cryptosuite,
+  created: '2023-02-24T23:36:38Z',
+  verificationMethod: `did:key:${SPEC_PUBLIC_KEY_MULTIBASE}#${SPEC_PUBLIC_KEY_MULTIBASE}`,
+  proofPurpose: 'assertionMethod'
+});
+
+// Imports the spec's Multikey pair: multicodec prefix (2 bytes) + compressed point / raw scalar
+const specKeyPair = () => {
+  const secret = Multibase.decodeBase58btc(SPEC_SECRET_KEY_MULTIBASE).subarray(2);
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.setPrivateKey(secret);
+  const point = ecdh.getPublicKey();
+  const jwk = {
+    kty: 'EC',
+    crv: 'P-256',
+    x: point.subarray(1, 33).toString('base64url'),
+    y: point.subarray(33).toString('base64url')
+  };
+  return {
+    publicKey: crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+    privateKey: crypto.createPrivateKey({ key: { ...jwk, d: secret.toString('base64url') }, format: 'jwk' })
+  };
+};
+
+test('DATA INTEGRITY: Spec key pair imports consistently', () => {
+  const { publicKey } = specKeyPair();
+  const jwk = publicKey.export({ format: 'jwk' });
+
+  const point = Buffer.concat([
+    Buffer.from([0x04]),
+    Buffer.from(jwk.x, 'base64url'),
+    Buffer.from(jwk.y, 'base64url')
+  ]);
+  const compressed = crypto.ECDH.convertKey(point, 'prime256v1', null, null, 'compressed');
+
+  // 0x8024 is the p256-pub multicodec prefix
+  const multikey = Multibase.encodeBase58btc(Buffer.concat([Buffer.from([0x80, 0x24]), compressed]));
+  assert.strictEqual(multikey, SPEC_PUBLIC_KEY_MULTIBASE);
+});
+
+test('DATA INTEGRITY: ecdsa-rdfc-2019 test vector hashes', async () => {
+  const suite = Cryptosuite.get('ecdsa-rdfc-2019');
+  const verifyData = await suite.createVerifyDataAsync(SPEC_CREDENTIAL, specProofOptions('ecdsa-rdfc-2019'));
+
+  // hash(canonical proof configuration) || hash(canonical credential)
+  assert.strictEqual(
+    verifyData.toString('hex'),
+    '3a8a522f689025727fb9d1f0fa99a618da023e8494ac74f51015d009d35abc2e' +
+    '517744132ae165a5349155bef0bb0cf2258fff99dfe1dbd914b938d775a36017'
+  );
+});
+
+test('DATA INTEGRITY: ecdsa-jcs-2019 test vector hashes', () => {
+  const suite = Cryptosuite.get('ecdsa-jcs-2019');
+  const verifyData = suite.createVerifyData(SPEC_CREDENTIAL, specProofOptions('ecdsa-jcs-2019'));
+
+  // hash(canonical proof configuration) || hash(canonical credential)
+  assert.strictEqual(
+    verifyData.toString('hex'),
+    'fe5799489119c7fe3c528715e72bd39d2ec6b4ab345978df32e9a9312648ec25' +
+    '59b7cb6251b8991add1ce0bc83107e3db9dbbab5bd2c28f687db1a03abc92f19'
+  );
+
+  // Both halves hash the JCS serializations the spec lists, written out by hand
+  const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+  const vm = specProofOptions('ecdsa-jcs-2019').verificationMethod;
+  assert.strictEqual(verifyData.subarray(0, 32).toString('hex'), sha256(
+    '{"@context":["https://www.w3.org/ns/credentials/v2","https://www.w3.org/ns/credentials/examples/v2"],' +
+    `"created":"2023-02-24T23:36:38Z","cryptosuite":"ecdsa-jcs-2019","proofPurpose":"assertionMethod","type":"DataIntegrityProof","verificationMethod":"${vm}"}`
+  ));
+  assert.strictEqual(verifyData.subarray(32).toString('hex'), sha256(
+    '{"@context":["https://www.w3.org/ns/credentials/v2","https://www.w3.org/ns/credentials/examples/v2"],' +
+    '"credentialSubject":{"alumniOf":"The School of Examples","id":"did:example:abcdefgh"},' +
+    '"description":"A minimum viable example of an Alumni Credential.","id":"urn:uuid:58172aac-d8ba-11ed-83dd-0b3aef56cc33",' +
+    '"issuer":"https://vc.example/issuers/5678","name":"Alumni Credential","type":["VerifiableCredential","AlumniCredential"],' +
+    '"validFrom":"2023-01-01T00:00:00Z"}'
+  ));
+
+  // The proof configuration carries the document @context
+  const proofConfig = suite.createProofConfig(SPEC_CREDENTIAL, specProofOptions('ecdsa-jcs-2019'));
+  assert.deepStrictEqual(proofConfig['@context'], SPEC_CREDENTIAL['@context']);
+  assert.strictEqual(proofConfig.proofValue, undefined);
+});
+
+test('DATA INTEGRITY: Proofs over the spec hash data verify with both suites', async () => {
+  const service = new VerifiableCredentialService();
+  const { publicKey, privateKey } = specKeyPair();
+
+  // Signed with the spec key over the spec hash data, outside the service:
+  // P-256 with SHA-256, raw r||s, multibase base58btc
+  const vectors = {
+    'ecdsa-rdfc-2019': '3a8a522f689025727fb9d1f0fa99a618da023e8494ac74f51015d009d35abc2e' +
+      '517744132ae165a5349155bef0bb0cf2258fff99dfe1dbd914b938d775a36017',
+    'ecdsa-jcs-2019': 'fe5799489119c7fe3c528715e72bd39d2ec6b4ab345978df32e9a9312648ec25' +
+      '59b7cb6251b8991add1ce0bc83107e3db9dbbab5bd2c28f687db1a03abc92f19'
+  };
+  for (const [cryptosuite, hashData] of Object.entries(vectors)) {
+    const signature = crypto.sign('sha256', Buffer.from(hashData, 'hex'), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+    const signedVc = {
+      ...SPEC_CREDENTIAL,
+      proof: { ...specProofOptions(cryptosuite), proofValue: Multibase.encodeBase58btc(signature) }
+    };
+
+    assert.strictEqual(await service.verifyAsync(signedVc, publicKey), true, cryptosuite);
+    assert.strictEqual(await service.verifyAsync({ ...signedVc, name: 'Another Credential' }, publicKey), false, cryptosuite);
+  }
+});
+
+test('DATA INTEGRITY: ecdsa-rdfc-2019 verifies a published credential with its published key', async () => {
+  // The signed credential and P-256 Multikey published, unmodified, in the README of
+  // the @digitalbazaar/ecdsa-rdfc-2019-cryptosuite 1.2.0 package
+  const publicKeyMultibase = 'zDnaekGZTbQBerwcehBSXLqAg6s55hVEBms1zFy89VHXtJSa9';
+  const publishedVc = {
+    '@context': [
+      'https://www.w3.org/2018/credentials/v1',
+      {
+        AlumniCredential: 'https://schema.org#AlumniCredential',
+        alumniOf: 'https://schema.org#alumniOf'
+      },
+      'https://w3id.org/security/data-integrity/v2'
+    ],
+    id: 'http://example.edu/credentials/1872',
+    type: ['VerifiableCredential', 'AlumniCredential'],
+    issuer: 'https://example.edu/issuers/565049',
+    issuanceDate: '2010-01-01T19:23:24Z',
+    credentialSubject: {
+      id: 'https://example.edu/students/alice',
+      alumniOf: 'Example University'
+    },
+    proof: {
+      type: 'DataIntegrityProof',
+      created: '2023-03-01T21:29:24Z',
+      verificationMethod: `https://example.edu/issuers/565049#${publicKeyMultibase}`,
+      cryptosuite: 'ecdsa-rdfc-2019',
+      proofPurpose: 'assertionMethod',
+      proofValue: 'z5grbn9Tp8xC7p6LpmUdxxRdAx37azC2GQDdHBqq7ivFsaFUJtC81b8puwe2NmaEUYpxXQooXNnXL3M2NqySrzC5Z'
+    }
+  };
+  const service = new VerifiableCredentialService();
+  const publicKey = KeyUtils.fromMultikey({ type: 'Multikey', publicKeyMultibase });
+
+  const result = await service.verifyWithResultAsync(publishedVc, publicKey);
+  assert.strictEqual(result.verified, true);
+  assert.ok(result.checks.includes('signature'));
+
+  const tampered = { ...publishedVc, credentialSubject: { ...publishedVc.credentialSubject, alumniOf: 'Another University' } };
+  assert.strictEqual(await service.verifyAsync(tampered, publicKey), false);
+});
+
+test('DATA INTEGRITY: ecdsa-rdfc-2019 sign and verify with the spec key', async () => {
+  const service = new VerifiableCredentialService();
+  const { publicKey, privateKey } = specKeyPair();
+
+  const signedVc = await service.signAsync(SPEC_CREDENTIAL, privateKey, { cryptosuite: 'ecdsa-rdfc-2019' });
+  const proof = signedVc.proof;
+
+  assert.strictEqual(proof.type, 'DataIntegrityProof');
+  assert.strictEqual(proof.cryptosuite, 'ecdsa-rdfc-2019');
+  assert.strictEqual(proof.proofPurpose, 'assertionMethod');
+  assert.ok(proof.proofValue.startsWith('z'), 'proofValue should be multibase base58btc');
+  assert.strictEqual(Multibase.decodeBase58btc(proof.proofValue).length, 64, 'Signature should be raw r||s');
+
+  assert.strictEqual(await service.verifyAsync(signedVc, publicKey), true);
+});
+
+test('DATA INTEGRITY: ecdsa-rdfc-2019 detects tampering', async () => {
+  const service = new VerifiableCredentialService();
+  const { publicKey, privateKey } = specKeyPair();
+  const signedVc = await service.signAsync(SPEC_CREDENTIAL, privateKey, { cryptosuite: 'ecdsa-rdfc-2019' });
+
+  const tamperedSubject = JSON.parse(JSON.stringify(signedVc));
+  tamperedSubject.credentialSubject.alumniOf = 'Another School';
+  assert.strictEqual(await service.verifyAsync(tamperedSubject, publicKey), false);
+
+  // The proof configuration is part of the signed data
+  const tamperedCreated = JSON.parse(JSON.stringify(signedVc));
+  tamperedCreated.proof.created = '2020-01-01T00:00:00Z';
+  assert.strictEqual(await service.verifyAsync(tamperedCreated, publicKey), false);
+
+  const wrongSuite = JSON.parse(JSON.stringify(signedVc));
+  wrongSuite.proof.cryptosuite = 'ecdsa-jcs-2019';
+  assert.strictEqual(await service.verifyAsync(wrongSuite, publicKey), false);
+
+  const unknownSuite = JSON.parse(JSON.stringify(signedVc));
+  unknownSuite.proof.cryptosuite = 'bbs-2023';
+  assert.strictEqual(await service.verifyAsync(unknownSuite, publicKey), false);
+
+  const otherKey = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).publicKey;
+  assert.strictEqual(await service.verifyAsync(signedVc, otherKey), false);
+});
+
+test('DATA INTEGRITY: ecdsa-rdfc-2019 rejects terms missing from the @context', async () => {
+  const service = new VerifiableCredentialService();
+  const { privateKey } = specKeyPair();
+
+  const vc = JSON.parse(JSON.stringify(SPEC_CREDENTIAL));
+  vc['@context'] = ['https://www.w3.org/2018/credentials/v1'];
+  vc.issuanceDate = vc.validFrom;
+  delete vc.validFrom;
+
+  await assert.rejects(
+    service.signAsync(vc, privateKey, { cryptosuite: 'ecdsa-rdfc-2019' }),
+    /Failed to canonicalize/
+  );
+});
+
+test('DATA INTEGRITY: ecdsa-jcs-2019 sign and verify synchronously', async () => {
+  const service = new VerifiableCredentialService();
+  const keyPair = VerifiableCredentialService.generateKeyPair();
+
+  const vc = new VCBuilder()
+    .addType('VerifiableCredential')
+    .id('http://example.edu/credentials/jcs')
+    .issuer('https://example.edu/issuers/jcs')
+    .validFrom('2023-01-01T00:00:00Z')
+    .credentialSubject({ id: 'did:example:jcs', alumniOf: 'Example University' })
+    .build();
+
+  const signedVc = service.sign(vc, keyPair.privateKey, { cryptosuite: 'ecdsa-jcs-2019' });
+  assert.strictEqual(signedVc.proof.type, 'DataIntegrityProof');
+  assert.strictEqual(signedVc.proof.cryptosuite, 'ecdsa-jcs-2019');
+  assert.strictEqual(service.verify(signedVc, keyPair.publicKey), true);
+  assert.strictEqual(await service.verifyAsync(signedVc, keyPair.publicKey), true);
+
+  const tampered = JSON.parse(JSON.stringify(signedVc));
+  tampered.proof.verificationMethod = 'did:example:attacker#key-1';
+  assert.strictEqual(service.verify(tampered, keyPair.publicKey), false);
+});
+
+test('DATA INTEGRITY: RDFC-1.0 suites require the async API', async () => {
+  const service = new VerifiableCredentialService();
+  const { publicKey, privateKey } = specKeyPair();
+
+  assert.throws(
+    () => service.sign(SPEC_CREDENTIAL, privateKey, { cryptosuite: 'ecdsa-rdfc-2019' }),
+    /use the async sign methods/
+  );
+
+  const signedVc = await service.signAsync(SPEC_CREDENTIAL, privateKey, { cryptosuite: 'ecdsa-rdfc-2019' });
+  assert.throws(() => service.verify(signedVc, publicKey), /use the async verify methods/);
+
+  assert.throws(() => service.sign(SPEC_CREDENTIAL, privateKey, { cryptosuite: 'bbs-2023' }), /Unsupported cryptosuite/);
+});
+
+test('DATA INTEGRITY: Legacy proofs still use Base64 DER signatures', async () => {
+  const service = new VerifiableCredentialService();
+  const { publicKey, privateKey } = specKeyPair();
+
+  const signedVc = await service.signAsync(SPEC_CREDENTIAL, privateKey);
+  assert.strictEqual(signedVc.proof.type, 'EcdsaSecp256r1Signature2019');
+  assert.strictEqual(signedVc.proof.cryptosuite, undefined);
+  assert.ok(/^[A-Za-z0-9+/]*={0,2}$/.test(signedVc.proof.proofValue));
+  assert.strictEqual(service.verify(signedVc, publicKey), true);
+  assert.strictEqual(await service.verifyAsync(signedVc, publicKey), true);
+});
+
+test('DATA INTEGRITY: Presentations with ecdsa-rdfc-2019', async () => {
+  const service = new VerifiableCredentialService();
+  const holder = VerifiableCredentialService.createWallet();
+  const { privateKey } = specKeyPair();
+
+  const signedVc = await service.signAsync(SPEC_CREDENTIAL, privateKey, { cryptosuite: 'ecdsa-rdfc-2019' });
+  const vp = new VPBuilder()
+    .holder(holder.did)
+    .addCredential(signedVc)
+    .build();
+
+  const signedVp = await service.signPresentationAsync(vp.toJSON(), holder.privateKey, { cryptosuite: 'ecdsa-rdfc-2019' });
+  assert.strictEqual(signedVp.proof.type, 'DataIntegrityProof');
+  assert.strictEqual(signedVp.proof.proofPurpose, 'authentication');
+  assert.strictEqual(await service.verifyPresentationAsync(signedVp, holder.publicKey), true);
+
+  const tampered = JSON.parse(JSON.stringify(signedVp));
+  tampered.holder = 'did:example:attacker';
+  assert.strictEqual(await service.verifyPresentationAsync(tampered, holder.publicKey), false);
+});
+
+test('DATA INTEGRITY: Proof and ProofGenerator carry the cryptosuite', () => {
+  const proof = ProofGenerator.createProofWithMetadata(
+    ProofGenerator.DATA_INTEGRITY_PROOF_TYPE,
+    'assertionMethod',
+    'did:example:123#key-1',
+    { cryptosuite: 'ecdsa-rdfc-2019' }
+  );
+
+  assert.strictEqual(proof.getType(), 'DataIntegrityProof');
+  assert.strictEqual(proof.getCryptosuite(), 'ecdsa-rdfc-2019');
+  assert.strictEqual(proof.toJSON().cryptosuite, 'ecdsa-rdfc-2019');
+  assert.ok(proof.toString().includes('ecdsa-rdfc-2019'));
+
+  const legacy = new Proof('EcdsaSecp256r1Signature2019', '2023-01-01T10:00:00Z', 'did:example:123#key-1', 'assertionMethod', 'MEUCIQD...');
+  assert.strictEqual(legacy.getCryptosuite(), null);
+  assert.strictEqual('cryptosuite' in legacy.toJSON(), false);
+});
+
+test('DATA INTEGRITY: Multibase base58btc round trip', () => {
+  const bytes = Buffer.from('0000ff10203040506070', 'hex');
+  const encoded = Multibase.encodeBase58btc(bytes);
+
+  assert.ok(encoded.startsWith('z11'), 'Leading zero bytes should map to leading 1s');
+  assert.deepStrictEqual(Multibase.decodeBase58btc(encoded), bytes);
+  assert.throws(() => Multibase.decodeBase58btc('u' + encoded.slice(1)), /not a multibase base58btc/);
+  assert.throws(() => Multibase.decodeBase58('0OIl'), /Invalid base58 character/);
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import {
+  VerifiableCredentialService, DIDDocumentBuilder, DidDocumentValidator, DidKey, DidJwk, DidWeb, DidResolver, Keyring, KeyUtils
+} from '../src/index.js';
+
+const DID = 'did:example:123';
+
+function paths(document) {
+  return DidDocumentValidator.validate(document).errors.map(error => error.path);
+}
+
+test('DID DOCUMENT: Builder creates a DID Core document', () => {
+  const { publicKey } = VerifiableCredentialService.generateKeyPair();
+  const { publicKey: agreementKey } = VerifiableCredentialService.generateKeyPair();
+  const publicKeyMultibase = KeyUtils.toPublicKeyMultibase(KeyUtils.parseKey(publicKey));
+
+  const document = new DIDDocumentBuilder()
+    .id(DID)
+    .controller('did:example:admin')
+    .alsoKnownAs(['https://example.com/alice'])
+    .addVerificationMethod(publicKey, { relationships: ['assertionMethod', 'authentication'] })
+    .addVerificationMethod(agreementKey, { id: `${DID}#agreement` })
+    .keyAgreement(`${DID}#agreement`)
+    .capabilityInvocation({ id: '#invoke', type: 'JsonWebKey2020', controller: DID, publicKeyJwk: KeyUtils.toJwk(KeyUtils.parseKey(publicKey)) })
+    .addService({ id: `${DID}#linked-domain`, type: 'LinkedDomains', serviceEndpoint: 'https://example.com' })
+    .build();
+
+  assert.deepStrictEqual(document['@context'], [
+    'https://www.w3.org/ns/did/v1', 'https://w3id.org/security/multikey/v1', 'https://w3id.org/security/suites/jws-2020/v1'
+  ]);
+  assert.deepStrictEqual(Object.keys(document), [
+    '@context', 'id', 'controller', 'alsoKnownAs', 'verificationMethod', 'authentication', 'assertionMethod',
+    'keyAgreement', 'capabilityInvocation', 'service'
+  ]);
+  assert.deepStrictEqual(document.verificationMethod[0], {
+    id: `${DID}#${publicKeyMultibase}`, type: 'Multikey', controller: DID, publicKeyMultibase
+  });
+  assert.deepStrictEqual(document.assertionMethod, [`${DID}#${publicKeyMultibase}`]);
+  assert.deepStrictEqual(document.authentication, [`${DID}#${publicKeyMultibase}`]);
+  assert.strictEqual(DidDocumentValidator.validate(document).valid, true);
+
+  // The resolver finds the keys of a built document
+  const resolver = new DidResolver({ defaults: false }).register('example', { resolve: () => document }, { sync: true });
+  const method = resolver.dereferenceSync(`${DID}#invoke`);
+  assert.strictEqual(DidResolver.hasRelationship(document, 'capabilityInvocation', method.id), true);
+  assert.strictEqual(KeyUtils.fromVerificationMethod(method).export({ format: 'der', type: 'spki' }).toString('base64'), publicKey);
+});
+
+test('DID DOCUMENT: Builder rejects invalid documents', () => {
+  const { publicKey } = VerifiableCredentialService.generateKeyPair();
+
+  assert.throws(() => new DIDDocumentBuilder().build(), /Invalid DID document: \/id must be a DID/);
+  assert.throws(() => new DIDDocumentBuilder().addVerificationMethod(publicKey), /Set the DID document id before adding keys/);
+  assert.throws(() => new DIDDocumentBuilder().id(DID).assertionMethod('#missing').build(),
+    /\/assertionMethod\/0 references verification method did:example:123#missing, which the document does not contain/);
+  assert.throws(() => new DIDDocumentBuilder().id(DID)
+    .addVerificationMethod(publicKey, { id: '#key-1' })
+    .addVerificationMethod(publicKey, { id: `${DID}#key-1` })
+    .build(), /\/verificationMethod\/1\/id duplicates the id did:example:123#key-1 of \/verificationMethod\/0\/id/);
+  assert.throws(() => new DIDDocumentBuilder().id(DID).addVerificationMethod(publicKey, { relationships: ['signing'] }),
+    /Unknown verification relationship: signing/);
+});
+
+test('DID DOCUMENT: Documents of the supported DID methods are valid', () => {
+  const { publicKey } = VerifiableCredentialService.generateKeyPair();
+  const did = DidKey.fromKey(publicKey);
+
+  assert.strictEqual(DidDocumentValidator.validate(DidKey.resolve(did)).valid, true);
+  assert.strictEqual(DidDocumentValidator.validate(DidKey.resolve(did, { publicKeyFormat: 'JsonWebKey' })).valid, true);
+  assert.strictEqual(DidDocumentValidator.validate(DidJwk.resolve(DidJwk.fromKey(publicKey))).valid, true);
+
+  const keyring = new Keyring();
+  keyring.addKey('did:web:example.com%3A8443:users:alice', publicKey, { kid: 'key-1' });
+  const webDocument = DidWeb.createDocument('did:web:example.com%3A8443:users:alice', keyring);
+  assert.deepStrictEqual(DidDocumentValidator.assertValid(webDocument), webDocument);
+});
+
+test('DID DOCUMENT: Received documents are checked against DID Core', () => {
+  const { publicKey } = VerifiableCredentialService.generateKeyPair();
+  const method = KeyUtils.toMultikey(KeyUtils.parseKey(publicKey), { controller: DID, id: '#key-1' });
+  const valid = {
+    id: DID,
+    verificationMethod: [method],
+    authentication: ['#key-1', { ...method, id: '#embedded' }],
+    assertionMethod: ['#embedded', 'did:example:other#key-1'],
+    service: [{ id: '#hub', type: ['DIDCommMessaging'], serviceEndpoint: [{ uri: 'https://example.com/didcomm' }] }]
+  };
+  assert.deepStrictEqual(DidDocumentValidator.validate(valid), { valid: true, errors: [] });
+
+  assert.deepStrictEqual(paths(null), ['']);
+  assert.deepStrictEqual(paths({ ...valid, id: 'did:Example:123' }), ['/id']);
+  assert.deepStrictEqual(paths({ ...valid, controller: ['did:example:a', 'example:b'] }), ['/controller/1']);
+  assert.deepStrictEqual(paths({ ...valid, alsoKnownAs: 'https://example.com' }), ['/alsoKnownAs']);
+  assert.deepStrictEqual(paths({ ...valid, alsoKnownAs: ['not a uri'] }), ['/alsoKnownAs/0']);
+  assert.deepStrictEqual(paths({ ...valid, verificationMethod: [{ ...method, id: 'key-1', controller: undefined, type: 1 }] }),
+    ['/verificationMethod/0/id', '/verificationMethod/0/type', '/verificationMethod/0/controller', '/authentication/0']);
+  assert.deepStrictEqual(paths({ ...valid, verificationMethod: [{ ...method, publicKeyJwk: { kty: 'EC' } }] }),
+    ['/verificationMethod/0']);
+  assert.deepStrictEqual(paths({ ...valid, verificationMethod: [{ ...method, publicKeyMultibase: 'u0000' }] }),
+    ['/verificationMethod/0/publicKeyMultibase']);
+  assert.deepStrictEqual(paths({ ...valid, assertionMethod: '#embedded' }), ['/assertionMethod']);
+  assert.deepStrictEqual(paths({ ...valid, keyAgreement: ['https://example.com/key'] }), ['/keyAgreement/0']);
+  assert.deepStrictEqual(paths({ ...valid, service: [{ id: 'hub', type: [], serviceEndpoint: 'not a uri' }] }),
+    ['/service/0/id', '/service/0/type', '/service/0/serviceEndpoint']);
+  assert.deepStrictEqual(paths({ ...valid, service: [{ ...valid.service[0], id: '#key-1' }] }), ['/service/0/id']);
+
+  const { privateKey } = VerifiableCredentialService.generateKeyPair();
+  const privateJwk = KeyUtils.toJwk(Buffer.from(privateKey, 'base64'));
+  assert.throws(() => DidDocumentValidator.assertValid({ id: DID, verificationMethod: [{ id: '#jwk', type: 'JsonWebKey', controller: DID, publicKeyJwk: privateJwk }] }),
+    /Invalid DID document: \/verificationMethod\/0\/publicKeyJwk must not contain a private key/);
+});
+
+test('DID DOCUMENT: DID and DID URL syntax', () => {
+  for (const did of ['did:example:123', 'did:web:example.com%3A8443:users:alice', 'did:key:zDnaerDaTF5BXEavCrfRZEk316dpbLsfPDZ3WJ5hRTPFU2169']) {
+    assert.strictEqual(DidDocumentValidator.isDid(did), true, did);
+  }
+  for (const did of ['did:example', 'did:example:', 'did:EXAMPLE:123', 'did:example:12#3', 'did:example:1 2', 'did:example:%zz', 'did:example:abc:']) {
+    assert.strictEqual(DidDocumentValidator.isDid(did), false, did);
+  }
+
+  for (const url of ['did:example:123#key-1', 'did:example:123/path/to?service=files&relativeRef=/a#frag', 'did:example:123?versionId=1']) {
+    assert.strictEqual(DidDocumentValidator.isDidUrl(url), true, url);
+  }
+  for (const url of ['#key-1', 'did:example:123#key 1', 'did:example:abc:#key-1', 'https://example.com#key-1']) {
+    assert.strictEqual(DidDocumentValidator.isDidUrl(url), false, url);
+  }
+});
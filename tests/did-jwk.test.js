@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import { VerifiableCredentialService, DidJwk, DidResolver, KeyUtils, VerificationResult } from '../src/index.js';
+import { sampleVc, errorCodes } from './fixtures.js';
+
+const NON_FIPS = VerifiableCredentialService.PROFILE_NON_FIPS;
+
+// Example from the did:jwk method specification
+const SPEC_DID = 'did:jwk:eyJjcnYiOiJQLTI1NiIsImt0eSI6IkVDIiwieCI6ImFjYklRaXVNczNpOF91c3pFakoydHBUdFJNNEVVM3l6OTFQSDZDZEgyVjAiLCJ5IjoiX0tjeUxqOXZXTXB0bm1LdG00NkdxRHo4d2Y3NEk1TEtncmwyR3pIM25TRSJ9';
+const SPEC_JWK = {
+  crv: 'P-256',
+  kty: 'EC',
+  x: 'acbIQiuMs3i8_uszEjJ2tpTtRM4EU3yz91PH6CdH2V0',
+  y: '_KcyLj9vWMptnmKtm46GqDz8wf74I5LKgrl2GzH3nSE'
+};
+
+function encode(jwk) {
+  return `did:jwk:${Buffer.from(JSON.stringify(jwk)).toString('base64url')}`;
+}
+
+test('DID JWK: Specification example', () => {
+  assert.deepStrictEqual(DidJwk.toJwk(SPEC_DID), SPEC_JWK);
+  assert.strictEqual(DidJwk.fromKey(SPEC_JWK), SPEC_DID);
+  assert.strictEqual(DidJwk.fromKey({ kty: 'EC', crv: 'P-256', y: SPEC_JWK.y, x: SPEC_JWK.x }), SPEC_DID);
+
+  const methodId = `${SPEC_DID}#0`;
+  assert.deepStrictEqual(DidJwk.resolve(SPEC_DID), {
+    '@context': ['https://www.w3.org/ns/did/v1', 'https://w3id.org/security/suites/jws-2020/v1'],
+    id: SPEC_DID,
+    verificationMethod: [{ id: methodId, type: 'JsonWebKey2020', controller: SPEC_DID, publicKeyJwk: SPEC_JWK }],
+    assertionMethod: [methodId],
+    authentication: [methodId],
+    capabilityInvocation: [methodId],
+    capabilityDelegation: [methodId],
+    keyAgreement: [methodId]
+  });
+  assert.strictEqual(DidJwk.resolve(methodId).id, SPEC_DID);
+});
+
+test('DID JWK: Generated key pairs round trip', () => {
+  for (const options of [{}, { keyType: 'P-384' }, { keyType: 'Ed25519', profile: NON_FIPS }]) {
+    const { publicKey, privateKey } = VerifiableCredentialService.generateKeyPair(options);
+    const did = DidJwk.fromKey(publicKey);
+
+    assert.strictEqual(DidJwk.fromKey(privateKey), did, 'private keys give the same DID');
+    assert.deepStrictEqual(DidJwk.toJwk(did), KeyUtils.toJwk(Buffer.from(publicKey, 'base64')));
+    assert.strictEqual(DidJwk.toKey(did).export({ format: 'der', type: 'spki' }).toString('base64'), publicKey);
+
+    const [verificationMethod] = DidJwk.resolve(did).verificationMethod;
+    assert.strictEqual(DidJwk.fromKey(KeyUtils.fromVerificationMethod(verificationMethod)), did);
+    assert.strictEqual(DidJwk.fromKey(DidJwk.toJwk(did)), did);
+  }
+});
+
+test('DID JWK: Key use limits the verification relationships', () => {
+  const signing = DidJwk.resolve(encode({ ...SPEC_JWK, use: 'sig' }));
+  assert.strictEqual(signing.keyAgreement, undefined);
+  assert.strictEqual(signing.assertionMethod.length, 1);
+
+  const encryption = DidJwk.resolve(encode({ ...SPEC_JWK, use: 'enc' }));
+  assert.deepStrictEqual(Object.keys(encryption), ['@context', 'id', 'verificationMethod', 'keyAgreement']);
+});
+
+test('DID JWK: Invalid identifiers are rejected', () => {
+  const { privateKey } = VerifiableCredentialService.generateKeyPair();
+  const privateJwk = KeyUtils.toJwk(Buffer.from(privateKey, 'base64'));
+
+  assert.throws(() => DidJwk.resolve('did:key:z6Mk'), /Invalid did:jwk: did:key:z6Mk/);
+  assert.throws(() => DidJwk.resolve('did:jwk:'), /identifier is not base64url/);
+  assert.throws(() => DidJwk.resolve('did:jwk:e30='), /identifier is not base64url/);
+  assert.throws(() => DidJwk.resolve(`did:jwk:${Buffer.from('not json').toString('base64url')}`), /Invalid did:jwk/);
+  assert.throws(() => DidJwk.resolve(encode({ kty: 'RSA', n: 'AQAB', e: 'AQAB' })), /Unsupported JWK curve/);
+  assert.throws(() => DidJwk.resolve(encode(privateJwk)), /must not contain a private key/);
+});
+
+test('DID JWK: Issuers and holders verify through the resolver', async () => {
+  const service = new VerifiableCredentialService({ profile: NON_FIPS });
+  assert.ok(new DidResolver().getMethods().includes('jwk'));
+
+  for (const options of [{}, { keyType: 'P-384' }, { keyType: 'Ed25519', profile: NON_FIPS }]) {
+    const { publicKey, privateKey } = VerifiableCredentialService.generateKeyPair(options);
+    const did = DidJwk.fromKey(publicKey);
+
+    const cryptosuite = options.keyType === 'Ed25519' ? 'eddsa-rdfc-2022' : 'ecdsa-jcs-2019';
+    const signedVc = await service.signAsync(sampleVc({ issuer: did }), privateKey, { cryptosuite });
+    assert.strictEqual(signedVc.proof.verificationMethod, `${did}#0`);
+    assert.strictEqual(await service.verifyAsync(signedVc), true);
+    if (options.keyType !== 'Ed25519') {
+      assert.strictEqual(service.verify(signedVc), true);
+    }
+  }
+
+  // Another did:jwk cannot sign for the issuer
+  const issuer = DidJwk.fromKey(VerifiableCredentialService.generateKeyPair().publicKey);
+  const { privateKey } = VerifiableCredentialService.generateKeyPair();
+  const forged = service.sign(sampleVc({ issuer }), privateKey, {
+    cryptosuite: 'ecdsa-jcs-2019',
+    verificationMethod: `${DidJwk.fromKey(privateKey)}#0`
+  });
+  assert.deepStrictEqual(errorCodes(service.verifyWithResult(forged)),
+    [VerificationResult.KEY_CONTROLLER_MISMATCH]);
+});
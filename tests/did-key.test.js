@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import crypto from 'crypto';
+import { VerifiableCredentialService, DidKey, KeyUtils, Keystore, VPBuilder, Multibase } from '../src/index.js';
+import { sampleVc } from './fixtures.js';
+
+const NON_FIPS = VerifiableCredentialService.PROFILE_NON_FIPS;
+
+// Test vectors from the did:key method specification
+const VECTORS = {
+  Ed25519: {
+    did: 'did:key:z6MkhaXgBZDvotDkL5257faiztiGiC2QtKLGpbnnEGta2doK',
+    jwk: { kty: 'OKP', crv: 'Ed25519', x: 'Lm_M42cB3HkUiODQsXRcweM6TByfzEHGO9ND274JcOY' }
+  },
+  'P-256': {
+    did: 'did:key:zDnaerDaTF5BXEavCrfRZEk316dpbLsfPDZ3WJ5hRTPFU2169',
+    jwk: {
+      kty: 'EC',
+      crv: 'P-256',
+      x: 'fyNYMN0976ci7xqiSdag3buk-ZCwgXU4kz9XNkBlNUI',
+      y: 'hW2ojTNfH7Jbi8--CJUo3OCbH3y5n91g-IMA9MLMbTU'
+    }
+  },
+  'P-384': {
+    did: 'did:key:z82Lm1MpAkeJcix9K8TMiLd5NMAhnwkjjCBeWHXyu3U4oT2MVJJKXkcVBgjGhnLBn2Kaau9',
+    jwk: {
+      kty: 'EC',
+      crv: 'P-384',
+      x: 'lInTxl8fjLKp_UCrxI0WDklahi-7-_6JbtiHjiRvMvhedhKVdHBfi2HCY8t_QJyc',
+      y: 'y6N1IC-2mXxHreETBW7K3mBcw0qGr3CWHCs-yl09yCQRLcyfGv7XhqAngHOu51Zv'
+    }
+  }
+};
+
+test('DID KEY: Specification vectors round trip', () => {
+  for (const [crv, vector] of Object.entries(VECTORS)) {
+    const publicKey = DidKey.toKey(vector.did);
+    assert.deepStrictEqual(KeyUtils.toJwk(publicKey), vector.jwk, crv);
+    assert.strictEqual(DidKey.fromKey(vector.jwk), vector.did, crv);
+    assert.strictEqual(DidKey.fromKey(publicKey.export({ format: 'pem', type: 'spki' })), vector.did, crv);
+  }
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  assert.strictEqual(DidKey.fromKey(privateKey), DidKey.fromKey(publicKey));
+  assert.ok(DidKey.toKey(`${DidKey.fromKey(publicKey)}#fragment`).equals(publicKey));
+});
+
+test('DID KEY: Resolution to Multikey and JsonWebKey DID documents', () => {
+  const { did, jwk } = VECTORS['P-256'];
+  const fingerprint = did.slice('did:key:'.length);
+  const methodId = `${did}#${fingerprint}`;
+
+  assert.deepStrictEqual(DidKey.resolve(did), {
+    '@context': ['https://www.w3.org/ns/did/v1', 'https://w3id.org/security/multikey/v1'],
+    id: did,
+    verificationMethod: [{ id: methodId, type: 'Multikey', controller: did, publicKeyMultibase: fingerprint }],
+    authentication: [methodId],
+    assertionMethod: [methodId],
+    capabilityInvocation: [methodId],
+    capabilityDelegation: [methodId]
+  });
+  assert.strictEqual(DidKey.getVerificationMethodId(did), methodId);
+
+  const jwkDocument = DidKey.resolve(`${did}#${fingerprint}`, { publicKeyFormat: DidKey.FORMAT_JSON_WEB_KEY });
+  assert.deepStrictEqual(jwkDocument['@context'], ['https://www.w3.org/ns/did/v1', 'https://w3id.org/security/jwk/v1']);
+  assert.deepStrictEqual(jwkDocument.verificationMethod, [{ id: methodId, type: 'JsonWebKey', controller: did, publicKeyJwk: jwk }]);
+  assert.deepStrictEqual(jwkDocument.assertionMethod, [methodId]);
+
+  // The Multikey verification method reads back to the same key
+  const multikey = DidKey.resolve(VECTORS.Ed25519.did).verificationMethod[0];
+  assert.deepStrictEqual(KeyUtils.toJwk(KeyUtils.fromMultikey(multikey)), VECTORS.Ed25519.jwk);
+
+  assert.throws(() => DidKey.resolve(did, { publicKeyFormat: 'JsonWebKey2020' }), /Unsupported did:key publicKeyFormat/);
+});
+
+test('DID KEY: Invalid identifiers are rejected', () => {
+  assert.throws(() => DidKey.resolve('did:example:123'), /Invalid did:key: did:example:123/);
+  assert.throws(() => DidKey.toKey('did:key:'), /Invalid did:key/);
+  assert.throws(() => DidKey.toKey('did:key:z0OIl'), /Invalid did:key/);
+  assert.throws(() => DidKey.toKey('did:key:zQ3shokFTS3brHcDQrn82RUDfCZESWL1ZdCEJwekUDPQiYBme'), /Unsupported multicodec key prefix: 0xe701/);
+
+  // One key has one did:key: uncompressed EC points are not canonical
+  const { publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const uncompressed = Multibase.encodeBase58btc(Buffer.concat([
+    Buffer.from([0x80, 0x24]),
+    KeyUtils.getPublicKeyBytes(publicKey, { compressed: false })
+  ]));
+  assert.throws(() => DidKey.toKey(`did:key:${uncompressed}`), /not in its canonical compressed form/);
+});
+
+test('DID KEY: Wallets are self-describing did:key identities', async () => {
+  const service = new VerifiableCredentialService({ profile: NON_FIPS });
+
+  for (const options of [{}, { keyType: 'P-384' }, { keyType: 'Ed25519', profile: NON_FIPS }]) {
+    const wallet = VerifiableCredentialService.createWallet(options);
+    assert.strictEqual(wallet.did, DidKey.fromKey(wallet.publicKey));
+    assert.strictEqual(wallet.verificationMethod, DidKey.getVerificationMethodId(wallet.did));
+
+    // The issuer's did:key supplies both the verification method and the public key
+    const cryptosuite = options.keyType === 'Ed25519' ? 'eddsa-rdfc-2022' : 'ecdsa-rdfc-2019';
+    const signedVc = await service.signAsync(sampleVc({ issuer: wallet.did }), wallet.privateKey, { cryptosuite });
+    assert.strictEqual(signedVc.proof.verificationMethod, wallet.verificationMethod);
+    assert.strictEqual(await service.verifyAsync(signedVc, DidKey.toKey(signedVc.proof.verificationMethod)), true);
+  }
+
+  // Holders sign presentations with their did:key too
+  const holder = VerifiableCredentialService.createWallet();
+  const credential = service.sign(sampleVc({ issuer: holder.did }), holder.privateKey);
+  const vp = new VPBuilder().holder(holder.did).addCredential(credential).build().toJSON();
+  const signedVp = service.signPresentation(vp, holder.privateKey, { challenge: 'c-1' });
+  assert.strictEqual(signedVp.proof.verificationMethod, holder.verificationMethod);
+  assert.strictEqual(service.verifyPresentation(signedVp, DidKey.toKey(holder.did), { challenge: 'c-1' }), true);
+
+  // Keys that do not belong to the issuer's did:key keep the default
+  const other = VerifiableCredentialService.createWallet();
+  assert.strictEqual(service.sign(sampleVc({ issuer: holder.did }), other.privateKey).proof.verificationMethod,
+    VerifiableCredentialService.DEFAULT_VERIFICATION_METHOD);
+
+  const locked = VerifiableCredentialService.createWallet({ passphrase: 'correct horse battery staple', keystore: { kdfParams: { iterations: 1000 } } });
+  assert.strictEqual(locked.keystore.id, locked.did);
+  assert.strictEqual(locked.keystore.publicKeyMultibase, locked.did.slice('did:key:'.length));
+  assert.ok(Keystore.unlock(locked.keystore, 'correct horse battery staple'));
+});
@@ -0,0 +1,196 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import crypto from 'crypto';
+import { VerifiableCredentialService, VerificationResult, DidResolver, DidKey, KeyUtils, VPBuilder, Keyring, DidWeb } from '../src/index.js';
+import { sampleVc, errorCodes } from './fixtures.js';
+
+const WEB_DID = 'did:web:credentials.example.gov';
+
+// DNS stand-in answering every host name with a public address
+const publicLookup = async () => [{ address: '203.0.113.10', family: 4 }];
+
+/**
+ * fetch stand-in serving DID documents by URL and counting requests.
+ */
+function documentFetch(documents) {
+  const fetch = async url => {
+    fetch.calls.push(url);
+    const document = documents[url];
+    return document
+      ? new Response(JSON.stringify(document), { headers: { 'content-type': 'application/did+json' } })
+      : new Response('', { status: 404 });
+  };
+  fetch.calls = [];
+  return fetch;
+}
+
+test('DID RESOLVER: Methods are registered by name', async () => {
+  const resolver = new DidResolver();
+  assert.deepStrictEqual(resolver.getMethods(), ['key', 'jwk', 'web']);
+  assert.deepStrictEqual(new DidResolver({ defaults: false }).getMethods(), []);
+
+  const didKey = VerifiableCredentialService.createWallet().did;
+  assert.deepStrictEqual(await resolver.resolve(didKey), DidKey.resolve(didKey));
+  assert.deepStrictEqual(resolver.resolveSync(`${didKey}#fragment`), DidKey.resolve(didKey));
+
+  const documents = { 'did:example:123': { id: 'did:example:123', verificationMethod: [] } };
+  resolver.register('example', { resolve: did => documents[did] }, { sync: true });
+  assert.strictEqual(resolver.resolveSync('did:example:123'), documents['did:example:123']);
+
+  resolver.register('async', { resolve: async did => ({ id: did }) });
+  assert.deepStrictEqual(await resolver.resolve('did:async:1'), { id: 'did:async:1' });
+  assert.throws(() => resolver.resolveSync('did:async:2'), /did:async DIDs resolve asynchronously/);
+  // Cached documents are available synchronously
+  assert.deepStrictEqual(resolver.resolveSync('did:async:1'), { id: 'did:async:1' });
+
+  assert.strictEqual(resolver.unregister('async'), true);
+  await assert.rejects(resolver.resolve('did:async:1'), /Unsupported DID method: did:async/);
+  await assert.rejects(resolver.resolve('not-a-did'), /Invalid DID: not-a-did/);
+  await assert.rejects(resolver.resolve('did:example:456'), /returned document undefined for did:example:456/);
+  assert.throws(() => resolver.register('Bad-Name', { resolve() {} }), /Invalid DID method name/);
+  assert.throws(() => resolver.register('none', {}), /must have a resolve\(did\) method/);
+});
+
+test('DID RESOLVER: Documents are cached for their TTL', async () => {
+  let now = 1000;
+  let calls = 0;
+  const resolver = new DidResolver({ ttl: 60000, now: () => now, defaults: false });
+  resolver.register('example', { resolve: async did => ({ id: did, version: ++calls }) });
+  resolver.register('short', { resolve: async did => ({ id: did, version: ++calls }) }, { ttl: 10 });
+  resolver.register('nocache', { resolve: async did => ({ id: did, version: ++calls }) }, { ttl: 0 });
+
+  // Concurrent resolutions share one request
+  const [first, second] = await Promise.all([resolver.resolve('did:example:1'), resolver.resolve('did:example:1')]);
+  assert.strictEqual(first, second);
+  assert.strictEqual(calls, 1);
+
+  now += 59999;
+  assert.strictEqual((await resolver.resolve('did:example:1#key-1')).version, 1);
+  now += 1;
+  assert.strictEqual((await resolver.resolve('did:example:1')).version, 2);
+
+  assert.strictEqual((await resolver.resolve('did:short:1')).version, 3);
+  now += 10;
+  assert.strictEqual((await resolver.resolve('did:short:1')).version, 4);
+
+  await resolver.resolve('did:nocache:1');
+  assert.strictEqual((await resolver.resolve('did:nocache:1')).version, 6);
+
+  resolver.clearCache('example');
+  assert.strictEqual((await resolver.resolve('did:example:1')).version, 7);
+  assert.strictEqual((await resolver.resolve('did:short:1')).version, 4);
+  resolver.clearCache();
+  assert.strictEqual((await resolver.resolve('did:short:1')).version, 8);
+
+  // Failures are not cached
+  let fail = true;
+  resolver.register('flaky', { resolve: async did => { if (fail) throw new Error('timeout'); return { id: did }; } });
+  await assert.rejects(resolver.resolve('did:flaky:1'), /timeout/);
+  fail = false;
+  assert.deepStrictEqual(await resolver.resolve('did:flaky:1'), { id: 'did:flaky:1' });
+});
+
+test('DID RESOLVER: Verification methods are dereferenced by DID URL fragment', () => {
+  const p256 = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).publicKey;
+  const p384 = crypto.generateKeyPairSync('ec', { namedCurve: 'P-384' }).publicKey;
+  const document = {
+    id: 'did:example:123',
+    verificationMethod: [
+      { id: '#key-1', type: 'JsonWebKey2020', controller: 'did:example:123', publicKeyJwk: KeyUtils.toJwk(p256) },
+      { id: 'did:example:123#key-2', type: 'EcdsaSecp256r1VerificationKey2019', controller: 'did:example:123', publicKeyMultibase: KeyUtils.toPublicKeyMultibase(p256) }
+    ],
+    assertionMethod: ['#key-1', { id: '#key-3', type: 'Multikey', publicKeyMultibase: KeyUtils.toPublicKeyMultibase(p384) }]
+  };
+
+  const relative = DidResolver.findVerificationMethod(document, 'did:example:123#key-1');
+  assert.strictEqual(relative.id, 'did:example:123#key-1');
+  assert.ok(KeyUtils.fromVerificationMethod(relative).equals(p256));
+  assert.ok(KeyUtils.fromVerificationMethod(DidResolver.findVerificationMethod(document, 'did:example:123#key-2')).equals(p256));
+
+  const embedded = DidResolver.findVerificationMethod(document, 'did:example:123#key-3');
+  assert.strictEqual(embedded.controller, 'did:example:123');
+  assert.ok(KeyUtils.fromVerificationMethod(embedded).equals(p384));
+
+  assert.throws(() => DidResolver.findVerificationMethod(document, 'did:example:123#key-9'), /has no verification method did:example:123#key-9/);
+  assert.throws(() => DidResolver.findVerificationMethod(document, 'did:example:456#key-1'), /has no verification method/);
+  assert.throws(() => DidResolver.findVerificationMethod(document, 'did:example:123'), /must be a DID URL with a fragment/);
+});
+
+test('DID RESOLVER: Verification method types', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-384' });
+  const ed25519 = crypto.generateKeyPairSync('ed25519').publicKey;
+
+  for (const type of ['Multikey', 'JsonWebKey', 'JsonWebKey2020']) {
+    assert.ok(KeyUtils.fromVerificationMethod({ type, publicKeyJwk: KeyUtils.toJwk(publicKey) }).equals(publicKey), type);
+    assert.ok(KeyUtils.fromVerificationMethod({ type, publicKeyMultibase: KeyUtils.toPublicKeyMultibase(ed25519) }).equals(ed25519), type);
+  }
+
+  assert.throws(() => KeyUtils.fromVerificationMethod({ type: 'EcdsaSecp256r1VerificationKey2019', publicKeyJwk: KeyUtils.toJwk(publicKey) }),
+    /EcdsaSecp256r1VerificationKey2019 verification methods cannot carry P-384 keys/);
+  assert.throws(() => KeyUtils.fromVerificationMethod({ type: 'JsonWebKey2020', publicKeyJwk: KeyUtils.toJwk(privateKey) }),
+    /must not contain a private key/);
+  assert.throws(() => KeyUtils.fromVerificationMethod({ id: 'did:example:1#k', type: 'Multikey' }), /has no publicKeyJwk or publicKeyMultibase/);
+  assert.throws(() => KeyUtils.fromVerificationMethod({ type: 'RsaVerificationKey2018' }), /Unsupported verification method type: RsaVerificationKey2018/);
+});
+
+test('DID RESOLVER: verify dereferences proof.verificationMethod when no key is given', async () => {
+  const service = new VerifiableCredentialService();
+
+  // did:key resolves synchronously
+  const wallet = VerifiableCredentialService.createWallet();
+  const signedVc = service.sign(sampleVc({ issuer: wallet.did }), wallet.privateKey);
+  assert.strictEqual(service.verify(signedVc), true);
+  assert.strictEqual(await service.verifyAsync(signedVc), true);
+
+  const vp = new VPBuilder().holder(wallet.did).addCredential(signedVc).build().toJSON();
+  const signedVp = await service.signPresentationAsync(vp, wallet.privateKey, { cryptosuite: 'ecdsa-jcs-2019', challenge: 'c-1' });
+  assert.strictEqual(await service.verifyPresentationAsync(signedVp, undefined, { challenge: 'c-1' }), true);
+  assert.strictEqual(service.verifyPresentation(service.signPresentation(vp, wallet.privateKey), null), true);
+
+  // A proof naming another did:key does not verify with that key
+  const other = VerifiableCredentialService.createWallet();
+  const forged = service.sign(sampleVc({ issuer: other.did }), wallet.privateKey, { verificationMethod: other.verificationMethod });
+  assert.deepStrictEqual(errorCodes(service.verifyWithResult(forged)), [VerificationResult.SIGNATURE_INVALID]);
+
+  const unknown = service.verifyWithResult(service.sign(sampleVc({ issuer: wallet.did }), wallet.privateKey, { verificationMethod: 'did:example:123#key-1' }));
+  assert.deepStrictEqual(errorCodes(unknown), [VerificationResult.KEY_NOT_FOUND]);
+  assert.match(unknown.errors[0].message, /Unsupported DID method: did:example/);
+});
+
+test('DID RESOLVER: did:web keys are fetched by the async verify methods and cached', async () => {
+  const keyring = new Keyring();
+  keyring.addKey(WEB_DID, crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey, { kid: 'key-1' });
+  const fetch = documentFetch({ [DidWeb.toUrl(WEB_DID)]: DidWeb.createDocument(WEB_DID, keyring) });
+  const service = new VerifiableCredentialService({ resolver: new DidResolver({ fetch, didWeb: { lookup: publicLookup } }) });
+
+  const signedVc = await service.signAsync(sampleVc({ issuer: WEB_DID }), keyring, { cryptosuite: 'ecdsa-rdfc-2019' });
+  const jcsVc = service.sign(sampleVc({ issuer: WEB_DID }), keyring, { cryptosuite: 'ecdsa-jcs-2019' });
+
+  // Not cached yet: the synchronous methods cannot fetch
+  const pending = service.verifyWithResult(jcsVc);
+  assert.deepStrictEqual(errorCodes(pending), [VerificationResult.KEY_NOT_FOUND]);
+  assert.match(pending.errors[0].message, /did:web DIDs resolve asynchronously/);
+
+  assert.strictEqual(await service.verifyAsync(signedVc), true);
+  assert.strictEqual(service.verify(jcsVc), true);
+  assert.strictEqual(await service.verifyAsync(jcsVc), true);
+  assert.deepStrictEqual(fetch.calls, ['https://credentials.example.gov/.well-known/did.json']);
+
+  // Expected verification methods, keys missing from the document and unreachable documents
+  const expected = await service.verifyWithResultAsync(
+    service.sign(sampleVc({ issuer: WEB_DID }), keyring, { verificationMethod: `${WEB_DID}#key-1`, cryptosuite: 'ecdsa-jcs-2019' }),
+    null,
+    { verificationMethod: `${WEB_DID}#key-1` }
+  );
+  assert.strictEqual(expected.verified, true);
+  const wrongKey = service.sign(sampleVc({ issuer: WEB_DID }), VerifiableCredentialService.createWallet().privateKey,
+    { verificationMethod: `${WEB_DID}#key-9`, cryptosuite: 'ecdsa-jcs-2019' });
+  const notFound = await service.verifyWithResultAsync(wrongKey);
+  assert.deepStrictEqual(errorCodes(notFound), [VerificationResult.KEY_NOT_FOUND]);
+  assert.match(notFound.errors[0].message, /has no verification method did:web:credentials.example.gov#key-9/);
+
+  const offline = new VerifiableCredentialService({ resolver: new DidResolver({ fetch: documentFetch({}), didWeb: { lookup: publicLookup } }) });
+  const result = await offline.verifyWithResultAsync(signedVc);
+  assert.deepStrictEqual(errorCodes(result), [VerificationResult.KEY_NOT_FOUND]);
+  assert.match(result.errors[0].message, /returned HTTP 404/);
+});
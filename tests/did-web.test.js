@@ -0,0 +1,201 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import crypto from 'crypto';
+import http from 'http';
+import { VerifiableCredentialService, DidWeb, Keyring, KeyUtils } from '../src/index.js';
+
+const DID = 'did:web:credentials.example.gov';
+
+// DNS stand-in answering every host name with a public address
+const publicLookup = async () => [{ address: '203.0.113.10', family: 4 }];
+
+/**
+ * Serves documents by path on a local port and returns a fetch that sends
+ * https://credentials.example.gov requests to it. A function answers the
+ * request itself.
+ */
+async function startServer(documents) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const body = documents[req.url];
+    if (typeof body === 'function') {
+      body(req, res);
+      return;
+    }
+    if (body === undefined) {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { 'content-type': 'application/did+json' });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  const fetch = (url, init) => globalThis.fetch(url.replace('https://credentials.example.gov', origin), init);
+  return { server, requests, fetch };
+}
+
+test('DID WEB: DIDs map to HTTPS document URLs', () => {
+  assert.strictEqual(DidWeb.toUrl(DID), 'https://credentials.example.gov/.well-known/did.json');
+  assert.strictEqual(DidWeb.toUrl(`${DID}:issuers:1`), 'https://credentials.example.gov/issuers/1/did.json');
+  assert.strictEqual(DidWeb.toUrl('did:web:localhost%3A8443'), 'https://localhost:8443/.well-known/did.json');
+  assert.strictEqual(DidWeb.toUrl('did:web:w3c-ccg.github.io:user:alice'), 'https://w3c-ccg.github.io/user/alice/did.json');
+
+  assert.strictEqual(DidWeb.fromUrl('https://credentials.example.gov'), DID);
+  assert.strictEqual(DidWeb.fromUrl('https://credentials.example.gov/.well-known/did.json'), DID);
+  assert.strictEqual(DidWeb.fromUrl('https://credentials.example.gov/issuers/1/did.json'), `${DID}:issuers:1`);
+  assert.strictEqual(DidWeb.fromUrl('https://localhost:8443/issuers/1'), 'did:web:localhost%3A8443:issuers:1');
+
+  for (const invalid of ['did:web:', 'did:key:z6Mk', 'did:web:example.com/path', 'did:web:exa mple.com', 'did:web:example.com::x']) {
+    assert.throws(() => DidWeb.toUrl(invalid), /Invalid did:web/, invalid);
+  }
+  // Decoded segments must not walk out of the path
+  for (const traversal of [
+    'did:web:example.com:..:x', 'did:web:example.com:.', 'did:web:example.com:%2E%2E:x', 'did:web:example.com:%2e',
+    'did:web:example.com:a%2Fb', 'did:web:example.com:%2F..', 'did:web:example.com:a%5Cb', 'did:web:example.com:%E0%A4%A'
+  ]) {
+    assert.throws(() => DidWeb.toUrl(traversal), /Invalid did:web/, traversal);
+  }
+  assert.strictEqual(DidWeb.toUrl('did:web:example.com:user%20one:..a'), 'https://example.com/user%20one/..a/did.json');
+  assert.strictEqual(DidWeb.toUrl('did:web:example.com:%7Ealice'), 'https://example.com/~alice/did.json');
+  assert.throws(() => DidWeb.fromUrl('http://credentials.example.gov'), /HTTPS URL/);
+});
+
+test('DID WEB: Keyring documents resolve through an injected fetch', async () => {
+  const keyring = new Keyring();
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  keyring.addKey(DID, privateKey, { kid: 'key-1' });
+  keyring.addKey(DID, crypto.generateKeyPairSync('ec', { namedCurve: 'P-384' }).publicKey, { kid: 'key-2' });
+  keyring.addKey(DID, crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).publicKey, { kid: 'key-0' });
+  keyring.revokeKey(`${DID}#key-0`);
+
+  const document = DidWeb.createDocument(DID, keyring);
+  assert.deepStrictEqual(document['@context'], ['https://www.w3.org/ns/did/v1', 'https://w3id.org/security/multikey/v1']);
+  assert.strictEqual(document.id, DID);
+  assert.deepStrictEqual(document.verificationMethod.map(method => method.id), [`${DID}#key-1`, `${DID}#key-2`]);
+  assert.deepStrictEqual(document.assertionMethod, [`${DID}#key-1`, `${DID}#key-2`]);
+  assert.deepStrictEqual(document.authentication, document.assertionMethod);
+  assert.deepStrictEqual(Object.keys(DidWeb.createDocument(DID, keyring, { relationships: ['assertionMethod'] })),
+    ['@context', 'id', 'verificationMethod', 'assertionMethod']);
+  assert.throws(() => DidWeb.createDocument('did:web:other.example', keyring), /holds no keys for did:web:other.example/);
+
+  const { server, requests, fetch } = await startServer({
+    '/.well-known/did.json': document,
+    '/issuers/1/did.json': { ...document, id: `${DID}:issuers:1` }
+  });
+  try {
+    const resolver = new DidWeb({ fetch, lookup: publicLookup });
+    const resolved = await resolver.resolve(`${DID}#key-1`);
+    assert.deepStrictEqual(resolved, document);
+    assert.ok(KeyUtils.fromMultikey(resolved.verificationMethod[0]).equals(publicKey));
+    assert.strictEqual((await resolver.resolve(`${DID}:issuers:1`)).id, `${DID}:issuers:1`);
+    assert.deepStrictEqual(requests, ['/.well-known/did.json', '/issuers/1/did.json']);
+
+    // Credentials signed with the keyring verify against the resolved key
+    const service = new VerifiableCredentialService();
+    const signedVc = service.sign({
+      '@context': ['https://www.w3.org/ns/credentials/v2'],
+      type: ['VerifiableCredential'],
+      issuer: DID,
+      validFrom: '2024-01-01T00:00:00Z',
+      credentialSubject: { id: 'did:example:subject' }
+    }, keyring);
+    const method = resolved.verificationMethod.find(entry => entry.id === signedVc.proof.verificationMethod);
+    assert.strictEqual(service.verify(signedVc, KeyUtils.fromMultikey(method)), true);
+  } finally {
+    server.close();
+  }
+});
+
+test('DID WEB: Resolution failures', async () => {
+  const { server, fetch } = await startServer({
+    '/.well-known/did.json': { id: 'did:web:attacker.example' },
+    '/broken/did.json': 'not json'
+  });
+  try {
+    const resolver = new DidWeb({ fetch, lookup: publicLookup });
+    await assert.rejects(resolver.resolve(DID), /DID document id did:web:attacker.example does not match/);
+    await assert.rejects(resolver.resolve(`${DID}:broken`), /did not return a JSON DID document/);
+    await assert.rejects(resolver.resolve(`${DID}:missing`), /missing\/did.json returned HTTP 404/);
+    await assert.rejects(resolver.resolve('did:web:bad host'), /Invalid did:web/);
+
+    const offline = new DidWeb({ fetch: async () => { throw new Error('connection refused'); }, lookup: publicLookup });
+    await assert.rejects(offline.resolve(DID), /Unable to resolve did:web:credentials.example.gov: connection refused/);
+  } finally {
+    server.close();
+  }
+});
+
+test('DID WEB: Redirects and oversized documents are refused', async () => {
+  const document = { id: DID };
+  const { server, requests, fetch } = await startServer({
+    '/.well-known/did.json': (req, res) => res.writeHead(302, { location: '/moved/did.json' }).end(),
+    '/moved/did.json': document,
+    '/large/did.json': { id: `${DID}:large`, padding: 'x'.repeat(2048) },
+    '/streamed/did.json': (req, res) => {
+      res.writeHead(200, { 'content-type': 'application/did+json' });
+      res.write(`{"id":"${DID}:streamed","padding":"`);
+      res.end(`${'x'.repeat(2048)}"}`);
+    }
+  });
+  try {
+    const resolver = new DidWeb({ fetch, lookup: publicLookup, maxSize: 1024 });
+    await assert.rejects(resolver.resolve(DID), /Unable to resolve did:web:credentials.example.gov: fetch failed/);
+    assert.deepStrictEqual(requests, ['/.well-known/did.json']);
+
+    // fetch implementations that follow redirects anyway
+    const following = new DidWeb({ fetch: (url, init) => fetch(url, { ...init, redirect: 'follow' }), lookup: publicLookup });
+    await assert.rejects(following.resolve(DID), /\/.well-known\/did.json redirected to http:\/\/127.0.0.1:\d+\/moved\/did.json/);
+
+    await assert.rejects(resolver.resolve(`${DID}:large`), /large\/did.json returned more than 1024 bytes/);
+    await assert.rejects(resolver.resolve(`${DID}:streamed`), /streamed\/did.json returned more than 1024 bytes/);
+    assert.strictEqual((await new DidWeb({ fetch, lookup: publicLookup }).resolve(`${DID}:large`)).id, `${DID}:large`);
+  } finally {
+    server.close();
+  }
+});
+
+test('DID WEB: Hosts on private networks and hosts not allowed are refused', async () => {
+  const fetch = async () => { throw new Error('fetch must not be called'); };
+  const resolver = new DidWeb({ fetch });
+
+  for (const [did, host] of [
+    ['did:web:localhost%3A8443', 'localhost is on the local network'],
+    ['did:web:issuer.localhost', 'issuer.localhost is on the local network'],
+    ['did:web:127.0.0.1', '127.0.0.1 has the private network address 127.0.0.1'],
+    ['did:web:10.0.0.8%3A443', '10.0.0.8 has the private network address 10.0.0.8'],
+    ['did:web:169.254.169.254', '169.254.169.254 has the private network address'],
+    ['did:web:2130706433', '127.0.0.1 has the private network address'] // the URL parser reads 2130706433 as 127.0.0.1
+  ]) {
+    await assert.rejects(resolver.resolve(did), new RegExp(`Unable to resolve ${did}: host ${host}`), did);
+  }
+
+  // Host names are checked by the addresses they resolve to
+  const rebound = new DidWeb({ fetch, lookup: async () => [{ address: '203.0.113.10', family: 4 }, { address: '::ffff:192.168.0.1', family: 6 }] });
+  await assert.rejects(rebound.resolve(DID), /host credentials.example.gov has the private network address ::ffff:192.168.0.1/);
+  const unknown = new DidWeb({ fetch, lookup: async () => { throw new Error('getaddrinfo ENOTFOUND credentials.example.gov'); } });
+  await assert.rejects(unknown.resolve(DID), /Unable to resolve did:web:credentials.example.gov: getaddrinfo ENOTFOUND/);
+
+  const allowList = new DidWeb({ fetch, lookup: publicLookup, allowedHosts: ['Issuers.Example.com'] });
+  await assert.rejects(allowList.resolve(DID), /host credentials.example.gov is not allowed/);
+  await assert.rejects(allowList.resolve('did:web:issuers.example.com'), /fetch must not be called/);
+  const denyList = new DidWeb({ fetch, lookup: publicLookup, deniedHosts: ['credentials.example.gov'] });
+  await assert.rejects(denyList.resolve(`${DID}:issuers:1`), /host credentials.example.gov is not allowed/);
+
+  // Private networks on request, e.g. for a local test deployment
+  const { server, fetch: localFetch } = await startServer({ '/.well-known/did.json': { id: DID } });
+  try {
+    const local = new DidWeb({ fetch: localFetch, allowPrivateNetworks: true, lookup: async () => [{ address: '127.0.0.1', family: 4 }] });
+    assert.deepStrictEqual(await local.resolve(DID), { id: DID });
+  } finally {
+    server.close();
+  }
+
+  assert.strictEqual(DidWeb.isPrivateAddress('192.168.1.20'), true);
+  assert.strictEqual(DidWeb.isPrivateAddress('fd12:3456::1'), true);
+  assert.strictEqual(DidWeb.isPrivateAddress('8.8.8.8'), false);
+  assert.strictEqual(DidWeb.isPrivateAddress('2606:4700::1111'), false);
+  assert.strictEqual(DidWeb.isPrivateAddress('not-an-ip'), false);
+});
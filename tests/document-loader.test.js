@@ -0,0 +1,180 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import crypto from 'crypto';
+import { DocumentLoader } from '../src/loader/index.js';
+import { VCBuilder, VPBuilder } from '../src/builder/index.js';
+import { JSONLDCanon, VerifiableCredentialService } from '../src/crypto/index.js';
+
+/**
+ * Test suite for the offline JSON-LD document loader
+ * No test in this file may reach the network
+ */
+
+const CUSTOM_CONTEXT_URL = 'https://contexts.example.gov/clearance/v1';
+const CUSTOM_CONTEXT = {
+  '@context': {
+    '@version': 1.1,
+    ClearanceCredential: 'https://contexts.example.gov/clearance#ClearanceCredential',
+    clearanceLevel: 'https://contexts.example.gov/clearance#clearanceLevel'
+  }
+};
+
+test('LOADER: Bundled contexts resolve offline', async () => {
+  const loader = new DocumentLoader();
+
+  for (const url of Object.keys(DocumentLoader.BUNDLED_CONTEXTS)) {
+    assert.ok(loader.has(url), `${url} should be bundled`);
+
+    const remoteDocument = await loader.load(url);
+    assert.strictEqual(remoteDocument.documentUrl, url);
+    assert.strictEqual(remoteDocument.contextUrl, null);
+    assert.ok(remoteDocument.document['@context'], `${url} should be a JSON-LD context`);
+  }
+});
+
+test('LOADER: Bundled contexts match their pinned digests', () => {
+  const loader = new DocumentLoader();
+
+  for (const [url, { sha256 }] of Object.entries(DocumentLoader.BUNDLED_CONTEXTS)) {
+    assert.strictEqual(DocumentLoader.digest(loader.resolve(url)), sha256, `${url} digest should be pinned`);
+  }
+});
+
+test('LOADER: Unknown URLs are rejected instead of fetched', async () => {
+  const loader = new DocumentLoader();
+
+  assert.strictEqual(loader.has('https://example.com/unknown/v1'), false);
+  assert.throws(() => loader.resolve('https://example.com/unknown/v1'), /Unable to resolve context/);
+  await assert.rejects(loader.load('https://example.com/unknown/v1'), /Unable to resolve context/);
+});
+
+test('LOADER: Custom contexts can be registered with an optional pinned digest', () => {
+  const loader = new DocumentLoader();
+  const digest = DocumentLoader.digest(CUSTOM_CONTEXT);
+
+  loader.addContext(CUSTOM_CONTEXT_URL, CUSTOM_CONTEXT, digest);
+  assert.ok(loader.has(CUSTOM_CONTEXT_URL));
+
+  const tampered = JSON.parse(JSON.stringify(CUSTOM_CONTEXT));
+  tampered['@context'].clearanceLevel = 'https://attacker.example/clearanceLevel';
+  assert.throws(
+    () => loader.addContext('https://contexts.example.gov/clearance/v2', tampered, digest),
+    /Integrity check failed/
+  );
+
+  assert.throws(() => loader.addContext(CUSTOM_CONTEXT_URL, { foo: 'bar' }), /must be an object with an @context/);
+});
+
+test('LOADER: Registered documents are isolated from later mutation', () => {
+  const loader = new DocumentLoader({ bundled: false });
+  const document = JSON.parse(JSON.stringify(CUSTOM_CONTEXT));
+
+  loader.addContext(CUSTOM_CONTEXT_URL, document);
+  document['@context'].clearanceLevel = 'https://attacker.example/clearanceLevel';
+
+  assert.strictEqual(
+    loader.resolve(CUSTOM_CONTEXT_URL)['@context'].clearanceLevel,
+    'https://contexts.example.gov/clearance#clearanceLevel'
+  );
+  assert.strictEqual(loader.has('https://www.w3.org/ns/credentials/v2'), false, 'Bundled contexts can be disabled');
+});
+
+test('LOADER: RDFC-1.0 canonicalization uses the bundled contexts', async () => {
+  const credential = {
+    '@context': [
+      'https://www.w3.org/ns/credentials/v2',
+      'https://www.w3.org/ns/credentials/examples/v2'
+    ],
+    id: 'urn:uuid:58172aac-d8ba-11ed-83dd-0b3aef56cc33',
+    type: ['VerifiableCredential', 'AlumniCredential'],
+    issuer: 'https://vc.example/issuers/5678',
+    validFrom: '2023-01-01T00:00:00Z',
+    credentialSubject: {
+      id: 'did:example:abcdefgh',
+      alumniOf: 'The School of Examples'
+    }
+  };
+
+  const nquads = await JSONLDCanon.canonicalizeRdf(credential);
+  assert.ok(nquads.includes('<https://www.w3.org/2018/credentials#issuer> <https://vc.example/issuers/5678>'));
+  assert.ok(nquads.includes('<https://www.w3.org/ns/credentials/examples#alumniOf> "The School of Examples"'));
+});
+
+test('LOADER: RDFC-1.0 canonicalization with a custom loader', async () => {
+  const loader = new DocumentLoader({ bundled: false }).addContext(CUSTOM_CONTEXT_URL, CUSTOM_CONTEXT);
+
+  const nquads = await JSONLDCanon.canonicalizeRdf(
+    { '@context': CUSTOM_CONTEXT_URL, '@id': 'urn:example:1', clearanceLevel: 'Secret' },
+    false,
+    { documentLoader: loader.load }
+  );
+  assert.strictEqual(nquads, '<urn:example:1> <https://contexts.example.gov/clearance#clearanceLevel> "Secret" .\n');
+
+  await assert.rejects(
+    JSONLDCanon.canonicalizeRdf({ '@context': 'https://www.w3.org/ns/credentials/v2' }, false, {
+      documentLoader: loader.load
+    }),
+    /Failed to canonicalize/
+  );
+});
+
+test('LOADER: Builders reject contexts the loader cannot resolve', () => {
+  assert.throws(
+    () => new VCBuilder().addContext('https://example.com/unknown/v1'),
+    /Unable to resolve context: https:\/\/example.com\/unknown\/v1/
+  );
+  assert.throws(
+    () => new VCBuilder().context(['https://www.w3.org/ns/credentials/v2', 'https://example.com/unknown/v1']),
+    /Unable to resolve context/
+  );
+
+  // Inline contexts need no resolution
+  assert.doesNotThrow(() => new VCBuilder().addContext({ ex: 'https://example.com/#' }));
+
+  const loader = new DocumentLoader().addContext(CUSTOM_CONTEXT_URL, CUSTOM_CONTEXT);
+  const vc = new VCBuilder({ documentLoader: loader })
+    .addContext(CUSTOM_CONTEXT_URL)
+    .addType('VerifiableCredential')
+    .issuer('did:example:issuer')
+    .validFrom('2023-01-01T00:00:00Z')
+    .credentialSubject({ id: 'did:example:subject', clearanceLevel: 'Secret' })
+    .build();
+  assert.deepStrictEqual(vc.getContext(), ['https://www.w3.org/ns/credentials/v2', CUSTOM_CONTEXT_URL]);
+
+  // Presentations are checked the same way
+  assert.throws(
+    () => new VPBuilder().addContext('https://example.com/unknown/v1'),
+    /Unable to resolve context: https:\/\/example.com\/unknown\/v1/
+  );
+  assert.throws(
+    () => new VPBuilder().context(['https://www.w3.org/ns/credentials/v2', 'https://example.com/unknown/v1']),
+    /Unable to resolve context/
+  );
+  const vp = new VPBuilder({ documentLoader: loader })
+    .addContext(CUSTOM_CONTEXT_URL)
+    .holder('did:example:holder')
+    .addCredential(vc.toJSON())
+    .build();
+  assert.deepStrictEqual(vp.getContext(), ['https://www.w3.org/ns/credentials/v2', CUSTOM_CONTEXT_URL]);
+});
+
+test('LOADER: Verifier rejects credentials with unresolvable contexts', () => {
+  const loader = new DocumentLoader().addContext(CUSTOM_CONTEXT_URL, CUSTOM_CONTEXT);
+  const issuingService = new VerifiableCredentialService({ documentLoader: loader });
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+  const vc = new VCBuilder({ documentLoader: loader })
+    .addContext(CUSTOM_CONTEXT_URL)
+    .addType('VerifiableCredential')
+    .issuer('did:example:issuer')
+    .validFrom('2023-01-01T00:00:00Z')
+    .credentialSubject({ id: 'did:example:subject', clearanceLevel: 'Secret' })
+    .build();
+
+  const signedVc = issuingService.sign(vc, privateKey);
+  assert.strictEqual(issuingService.verify(signedVc, publicKey), true, 'Registered context should verify');
+
+  // A verifier that does not know the custom context must refuse it
+  const defaultService = new VerifiableCredentialService();
+  assert.strictEqual(defaultService.verify(signedVc, publicKey), false, 'Unknown context should be rejected');
+});
@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import crypto from 'crypto';
+import { VerifiableCredentialService, VerificationResult, LocalSigner, Multibase } from '../src/index.js';
+import { errorCodes } from './fixtures.js';
+
+const NON_FIPS = VerifiableCredentialService.PROFILE_NON_FIPS;
+
+// Test vector from https://www.w3.org/TR/vc-di-eddsa/ (eddsa-rdfc-2022)
+const SPEC_PUBLIC_KEY = 'z6MkrJVnaZkeFzdQyMZu1cgjg7k1pZZ6pvBQ7XJPt4swbTQ2';
+const SPEC_SECRET_KEY = 'z3u2en7t5LR2WtQH5PfFqMqwVHBeXouLzo6haApm8XHqvjxq';
+const SPEC_VERIFICATION_METHOD = `did:key:${SPEC_PUBLIC_KEY}#${SPEC_PUBLIC_KEY}`;
+const SPEC_PROOF_VALUE = 'z2YwC8z3ap7yx1nZYCg4L3j3ApHsF8kgPdSb5xoS1VR7vPG3F561B52hYnQF9iseabecm3ijx4K1FBTQsCZahKZme';
+const SPEC_CREDENTIAL = {
+  '@context': ['https://www.w3.org/ns/credentials/v2', 'https://www.w3.org/ns/credentials/examples/v2'],
+  id: 'urn:uuid:58172aac-d8ba-11ed-83dd-0b3aef56cc33',
+  type: ['VerifiableCredential', 'AlumniCredential'],
+  name: 'Alumni Credential',
+  description: 'A minimum viable example of an Alumni Credential.',
+  issuer: 'https://vc.example/issuers/5678',
+  validFrom: '2023-01-01T00:00:00Z',
+  credentialSubject: {
+    id: 'did:example:abcdefgh',
+    alumniOf: 'The School of Examples'
+  }
+};
+
+/**
+ * Imports the spec key pair. The multibase values carry the ed25519-pub (0xed01)
+ * and ed25519-priv (0x8026) multicodec prefixes.
+ */
+function specKeyPair() {
+  const x = Multibase.decodeBase58btc(SPEC_PUBLIC_KEY).subarray(2).toString('base64url');
+  const d = Multibase.decodeBase58btc(SPEC_SECRET_KEY).subarray(2).toString('base64url');
+  const privateKey = crypto.createPrivateKey({ key: { kty: 'OKP', crv: 'Ed25519', x, d }, format: 'jwk' });
+  return { privateKey, publicKey: crypto.createPublicKey(privateKey) };
+}
+
+test('ED25519: eddsa-rdfc-2022 reproduces the specification proof', async () => {
+  const service = new VerifiableCredentialService({ profile: NON_FIPS });
+  const { privateKey, publicKey } = specKeyPair();
+
+  const signedVc = await service.signAsync(SPEC_CREDENTIAL, privateKey, {
+    cryptosuite: 'eddsa-rdfc-2022',
+    created: '2023-02-24T23:36:38Z',
+    verificationMethod: SPEC_VERIFICATION_METHOD
+  });
+
+  assert.deepStrictEqual(signedVc.proof, {
+    type: 'DataIntegrityProof',
+    cryptosuite: 'eddsa-rdfc-2022',
+    created: '2023-02-24T23:36:38Z',
+    verificationMethod: SPEC_VERIFICATION_METHOD,
+    proofPurpose: 'assertionMethod',
+    proofValue: SPEC_PROOF_VALUE
+  });
+  assert.strictEqual(await service.verifyAsync(signedVc, publicKey), true);
+
+  const tampered = JSON.parse(JSON.stringify(signedVc));
+  tampered.credentialSubject.alumniOf = 'The School of Counterfeits';
+  assert.strictEqual(await service.verifyAsync(tampered, publicKey), false);
+});
+
+test('ED25519: Ed25519Signature2020 sign and verify', async () => {
+  const service = new VerifiableCredentialService({ profile: NON_FIPS });
+  const keyPair = VerifiableCredentialService.generateKeyPair({ keyType: 'Ed25519', profile: NON_FIPS });
+  const vc = {
+    '@context': ['https://www.w3.org/2018/credentials/v1', 'https://w3id.org/security/suites/ed25519-2020/v1'],
+    type: ['VerifiableCredential'],
+    issuer: 'did:example:issuer',
+    issuanceDate: '2023-06-01T12:00:00Z',
+    credentialSubject: { id: 'did:example:subject' }
+  };
+
+  const signedVc = await service.signAsync(vc, keyPair.privateKey, { cryptosuite: 'Ed25519Signature2020' });
+  assert.strictEqual(signedVc.proof.type, 'Ed25519Signature2020');
+  assert.strictEqual(signedVc.proof.cryptosuite, undefined);
+  assert.strictEqual(Multibase.decodeBase58btc(signedVc.proof.proofValue).length, 64);
+  assert.strictEqual(await service.verifyAsync(signedVc, keyPair.publicKey), true);
+
+  // RDFC-1.0 suites need the async API
+  assert.throws(() => service.verify(signedVc, keyPair.publicKey), /use the async verify methods/);
+
+  // Ed25519Signature2020 never produced unbound proofs
+  const tampered = JSON.parse(JSON.stringify(signedVc));
+  tampered.issuer = 'did:example:attacker';
+  const result = await service.verifyWithResultAsync(tampered, keyPair.publicKey, { legacy: true });
+  assert.strictEqual(result.checks.includes('legacySignature'), false);
+  assert.strictEqual(result.hasError(VerificationResult.SIGNATURE_INVALID), true);
+});
+
+test('ED25519: FIPS-strict profile refuses Ed25519 by default', async () => {
+  const strict = new VerifiableCredentialService();
+  const nonFips = new VerifiableCredentialService({ profile: NON_FIPS });
+  const { privateKey, publicKey } = specKeyPair();
+
+  assert.strictEqual(strict.profile, VerifiableCredentialService.PROFILE_FIPS_STRICT);
+  await assert.rejects(
+    () => strict.signAsync(SPEC_CREDENTIAL, privateKey, { cryptosuite: 'eddsa-rdfc-2022' }),
+    /not allowed by the fips-strict profile/
+  );
+
+  const signedVc = await nonFips.signAsync(SPEC_CREDENTIAL, privateKey, { cryptosuite: 'eddsa-rdfc-2022' });
+  const result = await strict.verifyWithResultAsync(signedVc, publicKey);
+  assert.strictEqual(result.verified, false);
+  assert.deepStrictEqual(errorCodes(result), [VerificationResult.ALGORITHM_NOT_ALLOWED]);
+  assert.strictEqual(result.checks.includes('signature'), false);
+
+  assert.throws(() => VerifiableCredentialService.generateKeyPair({ keyType: 'Ed25519' }), /require the non-fips algorithm profile/);
+  assert.throws(() => new VerifiableCredentialService({ profile: 'lenient' }), /Unknown algorithm profile: lenient/);
+});
+
+test('ED25519: Keys and cryptosuites must match', async () => {
+  const service = new VerifiableCredentialService({ profile: NON_FIPS });
+  const ecKeyPair = VerifiableCredentialService.generateKeyPair();
+  const edKeyPair = VerifiableCredentialService.generateKeyPair({ keyType: 'Ed25519', profile: NON_FIPS });
+
+  await assert.rejects(
+    () => service.signAsync(SPEC_CREDENTIAL, ecKeyPair.privateKey, { cryptosuite: 'eddsa-rdfc-2022' }),
+    /Key algorithm ES256 is not supported by cryptosuite eddsa-rdfc-2022/
+  );
+  assert.throws(
+    () => service.sign(SPEC_CREDENTIAL, edKeyPair.privateKey),
+    /Key algorithm EdDSA is not supported by cryptosuite EcdsaSecp256r1Signature2019/
+  );
+
+  const signedVc = await service.signAsync(SPEC_CREDENTIAL, edKeyPair.privateKey, { cryptosuite: 'eddsa-rdfc-2022' });
+  const result = await service.verifyWithResultAsync(signedVc, ecKeyPair.publicKey);
+  assert.deepStrictEqual(errorCodes(result), [VerificationResult.ALGORITHM_MISMATCH]);
+});
+
+test('ED25519: Signers, verifiers and wallets', async () => {
+  const service = new VerifiableCredentialService({ profile: NON_FIPS });
+  const signer = LocalSigner.generate({ id: 'did:example:issuer#key-1', algorithm: 'EdDSA' });
+  assert.strictEqual(signer.algorithm, 'EdDSA');
+
+  const signedVc = await service.signAsync(SPEC_CREDENTIAL, signer, { cryptosuite: 'eddsa-rdfc-2022' });
+  assert.strictEqual(await service.verifyAsync(signedVc, signer.getVerifier()), true);
+  assert.strictEqual(await service.verifyAsync(signedVc, signer.exportPublicKey()), true);
+
+  const wallet = VerifiableCredentialService.createWallet({ keyType: 'Ed25519', profile: NON_FIPS });
+  const walletKey = crypto.createPublicKey({ key: Buffer.from(wallet.publicKey, 'base64'), format: 'der', type: 'spki' });
+  assert.strictEqual(walletKey.asymmetricKeyType, 'ed25519');
+});
@@ -0,0 +1,72 @@
+import { VerifiableCredentialService } from '../src/index.js';
+
+/**
+ * Fixtures shared by the test files: sample credentials, a service with a
+ * key pair and a shorthand for the error codes of a verification result.
+ */
+
+export const ISSUER = 'did:example:issuer';
+export const SUBJECT = 'did:example:subject';
+
+/**
+ * A minimal VC 2.0 credential.
+ *
+ * @param {object} properties Properties to add or replace, e.g. { issuer }
+ * @returns {object} A new credential
+ */
+export function sampleVc(properties = {}) {
+  return {
+    '@context': ['https://www.w3.org/ns/credentials/v2'],
+    type: ['VerifiableCredential'],
+    issuer: ISSUER,
+    validFrom: '2024-01-01T00:00:00Z',
+    credentialSubject: { id: SUBJECT },
+    ...properties
+  };
+}
+
+/**
+ * A VC 2.0 credential with the examples context and the reserved
+ * properties: credentialStatus, credentialSchema, evidence and termsOfUse.
+ *
+ * @param {object} properties Properties to add or replace
+ * @returns {object} A new credential
+ */
+export function degreeVc(properties = {}) {
+  return {
+    '@context': ['https://www.w3.org/ns/credentials/v2', 'https://www.w3.org/ns/credentials/examples/v2'],
+    id: 'urn:uuid:58172aac-d8ba-11ed-83dd-0b3aef56cc33',
+    type: ['VerifiableCredential', 'ExampleDegreeCredential'],
+    name: 'Example Degree',
+    description: 'A degree credential',
+    issuer: ISSUER,
+    validFrom: '2024-01-01T00:00:00Z',
+    credentialSubject: { id: SUBJECT, degree: { type: 'BachelorDegree', name: 'Bachelor of Science' } },
+    credentialStatus: { id: 'https://example.com/status/1#94567', type: 'BitstringStatusListEntry', statusListIndex: '94567' },
+    credentialSchema: [{ id: 'https://example.com/schemas/degree.json', type: 'JsonSchema' }],
+    evidence: [{ type: ['Evidence'], verifier: 'https://example.com/verifier' }],
+    termsOfUse: { type: 'TrustFrameworkPolicy' },
+    ...properties
+  };
+}
+
+/**
+ * The codes of a verification result's errors, in order.
+ *
+ * @param {VerificationResult} result The result
+ * @returns {string[]} Error codes
+ */
+export function errorCodes(result) {
+  return result.errors.map(error => error.code);
+}
+
+/**
+ * A service and a P-256 key pair to sign with.
+ *
+ * @param {object} options VerifiableCredentialService options, e.g. { now }
+ * @returns {object} { service, publicKey, privateKey }
+ */
+export function setup(options = {}) {
+  const service = new VerifiableCredentialService(options);
+  return { service, ...VerifiableCredentialService.generateKeyPair() };
+}
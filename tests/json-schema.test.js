@@ -0,0 +1,210 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import { JsonSchemaValidator, SchemaRegistry } from '../src/index.js';
+
+function errors(schema, instance, options) {
+  return JsonSchemaValidator.validate(schema, instance, options).errors;
+}
+
+function paths(schema, instance, options) {
+  return errors(schema, instance, options).map(error => error.path);
+}
+
+test('JSON SCHEMA: Type, enum, const, numeric and string assertions', () => {
+  const schema = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 2, maxLength: 5, pattern: '^\\p{Lu}' },
+      level: { type: 'integer', minimum: 1, exclusiveMaximum: 10, multipleOf: 0.5 },
+      score: { type: ['number', 'null'], exclusiveMinimum: 0, maximum: 1, multipleOf: 0.1 },
+      status: { enum: ['active', { code: 1, reason: 'suspended' }] },
+      kind: { const: 'degree' }
+    }
+  };
+
+  assert.deepStrictEqual(JsonSchemaValidator.validate(schema, { name: 'Émile', level: 4, score: 0.3, status: { reason: 'suspended', code: 1 }, kind: 'degree' }),
+    { valid: true, errors: [] });
+  assert.deepStrictEqual(JsonSchemaValidator.validate(schema, { score: null, name: '😀😀' }).valid, false, 'pattern needs an upper case letter');
+  assert.deepStrictEqual(errors(schema, { name: 'x', level: 10, score: 0, status: 'revoked', kind: 'licence' }), [
+    { path: '/name', message: 'must be at least 2 characters long' },
+    { path: '/name', message: 'must match the pattern ^\\p{Lu}' },
+    { path: '/level', message: 'must be less than 10' },
+    { path: '/score', message: 'must be greater than 0' },
+    { path: '/status', message: 'must be one of the enum values' },
+    { path: '/kind', message: 'must be "degree"' }
+  ]);
+  assert.deepStrictEqual(errors(schema, { level: 2.5 }), [{ path: '/level', message: 'must be of type integer' }]);
+  assert.deepStrictEqual(errors(schema, { level: 1.0, name: 'Abcdef' }), [{ path: '/name', message: 'must be at most 5 characters long' }]);
+  assert.deepStrictEqual(errors(schema, []), [{ path: '', message: 'must be of type object' }]);
+
+  assert.strictEqual(JsonSchemaValidator.validate(true, 42).valid, true);
+  assert.deepStrictEqual(errors(false, 42), [{ path: '', message: 'is not allowed by the schema' }]);
+  assert.throws(() => JsonSchemaValidator.validate({ $schema: 'http://json-schema.org/draft-07/schema#' }, {}),
+    /Unsupported JSON Schema dialect: http:\/\/json-schema.org\/draft-07\/schema#/);
+  assert.throws(() => JsonSchemaValidator.validate('schema', {}), /JSON Schema must be an object or a boolean/);
+});
+
+test('JSON SCHEMA: Object and array keywords', () => {
+  const schema = {
+    type: 'object',
+    required: ['id', 'degree'],
+    properties: { id: { type: 'string' } },
+    patternProperties: { '^x-': { type: 'string' } },
+    additionalProperties: { type: 'object' },
+    propertyNames: { maxLength: 8 },
+    dependentRequired: { degree: ['school'] },
+    dependentSchemas: { school: { properties: { school: { required: ['name'] } } } },
+    minProperties: 2,
+    maxProperties: 6
+  };
+  assert.strictEqual(JsonSchemaValidator.validate(schema, { id: 'did:example:1', degree: {}, school: { name: 'MIT' }, 'x-note': 'hi' }).valid, true);
+  assert.deepStrictEqual(errors(schema, { 'x-note': 1, 'a/b~c': 'text', longproperty: {}, school: {} }), [
+    { path: '/x-note', message: 'must be of type string' },
+    { path: '/a~1b~0c', message: 'must be of type object' },
+    { path: '/school/name', message: 'is required' },
+    { path: '/longproperty', message: 'property name must be at most 8 characters long' },
+    { path: '/id', message: 'is required' },
+    { path: '/degree', message: 'is required' }
+  ]);
+  assert.deepStrictEqual(paths(schema, { id: 'a', degree: {} }), ['/school']);
+  assert.deepStrictEqual(errors({ minProperties: 1 }, {}), [{ path: '', message: 'must have at least 1 properties' }]);
+
+  const list = {
+    type: 'array',
+    prefixItems: [{ const: 'header' }],
+    items: { type: 'integer' },
+    contains: { type: 'integer', minimum: 10 },
+    minContains: 2,
+    maxContains: 3,
+    minItems: 2,
+    maxItems: 6,
+    uniqueItems: true
+  };
+  assert.strictEqual(JsonSchemaValidator.validate(list, ['header', 10, 11, 3]).valid, true);
+  assert.deepStrictEqual(errors(list, ['header', 'x', 10, 10]), [
+    { path: '/1', message: 'must be of type integer' },
+    { path: '', message: 'must contain unique items; /3 is a duplicate' }
+  ]);
+  assert.deepStrictEqual(errors(list, ['footer', 1]), [
+    { path: '/0', message: 'must be "header"' },
+    { path: '', message: 'must contain at least 2 item(s) matching the schema in contains' }
+  ]);
+  assert.deepStrictEqual(paths(list, ['header', 10, 11, 12, 13]), ['']);
+  assert.deepStrictEqual(errors({ uniqueItems: true }, [{ a: 1, b: 2 }, { b: 2, a: 1 }]), [
+    { path: '', message: 'must contain unique items; /1 is a duplicate' }
+  ]);
+});
+
+test('JSON SCHEMA: Applicators and unevaluated keywords', () => {
+  const schema = {
+    type: 'object',
+    properties: { type: { type: 'string' } },
+    allOf: [{ properties: { id: { type: 'string' } } }],
+    anyOf: [{ required: ['degree'] }, { required: ['licence'] }],
+    oneOf: [{ properties: { degree: { type: 'object' } }, required: ['degree'] }, { properties: { licence: true }, required: ['licence'] }],
+    not: { required: ['revoked'] },
+    if: { properties: { type: { const: 'Doctor' } } },
+    then: { properties: { thesis: { type: 'string' } }, required: ['thesis'] },
+    else: { properties: { minor: { type: 'string' } } },
+    unevaluatedProperties: false
+  };
+
+  assert.strictEqual(JsonSchemaValidator.validate(schema, { id: 'a', type: 'Doctor', degree: {}, thesis: 'On proofs' }).valid, true);
+  assert.strictEqual(JsonSchemaValidator.validate(schema, { type: 'Bachelor', licence: 'B', minor: 'Art' }).valid, true);
+  assert.deepStrictEqual(errors(schema, { type: 'Bachelor', licence: 'B', thesis: 'x' }), [
+    { path: '/thesis', message: 'is not allowed by the schema' }
+  ]);
+  // Failing subschemas evaluate nothing, so their properties are unevaluated
+  assert.deepStrictEqual(errors(schema, { type: 'Doctor', degree: {}, licence: 'L', revoked: true }), [
+    { path: '', message: 'must match exactly one schema in oneOf, but matches 2' },
+    { path: '', message: 'must not match the schema in not' },
+    { path: '/thesis', message: 'is required' },
+    { path: '/degree', message: 'is not allowed by the schema' },
+    { path: '/licence', message: 'is not allowed by the schema' },
+    { path: '/revoked', message: 'is not allowed by the schema' }
+  ]);
+  // Without a type, the if schema passes and then applies
+  assert.deepStrictEqual(errors(schema, { id: 'a' }), [
+    { path: '', message: 'must match at least one schema in anyOf' },
+    { path: '', message: 'must match exactly one schema in oneOf, but matches 0' },
+    { path: '/thesis', message: 'is required' }
+  ]);
+
+  // Items evaluated by prefixItems, items and contains
+  const tuple = { prefixItems: [{ type: 'string' }], contains: { type: 'boolean' }, unevaluatedItems: { type: 'integer' } };
+  assert.strictEqual(JsonSchemaValidator.validate(tuple, ['a', true, 1, false]).valid, true);
+  assert.deepStrictEqual(paths(tuple, ['a', true, 'b']), ['/2']);
+});
+
+test('JSON SCHEMA: References resolve locally and through the registry', () => {
+  const registry = new SchemaRegistry()
+    .addSchema('https://example.com/schemas/address.json', {
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      type: 'object',
+      properties: { country: { $ref: '#/$defs/country' } },
+      required: ['country'],
+      $defs: { country: { type: 'string', pattern: '^[A-Z]{2}$' } }
+    });
+
+  const schema = {
+    $id: 'https://example.com/schemas/person.json',
+    type: 'object',
+    properties: {
+      home: { $ref: 'address.json' },
+      work: { $ref: 'https://example.com/schemas/address.json#/$defs/country' },
+      name: { $ref: '#name' },
+      children: { type: 'array', items: { $ref: '#' } }
+    },
+    $defs: { name: { $anchor: 'name', type: 'string' } }
+  };
+  assert.strictEqual(JsonSchemaValidator.validate(schema, { home: { country: 'DE' }, children: [{ name: 'Ann' }] }, { registry }).valid, true);
+  assert.deepStrictEqual(paths(schema, { home: {}, work: 'de', name: 1, children: [{ home: { country: 'Germany' } }] }, { registry }),
+    ['/home/country', '/work', '/name', '/children/0/home/country']);
+
+  assert.throws(() => JsonSchemaValidator.validate(schema, { home: {} }), /Unable to resolve \$ref address.json: https:\/\/example.com\/schemas\/address.json is not a registered schema/);
+  assert.throws(() => JsonSchemaValidator.validate({ $ref: '#/$defs/missing' }, {}), /no value at \/\$defs\/missing/);
+  assert.throws(() => JsonSchemaValidator.validate({ $defs: { a: { $ref: '#/$defs/b' }, b: { $ref: '#/$defs/a' } }, $ref: '#/$defs/a' }, {}),
+    /JSON Schema references recurse forever at \//);
+
+  // $dynamicRef: the extending schema's anchor takes the place of the generic one
+  registry.addSchema('https://example.com/schemas/tree.json', {
+    $dynamicAnchor: 'node',
+    type: 'object',
+    properties: { children: { type: 'array', items: { $dynamicRef: '#node' } } }
+  });
+  const strictTree = {
+    $id: 'https://example.com/schemas/strict-tree.json',
+    $dynamicAnchor: 'node',
+    $ref: 'tree.json',
+    unevaluatedProperties: false
+  };
+  assert.strictEqual(JsonSchemaValidator.validate(strictTree, { children: [{ children: [] }] }, { registry }).valid, true);
+  assert.deepStrictEqual(paths(strictTree, { children: [{ daat: 1 }] }, { registry }), ['/children/0/daat', '/children']);
+  assert.strictEqual(registry.validate('https://example.com/schemas/tree.json', { children: [{ daat: 1 }] }).valid, true);
+
+  assert.throws(() => registry.addSchema('address.json', {}), /Schema id must be an absolute URL without a fragment: address.json/);
+  assert.throws(() => registry.validate('https://example.com/schemas/missing.json', {}), /No schema registered for https:\/\/example.com\/schemas\/missing.json/);
+});
+
+test('JSON SCHEMA: Patterns that can backtrack exponentially are rejected', () => {
+  for (const pattern of ['^(a+)+$', '^(\\w+\\s?)*$', '(a?a)*', '(.*\\.)+', '^((ab)*c?)+$', '^(a|b+){2,}$']) {
+    assert.throws(() => JsonSchemaValidator.validate({ pattern }, 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa!'), {
+      message: `Unsafe JSON Schema pattern ${pattern}: a group that can match the same input in several ways is repeated without bound`
+    });
+  }
+  assert.throws(() => JsonSchemaValidator.validate({ patternProperties: { '^(x+x+)+y$': true } }, { xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx: 1 }),
+    /Unsafe JSON Schema pattern \^\(x\+x\+\)\+y\$/);
+  assert.throws(() => JsonSchemaValidator.validate({ pattern: 'a'.repeat(JsonSchemaValidator.MAX_PATTERN_LENGTH + 1) }, 'a'),
+    /JSON Schema pattern is longer than 1024 characters: a{32}\.\.\./);
+
+  // Repetitions separated by a literal the group cannot otherwise match, and bounded repetitions
+  const registry = new SchemaRegistry().addSchema('https://example.com/schemas/slug.json', {
+    type: 'string',
+    pattern: '^[a-z]+(?:-[a-z]+)*$|^(\\d{1,3}\\.){3}\\d{1,3}$|^(?:[\\w-]+\\.)+[a-z]{2,}$'
+  });
+  for (const value of ['vc-data-model', '192.168.0.1', 'credentials.example.gov']) {
+    assert.strictEqual(registry.validate('https://example.com/schemas/slug.json', value).valid, true, value);
+  }
+  assert.strictEqual(registry.validate('https://example.com/schemas/slug.json', 'vc--data').valid, false);
+});
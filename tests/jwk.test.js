@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import crypto from 'crypto';
+import { VerifiableCredentialService, KeyUtils } from '../src/index.js';
+import { sampleVc } from './fixtures.js';
+
+// RFC 8037 Appendix A
+const RFC8037_JWK = {
+  kty: 'OKP',
+  crv: 'Ed25519',
+  d: 'nWGxne_9WmC6hEr0kuwsxERJxWl7MmkZcDusAxyuf2A',
+  x: '11qYAYKxCrfVS_7TyWQHOg7hcvPapiMlrwIaaPcHURo'
+};
+const RFC8037_THUMBPRINT = 'kPrK_qmxVWaYVA9wwBF6Iuo3vVzz7TxHCTwXBygrS4k';
+
+test('JWK: EC public and private keys round trip', () => {
+  for (const [namedCurve, crv, size] of [['P-256', 'P-256', 32], ['P-384', 'P-384', 48]]) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve });
+
+    const publicJwk = KeyUtils.toJwk(publicKey);
+    assert.deepStrictEqual(Object.keys(publicJwk), ['kty', 'crv', 'x', 'y']);
+    assert.strictEqual(publicJwk.kty, 'EC');
+    assert.strictEqual(publicJwk.crv, crv);
+    assert.strictEqual(Buffer.from(publicJwk.x, 'base64url').length, size);
+    assert.strictEqual(Buffer.from(publicJwk.y, 'base64url').length, size);
+    assert.ok(!/[+/=]/.test(publicJwk.x + publicJwk.y));
+
+    const spki = publicKey.export({ format: 'der', type: 'spki' });
+    assert.ok(KeyUtils.fromJwk(publicJwk).equals(publicKey));
+    assert.ok(KeyUtils.fromJwk(publicJwk, { format: 'der' }).equals(spki));
+    assert.deepStrictEqual(KeyUtils.toJwk(spki), publicJwk);
+    // The algorithm may still be passed as the second argument
+    assert.deepStrictEqual(KeyUtils.toJwk(publicKey, 'ES256'), { ...publicJwk, alg: 'ES256' });
+
+    const privateJwk = KeyUtils.toJwk(privateKey);
+    assert.strictEqual(Buffer.from(privateJwk.d, 'base64url').length, size);
+    const imported = KeyUtils.fromJwk(privateJwk);
+    assert.strictEqual(imported.type, 'private');
+    assert.ok(imported.equals(privateKey));
+    assert.deepStrictEqual(KeyUtils.toJwk(privateKey.export({ format: 'der', type: 'pkcs8' })), privateJwk);
+  }
+});
+
+test('JWK: Ed25519 keys and RFC 7638 thumbprints', () => {
+  const privateKey = KeyUtils.fromJwk(RFC8037_JWK);
+  assert.strictEqual(privateKey.asymmetricKeyType, 'ed25519');
+  assert.deepStrictEqual(KeyUtils.toJwk(privateKey), {
+    kty: 'OKP', crv: 'Ed25519', x: RFC8037_JWK.x, d: RFC8037_JWK.d
+  });
+
+  // The private members do not affect the thumbprint
+  assert.strictEqual(KeyUtils.thumbprint(RFC8037_JWK), RFC8037_THUMBPRINT);
+  assert.strictEqual(KeyUtils.thumbprint(crypto.createPublicKey(privateKey)), RFC8037_THUMBPRINT);
+
+  const jwk = KeyUtils.toJwk(crypto.createPublicKey(privateKey), {
+    kid: KeyUtils.thumbprint(privateKey),
+    alg: 'EdDSA'
+  });
+  assert.deepStrictEqual(jwk, {
+    kty: 'OKP', crv: 'Ed25519', x: RFC8037_JWK.x, kid: RFC8037_THUMBPRINT, alg: 'EdDSA'
+  });
+});
+
+test('JWK: EC thumbprints hash the required members in order', () => {
+  const { publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const jwk = KeyUtils.toJwk(publicKey, { kid: 'key-1', alg: 'ES256' });
+
+  const expected = crypto.createHash('sha256')
+    .update(`{"crv":"P-256","kty":"EC","x":"${jwk.x}","y":"${jwk.y}"}`)
+    .digest('base64url');
+  assert.strictEqual(KeyUtils.thumbprint(jwk), expected);
+  assert.strictEqual(KeyUtils.thumbprint(publicKey), expected);
+  assert.strictEqual(KeyUtils.thumbprint(jwk, 'sha384').length, 64);
+});
+
+test('JWK: Malformed and unsupported JWKs are rejected', () => {
+  const { publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const jwk = KeyUtils.toJwk(publicKey);
+
+  assert.throws(() => KeyUtils.fromJwk({ ...jwk, y: undefined }), /Invalid JWK: y must be a 32 byte base64url value/);
+  assert.throws(() => KeyUtils.fromJwk({ ...jwk, x: Buffer.from(jwk.x, 'base64url').toString('base64') + '==' }),
+    /Invalid JWK: x must be a 32 byte base64url value/);
+  assert.throws(() => KeyUtils.fromJwk({ ...jwk, crv: 'P-384' }), /Invalid JWK: x must be a 48 byte/);
+  assert.throws(() => KeyUtils.fromJwk({ ...jwk, kty: 'OKP' }), /Unsupported JWK curve: OKP P-256/);
+  assert.throws(() => KeyUtils.fromJwk({ kty: 'RSA', n: 'AQAB', e: 'AQAB' }), /Unsupported JWK curve/);
+  assert.throws(() => KeyUtils.fromJwk({ ...jwk, x: jwk.y, y: jwk.x }), /Invalid JWK/);
+  assert.throws(() => KeyUtils.fromJwk('{}'), /Invalid JWK: kty is required/);
+
+  const secp256k1 = crypto.generateKeyPairSync('ec', { namedCurve: 'secp256k1' });
+  assert.throws(() => KeyUtils.toJwk(secp256k1.publicKey), /Unsupported JWK curve: secp256k1/);
+});
+
+test('JWK: Service signs and verifies with JWKs', async () => {
+  const service = new VerifiableCredentialService();
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-384' });
+  const privateJwk = KeyUtils.toJwk(privateKey);
+  const publicJwk = KeyUtils.toJwk(publicKey);
+
+  const signedVc = service.sign(sampleVc(), privateJwk, { cryptosuite: 'ecdsa-jcs-2019' });
+  assert.strictEqual(service.verify(signedVc, publicJwk), true);
+  // A private JWK also verifies, through its public key
+  assert.strictEqual(service.verify(signedVc, privateJwk), true);
+
+  const rdfcVc = await service.signAsync(sampleVc(), privateJwk, { cryptosuite: 'ecdsa-rdfc-2019' });
+  assert.strictEqual(await service.verifyAsync(rdfcVc, publicJwk), true);
+
+  assert.throws(() => service.sign(sampleVc(), publicJwk), /A private key is required for signing, but a public key was given/);
+  const result = service.verifyWithResult(signedVc, { ...publicJwk, x: 'AAAA' });
+  assert.strictEqual(result.errors[0].code, 'KEY_DECODE_FAILED');
+});
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import crypto from 'crypto';
+import { VerifiableCredentialService, VerificationResult, KeyUtils } from '../src/index.js';
+import { sampleVc, errorCodes } from './fixtures.js';
+
+/**
+ * Every private and public representation of a key pair an operator might paste.
+ */
+function keyFormats(namedCurve) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve });
+  const privateJwk = KeyUtils.toJwk(privateKey);
+  const publicJwk = KeyUtils.toJwk(publicKey);
+
+  return {
+    privateKeys: {
+      pem: privateKey.export({ format: 'pem', type: 'pkcs8' }),
+      sec1Pem: privateKey.export({ format: 'pem', type: 'sec1' }),
+      jwk: privateJwk,
+      jwkJson: JSON.stringify(privateJwk),
+      multibase: KeyUtils.toSecretKeyMultibase(privateKey),
+      hex: Buffer.from(privateJwk.d, 'base64url').toString('hex'),
+      base64: privateKey.export({ format: 'der', type: 'pkcs8' }).toString('base64')
+    },
+    publicKeys: {
+      pem: publicKey.export({ format: 'pem', type: 'spki' }),
+      jwk: publicJwk,
+      jwkJson: JSON.stringify(publicJwk, null, 2),
+      multibase: KeyUtils.toPublicKeyMultibase(publicKey),
+      hex: `0x${KeyUtils.getPublicKeyBytes(publicKey, { compressed: false }).toString('hex')}`,
+      compressedHex: KeyUtils.getPublicKeyBytes(publicKey).toString('hex'),
+      base64: publicKey.export({ format: 'der', type: 'spki' }).toString('base64')
+    },
+    publicKey
+  };
+}
+
+test('KEY FORMATS: Formats are detected', () => {
+  const { privateKeys, publicKeys, publicKey } = keyFormats('P-256');
+
+  assert.strictEqual(KeyUtils.detectKeyFormat(publicKey), 'keyobject');
+  assert.strictEqual(KeyUtils.detectKeyFormat(privateKeys.pem), 'pem');
+  assert.strictEqual(KeyUtils.detectKeyFormat(`\n${publicKeys.pem}`), 'pem');
+  assert.strictEqual(KeyUtils.detectKeyFormat(privateKeys.jwk), 'jwk');
+  assert.strictEqual(KeyUtils.detectKeyFormat(publicKeys.jwkJson), 'jwk');
+  assert.strictEqual(KeyUtils.detectKeyFormat(publicKeys.multibase), 'multibase');
+  assert.strictEqual(KeyUtils.detectKeyFormat(privateKeys.hex), 'hex');
+  assert.strictEqual(KeyUtils.detectKeyFormat(publicKeys.hex), 'hex');
+  assert.strictEqual(KeyUtils.detectKeyFormat(privateKeys.base64), 'der');
+  assert.strictEqual(KeyUtils.detectKeyFormat(Buffer.from(publicKeys.base64, 'base64')), 'der');
+
+  assert.throws(() => KeyUtils.detectKeyFormat('not a key!'), /Unrecognised key format/);
+  assert.throws(() => KeyUtils.detectKeyFormat(42), /Unrecognised key format/);
+});
+
+test('KEY FORMATS: Every format parses to the same key', () => {
+  for (const namedCurve of ['P-256', 'P-384']) {
+    const { privateKeys, publicKeys, publicKey } = keyFormats(namedCurve);
+
+    for (const [format, key] of Object.entries(privateKeys)) {
+      const keyObject = KeyUtils.parseKey(key);
+      assert.strictEqual(keyObject.type, 'private', `${namedCurve} ${format}`);
+      assert.ok(crypto.createPublicKey(keyObject).equals(publicKey), `${namedCurve} ${format}`);
+    }
+    for (const [format, key] of Object.entries(publicKeys)) {
+      const keyObject = KeyUtils.parseKey(key);
+      assert.strictEqual(keyObject.type, 'public', `${namedCurve} ${format}`);
+      assert.ok(keyObject.equals(publicKey), `${namedCurve} ${format}`);
+    }
+  }
+
+  // Ed25519 seeds are only read as hex when the curve is given
+  const { privateKey } = crypto.generateKeyPairSync('ed25519');
+  const seed = Buffer.from(KeyUtils.toJwk(privateKey).d, 'base64url').toString('hex');
+  assert.ok(KeyUtils.parseKey(seed, { crv: 'Ed25519' }).equals(privateKey));
+  assert.strictEqual(KeyUtils.parseKey(seed).asymmetricKeyDetails.namedCurve, 'prime256v1');
+});
+
+test('KEY FORMATS: Unreadable keys report their format', () => {
+  assert.throws(() => KeyUtils.parseKey('-----BEGIN PUBLIC KEY-----\nAAAA\n-----END PUBLIC KEY-----'), /Invalid pem key/);
+  assert.throws(() => KeyUtils.parseKey('{"kty":"EC"'), /Invalid jwk key/);
+  assert.throws(() => KeyUtils.parseKey('aabbcc'), /Invalid hex key: unexpected length of 3 bytes/);
+  assert.throws(() => KeyUtils.parseKey('MFkwEwYHKoZIzj0CAQYIKoZIzj0DAQcDQgAE'), /Invalid Base64 DER key/);
+  assert.throws(() => KeyUtils.parseKey('z6LSbysY2xFMRpGMhb7tFTLMpeuPRaqaWM1yECx2AtzE3KCc'), /Invalid multibase key: Unsupported multicodec/);
+});
+
+test('KEY FORMATS: Service signs and verifies with every format', () => {
+  const service = new VerifiableCredentialService();
+  const { privateKeys, publicKeys } = keyFormats('P-256');
+
+  for (const [privateFormat, privateKey] of Object.entries(privateKeys)) {
+    const signedVc = service.sign(sampleVc(), privateKey);
+    for (const [publicFormat, publicKey] of Object.entries(publicKeys)) {
+      assert.strictEqual(service.verify(signedVc, publicKey), true, `${privateFormat} -> ${publicFormat}`);
+    }
+  }
+});
+
+test('KEY FORMATS: Mismatched key types and curves are rejected before signing', async () => {
+  const service = new VerifiableCredentialService();
+  const { privateKeys, publicKeys } = keyFormats('P-256');
+
+  for (const [format, publicKey] of Object.entries(publicKeys)) {
+    assert.throws(() => service.sign(sampleVc(), publicKey),
+      /A private key is required for signing, but a public key was given/, format);
+  }
+  await assert.rejects(() => service.signAsync(sampleVc(), publicKeys.pem, { cryptosuite: 'ecdsa-rdfc-2019' }),
+    /A private key is required for signing/);
+
+  const secp256k1 = crypto.generateKeyPairSync('ec', { namedCurve: 'secp256k1' });
+  assert.throws(() => service.sign(sampleVc(), secp256k1.privateKey.export({ format: 'pem', type: 'pkcs8' })),
+    /Unsupported key type for signing: secp256k1/);
+  const p384 = keyFormats('P-384');
+  assert.throws(() => service.sign(sampleVc(), p384.privateKeys.hex),
+    /Key algorithm ES384 is not supported by cryptosuite EcdsaSecp256r1Signature2019/);
+
+  // A private key verifies through its public key; garbage reports KEY_DECODE_FAILED
+  const signedVc = service.sign(sampleVc(), privateKeys.multibase);
+  assert.strictEqual(service.verify(signedVc, privateKeys.pem), true);
+  const result = service.verifyWithResult(signedVc, 'not a key!');
+  assert.deepStrictEqual(errorCodes(result), [VerificationResult.KEY_DECODE_FAILED]);
+});
@@ -146,7 +146,7 @@ test('KEY GENERATION: Wallet creation with correct curve', () => {
   assert.ok(wallet.privateKey, 'Wallet should have a private key');
   
   // Check DID format
-  assert.ok(wallet.did.startsWith('did:example:'), 'Wallet DID should have correct format');
+  assert.ok(wallet.did.startsWith('did:key:zDn'), 'Wallet DID should be a P-256 did:key');
   
   // Validate keys
   assert.ok(typeof wallet.publicKey === 'string', 'Wallet public key should be a string');
@@ -0,0 +1,142 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import crypto from 'crypto';
+import { VerifiableCredentialService, VerificationResult, Keyring, KeyUtils, VPBuilder } from '../src/index.js';
+import { ISSUER, sampleVc, errorCodes } from './fixtures.js';
+
+
+function p256() {
+  return crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+}
+
+test('KEYRING: Keys are identified by kid and controller', () => {
+  const keyring = new Keyring();
+  const { privateKey, publicKey } = p256();
+
+  const entry = keyring.addKey(ISSUER, privateKey);
+  assert.strictEqual(entry.kid, KeyUtils.thumbprint(publicKey));
+  assert.strictEqual(entry.id, `${ISSUER}#${entry.kid}`);
+  assert.strictEqual(entry.status, Keyring.STATUS_ACTIVE);
+  assert.ok(entry.publicKey.equals(publicKey));
+  assert.strictEqual(keyring.getKey(entry.id), entry);
+
+  const named = keyring.addKey(ISSUER, p256().publicKey, { kid: 'key-2' });
+  assert.strictEqual(named.id, `${ISSUER}#key-2`);
+  assert.strictEqual(named.privateKey, null);
+  assert.deepStrictEqual(keyring.getKeys(ISSUER), [entry, named]);
+  assert.deepStrictEqual(keyring.getKeys('did:example:other'), []);
+
+  assert.deepStrictEqual(keyring.getVerificationMethods(ISSUER).map(method => method.id), [entry.id, named.id]);
+  assert.strictEqual(keyring.getVerificationMethods(ISSUER)[0].publicKeyMultibase, KeyUtils.toPublicKeyMultibase(publicKey));
+
+  assert.throws(() => keyring.addKey(ISSUER, privateKey), /is already in the keyring/);
+  assert.throws(() => keyring.addKey(ISSUER, p256().privateKey, { status: 'paused' }), /Unknown key status: paused/);
+  assert.throws(() => keyring.addKey(ISSUER, p256().privateKey, { validFrom: 'soon' }), /Invalid key validFrom/);
+  assert.throws(() => keyring.addKey(ISSUER, p256().privateKey, {
+    validFrom: '2024-02-01T00:00:00Z', validUntil: '2024-01-01T00:00:00Z'
+  }), /validUntil must be later than validFrom/);
+  assert.throws(() => keyring.addKey(undefined, privateKey), /require a controller/);
+});
+
+test('KEYRING: Sign picks the active key and verify selects it by verificationMethod', async () => {
+  const service = new VerifiableCredentialService();
+  const keyring = new Keyring();
+  keyring.addKey(ISSUER, p256().publicKey, { kid: 'verify-only' });
+  keyring.addKey(ISSUER, p256().privateKey, { kid: 'key-1', validFrom: '2020-01-01T00:00:00Z' });
+  keyring.addKey(ISSUER, p256().privateKey, { kid: 'key-future', validFrom: '2999-01-01T00:00:00Z' });
+  keyring.addKey('did:example:other', p256().privateKey, { kid: 'key-1' });
+
+  const signedVc = service.sign(sampleVc(), keyring);
+  assert.strictEqual(signedVc.proof.verificationMethod, `${ISSUER}#key-1`);
+  assert.strictEqual(service.verify(signedVc, keyring), true);
+
+  const rdfcVc = await service.signAsync(sampleVc(), keyring, { cryptosuite: 'ecdsa-rdfc-2019' });
+  assert.strictEqual(rdfcVc.proof.verificationMethod, `${ISSUER}#key-1`);
+  assert.strictEqual(await service.verifyAsync(rdfcVc, keyring), true);
+
+  // Issuer objects and explicit controllers and verification methods
+  const vc = sampleVc({ issuer: { id: 'did:example:other', name: 'Other' } });
+  assert.strictEqual(service.sign(vc, keyring).proof.verificationMethod, 'did:example:other#key-1');
+  assert.strictEqual(
+    service.sign(sampleVc(), keyring, { controller: 'did:example:other' }).proof.verificationMethod,
+    'did:example:other#key-1'
+  );
+  assert.throws(() => service.sign(sampleVc(), keyring, { verificationMethod: `${ISSUER}#verify-only` }),
+    /has no private key/);
+  assert.throws(() => service.sign(sampleVc(), keyring, { verificationMethod: `${ISSUER}#key-future` }),
+    /outside its validity window/);
+  assert.throws(() => service.sign(sampleVc({ issuer: 'did:example:unknown' }), keyring),
+    /No active signing key for did:example:unknown/);
+
+  // Keys the keyring does not hold
+  const forged = service.sign(sampleVc(), p256().privateKey, { verificationMethod: `${ISSUER}#key-0` });
+  const result = service.verifyWithResult(forged, keyring);
+  assert.deepStrictEqual(errorCodes(result), [VerificationResult.KEY_NOT_FOUND]);
+
+  // Keys are looked up among the issuer's keys: another controller's key does not verify
+  assert.strictEqual(keyring.getKey('did:example:other#key-1', ISSUER), null);
+  assert.strictEqual(keyring.getKey('did:example:other#key-1', 'did:example:other').controller, 'did:example:other');
+  const misattributed = service.sign(sampleVc(), keyring, { verificationMethod: 'did:example:other#key-1' });
+  const mismatch = service.verifyWithResult(misattributed, keyring);
+  assert.strictEqual(mismatch.verified, false);
+  assert.deepStrictEqual(errorCodes(mismatch), [VerificationResult.KEY_CONTROLLER_MISMATCH]);
+  assert.match(mismatch.errors[0].message, /did:example:other#key-1 is controlled by did:example:other, not the issuer did:example:issuer/);
+
+  // Presentations default to the holder's active key
+  const vp = new VPBuilder().holder('did:example:other').addCredential(signedVc).build().toJSON();
+  const signedVp = await service.signPresentationAsync(vp, keyring, { challenge: 'c-1' });
+  assert.strictEqual(signedVp.proof.verificationMethod, 'did:example:other#key-1');
+  assert.strictEqual(await service.verifyPresentationAsync(signedVp, keyring, { challenge: 'c-1' }), true);
+});
+
+test('KEYRING: Rotation keeps earlier credentials verifiable', () => {
+  const service = new VerifiableCredentialService();
+  const keyring = new Keyring();
+  const first = keyring.addKey(ISSUER, p256().privateKey, { kid: 'key-1', validFrom: '2023-01-01T00:00:00Z' });
+
+  const before = service.sign(sampleVc(), keyring, { created: '2024-01-01T00:00:00Z' });
+  assert.strictEqual(before.proof.verificationMethod, first.id);
+
+  const second = keyring.rotateKey(ISSUER, p256().privateKey, { kid: 'key-2', validFrom: '2024-06-01T00:00:00Z' });
+  assert.strictEqual(first.status, Keyring.STATUS_RETIRED);
+  assert.strictEqual(first.validUntil.toISOString(), '2024-06-01T00:00:00.000Z');
+
+  const after = service.sign(sampleVc(), keyring);
+  assert.strictEqual(after.proof.verificationMethod, second.id);
+  assert.strictEqual(service.verify(after, keyring), true);
+
+  // Signed before retirement: still valid
+  assert.strictEqual(service.verify(before, keyring), true);
+
+  // A retired key cannot sign, and proofs claiming a later date do not verify
+  assert.throws(() => service.sign(sampleVc(), keyring, { verificationMethod: first.id }), /is retired and cannot sign/);
+  const lateSigner = new Keyring();
+  lateSigner.addKey(ISSUER, first.privateKey, { kid: 'key-1' });
+  const late = service.sign(sampleVc(), lateSigner, { created: '2024-07-01T00:00:00Z' });
+  const result = service.verifyWithResult(late, keyring);
+  assert.deepStrictEqual(errorCodes(result), [VerificationResult.KEY_INACTIVE]);
+  assert.match(result.errors[0].message, /outside the validity window of key did:example:issuer#key-1/);
+
+  // Proofs dated before the key's validity window are rejected too
+  const early = service.sign(sampleVc(), lateSigner, { created: '2022-01-01T00:00:00Z' });
+  assert.strictEqual(service.verifyWithResult(early, keyring).hasError(VerificationResult.KEY_INACTIVE), true);
+});
+
+test('KEYRING: Revoked keys never verify', () => {
+  const service = new VerifiableCredentialService();
+  const keyring = new Keyring();
+  const entry = keyring.addKey(ISSUER, p256().privateKey, { kid: 'key-1' });
+
+  const signedVc = service.sign(sampleVc(), keyring, { created: '2024-01-01T00:00:00Z' });
+  assert.strictEqual(service.verify(signedVc, keyring), true);
+
+  keyring.revokeKey(entry.id);
+  const result = service.verifyWithResult(signedVc, keyring);
+  assert.strictEqual(result.verified, false);
+  assert.deepStrictEqual(errorCodes(result), [VerificationResult.KEY_REVOKED]);
+  assert.strictEqual(result.checks.includes('signature'), false);
+
+  assert.throws(() => service.sign(sampleVc(), keyring), /No active signing key for did:example:issuer/);
+  assert.throws(() => keyring.retireKey(entry.id), /is revoked/);
+  assert.throws(() => keyring.revokeKey(`${ISSUER}#key-9`), /is not in the keyring/);
+});
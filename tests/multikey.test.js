@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import crypto from 'crypto';
+import { VerifiableCredentialService, KeyUtils, Multibase } from '../src/index.js';
+
+// Multikey pairs from https://www.w3.org/TR/vc-di-ecdsa/ and https://www.w3.org/TR/vc-di-eddsa/
+const SPEC_KEYS = [
+  {
+    crv: 'P-256',
+    publicKeyMultibase: 'zDnaepBuvsQ8cpsWrVKw8fbpGpvPeNSjVPTWoq6cRqaYzBKVP',
+    secretKeyMultibase: 'z42twTcNeSYcnqg1FLuSFs2bsGH3ZqbRHFmvS9XMsYhjxvHN'
+  },
+  {
+    crv: 'P-384',
+    publicKeyMultibase: 'z82LkuBieyGShVBhvtE2zoiD6Kma4tJGFtkAhxR5pfkp5QPw4LutoYWhvQCnGjdVn14kujQ',
+    secretKeyMultibase: 'z2fanyY7zgwNpZGxX5fXXibvScNaUWNprHU9dKx7qpVj7mws9J8LLt4mDB5TyH2GLHWkUc'
+  },
+  {
+    crv: 'Ed25519',
+    publicKeyMultibase: 'z6MkrJVnaZkeFzdQyMZu1cgjg7k1pZZ6pvBQ7XJPt4swbTQ2',
+    secretKeyMultibase: 'z3u2en7t5LR2WtQH5PfFqMqwVHBeXouLzo6haApm8XHqvjxq'
+  }
+];
+
+test('MULTIKEY: Specification key pairs round trip', () => {
+  for (const { crv, publicKeyMultibase, secretKeyMultibase } of SPEC_KEYS) {
+    const privateKey = KeyUtils.fromSecretKeyMultibase(secretKeyMultibase);
+    const publicKey = KeyUtils.fromPublicKeyMultibase(publicKeyMultibase);
+
+    assert.strictEqual(privateKey.type, 'private');
+    assert.strictEqual(KeyUtils.toJwk(publicKey).crv, crv);
+    assert.ok(crypto.createPublicKey(privateKey).equals(publicKey));
+    assert.strictEqual(KeyUtils.toPublicKeyMultibase(publicKey), publicKeyMultibase);
+    assert.strictEqual(KeyUtils.toPublicKeyMultibase(privateKey), publicKeyMultibase);
+    assert.strictEqual(KeyUtils.toSecretKeyMultibase(privateKey), secretKeyMultibase);
+  }
+});
+
+test('MULTIKEY: Compressed and uncompressed points', () => {
+  for (const [namedCurve, crv, size] of [['P-256', 'P-256', 32], ['P-384', 'P-384', 48]]) {
+    const { publicKey } = crypto.generateKeyPairSync('ec', { namedCurve });
+
+    const compressed = KeyUtils.getPublicKeyBytes(publicKey);
+    const uncompressed = KeyUtils.getPublicKeyBytes(publicKey, { compressed: false });
+    assert.strictEqual(compressed.length, 1 + size);
+    assert.ok([0x02, 0x03].includes(compressed[0]));
+    assert.strictEqual(uncompressed.length, 1 + 2 * size);
+    assert.strictEqual(uncompressed[0], 0x04);
+
+    assert.ok(KeyUtils.fromPublicKeyBytes(compressed, crv).equals(publicKey));
+    assert.ok(KeyUtils.fromPublicKeyBytes(uncompressed, crv).equals(publicKey));
+
+    // Uncompressed multikeys decode too, but encoding always compresses
+    const prefix = Buffer.from(KeyUtils.CURVES[crv].publicCodec);
+    const uncompressedMultibase = Multibase.encodeBase58btc(Buffer.concat([prefix, uncompressed]));
+    const decoded = KeyUtils.fromPublicKeyMultibase(uncompressedMultibase);
+    assert.strictEqual(KeyUtils.toPublicKeyMultibase(decoded), KeyUtils.toPublicKeyMultibase(publicKey));
+  }
+
+  const { publicKey } = crypto.generateKeyPairSync('ed25519');
+  assert.strictEqual(KeyUtils.getPublicKeyBytes(publicKey).length, 32);
+  assert.ok(KeyUtils.fromPublicKeyBytes(KeyUtils.getPublicKeyBytes(publicKey), 'Ed25519').equals(publicKey));
+});
+
+test('MULTIKEY: Verification methods', async () => {
+  const [p256] = SPEC_KEYS;
+  const privateKey = KeyUtils.fromSecretKeyMultibase(p256.secretKeyMultibase);
+  const controller = `did:key:${p256.publicKeyMultibase}`;
+
+  const verificationMethod = KeyUtils.toMultikey(privateKey, { controller });
+  assert.deepStrictEqual(verificationMethod, {
+    id: `${controller}#${p256.publicKeyMultibase}`,
+    type: 'Multikey',
+    controller,
+    publicKeyMultibase: p256.publicKeyMultibase
+  });
+  assert.strictEqual(KeyUtils.toMultikey(privateKey, { id: 'did:example:123#key-1' }).id, 'did:example:123#key-1');
+
+  const service = new VerifiableCredentialService();
+  const vc = {
+    '@context': ['https://www.w3.org/ns/credentials/v2'],
+    type: ['VerifiableCredential'],
+    issuer: controller,
+    credentialSubject: { id: 'did:example:subject' }
+  };
+  const signedVc = await service.signAsync(vc, privateKey, {
+    cryptosuite: 'ecdsa-rdfc-2019',
+    verificationMethod: verificationMethod.id
+  });
+  assert.strictEqual(await service.verifyAsync(signedVc, KeyUtils.fromMultikey(verificationMethod)), true);
+
+  assert.throws(() => KeyUtils.fromMultikey({ ...verificationMethod, type: 'JsonWebKey2020' }), /not a Multikey/);
+});
+
+test('MULTIKEY: Invalid values are rejected', () => {
+  const [p256, p384] = SPEC_KEYS;
+  const bytes = Multibase.decodeBase58btc(p256.publicKeyMultibase);
+
+  // secp256k1-pub (0xe7) is not supported
+  const secp256k1 = Multibase.encodeBase58btc(Buffer.concat([Buffer.from([0xe7, 0x01]), bytes.subarray(2)]));
+  assert.throws(() => KeyUtils.fromPublicKeyMultibase(secp256k1), /Unsupported multicodec key prefix: 0xe701/);
+  assert.throws(() => KeyUtils.fromPublicKeyMultibase(p256.secretKeyMultibase), /Unsupported multicodec key prefix/);
+  assert.throws(() => KeyUtils.fromSecretKeyMultibase(p384.publicKeyMultibase), /Unsupported multicodec key prefix/);
+  assert.throws(() => KeyUtils.fromPublicKeyMultibase('uAAAA'), /not a multibase base58btc string/);
+
+  // Truncated and off-curve points
+  assert.throws(() => KeyUtils.fromPublicKeyBytes(bytes.subarray(2, 30), 'P-256'), /Invalid P-256 public key/);
+  const offCurve = Buffer.concat([Buffer.from([0x04]), Buffer.alloc(64, 1)]);
+  assert.throws(() => KeyUtils.fromPublicKeyBytes(offCurve, 'P-256'), /Invalid P-256 public key/);
+  assert.throws(() => KeyUtils.fromSecretKeyBytes(Buffer.alloc(31), 'P-256'), /expected 32 bytes/);
+  assert.throws(() => KeyUtils.fromPublicKeyBytes(bytes, 'secp256k1'), /Unsupported curve: secp256k1/);
+
+  const { publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  assert.throws(() => KeyUtils.toSecretKeyMultibase(publicKey), /A private key is required/);
+});
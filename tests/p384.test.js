@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import crypto from 'crypto';
+import {
+  VerifiableCredentialService,
+  VerificationResult,
+  Cryptosuite,
+  JSONLDCanon,
+  KeyObjectSigner,
+  LocalSigner,
+  Multibase
+} from '../src/index.js';
+import { sampleVc, errorCodes } from './fixtures.js';
+
+test('P-384: Key generation and curve detection', () => {
+  const keyPair = VerifiableCredentialService.generateKeyPair({ keyType: VerifiableCredentialService.P384_CURVE_NAME });
+  const privateKey = crypto.createPrivateKey({ key: Buffer.from(keyPair.privateKey, 'base64'), format: 'der', type: 'pkcs8' });
+
+  assert.strictEqual(privateKey.asymmetricKeyDetails.namedCurve, 'secp384r1');
+  assert.strictEqual(KeyObjectSigner.algorithmForKey(privateKey), 'ES384');
+  assert.strictEqual(LocalSigner.generate({ algorithm: 'ES384' }).algorithm, 'ES384');
+  assert.throws(() => LocalSigner.generate({ algorithm: 'ES512' }), /Unsupported signer algorithm: ES512/);
+});
+
+test('P-384: ECDSA cryptosuites sign and verify with SHA-384', async () => {
+  const service = new VerifiableCredentialService();
+  const keyPair = VerifiableCredentialService.generateKeyPair({ keyType: 'P-384' });
+
+  const jcsVc = service.sign(sampleVc(), keyPair.privateKey, { cryptosuite: 'ecdsa-jcs-2019' });
+  assert.strictEqual(Multibase.decodeBase58btc(jcsVc.proof.proofValue).length, 96);
+  assert.strictEqual(service.verify(jcsVc, keyPair.publicKey), true);
+
+  const rdfcVc = await service.signAsync(sampleVc(), keyPair.privateKey, { cryptosuite: 'ecdsa-rdfc-2019' });
+  assert.strictEqual(Multibase.decodeBase58btc(rdfcVc.proof.proofValue).length, 96);
+  assert.strictEqual(await service.verifyAsync(rdfcVc, keyPair.publicKey), true);
+
+  const tampered = JSON.parse(JSON.stringify(rdfcVc));
+  tampered.issuer = 'did:example:attacker';
+  assert.strictEqual(await service.verifyAsync(tampered, keyPair.publicKey), false);
+});
+
+test('P-384: Verify data hashes are selected by algorithm', () => {
+  const suite = Cryptosuite.get('ecdsa-jcs-2019');
+  const document = sampleVc();
+  const proof = { type: 'DataIntegrityProof', cryptosuite: 'ecdsa-jcs-2019', proofPurpose: 'assertionMethod' };
+
+  assert.strictEqual(suite.createVerifyData(document, proof).length, 64);
+  assert.strictEqual(suite.createVerifyData(document, proof, { algorithm: 'ES256' }).length, 64);
+
+  const verifyData = suite.createVerifyData(document, proof, { algorithm: 'ES384' });
+  assert.strictEqual(verifyData.length, 96);
+  const documentHash = crypto.createHash('sha384').update(JSONLDCanon.canonicalize(document)).digest();
+  assert.ok(verifyData.subarray(48).equals(documentHash));
+
+  assert.throws(() => suite.createVerifyData(document, proof, { algorithm: 'EdDSA' }),
+    /Algorithm EdDSA is not supported by cryptosuite ecdsa-jcs-2019/);
+});
+
+test('P-384: Cross-curve keys are rejected', async () => {
+  const service = new VerifiableCredentialService();
+  const p256 = VerifiableCredentialService.generateKeyPair();
+  const p384 = VerifiableCredentialService.generateKeyPair({ keyType: 'P-384' });
+
+  const p384Vc = await service.signAsync(sampleVc(), p384.privateKey, { cryptosuite: 'ecdsa-rdfc-2019' });
+  let result = await service.verifyWithResultAsync(p384Vc, p256.publicKey);
+  assert.strictEqual(result.verified, false);
+  assert.deepStrictEqual(errorCodes(result), [VerificationResult.ALGORITHM_MISMATCH]);
+
+  const p256Vc = service.sign(sampleVc(), p256.privateKey, { cryptosuite: 'ecdsa-jcs-2019' });
+  result = service.verifyWithResult(p256Vc, p384.publicKey);
+  assert.deepStrictEqual(errorCodes(result), [VerificationResult.ALGORITHM_MISMATCH]);
+  assert.strictEqual(result.checks.includes('signature'), false);
+
+  // The legacy suite predates P-384
+  assert.throws(() => service.sign(sampleVc(), p384.privateKey),
+    /Key algorithm ES384 is not supported by cryptosuite EcdsaSecp256r1Signature2019/);
+  const legacyVc = service.sign(sampleVc(), p256.privateKey);
+  result = service.verifyWithResult(legacyVc, p384.publicKey);
+  assert.deepStrictEqual(errorCodes(result), [VerificationResult.ALGORITHM_MISMATCH]);
+});
+
+test('P-384: Signers and verifiers', async () => {
+  const service = new VerifiableCredentialService();
+  const signer = LocalSigner.generate({ id: 'did:example:issuer#key-384', algorithm: 'ES384' });
+
+  for (const cryptosuite of ['ecdsa-jcs-2019', 'ecdsa-rdfc-2019']) {
+    const signedVc = await service.signAsync(sampleVc(), signer, { cryptosuite });
+    assert.strictEqual(signedVc.proof.verificationMethod, 'did:example:issuer#key-384');
+    assert.strictEqual(await service.verifyAsync(signedVc, signer.getVerifier()), true);
+    assert.strictEqual(await service.verifyAsync(signedVc, signer.exportPublicKey()), true);
+
+    // A P-256 verifier cannot check a P-384 proof
+    const result = await service.verifyWithResultAsync(signedVc, LocalSigner.generate().getVerifier());
+    assert.deepStrictEqual(errorCodes(result), [VerificationResult.ALGORITHM_MISMATCH]);
+  }
+
+  await assert.rejects(() => service.signAsync(sampleVc(), signer),
+    /Signer algorithm ES384 is not supported by cryptosuite EcdsaSecp256r1Signature2019/);
+});
@@ -0,0 +1,191 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import { VCBuilder, VPBuilder, VerifiableCredentialService, ProofGenerator, Proof } from '../src/index.js';
+import { sampleVc } from './fixtures.js';
+
+function sampleVp(holder) {
+  const vc = new VCBuilder()
+    .context(['https://www.w3.org/ns/credentials/v2'])
+    .type(['VerifiableCredential'])
+    .issuer('did:example:issuer')
+    .validFrom('2024-01-01T00:00:00Z')
+    .credentialSubject({ id: holder })
+    .build();
+
+  return new VPBuilder()
+    .context(['https://www.w3.org/ns/credentials/v2'])
+    .type(['VerifiablePresentation'])
+    .holder(holder)
+    .addCredential(vc.toJSON())
+    .build()
+    .toJSON();
+}
+
+test('PROOF OPTIONS: sign fills every proof option', () => {
+  const service = new VerifiableCredentialService();
+  const keyPair = VerifiableCredentialService.generateKeyPair();
+  const expires = new Date(Date.now() + 60 * 60 * 1000);
+
+  const signedVc = service.sign(sampleVc(), keyPair.privateKey, {
+    verificationMethod: 'did:example:issuer#key-2',
+    proofPurpose: 'assertionMethod',
+    created: '2024-01-01T00:00:00Z',
+    expires,
+    domain: 'https://verifier.example.gov',
+    challenge: '1f44d55f-f161-4938-a659-f8026467f126',
+    nonce: 'c0ae1c8e-c7e7-469f-b252-86e6a0e7387e'
+  });
+
+  assert.deepStrictEqual(signedVc.proof, {
+    type: 'EcdsaSecp256r1Signature2019',
+    created: '2024-01-01T00:00:00Z',
+    expires: expires.toISOString(),
+    verificationMethod: 'did:example:issuer#key-2',
+    proofPurpose: 'assertionMethod',
+    domain: 'https://verifier.example.gov',
+    challenge: '1f44d55f-f161-4938-a659-f8026467f126',
+    nonce: 'c0ae1c8e-c7e7-469f-b252-86e6a0e7387e',
+    proofValue: signedVc.proof.proofValue
+  });
+  assert.strictEqual(service.verify(signedVc, keyPair.publicKey), true);
+});
+
+test('PROOF OPTIONS: Defaults are unchanged without options', () => {
+  const service = new VerifiableCredentialService();
+  const keyPair = VerifiableCredentialService.generateKeyPair();
+
+  const signedVc = service.sign(sampleVc(), keyPair.privateKey);
+  assert.strictEqual(signedVc.proof.verificationMethod, 'did:example:123#key-1');
+  assert.strictEqual(signedVc.proof.proofPurpose, 'assertionMethod');
+  assert.ok(!('expires' in signedVc.proof));
+  assert.ok(!('domain' in signedVc.proof));
+  assert.ok(!('challenge' in signedVc.proof));
+
+  const signedVp = service.signPresentation(sampleVp('did:example:holder'), keyPair.privateKey);
+  assert.strictEqual(signedVp.proof.verificationMethod, 'did:example:holder#key-1');
+  assert.strictEqual(signedVp.proof.proofPurpose, 'authentication');
+});
+
+test('PROOF OPTIONS: verify checks expected values only when supplied', () => {
+  const service = new VerifiableCredentialService();
+  const keyPair = VerifiableCredentialService.generateKeyPair();
+
+  const signedVc = service.sign(sampleVc(), keyPair.privateKey, {
+    verificationMethod: 'did:example:issuer#key-2',
+    domain: ['https://a.example.gov', 'https://b.example.gov'],
+    challenge: 'abc',
+    nonce: 'n-1'
+  });
+
+  assert.strictEqual(service.verify(signedVc, keyPair.publicKey, {
+    verificationMethod: 'did:example:issuer#key-2',
+    domain: 'https://b.example.gov',
+    challenge: 'abc',
+    nonce: 'n-1'
+  }), true);
+
+  assert.strictEqual(service.verify(signedVc, keyPair.publicKey, { verificationMethod: 'did:example:issuer#key-1' }), false);
+  assert.strictEqual(service.verify(signedVc, keyPair.publicKey, { domain: 'https://c.example.gov' }), false);
+  assert.strictEqual(service.verify(signedVc, keyPair.publicKey, { challenge: 'abd' }), false);
+  assert.strictEqual(service.verify(signedVc, keyPair.publicKey, { nonce: 'n-2' }), false);
+  assert.strictEqual(service.verify(signedVc, keyPair.publicKey, { proofPurpose: 'authentication' }), false);
+});
+
+test('PROOF OPTIONS: Expected challenge is required when the proof has none', () => {
+  const service = new VerifiableCredentialService();
+  const keyPair = VerifiableCredentialService.generateKeyPair();
+
+  const signedVc = service.sign(sampleVc(), keyPair.privateKey);
+  assert.strictEqual(service.verify(signedVc, keyPair.publicKey, { challenge: 'abc' }), false);
+  assert.strictEqual(service.verify(signedVc, keyPair.publicKey, { domain: 'https://a.example.gov' }), false);
+});
+
+test('PROOF OPTIONS: Expired proofs are rejected', () => {
+  const service = new VerifiableCredentialService();
+  const keyPair = VerifiableCredentialService.generateKeyPair();
+
+  const signedVc = service.sign(sampleVc(), keyPair.privateKey, {
+    created: '2020-01-01T00:00:00Z',
+    expires: '2020-01-02T00:00:00Z'
+  });
+  assert.strictEqual(service.verify(signedVc, keyPair.publicKey), false);
+});
+
+test('PROOF OPTIONS: Proof options are covered by the signature', () => {
+  const service = new VerifiableCredentialService();
+  const keyPair = VerifiableCredentialService.generateKeyPair();
+
+  const signedVc = service.sign(sampleVc(), keyPair.privateKey, { domain: 'https://a.example.gov', challenge: 'abc' });
+
+  const tampered = JSON.parse(JSON.stringify(signedVc));
+  tampered.proof.challenge = 'xyz';
+  assert.strictEqual(service.verify(tampered, keyPair.publicKey, { challenge: 'xyz' }), false);
+
+  const widened = JSON.parse(JSON.stringify(signedVc));
+  widened.proof.domain = 'https://b.example.gov';
+  assert.strictEqual(service.verify(widened, keyPair.publicKey, { domain: 'https://b.example.gov' }), false);
+});
+
+test('PROOF OPTIONS: Presentations bind domain and challenge', async () => {
+  const service = new VerifiableCredentialService();
+  const keyPair = VerifiableCredentialService.generateKeyPair();
+  const vp = sampleVp('did:example:holder');
+
+  const signedVp = service.signPresentation(vp, keyPair.privateKey, {
+    verificationMethod: 'did:example:holder#key-7',
+    domain: 'https://verifier.example.gov',
+    challenge: 'c-42'
+  });
+  assert.strictEqual(signedVp.proof.verificationMethod, 'did:example:holder#key-7');
+  assert.strictEqual(service.verifyPresentation(signedVp, keyPair.publicKey, {
+    domain: 'https://verifier.example.gov',
+    challenge: 'c-42'
+  }), true);
+  assert.strictEqual(service.verifyPresentation(signedVp, keyPair.publicKey, { challenge: 'c-43' }), false);
+
+  const rdfcVp = await service.signPresentationAsync(vp, keyPair.privateKey, {
+    cryptosuite: 'ecdsa-rdfc-2019',
+    domain: 'https://verifier.example.gov',
+    challenge: 'c-42'
+  });
+  assert.strictEqual(await service.verifyPresentationAsync(rdfcVp, keyPair.publicKey, { challenge: 'c-42' }), true);
+  assert.strictEqual(await service.verifyPresentationAsync(rdfcVp, keyPair.publicKey, { challenge: 'c-43' }), false);
+});
+
+test('PROOF OPTIONS: ProofGenerator validates dates', () => {
+  const proof = ProofGenerator.createProofWithMetadata('EcdsaSecp256r1Signature2019', 'assertionMethod', 'did:example:123#key-1', {
+    created: new Date('2024-01-01T00:00:00Z'),
+    expires: '2025-01-01T00:00:00Z',
+    nonce: 'n-1'
+  });
+  assert.strictEqual(proof.getCreated(), '2024-01-01T00:00:00.000Z');
+  assert.strictEqual(proof.getExpires(), '2025-01-01T00:00:00Z');
+  assert.strictEqual(proof.getNonce(), 'n-1');
+
+  assert.throws(
+    () => ProofGenerator.createProofWithMetadata('EcdsaSecp256r1Signature2019', 'assertionMethod', 'did:example:123#key-1', { expires: 'tomorrow' }),
+    /Invalid proof expires date/
+  );
+  assert.throws(
+    () => ProofGenerator.createProofWithMetadata('EcdsaSecp256r1Signature2019', 'assertionMethod', 'did:example:123#key-1', {
+      created: '2024-01-01T00:00:00Z',
+      expires: '2023-01-01T00:00:00Z'
+    }),
+    /expires must be later than created/
+  );
+});
+
+test('PROOF OPTIONS: Proof exposes expires, domain, challenge and nonce', () => {
+  const proof = new Proof('EcdsaSecp256r1Signature2019', '2024-01-01T00:00:00Z', 'did:example:123#key-1', 'authentication', 'MEUCIQD...')
+    .setExpires('2025-01-01T00:00:00Z')
+    .setDomain('https://verifier.example.gov')
+    .setChallenge('c-42')
+    .setNonce('n-1');
+
+  assert.strictEqual(proof.getDomain(), 'https://verifier.example.gov');
+  assert.strictEqual(proof.getChallenge(), 'c-42');
+  assert.deepStrictEqual(Object.keys(proof.toJSON()), [
+    'type', 'created', 'expires', 'verificationMethod', 'proofPurpose', 'domain', 'challenge', 'nonce', 'proofValue'
+  ]);
+  assert.ok(proof.toString().includes("challenge='c-42'"));
+});
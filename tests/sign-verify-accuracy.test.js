@@ -107,17 +107,22 @@ test('SIGN/VERIFY ACCURACY: Signature format validation (ES256/ECDSA P-256)', as
     type: 'spki'
   });
 
-  // Recreate the canonicalized data for verification
+  // Recreate the signed data: hash(canonical proof options) || hash(canonical VC)
   const vcWithoutProof = JSON.parse(JSON.stringify(vc));
   delete vcWithoutProof.proof;
+  const proofOptions = { ...signedVc.proof, '@context': vcWithoutProof['@context'] };
+  delete proofOptions.proofValue;
   
   // Import JSONLDCanon to canonicalize
   const { JSONLDCanon } = await import('../src/crypto/index.js');
-  const canonicalVc = JSONLDCanon.canonicalize(vcWithoutProof, true);
+  const verifyData = Buffer.concat([
+    crypto.createHash('sha256').update(JSONLDCanon.canonicalize(proofOptions)).digest(),
+    crypto.createHash('sha256').update(JSONLDCanon.canonicalize(vcWithoutProof, true)).digest()
+  ]);
   
   // Verify with standard crypto
   const verify = crypto.createVerify('sha256');
-  verify.update(canonicalVc);
+  verify.update(verifyData);
   verify.end();
   const isValid = verify.verify(publicKey, signatureBuffer);
   
@@ -338,17 +343,22 @@ test('SIGN/VERIFY ACCURACY: Interoperability with standard crypto', async () =>
   // Verify signature manually with standard crypto
   const signatureBuffer = Buffer.from(signedVc.proof.proofValue, 'base64');
   
-  // Recreate canonicalized data
+  // Recreate the signed data: hash(canonical proof options) || hash(canonical VC)
   const vcWithoutProof = JSON.parse(JSON.stringify(vc));
   delete vcWithoutProof.proof;
+  const proofOptions = { ...signedVc.proof, '@context': vcWithoutProof['@context'] };
+  delete proofOptions.proofValue;
   
   // Import JSONLDCanon to canonicalize
   const { JSONLDCanon } = await import('../src/crypto/index.js');
-  const canonicalVc = JSONLDCanon.canonicalize(vcWithoutProof, true);
+  const verifyData = Buffer.concat([
+    crypto.createHash('sha256').update(JSONLDCanon.canonicalize(proofOptions)).digest(),
+    crypto.createHash('sha256').update(JSONLDCanon.canonicalize(vcWithoutProof, true)).digest()
+  ]);
   
   // Verify with standard crypto
   const manualVerify = crypto.createVerify('sha256');
-  manualVerify.update(canonicalVc);
+  manualVerify.update(verifyData);
   manualVerify.end();
   const manuallyValid = manualVerify.verify(publicKey, signatureBuffer);
   
@@ -400,4 +410,90 @@ test('SIGN/VERIFY ACCURACY: FIPS compliance audit logging', () => {
     // Restore console.log
     console.log = originalLog;
   }
-});
\ No newline at end of file
+});
+test('SIGN/VERIFY ACCURACY: Proof metadata is bound into the signature', () => {
+  const service = new VerifiableCredentialService();
+  const keyPair = VerifiableCredentialService.generateKeyPair();
+
+  const vc = new VCBuilder()
+    .addContext('https://www.w3.org/2018/credentials/v1')
+    .addType('VerifiableCredential')
+    .id('http://example.edu/credentials/bound')
+    .issuer('https://example.edu/issuers/bound')
+    .issuanceDate('2022-01-01T12:00:00Z')
+    .credentialSubject({
+      id: 'did:example:bound',
+      test: 'value'
+    })
+    .build();
+
+  const signedVc = service.sign(vc, keyPair.privateKey);
+  assert.ok(service.verify(signedVc, keyPair.publicKey), 'Untouched proof must verify');
+
+  const tamperings = {
+    created: '1999-01-01T00:00:00Z',
+    verificationMethod: 'did:example:attacker#key-1',
+    proofPurpose: 'authentication'
+  };
+
+  for (const [field, value] of Object.entries(tamperings)) {
+    const tampered = JSON.parse(JSON.stringify(signedVc));
+    tampered.proof[field] = value;
+    assert.strictEqual(
+      service.verify(tampered, keyPair.publicKey),
+      false,
+      `Rewriting proof.${field} must invalidate the signature`
+    );
+    assert.strictEqual(
+      service.verify(tampered, keyPair.publicKey, { legacy: true }),
+      false,
+      `The legacy flag must not accept a rewritten proof.${field}`
+    );
+  }
+});
+
+test('SIGN/VERIFY ACCURACY: Legacy unbound proofs verify only with the legacy flag', async () => {
+  const service = new VerifiableCredentialService();
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', {
+    namedCurve: 'P-256'
+  });
+
+  const vc = new VCBuilder()
+    .addContext('https://www.w3.org/2018/credentials/v1')
+    .addType('VerifiableCredential')
+    .id('http://example.edu/credentials/legacy')
+    .issuer('https://example.edu/issuers/legacy')
+    .issuanceDate('2022-01-01T12:00:00Z')
+    .credentialSubject({
+      id: 'did:example:legacy',
+      test: 'value'
+    })
+    .build();
+
+  // A proof produced the old way: the signature covers the canonical VC only
+  const { JSONLDCanon } = await import('../src/crypto/index.js');
+  const sign = crypto.createSign('sha256');
+  sign.update(JSONLDCanon.canonicalize(vc, true));
+  sign.end();
+
+  const legacyVc = JSON.parse(JSON.stringify(vc));
+  legacyVc.proof = new Proof(
+    'EcdsaSecp256r1Signature2019',
+    '2022-01-01T12:00:00Z',
+    'did:example:123#key-1',
+    'assertionMethod',
+    sign.sign(privateKey, 'base64')
+  ).toJSON();
+
+  assert.strictEqual(service.verify(legacyVc, publicKey), false, 'Unbound proofs are rejected by default');
+  assert.strictEqual(service.verify(legacyVc, publicKey, { legacy: true }), true, 'Legacy flag accepts unbound proofs');
+  assert.strictEqual(await service.verifyAsync(legacyVc, publicKey, { legacy: true }), true);
+
+  // Current proofs keep verifying when the legacy flag is set
+  const signedVc = service.sign(vc, privateKey);
+  assert.strictEqual(service.verify(signedVc, publicKey, { legacy: true }), true);
+
+  // The legacy flag still checks the document itself
+  legacyVc.credentialSubject.test = 'tampered';
+  assert.strictEqual(service.verify(legacyVc, publicKey, { legacy: true }), false);
+});
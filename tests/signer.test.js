@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import crypto from 'crypto';
+import {
+  VPBuilder,
+  VerifiableCredentialService,
+  VerificationResult,
+  KeyObjectSigner,
+  KeyObjectVerifier,
+  LocalSigner,
+  EcdsaSignature
+} from '../src/index.js';
+import { sampleVc, errorCodes } from './fixtures.js';
+
+/**
+ * Stands in for a KMS/HSM client: the private key is only reachable through an
+ * async call that returns a raw r||s signature.
+ */
+function remoteSigner(id) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  return {
+    publicKey,
+    signer: {
+      id,
+      algorithm: 'ES256',
+      sign: async (data) => {
+        await new Promise(resolve => setImmediate(resolve));
+        return crypto.sign('sha256', data, { key: privateKey, dsaEncoding: 'ieee-p1363' });
+      }
+    }
+  };
+}
+
+test('SIGNER: LocalSigner signs with every cryptosuite', async () => {
+  const service = new VerifiableCredentialService();
+  const signer = LocalSigner.generate({ id: 'did:example:issuer#key-1' });
+
+  for (const cryptosuite of [undefined, 'ecdsa-jcs-2019', 'ecdsa-rdfc-2019']) {
+    const signedVc = await service.signAsync(sampleVc(), signer, { cryptosuite });
+    assert.strictEqual(signedVc.proof.verificationMethod, 'did:example:issuer#key-1');
+
+    // Raw keys and verifiers both verify signer output
+    assert.strictEqual(await service.verifyAsync(signedVc, signer.exportPublicKey()), true);
+    assert.strictEqual(await service.verifyAsync(signedVc, signer.getVerifier()), true);
+  }
+});
+
+test('SIGNER: Remote signers are awaited and produce interoperable proofs', async () => {
+  const service = new VerifiableCredentialService();
+  const { signer, publicKey } = remoteSigner('did:example:issuer#kms-1');
+
+  const legacyVc = await service.signAsync(sampleVc(), signer);
+  assert.strictEqual(legacyVc.proof.type, 'EcdsaSecp256r1Signature2019');
+  // Legacy proofs carry DER signatures even though signers return r||s
+  assert.strictEqual(Buffer.from(legacyVc.proof.proofValue, 'base64')[0], 0x30);
+  assert.strictEqual(service.verify(legacyVc, publicKey), true);
+
+  const jcsVc = await service.signAsync(sampleVc(), signer, { cryptosuite: 'ecdsa-jcs-2019' });
+  assert.strictEqual(service.verify(jcsVc, publicKey), true);
+
+  const verifier = new KeyObjectVerifier(publicKey, { id: signer.id });
+  assert.strictEqual(await service.verifyAsync(legacyVc, verifier), true);
+  assert.strictEqual(await service.verifyAsync(jcsVc, verifier), true);
+});
+
+test('SIGNER: KeyObject signer and verifier', async () => {
+  const service = new VerifiableCredentialService();
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const signer = new KeyObjectSigner(privateKey, { id: 'did:example:holder#key-2' });
+  const verifier = new KeyObjectVerifier(publicKey);
+
+  assert.strictEqual(signer.algorithm, 'ES256');
+  assert.strictEqual(verifier.algorithm, 'ES256');
+  assert.strictEqual((await signer.sign(Buffer.from('data'))).length, 64);
+
+  const vp = new VPBuilder()
+    .holder('did:example:holder')
+    .addCredential(sampleVc())
+    .build()
+    .toJSON();
+  const signedVp = await service.signPresentationAsync(vp, signer, { challenge: 'c-1' });
+  assert.strictEqual(signedVp.proof.verificationMethod, 'did:example:holder#key-2');
+  assert.strictEqual(await service.verifyPresentationAsync(signedVp, verifier, { challenge: 'c-1' }), true);
+
+  const other = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const result = await service.verifyPresentationWithResultAsync(signedVp, new KeyObjectVerifier(other.publicKey));
+  assert.strictEqual(result.hasError(VerificationResult.SIGNATURE_INVALID), true);
+});
+
+test('SIGNER: Synchronous methods reject signers and verifiers', () => {
+  const service = new VerifiableCredentialService();
+  const signer = LocalSigner.generate();
+
+  assert.throws(() => service.sign(sampleVc(), signer), /use the async sign methods/);
+  assert.throws(() => service.signPresentation({ holder: 'did:example:holder' }, signer), /use the async sign methods/);
+
+  const signedVc = service.sign(sampleVc(), signer.privateKey);
+  assert.throws(() => service.verify(signedVc, signer.getVerifier()), /use the async verify methods/);
+});
+
+test('SIGNER: Algorithms must match the cryptosuite', async () => {
+  const service = new VerifiableCredentialService();
+  const signer = { id: 'did:example:issuer#key-1', algorithm: 'ES512', sign: async () => Buffer.alloc(132) };
+
+  await assert.rejects(() => service.signAsync(sampleVc(), signer), /Signer algorithm ES512 is not supported/);
+
+  const local = LocalSigner.generate();
+  const signedVc = await service.signAsync(sampleVc(), local);
+  const verifier = { id: 'did:example:issuer#key-1', algorithm: 'ES512', verify: async () => true };
+  const result = await service.verifyWithResultAsync(signedVc, verifier);
+  assert.strictEqual(result.verified, false);
+  assert.deepStrictEqual(errorCodes(result), [VerificationResult.ALGORITHM_MISMATCH]);
+});
+
+test('SIGNER: Verifier results are not trusted unless strictly true', async () => {
+  const service = new VerifiableCredentialService();
+  const signer = LocalSigner.generate();
+  const signedVc = await service.signAsync(sampleVc(), signer);
+
+  const sloppy = { id: 'did:example:issuer#key-1', algorithm: 'ES256', verify: async () => 'yes' };
+  assert.strictEqual(await service.verifyAsync(signedVc, sloppy), false);
+});
+
+test('SIGNER: LocalSigner key import and validation', async () => {
+  const keyPair = VerifiableCredentialService.generateKeyPair();
+  const signer = LocalSigner.fromBase64(keyPair.privateKey, { id: 'did:example:issuer#key-1' });
+  assert.strictEqual(signer.exportPublicKey(), keyPair.publicKey);
+  assert.strictEqual(signer.getVerifier().id, 'did:example:issuer#key-1');
+
+  const { publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  assert.throws(() => new KeyObjectSigner(publicKey), /requires a private KeyObject/);
+  assert.throws(() => new KeyObjectVerifier(signer.privateKey), /requires a public KeyObject/);
+
+  const secp256k1 = crypto.generateKeyPairSync('ec', { namedCurve: 'secp256k1' });
+  assert.throws(() => new KeyObjectSigner(secp256k1.privateKey), /Unsupported key type for signing: secp256k1/);
+});
+
+test('SIGNER: DER and raw ECDSA signature conversion', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+  for (let i = 0; i < 50; i++) {
+    const data = crypto.randomBytes(32);
+    const der = crypto.sign('sha256', data, { key: privateKey, dsaEncoding: 'der' });
+    const raw = EcdsaSignature.fromDer(der, 32);
+
+    assert.strictEqual(raw.length, 64);
+    assert.ok(EcdsaSignature.toDer(raw).equals(der));
+    assert.strictEqual(crypto.verify('sha256', data, { key: publicKey, dsaEncoding: 'ieee-p1363' }, raw), true);
+  }
+
+  assert.throws(() => EcdsaSignature.fromDer(Buffer.from([0x31, 0x00]), 32), /Invalid DER ECDSA signature/);
+  assert.throws(() => EcdsaSignature.toDer(Buffer.alloc(63)), /Invalid raw ECDSA signature length/);
+});
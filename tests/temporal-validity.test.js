@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import { VerifiableCredentialService, VerificationResult, VPBuilder } from '../src/index.js';
+import { sampleVc, errorCodes, setup } from './fixtures.js';
+
+const NOW = Date.parse('2025-06-01T12:00:00Z');
+const MINUTE = 60 * 1000;
+
+test('TEMPORAL: Credentials verify within their validity period', () => {
+  const { service, publicKey, privateKey } = setup({ now: () => NOW });
+  const signedVc = service.sign(sampleVc(), privateKey);
+
+  assert.strictEqual(signedVc.proof.created, new Date(NOW).toISOString(), 'proof.created comes from the clock');
+  const result = service.verifyWithResult(signedVc, publicKey);
+  assert.strictEqual(result.verified, true);
+  assert.ok(result.checks.includes('validity'));
+});
+
+test('TEMPORAL: Expired and not yet valid credentials are rejected', () => {
+  const { service, publicKey, privateKey } = setup({ now: () => NOW });
+
+  const expired = service.sign(sampleVc({ validUntil: '2025-05-01T00:00:00Z' }), privateKey);
+  const expiredResult = service.verifyWithResult(expired, publicKey);
+  assert.deepStrictEqual(errorCodes(expiredResult), [VerificationResult.CREDENTIAL_EXPIRED]);
+  assert.match(expiredResult.errors[0].message,
+    /credential validUntil 2025-05-01T00:00:00Z is not later than 2025-06-01T12:00:00.000Z/);
+  assert.strictEqual(expiredResult.checks.includes('signature'), false);
+
+  const future = service.sign(sampleVc({ validFrom: '2025-07-01T00:00:00Z' }), privateKey);
+  assert.deepStrictEqual(errorCodes(service.verifyWithResult(future, publicKey)), [VerificationResult.CREDENTIAL_NOT_YET_VALID]);
+
+  const both = service.sign(sampleVc({ validFrom: '2025-07-01T00:00:00Z', validUntil: 'someday' }), privateKey);
+  assert.deepStrictEqual(errorCodes(service.verifyWithResult(both, publicKey)),
+    [VerificationResult.CREDENTIAL_NOT_YET_VALID, VerificationResult.CREDENTIAL_EXPIRED]);
+});
+
+test('TEMPORAL: VC 1.1 issuanceDate and expirationDate are checked', () => {
+  const { service, publicKey, privateKey } = setup({ now: () => NOW });
+  const v1 = {
+    '@context': ['https://www.w3.org/2018/credentials/v1'],
+    type: ['VerifiableCredential'],
+    issuer: 'did:example:issuer',
+    issuanceDate: '2025-01-01T00:00:00Z',
+    credentialSubject: { id: 'did:example:subject' }
+  };
+
+  assert.strictEqual(service.verify(service.sign(v1, privateKey), publicKey), true);
+
+  const expired = service.sign({ ...v1, expirationDate: '2025-01-02T00:00:00Z' }, privateKey);
+  const result = service.verifyWithResult(expired, publicKey);
+  assert.deepStrictEqual(errorCodes(result), [VerificationResult.CREDENTIAL_EXPIRED]);
+  assert.match(result.errors[0].message, /credential expirationDate 2025-01-02T00:00:00Z/);
+
+  const future = service.sign({ ...v1, issuanceDate: '2026-01-01T00:00:00Z' }, privateKey);
+  assert.deepStrictEqual(errorCodes(service.verifyWithResult(future, publicKey)), [VerificationResult.CREDENTIAL_NOT_YET_VALID]);
+});
+
+test('TEMPORAL: VC 1.1 dates without an offset are read as UTC in every time zone', () => {
+  const { service, publicKey, privateKey } = setup({ now: () => NOW });
+  const v1 = {
+    '@context': ['https://www.w3.org/2018/credentials/v1'],
+    type: ['VerifiableCredential'],
+    issuer: 'did:example:issuer',
+    issuanceDate: '2025-01-01T00:00:00',
+    credentialSubject: { id: 'did:example:subject' }
+  };
+  // 08:00 UTC is before NOW (12:00 UTC), 08:00 in New York (12:00 UTC) is not
+  const expired = service.sign({ ...v1, expirationDate: '2025-06-01T08:00:00' }, privateKey);
+  // 16:00 UTC is after NOW, 16:00 in Tokyo (07:00 UTC) is not
+  const future = service.sign({ ...v1, issuanceDate: '2025-06-01T16:00:00' }, privateKey);
+
+  const zone = process.env.TZ;
+  try {
+    for (const tz of ['UTC', 'America/New_York', 'Asia/Tokyo']) {
+      process.env.TZ = tz;
+      assert.strictEqual(service.verify(service.sign(v1, privateKey), publicKey), true, tz);
+      assert.deepStrictEqual(errorCodes(service.verifyWithResult(expired, publicKey)), [VerificationResult.CREDENTIAL_EXPIRED], tz);
+      assert.deepStrictEqual(errorCodes(service.verifyWithResult(future, publicKey)), [VerificationResult.CREDENTIAL_NOT_YET_VALID], tz);
+    }
+  } finally {
+    if (zone === undefined) delete process.env.TZ;
+    else process.env.TZ = zone;
+  }
+});
+
+test('TEMPORAL: Validity dates of the other data model version are checked too', () => {
+  const { service, publicKey, privateKey } = setup({ now: () => NOW });
+
+  const expired = service.sign(sampleVc({ expirationDate: '2025-05-01T00:00:00Z' }), privateKey);
+  const result = service.verifyWithResult(expired, publicKey);
+  assert.deepStrictEqual(errorCodes(result), [VerificationResult.CREDENTIAL_EXPIRED]);
+  assert.match(result.errors[0].message, /credential expirationDate 2025-05-01T00:00:00Z is not later than/);
+
+  const future = service.sign(sampleVc({ issuanceDate: '2025-07-01T00:00:00Z' }), privateKey);
+  assert.deepStrictEqual(errorCodes(service.verifyWithResult(future, publicKey)), [VerificationResult.CREDENTIAL_NOT_YET_VALID]);
+});
+
+test('TEMPORAL: Proof created in the future or expired is rejected', async () => {
+  const { service, publicKey, privateKey } = setup({ now: () => NOW });
+
+  const future = service.sign(sampleVc(), privateKey, { created: '2025-06-01T13:00:00Z' });
+  const result = service.verifyWithResult(future, publicKey);
+  assert.deepStrictEqual(errorCodes(result), [VerificationResult.PROOF_NOT_YET_VALID]);
+  assert.match(result.errors[0].message, /proof created 2025-06-01T13:00:00Z is later than 2025-06-01T12:00:00.000Z/);
+
+  const expiring = service.sign(sampleVc(), privateKey, { created: '2025-05-01T00:00:00Z', expires: '2025-05-02T00:00:00Z' });
+  assert.deepStrictEqual(errorCodes(service.verifyWithResult(expiring, publicKey)), [VerificationResult.PROOF_EXPIRED]);
+
+  // Presentations check their proof times too
+  const vp = new VPBuilder().holder('did:example:holder').addCredential(service.sign(sampleVc(), privateKey)).build().toJSON();
+  const signedVp = await service.signPresentationAsync(vp, privateKey, { cryptosuite: 'ecdsa-jcs-2019', created: '2025-06-02T00:00:00Z' });
+  assert.deepStrictEqual(errorCodes(await service.verifyPresentationWithResultAsync(signedVp, publicKey)),
+    [VerificationResult.PROOF_NOT_YET_VALID]);
+});
+
+test('TEMPORAL: Clock skew tolerance', () => {
+  const { service, publicKey, privateKey } = setup({ now: () => NOW });
+
+  // Within the default 5 minutes
+  const justIssued = service.sign(sampleVc({ validFrom: new Date(NOW + 4 * MINUTE).toISOString() }), privateKey,
+    { created: new Date(NOW + 4 * MINUTE) });
+  assert.strictEqual(service.verify(justIssued, publicKey), true);
+  const justExpired = service.sign(sampleVc({ validUntil: new Date(NOW - 4 * MINUTE).toISOString() }), privateKey);
+  assert.strictEqual(service.verify(justExpired, publicKey), true);
+
+  // Beyond it
+  const later = service.sign(sampleVc({ validFrom: new Date(NOW + 6 * MINUTE).toISOString() }), privateKey);
+  assert.deepStrictEqual(errorCodes(service.verifyWithResult(later, publicKey)), [VerificationResult.CREDENTIAL_NOT_YET_VALID]);
+
+  // Per call and per service
+  assert.deepStrictEqual(errorCodes(service.verifyWithResult(justExpired, publicKey, { clockSkew: 0 })),
+    [VerificationResult.CREDENTIAL_EXPIRED]);
+  const strict = new VerifiableCredentialService({ now: () => NOW, clockSkew: 0 });
+  assert.strictEqual(strict.verify(justIssued, publicKey), false);
+  assert.strictEqual(strict.verify(later, publicKey, { clockSkew: 10 * MINUTE }), true);
+
+  assert.throws(() => new VerifiableCredentialService({ clockSkew: -1 }), /Invalid clock skew: -1/);
+});
+
+test('TEMPORAL: Verification as of a historical date', async () => {
+  const { service, publicKey, privateKey } = setup({ now: () => NOW });
+  const signedVc = service.sign(sampleVc({ validFrom: '2020-01-01T00:00:00Z', validUntil: '2021-01-01T00:00:00Z' }), privateKey,
+    { created: '2020-01-01T00:00:00Z' });
+
+  assert.deepStrictEqual(errorCodes(service.verifyWithResult(signedVc, publicKey)), [VerificationResult.CREDENTIAL_EXPIRED]);
+  assert.strictEqual(service.verify(signedVc, publicKey, { at: '2020-06-01T00:00:00Z' }), true);
+  assert.strictEqual(await service.verifyAsync(signedVc, publicKey, { at: new Date('2020-06-01T00:00:00Z') }), true);
+
+  // The proof did not exist yet
+  assert.deepStrictEqual(errorCodes(service.verifyWithResult(signedVc, publicKey, { at: '2019-12-01T00:00:00Z' })),
+    [VerificationResult.PROOF_NOT_YET_VALID]);
+  assert.throws(() => service.verify(signedVc, publicKey, { at: 'yesterday' }), /Invalid verification time: yesterday/);
+});
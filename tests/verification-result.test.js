@@ -0,0 +1,142 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import { VPBuilder, VerifiableCredentialService, VerificationResult } from '../src/index.js';
+import { sampleVc, errorCodes } from './fixtures.js';
+
+test('RESULT: Valid credential reports every check that ran', () => {
+  const service = new VerifiableCredentialService();
+  const keyPair = VerifiableCredentialService.generateKeyPair();
+  const signedVc = service.sign(sampleVc(), keyPair.privateKey);
+
+  const result = service.verifyWithResult(signedVc, keyPair.publicKey);
+  assert.ok(result instanceof VerificationResult);
+  assert.strictEqual(result.verified, true);
+  assert.deepStrictEqual(result.errors, []);
+  assert.deepStrictEqual(result.checks, ['proof', 'context', 'cryptosuite', 'proofOptions', 'validity', 'key', 'canonicalization', 'signature']);
+  assert.deepStrictEqual(result.toJSON(), { verified: true, checks: result.checks, errors: [] });
+});
+
+test('RESULT: Missing proof and proofValue', () => {
+  const service = new VerifiableCredentialService();
+  const keyPair = VerifiableCredentialService.generateKeyPair();
+  const vc = sampleVc();
+
+  const missing = service.verifyWithResult(vc, keyPair.publicKey);
+  assert.strictEqual(missing.verified, false);
+  assert.deepStrictEqual(errorCodes(missing), [VerificationResult.PROOF_MISSING]);
+  assert.deepStrictEqual(missing.checks, ['proof']);
+
+  const empty = service.verifyWithResult({ ...vc, proof: { type: 'EcdsaSecp256r1Signature2019' } }, keyPair.publicKey);
+  assert.deepStrictEqual(errorCodes(empty), [VerificationResult.PROOF_VALUE_MISSING]);
+});
+
+test('RESULT: Tampered credential is SIGNATURE_INVALID', () => {
+  const service = new VerifiableCredentialService();
+  const keyPair = VerifiableCredentialService.generateKeyPair();
+  const signedVc = service.sign(sampleVc(), keyPair.privateKey);
+  signedVc.credentialSubject.id = 'did:example:attacker';
+
+  const result = service.verifyWithResult(signedVc, keyPair.publicKey);
+  assert.strictEqual(result.verified, false);
+  assert.ok(result.hasError(VerificationResult.SIGNATURE_INVALID));
+  assert.strictEqual(result.checks.at(-1), 'signature');
+});
+
+test('RESULT: Bad key encodings are reported instead of thrown', () => {
+  const service = new VerifiableCredentialService();
+  const keyPair = VerifiableCredentialService.generateKeyPair();
+  const signedVc = service.sign(sampleVc(), keyPair.privateKey);
+
+  const result = service.verifyWithResult(signedVc, 'bm90IGEga2V5');
+  assert.deepStrictEqual(errorCodes(result), [VerificationResult.KEY_DECODE_FAILED]);
+  assert.strictEqual(service.verify(signedVc, 'bm90IGEga2V5'), false);
+});
+
+test('RESULT: Expired proofs and option mismatches have their own codes', () => {
+  const service = new VerifiableCredentialService();
+  const keyPair = VerifiableCredentialService.generateKeyPair();
+
+  const expired = service.sign(sampleVc(), keyPair.privateKey, {
+    created: '2020-01-01T00:00:00Z',
+    expires: '2020-01-02T00:00:00Z'
+  });
+  assert.deepStrictEqual(errorCodes(service.verifyWithResult(expired, keyPair.publicKey)), [VerificationResult.PROOF_EXPIRED]);
+
+  const signedVc = service.sign(sampleVc(), keyPair.privateKey, { challenge: 'abc' });
+  const result = service.verifyWithResult(signedVc, keyPair.publicKey, {
+    proofPurpose: 'authentication',
+    challenge: 'abd',
+    domain: 'https://verifier.example.gov'
+  });
+  assert.deepStrictEqual(errorCodes(result), [
+    VerificationResult.PROOF_PURPOSE_MISMATCH,
+    VerificationResult.DOMAIN_MISMATCH,
+    VerificationResult.CHALLENGE_MISMATCH
+  ]);
+  assert.strictEqual(result.checks.includes('signature'), false);
+});
+
+test('RESULT: Unknown cryptosuites and unresolvable contexts', () => {
+  const service = new VerifiableCredentialService();
+  const keyPair = VerifiableCredentialService.generateKeyPair();
+  const signedVc = service.sign(sampleVc(), keyPair.privateKey);
+
+  const unknownSuite = JSON.parse(JSON.stringify(signedVc));
+  unknownSuite.proof.type = 'DataIntegrityProof';
+  unknownSuite.proof.cryptosuite = 'bbs-2023';
+  assert.deepStrictEqual(errorCodes(service.verifyWithResult(unknownSuite, keyPair.publicKey)), [VerificationResult.UNSUPPORTED_CRYPTOSUITE]);
+
+  const unknownContext = JSON.parse(JSON.stringify(signedVc));
+  unknownContext['@context'].push('https://contexts.example.gov/unknown/v1');
+  assert.deepStrictEqual(errorCodes(service.verifyWithResult(unknownContext, keyPair.publicKey)), [VerificationResult.CONTEXT_UNRESOLVABLE]);
+});
+
+test('RESULT: Canonicalization failures are reported', async () => {
+  const service = new VerifiableCredentialService();
+  const keyPair = VerifiableCredentialService.generateKeyPair();
+  const vc = {
+    '@context': ['https://www.w3.org/ns/credentials/v2'],
+    type: ['VerifiableCredential'],
+    issuer: 'did:example:issuer',
+    credentialSubject: { id: 'did:example:subject' }
+  };
+  const signedVc = await service.signAsync(vc, keyPair.privateKey, { cryptosuite: 'ecdsa-rdfc-2019' });
+  signedVc.undefinedTerm = 'not in any context';
+
+  const result = await service.verifyWithResultAsync(signedVc, keyPair.publicKey);
+  assert.deepStrictEqual(errorCodes(result), [VerificationResult.CANONICALIZATION_FAILED]);
+  assert.strictEqual(await service.verifyAsync(signedVc, keyPair.publicKey), false);
+});
+
+test('RESULT: Legacy fallback is reported as a separate check', () => {
+  const service = new VerifiableCredentialService();
+  const keyPair = VerifiableCredentialService.generateKeyPair();
+  const signedVc = service.sign(sampleVc(), keyPair.privateKey);
+  signedVc.issuer = 'did:example:attacker';
+
+  const result = service.verifyWithResult(signedVc, keyPair.publicKey, { legacy: true });
+  assert.strictEqual(result.verified, false);
+  assert.deepStrictEqual(result.checks.slice(-2), ['signature', 'legacySignature']);
+  assert.deepStrictEqual(errorCodes(result), [VerificationResult.SIGNATURE_INVALID]);
+});
+
+test('RESULT: Presentations return results', async () => {
+  const service = new VerifiableCredentialService();
+  const holder = VerifiableCredentialService.createWallet();
+  const other = VerifiableCredentialService.createWallet();
+  const vp = new VPBuilder()
+    .holder(holder.did)
+    .addCredential(service.sign(sampleVc(), holder.privateKey))
+    .build()
+    .toJSON();
+
+  const signedVp = service.signPresentation(vp, holder.privateKey);
+  assert.strictEqual(service.verifyPresentationWithResult(signedVp, holder.publicKey).verified, true);
+
+  const wrongKey = service.verifyPresentationWithResult(signedVp, other.publicKey);
+  assert.deepStrictEqual(errorCodes(wrongKey), [VerificationResult.SIGNATURE_INVALID]);
+
+  const asyncResult = await service.verifyPresentationWithResultAsync(signedVp, holder.publicKey, { challenge: 'c-1' });
+  assert.deepStrictEqual(errorCodes(asyncResult), [VerificationResult.CHALLENGE_MISMATCH]);
+  assert.ok(asyncResult.toString().includes('CHALLENGE_MISMATCH'));
+});
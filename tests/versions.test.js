@@ -0,0 +1,203 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import { once } from 'events';
+import {
+  VerifiableCredentialService, VerificationResult, CredentialValidator, CredentialConverter, VCBuilder, VPBuilder
+} from '../src/index.js';
+import { errorCodes } from './fixtures.js';
+
+const V1 = 'https://www.w3.org/2018/credentials/v1';
+const V2 = 'https://www.w3.org/ns/credentials/v2';
+
+function v1Credential() {
+  return {
+    '@context': [V1, 'https://www.w3.org/2018/credentials/examples/v1', 'https://w3id.org/vc/status-list/2021/v1'],
+    id: 'http://example.edu/credentials/3732',
+    type: ['VerifiableCredential', 'UniversityDegreeCredential'],
+    issuer: 'did:example:issuer',
+    issuanceDate: '2024-01-01T00:00:00Z',
+    expirationDate: '2029-01-01T00:00:00Z',
+    credentialSubject: { id: 'did:example:subject', degree: { type: 'BachelorDegree', name: 'Bachelor of Science' } },
+    credentialStatus: {
+      id: 'https://example.com/status/3#94567',
+      type: 'StatusList2021Entry',
+      statusPurpose: 'revocation',
+      statusListIndex: '94567',
+      statusListCredential: 'https://example.com/status/3'
+    }
+  };
+}
+
+function collect() {
+  const warnings = [];
+  return { warnings, onWarning: message => warnings.push(message) };
+}
+
+test('VERSIONS: Builders build VC 1.1 and VC 2.0 documents', () => {
+  const build = version => new VCBuilder({ version })
+    .addType('VerifiableCredential')
+    .issuer('did:example:issuer')
+    .validFrom('2024-01-01T00:00:00Z')
+    .expirationDate('2029-01-01T00:00:00Z')
+    .credentialSubject({ id: 'did:example:subject' })
+    .build();
+
+  const v1 = build('1.1').toJSON();
+  assert.deepStrictEqual(v1['@context'], [V1]);
+  assert.strictEqual(v1.issuanceDate, '2024-01-01T00:00:00Z');
+  assert.strictEqual(v1.expirationDate, '2029-01-01T00:00:00Z');
+  assert.strictEqual('validFrom' in v1, false);
+  assert.deepStrictEqual(CredentialValidator.validate(v1, { version: '1.1' }), { valid: true, errors: [] });
+
+  const v2 = build('2.0').toJSON();
+  assert.deepStrictEqual(v2['@context'], [V2]);
+  assert.strictEqual(v2.validUntil, '2029-01-01T00:00:00Z');
+  assert.deepStrictEqual(CredentialValidator.validate(v2), { valid: true, errors: [] });
+
+  // Mixing the base contexts is refused
+  assert.throws(() => new VCBuilder({ version: '2.0' }).addContext(V1),
+    /https:\/\/www.w3.org\/2018\/credentials\/v1 is the VC 1.1 base context; build VC 1.1 documents with \{ version: '1.1' \}/);
+  assert.throws(() => new VCBuilder({ version: '1.1' }).context([V2]), /is the VC 2.0 base context/);
+  assert.throws(() => new VCBuilder({ version: '1.1' }).context(['https://www.w3.org/2018/credentials/examples/v1']),
+    /VC 1.1 documents must start with the https:\/\/www.w3.org\/2018\/credentials\/v1 context/);
+  assert.throws(() => new VCBuilder({ version: '3.0' }), /Unsupported VC Data Model version: 3.0/);
+
+  // Unversioned builders keep their behavior
+  assert.deepStrictEqual(new VCBuilder().addContext(V1).vc.getContext(), [V2, V1]);
+
+  const vp = new VPBuilder({ version: '1.1' }).holder('did:example:holder').addCredential(v1).build().toJSON();
+  assert.deepStrictEqual(vp['@context'], [V1]);
+  assert.throws(() => new VPBuilder({ version: '1.1' }).addContext(V2), /is the VC 2.0 base context/);
+});
+
+test('VERSIONS: VC 1.1 credentials convert to VC 2.0 and back', () => {
+  const { warnings, onWarning } = collect();
+  const v2 = CredentialConverter.toV2(v1Credential(), { onWarning });
+
+  assert.deepStrictEqual(v2, {
+    '@context': [V2, 'https://www.w3.org/ns/credentials/examples/v2'],
+    id: 'http://example.edu/credentials/3732',
+    type: ['VerifiableCredential', 'UniversityDegreeCredential'],
+    issuer: 'did:example:issuer',
+    validFrom: '2024-01-01T00:00:00Z',
+    validUntil: '2029-01-01T00:00:00Z',
+    credentialSubject: { id: 'did:example:subject', degree: { type: 'BachelorDegree', name: 'Bachelor of Science' } },
+    credentialStatus: {
+      id: 'https://example.com/status/3#94567',
+      type: 'BitstringStatusListEntry',
+      statusPurpose: 'revocation',
+      statusListIndex: '94567',
+      statusListCredential: 'https://example.com/status/3'
+    }
+  });
+  assert.deepStrictEqual(CredentialValidator.validate(v2), { valid: true, errors: [] });
+  assert.deepStrictEqual(CredentialConverter.toV1(v2, { onWarning }), v1Credential());
+  assert.deepStrictEqual(warnings, []);
+
+  // Same version: a copy
+  const copy = CredentialConverter.convert(v1Credential(), '1.1');
+  assert.deepStrictEqual(copy, v1Credential());
+
+  // Status list credentials
+  const statusList = CredentialConverter.toV2({
+    '@context': [V1, 'https://w3id.org/vc/status-list/2021/v1'],
+    type: ['VerifiableCredential', 'StatusList2021Credential'],
+    issuer: 'did:example:issuer',
+    issuanceDate: '2024-01-01T00:00:00Z',
+    credentialSubject: { id: 'https://example.com/status/3#list', type: 'StatusList2021', statusPurpose: 'revocation', encodedList: 'H4sIAAAAAAAAA' }
+  });
+  assert.deepStrictEqual(statusList['@context'], [V2]);
+  assert.deepStrictEqual(statusList.type, ['VerifiableCredential', 'BitstringStatusListCredential']);
+  assert.strictEqual(statusList.credentialSubject.type, 'BitstringStatusList');
+});
+
+test('VERSIONS: Lossy conversions warn', async () => {
+  const service = new VerifiableCredentialService();
+  const { privateKey } = VerifiableCredentialService.generateKeyPair();
+  const { credentialStatus, ...rest } = CredentialConverter.toV2(v1Credential());
+  const v2 = service.sign({
+    ...rest,
+    name: 'Bachelor Degree',
+    description: [{ '@value': 'Licence', '@language': 'fr' }],
+    validFrom: '2024-01-01T00:00:00Z',
+    issuanceDate: '2023-01-01T00:00:00Z',
+    credentialStatus: [{ ...credentialStatus, statusSize: 2, statusMessage: [{ status: '0x1', message: 'suspended' }] }]
+  }, privateKey);
+
+  const { warnings, onWarning } = collect();
+  const v1 = CredentialConverter.toV1(v2, { onWarning });
+  assert.deepStrictEqual(warnings, [
+    'proof dropped: it does not cover the converted document; sign it again',
+    '/credentialStatus/0/statusSize dropped: the status list 2021 context does not define it',
+    '/credentialStatus/0/statusMessage dropped: the status list 2021 context does not define it',
+    '/validFrom 2024-01-01T00:00:00Z dropped: /issuanceDate 2023-01-01T00:00:00Z takes its place',
+    '/name dropped: the VC 1.1 context does not define it',
+    '/description dropped: the VC 1.1 context does not define it'
+  ]);
+  assert.deepStrictEqual(Object.keys(v1), ['@context', 'id', 'type', 'issuer', 'expirationDate', 'credentialSubject', 'issuanceDate', 'credentialStatus']);
+  assert.strictEqual(v1.credentialStatus[0].type, 'StatusList2021Entry');
+  assert.deepStrictEqual(v1['@context'], [V1, 'https://www.w3.org/2018/credentials/examples/v1', 'https://w3id.org/vc/status-list/2021/v1']);
+
+  // Without a callback the warnings are process warnings
+  const emitted = once(process, 'warning');
+  CredentialConverter.toV1({ ...rest, name: 'Bachelor Degree' });
+  const [warning] = await emitted;
+  assert.strictEqual(warning.name, CredentialConverter.WARNING_TYPE);
+  assert.strictEqual(warning.message, '/name dropped: the VC 1.1 context does not define it');
+
+  // Presentations
+  const vp = new VPBuilder({ version: '2.0' }).holder('did:example:holder').addCredential(v2).build().toJSON();
+  const v1Vp = CredentialConverter.toV1({ ...vp, termsOfUse: { type: 'HolderPolicy' } }, { onWarning });
+  assert.deepStrictEqual(v1Vp['@context'], [V1]);
+  assert.strictEqual(v1Vp.termsOfUse, undefined);
+  assert.deepStrictEqual(v1Vp.verifiableCredential, [v2], 'embedded credentials are kept as issued');
+  assert.strictEqual(warnings.at(-1), '/termsOfUse dropped: the VC 1.1 context does not define it for presentations');
+
+  // VC 1.1 dates without a time zone offset are read as UTC
+  const local = CredentialConverter.toV2({ ...v1Credential(), issuanceDate: '2024-01-01T09:30:00', expirationDate: '2029-01-01T00:00:00.5' }, { onWarning });
+  assert.strictEqual(local.validFrom, '2024-01-01T09:30:00Z');
+  assert.strictEqual(local.validUntil, '2029-01-01T00:00:00.5Z');
+  assert.deepStrictEqual(warnings.slice(-2), [
+    '/validFrom 2024-01-01T09:30:00 has no time zone offset: converted as UTC, 2024-01-01T09:30:00Z',
+    '/validUntil 2029-01-01T00:00:00.5 has no time zone offset: converted as UTC, 2029-01-01T00:00:00.5Z'
+  ]);
+  assert.deepStrictEqual(CredentialValidator.validate(local), { valid: true, errors: [] });
+
+  // What cannot be converted
+  assert.throws(() => CredentialConverter.toV1({ ...rest, validFrom: undefined }),
+    /VC 1.1 credentials require issuanceDate; the credential has no validFrom/);
+  assert.throws(() => CredentialConverter.toV1({ '@context': [V2], type: 'EnvelopedVerifiableCredential', id: 'data:application/vc+jwt,eyJ' }),
+    /EnvelopedVerifiableCredential has no VC 1.1 form/);
+  assert.throws(() => CredentialConverter.toV2({ '@context': ['https://example.com/context'] }), /Unable to detect the VC Data Model version/);
+  assert.throws(() => CredentialConverter.convert(v1Credential(), '1.0'), /Unsupported VC Data Model version: 1.0/);
+});
+
+test('VERSIONS: Verification detects the version from the context', () => {
+  const service = new VerifiableCredentialService({ now: () => Date.parse('2025-06-01T00:00:00Z') });
+  const { publicKey, privateKey } = VerifiableCredentialService.generateKeyPair();
+
+  assert.strictEqual(CredentialValidator.detectVersion(v1Credential()), '1.1');
+  assert.strictEqual(CredentialValidator.detectVersion({ '@context': V2 }), '2.0');
+  assert.strictEqual(CredentialValidator.detectVersion({ '@context': ['https://example.com/context', V2] }), null);
+
+  // VC 1.1 credentials validate against the VC 1.1 rules
+  const v1 = service.sign(v1Credential(), privateKey);
+  const result = service.verifyWithResult(v1, publicKey, { validate: true });
+  assert.strictEqual(result.verified, true);
+  assert.deepStrictEqual(result.checks.slice(0, 1), ['dataModel']);
+
+  const invalid = service.sign({ ...v1Credential(), issuanceDate: undefined, name: 'Degree' }, privateKey);
+  assert.deepStrictEqual(service.verifyWithResult(invalid, publicKey, { validate: true }).errors.map(error => error.path),
+    ['/issuanceDate', '/name']);
+
+  // The validity period is checked with whichever dates are present, in either version
+  const v2 = service.sign({ ...CredentialConverter.toV2(v1Credential()), expirationDate: '2025-01-01T00:00:00Z' }, privateKey);
+  assert.deepStrictEqual(errorCodes(service.verifyWithResult(v2, publicKey)), [VerificationResult.CREDENTIAL_EXPIRED]);
+  const expired = service.sign({ ...v1Credential(), validUntil: '2029-01-01T00:00:00Z', expirationDate: '2025-01-01T00:00:00Z' }, privateKey);
+  assert.deepStrictEqual(errorCodes(service.verifyWithResult(expired, publicKey)), [VerificationResult.CREDENTIAL_EXPIRED]);
+
+  // Mixed base contexts are invalid in both versions
+  assert.deepStrictEqual(CredentialValidator.validate({ ...CredentialConverter.toV2(v1Credential()), '@context': [V2, V1] }).errors, [
+    { path: '/@context/1', message: 'is the VC 1.1 base context, which VC 2.0 credentials must not include' }
+  ]);
+});
@@ -1,6 +1,6 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
-import { VCBuilder, VPBuilder, VerifiableCredentialService } from '../src/index.js';
+import { VCBuilder, VPBuilder, VerifiableCredentialService, DocumentLoader } from '../src/index.js';
 
 test('VP - Basic sign and verify flow', () => {
   const service = new VerifiableCredentialService();
@@ -248,7 +248,8 @@ test('VP - Context and type preservation', () => {
 
   const signedVC = service.sign(vc.toJSON(), issuerWallet.privateKey);
 
-  const vp = new VPBuilder()
+  const documentLoader = new DocumentLoader().addContext('https://example.com/custom', { '@context': { custom: 'https://example.com/custom#' } });
+  const vp = new VPBuilder({ documentLoader })
     .context(['https://www.w3.org/ns/credentials/v2'])
     .addContext('https://example.com/custom')
     .type(['VerifiablePresentation', 'CustomPresentation'])